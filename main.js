@@ -12,6 +12,7 @@ const {
   nativeImage,
 } = require("electron");
 const path = require("path");
+const os = require("os");
 const fs = require("fs");
 const fsPromises = fs.promises;
 const { DataLocationManager } = require("./main/data-location-manager");
@@ -19,12 +20,29 @@ const dataLocationManager = new DataLocationManager({ app, dialog });
 const { source: dataLocationSource } = dataLocationManager.bootstrap(process.argv);
 
 const { getEmbeddedDragIcon } = require("./main/drag-icon");
-const { getVideoDimensions } = require("./main/videoDimensions");
+const { getComfyWorkflow } = require("./main/comfyWorkflow");
+const { clusterBySimilarity } = require("./main/perceptualHash");
+const captions = require("./main/captions");
+const metadataTransfer = require("./main/metadataTransfer");
+const xmpSidecar = require("./main/xmpSidecar");
 require("./main/ipc-trash")(ipcMain);
-const { initMetadataStore, getMetadataStore, resetDatabase } = require("./main/database");
+const {
+  initMetadataStore,
+  getMetadataStore,
+  getDatabasePath,
+  resetDatabase,
+} = require("./main/database");
+const { createWorkerPool } = require("./main/workerPool");
+const { probeFile } = require("./main/fileIndexing");
 const profileManager = require("./main/profile-manager");
 const { thumbnailCache } = require("./main/thumb-cache");
 const { migrateLegacyProfileData } = require("./main/profile-migration");
+const {
+  DEFAULT_VIDEO_EXTENSIONS,
+  DEFAULT_SCAN_RULES,
+  normalizeScanRules,
+  createScanRules,
+} = require("./main/scanRules");
 
 const DEFAULT_DONATION_URL = "https://ko-fi.com/videoswarm";
 
@@ -161,8 +179,13 @@ const defaultSettings = {
   showFilenames: true,
   sortKey: "name",
   sortDir: "asc",
+  sortThenBy: [], // secondary keys: [{ sortKey, sortDir }]
   groupByFolders: true,
   randomSeed: null,
+  hideRejects: false,
+  triageTagKeys: {}, // fullscreen triage: { key: tagName }
+  xmpSync: false, // mirror tags/ratings into clip.ext.xmp sidecars
+  scanRules: DEFAULT_SCAN_RULES, // extensions, exclude globs, depth; see main/scanRules.js
   windowBounds: {
     width: 1400,
     height: 900,
@@ -176,6 +199,7 @@ let currentSettings = null;
 
 // ===== Watcher integration =====
 const { createFolderWatcher } = require("./main/watcher");
+const { scanLibrary, reconcileLibrary } = require("./main/directoryScan");
 
 function getActiveProfileId() {
   try {
@@ -202,24 +226,22 @@ function getProfileDisplayName(profileId = getActiveProfileId()) {
 }
 
 // We keep scanFolderForChanges so the watcher module can call it in polling mode.
-let lastFolderScan = new Map();
+// Baselines are tracked per library root.
+const lastFolderScans = new Map();
+
+// Scan rules of the active profile, rebuilt when its setting changes.
+let scanRulesCache = { source: null, rules: null };
+function getScanRules() {
+  const source = currentSettings?.scanRules ?? null;
+  if (!scanRulesCache.rules || scanRulesCache.source !== source) {
+    scanRulesCache = { source, rules: createScanRules(source) };
+  }
+  return scanRulesCache.rules;
+}
 
 // Helper function to check if file is a video
 function isVideoFile(fileName) {
-  const videoExtensions = [
-    ".mp4",
-    ".mov",
-    ".avi",
-    ".mkv",
-    ".webm",
-    ".m4v",
-    ".flv",
-    ".wmv",
-    ".3gp",
-    ".ogv",
-  ];
-  const ext = path.extname(fileName).toLowerCase();
-  return videoExtensions.includes(ext);
+  return getScanRules().isVideoFile(fileName);
 }
 
 // Helper function to format file sizes
@@ -232,49 +254,270 @@ function formatFileSize(bytes) {
 }
 
 // Helper function to create rich file object
-async function createVideoFileObject(filePath, baseFolderPath) {
+function commonParentPath(filePaths) {
+  const isOutside = (relative) => relative.startsWith("..") || path.isAbsolute(relative);
+  const dirs = filePaths.filter(Boolean).map((p) => path.dirname(p));
+  if (!dirs.length) return "";
+  let common = dirs[0];
+  for (const dir of dirs.slice(1)) {
+    while (common && isOutside(path.relative(common, dir))) {
+      const parent = path.dirname(common);
+      if (parent === common) return parent;
+      common = parent;
+    }
+  }
+  return common;
+}
+
+function isXmpSyncEnabled() {
+  return !!currentSettings?.xmpSync;
+}
+
+// Store listener: mirror tag/rating edits into the clips' XMP sidecars.
+function syncXmpSidecars(fingerprints) {
+  if (!isXmpSyncEnabled()) return;
+  const store = getMetadataStore();
+  const paths = store.getFilePaths(fingerprints);
+  const metadata = store.getMetadataForFingerprints(Object.keys(paths));
+  Object.entries(paths).forEach(([fingerprint, filePath]) => {
+    const { tags, rating } = metadata[fingerprint] || {};
+    xmpSidecar.writeXmpSidecar(filePath, { tags, rating }).catch((error) => {
+      console.warn(`[xmp] Failed to write sidecar for ${filePath}:`, error?.message || error);
+    });
+  });
+}
+
+// Store listener: lets the renderer re-run a search the edit may affect.
+function broadcastMetadataChanged(fingerprints) {
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+  mainWindow.webContents.send("metadata:changed", { fingerprints });
+}
+
+// On scan: whichever side changed last wins. A sidecar edited after our
+// latest tag/rating write is ingested; otherwise the sidecar is rewritten.
+// Returns the ingested { tags, rating } or null when the store was kept.
+async function reconcileXmpSidecar(metadataStore, fingerprint, filePath, local) {
+  const sidecar = await xmpSidecar.readXmpSidecar(filePath);
+  if (sidecar && xmpSidecar.sameMetadata(sidecar, local)) return null;
+  if (sidecar && sidecar.mtimeMs > metadataStore.getMetadataUpdatedAt(fingerprint)) {
+    metadataStore.importMetadata(
+      [
+        {
+          fingerprint,
+          path: filePath,
+          tags: sidecar.tags,
+          tagsUpdatedAt: sidecar.mtimeMs,
+          rating: sidecar.rating,
+          ratingUpdatedAt: sidecar.mtimeMs,
+        },
+      ],
+      { strategy: "newest" }
+    );
+    return metadataStore.getMetadataForFingerprints([fingerprint])[fingerprint] || null;
+  }
+  await xmpSidecar.writeXmpSidecar(filePath, local);
+  return null;
+}
+
+// ===== Index workers =====
+// Fingerprinting, container probing and the writes they lead to run on
+// worker threads with their own connection to the profile database, keeping
+// scans off the main thread's event loop. The pool follows the open database
+// and is rebuilt after a profile switch.
+const INDEX_WORKER_COUNT = Math.max(1, Math.min(4, os.cpus().length - 1));
+let indexPool = null;
+let indexPoolDbPath = null;
+
+function getIndexPool() {
+  const dbPath = getDatabasePath();
+  if (!dbPath) return null;
+  if (indexPool && indexPoolDbPath === dbPath) {
+    return indexPool.stats().available ? indexPool : null;
+  }
+  stopIndexPool();
   try {
-    const stats = await fsPromises.stat(filePath);
-    const fileName = path.basename(filePath);
-    const ext = path.extname(fileName).toLowerCase();
-    let dirname = path.relative(baseFolderPath, path.dirname(filePath));
-    if (dirname === ".") dirname = "";
+    indexPool = createWorkerPool({
+      script: path.join(__dirname, "main", "indexWorker.js"),
+      size: INDEX_WORKER_COUNT,
+      workerData: { dbPath },
+    });
+    indexPoolDbPath = dbPath;
+  } catch (error) {
+    console.warn("[index] Worker pool unavailable:", error?.message || error);
+    indexPool = null;
+  }
+  return indexPool;
+}
+
+function stopIndexPool() {
+  if (!indexPool) return;
+  indexPool.destroy().catch((error) => {
+    console.warn("[index] Failed to stop workers:", error?.message || error);
+  });
+  indexPool = null;
+  indexPoolDbPath = null;
+}
+
+// Writes the file's row and probes whatever it is missing; resolves to
+// { fingerprint }. Falls back to the main thread if the workers are down.
+async function indexVideoFile(filePath, stats) {
+  const pool = getIndexPool();
+  if (pool) {
+    try {
+      return await pool.run({
+        filePath,
+        stats: {
+          size: stats.size,
+          mtimeMs: stats.mtimeMs,
+          birthtimeMs: stats.birthtimeMs,
+          ctimeMs: stats.ctimeMs,
+        },
+      });
+    } catch (error) {
+      console.warn(
+        `[index] Worker failed for ${filePath}, indexing on the main thread:`,
+        error?.message || error
+      );
+    }
+  }
+  const metadataStore = getMetadataStore();
+  const info = await metadataStore.indexFile({ filePath, stats });
+  await probeFile(metadataStore, info?.fingerprint, filePath, stats);
+  return { fingerprint: info?.fingerprint ?? null };
+}
+
+// Files the scan indexes at once: enough to keep every worker busy.
+function getScanConcurrency() {
+  const pool = getIndexPool();
+  return pool ? pool.stats().size * 2 : 1;
+}
+
+function isValidDimensions(dims) {
+  return (
+    !!dims &&
+    Number.isFinite(dims.width) &&
+    Number.isFinite(dims.height) &&
+    dims.width > 0 &&
+    dims.height > 0
+  );
+}
+
+// Per-clip metadata fields of a file object, from a mapMetadataRow result.
+function metadataFieldsFrom(info) {
+  return {
+    tags: Array.isArray(info?.tags) ? info.tags : [],
+    rating:
+      typeof info?.rating === "number" && Number.isFinite(info.rating)
+        ? info.rating
+        : null,
+    flag: info?.flag ?? null,
+    label: info?.label ?? null,
+    notes: info?.notes ?? null,
+    fields: info?.fields || {},
+    score: info?.score ?? null,
+    comparisons: info?.comparisons || 0,
+  };
+}
+
+// The file object the renderer gets. `stats` needs size, mtime, birthtime
+// and the *Ms fields; scan index entries stand in for fs.Stats.
+function buildVideoFileObject(filePath, baseFolderPath, stats, details) {
+  const fileName = path.basename(filePath);
+  const ext = path.extname(fileName).toLowerCase();
+  let dirname = path.relative(baseFolderPath, path.dirname(filePath));
+  if (dirname === ".") dirname = "";
+  const { dimensions = null, ...rest } = details;
+  const validDimensions = isValidDimensions(dimensions) ? dimensions : null;
+  const aspectRatio = validDimensions
+    ? Number.isFinite(validDimensions.aspectRatio) && validDimensions.aspectRatio > 0
+      ? validDimensions.aspectRatio
+      : validDimensions.width / validDimensions.height
+    : null;
+
+  return {
+    id: filePath,
+    name: fileName,
+    fullPath: filePath,
+    root: baseFolderPath,
+    relativePath: path.relative(baseFolderPath, filePath),
+    extension: ext,
+    size: stats.size,
+    dateModified: stats.mtime,
+    dateCreated: stats.birthtime,
+    isElectronFile: true,
+    basename: fileName,
+    dirname,
+    createdMs: stats.birthtimeMs || stats.ctimeMs || stats.mtimeMs,
+    fingerprint: null,
+    media: null,
+    caption: null,
+    ...metadataFieldsFrom(null),
+    ...rest,
+    dimensions: validDimensions
+      ? {
+        width: Math.round(validDimensions.width),
+        height: Math.round(validDimensions.height),
+        aspectRatio,
+      }
+      : null,
+    aspectRatio,
+    metadata: {
+      folder: path.dirname(filePath),
+      baseName: path.basename(fileName, ext),
+      sizeFormatted: formatFileSize(stats.size),
+      dateModifiedFormatted: stats.mtime.toLocaleDateString(),
+      dateCreatedFormatted: stats.birthtime.toLocaleDateString(),
+    },
+  };
+}
 
-    let fingerprint = null;
-    let tags = [];
-    let rating = null;
-    let dimensions = null;
+async function readCaptionSafely(filePath) {
+  try {
+    return await captions.readCaption(filePath);
+  } catch (captionError) {
+    console.warn(
+      `[captions] Failed to read caption for ${filePath}:`,
+      captionError?.message || captionError
+    );
+    return null;
+  }
+}
 
-    const isValidDimensions = (dims) =>
-      dims && Number.isFinite(dims.width) && Number.isFinite(dims.height) && dims.width > 0 && dims.height > 0;
+async function createVideoFileObject(filePath, baseFolderPath) {
+  try {
+    const stats = await fsPromises.stat(filePath);
+    const details = { fingerprint: null, ...metadataFieldsFrom(null), media: null };
 
     try {
       const metadataStore = getMetadataStore();
-      const info = await metadataStore.indexFile({ filePath, stats });
-      fingerprint = info?.fingerprint ?? null;
-      tags = Array.isArray(info?.tags) ? info.tags : [];
-      rating =
-        typeof info?.rating === "number" && Number.isFinite(info.rating)
-          ? info.rating
-          : null;
-
-      if (isValidDimensions(info?.dimensions)) {
-        dimensions = info.dimensions;
-      } else if (fingerprint) {
-        const storedDims = metadataStore.getDimensions(fingerprint);
-        if (isValidDimensions(storedDims)) {
-          dimensions = storedDims;
+      const indexed = await indexVideoFile(filePath, stats);
+      const fingerprint = indexed?.fingerprint ?? null;
+      const info = fingerprint
+        ? metadataStore.getMetadataForFingerprints([fingerprint])[fingerprint]
+        : null;
+      Object.assign(details, { fingerprint }, metadataFieldsFrom(info));
+
+      if (fingerprint && isXmpSyncEnabled()) {
+        try {
+          const ingested = await reconcileXmpSidecar(metadataStore, fingerprint, filePath, {
+            tags: details.tags,
+            rating: details.rating,
+          });
+          if (ingested) {
+            details.tags = ingested.tags;
+            details.rating = ingested.rating;
+          }
+        } catch (xmpError) {
+          console.warn(
+            `[xmp] Failed to sync sidecar for ${filePath}:`,
+            xmpError?.message || xmpError
+          );
         }
       }
 
-      if (!isValidDimensions(dimensions)) {
-        const computed = await getVideoDimensions(filePath, stats);
-        if (isValidDimensions(computed)) {
-          dimensions = computed;
-          if (fingerprint) {
-            metadataStore.setDimensions(fingerprint, computed);
-          }
-        }
+      details.dimensions = info?.dimensions ?? null;
+      if (fingerprint) {
+        details.media = metadataStore.getMediaInfo(fingerprint);
       }
     } catch (metaError) {
       console.warn(
@@ -283,46 +526,8 @@ async function createVideoFileObject(filePath, baseFolderPath) {
       );
     }
 
-    return {
-      id: filePath,
-      name: fileName,
-      fullPath: filePath,
-      relativePath: path.relative(baseFolderPath, filePath),
-      extension: ext,
-      size: stats.size,
-      dateModified: stats.mtime,
-      dateCreated: stats.birthtime,
-      isElectronFile: true,
-      basename: fileName,
-      dirname,
-      createdMs: stats.birthtimeMs || stats.ctimeMs || stats.mtimeMs,
-      fingerprint,
-      tags,
-      rating,
-      dimensions: dimensions
-        ? {
-          width: Math.round(dimensions.width),
-          height: Math.round(dimensions.height),
-          aspectRatio:
-            Number.isFinite(dimensions.aspectRatio) && dimensions.aspectRatio > 0
-              ? dimensions.aspectRatio
-              : dimensions.width / dimensions.height,
-        }
-        : null,
-      aspectRatio:
-        dimensions && isValidDimensions(dimensions)
-          ? (Number.isFinite(dimensions.aspectRatio) && dimensions.aspectRatio > 0
-            ? dimensions.aspectRatio
-            : dimensions.width / dimensions.height)
-          : null,
-      metadata: {
-        folder: path.dirname(filePath),
-        baseName: path.basename(fileName, ext),
-        sizeFormatted: formatFileSize(stats.size),
-        dateModifiedFormatted: stats.mtime.toLocaleDateString(),
-        dateCreatedFormatted: stats.birthtime.toLocaleDateString(),
-      },
-    };
+    details.caption = await readCaptionSafely(filePath);
+    return buildVideoFileObject(filePath, baseFolderPath, stats, details);
   } catch (error) {
     console.warn(`Error creating file object for ${filePath}:`, error.message);
     return null;
@@ -331,33 +536,44 @@ async function createVideoFileObject(filePath, baseFolderPath) {
 
 // Scan folder and detect changes (used by watcher in polling mode)
 async function scanFolderForChanges(folderPath, options = {}) {
-  const { recursive = true } = options;
-  try {
-    const videoExtensions = [
-      ".mp4",
-      ".mov",
-      ".avi",
-      ".mkv",
-      ".webm",
-      ".m4v",
-      ".flv",
-      ".wmv",
-      ".3gp",
-      ".ogv",
-    ];
+  const { recursive = true, initial = false, rules = getScanRules() } = options;
+  try {
     const currentFiles = new Map();
+    // Caption sidecar mtimes keyed by path without extension, so an edited
+    // caption counts as a change to its clip.
+    const captionStamps = new Map();
+    // XMP sidecar mtimes keyed by the clip path they belong to.
+    const xmpStamps = new Map();
+    const withoutExtension = (filePath) =>
+      filePath.slice(0, filePath.length - path.extname(filePath).length);
+
+    const visitedDirectories = new Set();
 
     async function scanDirectory(dirPath, depth = 0) {
-      if (!recursive && depth > 0) return;
-      if (recursive && depth > 10) return; // Limit depth when recursing
+      if (rules.followSymlinks) {
+        // Linked folders are read once each, so link cycles end.
+        const realPath = await fsPromises.realpath(dirPath);
+        if (visitedDirectories.has(realPath)) return;
+        visitedDirectories.add(realPath);
+      }
       const files = await fsPromises.readdir(dirPath, { withFileTypes: true });
 
       for (const file of files) {
         const fullPath = path.join(dirPath, file.name);
+        let isFile = file.isFile();
+        let isDirectory = file.isDirectory();
+        if (file.isSymbolicLink() && rules.followSymlinks) {
+          try {
+            const target = await fsPromises.stat(fullPath);
+            isFile = target.isFile();
+            isDirectory = target.isDirectory();
+          } catch {
+            // Dangling link
+          }
+        }
 
-        if (file.isFile()) {
-          const ext = path.extname(file.name).toLowerCase();
-          if (videoExtensions.includes(ext)) {
+        if (isFile) {
+          if (rules.shouldScanFile(fullPath, folderPath)) {
             try {
               const stats = await fsPromises.stat(fullPath);
               currentFiles.set(fullPath, {
@@ -367,12 +583,21 @@ async function scanFolderForChanges(folderPath, options = {}) {
             } catch {
               // File might have been deleted while scanning
             }
+          } else if (captions.isCaptionFile(file.name)) {
+            try {
+              const stats = await fsPromises.stat(fullPath);
+              captionStamps.set(withoutExtension(fullPath), stats.mtime.getTime());
+            } catch {}
+          } else if (xmpSidecar.isXmpSidecar(file.name)) {
+            try {
+              const stats = await fsPromises.stat(fullPath);
+              xmpStamps.set(xmpSidecar.videoPathForSidecar(fullPath), stats.mtime.getTime());
+            } catch {}
           }
         } else if (
           recursive &&
-          file.isDirectory() &&
-          depth < 10 &&
-          !file.name.startsWith(".")
+          isDirectory &&
+          rules.shouldScanDirectory(fullPath, folderPath, depth + 1)
         ) {
           await scanDirectory(fullPath, depth + 1);
         }
@@ -380,20 +605,43 @@ async function scanFolderForChanges(folderPath, options = {}) {
     }
 
     await scanDirectory(folderPath);
+    for (const [filePath, fileInfo] of currentFiles) {
+      fileInfo.captionMtime = captionStamps.get(withoutExtension(filePath)) ?? null;
+      fileInfo.xmpMtime = xmpStamps.get(filePath) ?? null;
+    }
+
+    const lastFolderScan = lastFolderScans.get(folderPath) || new Map();
+    if (!initial && lastFolderScan.size > 0 && mainWindow && !mainWindow.isDestroyed()) {
+      // A vanished path whose fingerprint turns up again was renamed or moved.
+      const removedPaths = [...lastFolderScan.keys()].filter((filePath) => !currentFiles.has(filePath));
+      const removedByFingerprint = new Map();
+      removedPaths.forEach((filePath) => {
+        const fingerprint = fingerprintForRemovedPath(filePath);
+        if (fingerprint) removedByFingerprint.set(fingerprint, filePath);
+      });
+      const renamedPaths = new Set();
 
-    if (lastFolderScan.size > 0 && mainWindow && !mainWindow.isDestroyed()) {
       // Added/changed
       for (const [filePath, fileInfo] of currentFiles) {
         if (!lastFolderScan.has(filePath)) {
           const videoFile = await createVideoFileObject(filePath, folderPath);
-          if (videoFile) {
+          const oldPath = videoFile?.fingerprint
+            ? removedByFingerprint.get(videoFile.fingerprint)
+            : null;
+          if (oldPath) {
+            removedByFingerprint.delete(videoFile.fingerprint);
+            renamedPaths.add(oldPath);
+            notifyFileRenamed(mainWindow, oldPath, videoFile);
+          } else if (videoFile) {
             mainWindow.webContents.send("file-added", videoFile);
           }
         } else {
           const lastInfo = lastFolderScan.get(filePath);
           if (
             lastInfo.mtime !== fileInfo.mtime ||
-            lastInfo.size !== fileInfo.size
+            lastInfo.size !== fileInfo.size ||
+            lastInfo.captionMtime !== fileInfo.captionMtime ||
+            lastInfo.xmpMtime !== fileInfo.xmpMtime
           ) {
             const videoFile = await createVideoFileObject(filePath, folderPath);
             if (videoFile) {
@@ -403,14 +651,14 @@ async function scanFolderForChanges(folderPath, options = {}) {
         }
       }
       // Removed
-      for (const filePath of lastFolderScan.keys()) {
-        if (!currentFiles.has(filePath)) {
+      for (const filePath of removedPaths) {
+        if (!renamedPaths.has(filePath)) {
           mainWindow.webContents.send("file-removed", filePath);
         }
       }
     }
 
-    lastFolderScan = currentFiles;
+    lastFolderScans.set(folderPath, currentFiles);
   } catch (error) {
     console.error("Error in polling mode scan:", error);
   }
@@ -421,21 +669,51 @@ const folderWatcher = createFolderWatcher({
   isVideoFile,
   createVideoFileObject,
   scanFolderForChanges,
+  resolveSidecarOwner: (filePath) =>
+    xmpSidecar.isXmpSidecar(filePath)
+      ? xmpSidecar.videoPathForSidecar(filePath)
+      : captions.findVideoForCaption(filePath, isVideoFile),
+  resolveRemovedFingerprint: fingerprintForRemovedPath,
   logger: console,
-  depth: 10, // unchanged from your previous config
 });
 
+// Last fingerprint recorded for a path that is no longer on disk.
+function fingerprintForRemovedPath(filePath) {
+  try {
+    return getMetadataStore().getFingerprintForPath(filePath);
+  } catch (error) {
+    console.warn("[watch] Failed to look up fingerprint:", error?.message || error);
+    return null;
+  }
+}
+
+function notifyFileRenamed(win, oldPath, videoFile) {
+  forgetScanEntries([oldPath]);
+  rememberScanEntries([videoFile]);
+  win.webContents.send("file-renamed", {
+    oldPath,
+    newPath: videoFile.fullPath,
+    file: videoFile,
+  });
+}
+
 // Wire watcher events to the renderer (native watch mode)
 function wireWatcherEvents(win) {
   folderWatcher.on("added", (videoFile) => {
+    rememberScanEntries([videoFile]);
     win.webContents.send("file-added", videoFile);
   });
   folderWatcher.on("removed", (filePath) => {
+    forgetScanEntries([filePath]);
     win.webContents.send("file-removed", filePath);
   });
   folderWatcher.on("changed", (videoFile) => {
+    rememberScanEntries([videoFile]);
     win.webContents.send("file-changed", videoFile);
   });
+  folderWatcher.on("renamed", ({ oldPath, videoFile }) => {
+    notifyFileRenamed(win, oldPath, videoFile);
+  });
   folderWatcher.on("mode", ({ mode, folderPath }) => {
     console.log(`[watch] mode=${mode} path=${folderPath}`);
     // Optionally notify the renderer:
@@ -620,7 +898,7 @@ async function reconfigureForProfile(profileId, { broadcast = true } = {}) {
   } catch (error) {
     console.warn("[profile] Failed to stop watcher during profile switch", error);
   }
-  lastFolderScan = new Map();
+  lastFolderScans.clear();
 
   if (typeof thumbnailCache.reset === "function") {
     try {
@@ -635,8 +913,11 @@ async function reconfigureForProfile(profileId, { broadcast = true } = {}) {
     console.warn("[profile] Failed to init thumbnail cache for new profile", error);
   }
 
+  stopIndexPool();
   resetDatabase();
   await initMetadataStore(app, profilePath);
+  getMetadataStore().onMetadataChanged(syncXmpSidecars);
+  getMetadataStore().onMetadataChanged(broadcastMetadataChanged);
   await ensureRecentStore(targetId);
 
   currentSettings = null;
@@ -945,6 +1226,107 @@ async function handleDeleteActiveProfileFromMenu() {
   }
 }
 
+async function handleExportMetadataFromMenu() {
+  const profileName = getProfileDisplayName(getActiveProfileId());
+  const safeName = profileName.replace(/[<>:"/\\|?*\u0000-\u001f]/g, "_") || "profile";
+  const result = await dialog.showSaveDialog(mainWindow || null, {
+    title: "Export Metadata",
+    defaultPath: `${safeName}-metadata.json`,
+    filters: [
+      { name: "JSON", extensions: ["json"] },
+      { name: "CSV", extensions: ["csv"] },
+    ],
+  });
+  if (result.canceled || !result.filePath) return;
+
+  try {
+    const records = getMetadataStore().exportMetadata();
+    const text =
+      metadataTransfer.formatFromPath(result.filePath) === "csv"
+        ? metadataTransfer.serializeCsv(records)
+        : metadataTransfer.serializeJson(records, { profile: profileName });
+    await fsPromises.writeFile(result.filePath, text, "utf8");
+    await dialog.showMessageBox(mainWindow || null, {
+      type: "info",
+      title: "Export Metadata",
+      message: `Exported metadata for ${records.length} file(s).`,
+      detail: result.filePath,
+    });
+  } catch (error) {
+    console.error("Failed to export metadata", error);
+    await dialog.showMessageBox(mainWindow || null, {
+      type: "error",
+      title: "Export Metadata Failed",
+      message: "Could not export metadata.",
+      detail: error?.message || String(error),
+    });
+  }
+}
+
+const METADATA_IMPORT_STRATEGIES = ["newest", "union", "overwrite"];
+
+async function handleImportMetadataFromMenu() {
+  const profileName = getProfileDisplayName(getActiveProfileId());
+  const result = await dialog.showOpenDialog(mainWindow || null, {
+    title: "Import Metadata",
+    properties: ["openFile"],
+    filters: [{ name: "Metadata", extensions: ["json", "csv"] }],
+  });
+  if (result.canceled || !result.filePaths.length) return;
+  const filePath = result.filePaths[0];
+
+  try {
+    const text = await fsPromises.readFile(filePath, "utf8");
+    const { records, invalid } = metadataTransfer.parseMetadataFile(
+      text,
+      metadataTransfer.formatFromPath(filePath)
+    );
+
+    const { response } = await dialog.showMessageBox(mainWindow || null, {
+      type: "question",
+      buttons: ["Keep Newest", "Union Tags", "Overwrite", "Cancel"],
+      defaultId: 0,
+      cancelId: 3,
+      title: "Import Metadata",
+      message: `Import ${records.length} record(s) into "${profileName}"?`,
+      detail: [
+        "Keep Newest: tags and ratings come from whichever side changed last.",
+        "Union Tags: add imported tags to existing ones; existing ratings are kept.",
+        "Overwrite: imported tags and ratings replace existing ones.",
+        invalid ? `${invalid} row(s) without a fingerprint will be skipped.` : null,
+      ]
+        .filter(Boolean)
+        .join("\n"),
+    });
+    const strategy = METADATA_IMPORT_STRATEGIES[response];
+    if (!strategy) return;
+
+    const summary = getMetadataStore().importMetadata(records, { strategy });
+    if (summary.fingerprints.length && mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send("metadata:imported", {
+        fingerprints: summary.fingerprints,
+      });
+    }
+    await dialog.showMessageBox(mainWindow || null, {
+      type: "info",
+      title: "Import Metadata",
+      message: `Imported ${summary.total} record(s).`,
+      detail: [
+        `${summary.matched} matched existing files, ${summary.added} new.`,
+        `Tags changed on ${summary.tagsChanged} file(s), ratings on ${summary.ratingsChanged}.`,
+      ].join("\n"),
+    });
+  } catch (error) {
+    console.error("Failed to import metadata", error);
+    await dialog.showMessageBox(mainWindow || null, {
+      type: "error",
+      title: "Import Metadata Failed",
+      message: "Could not import metadata.",
+      detail: error?.message || String(error),
+    });
+  }
+}
+
 function buildProfilesMenuTemplate() {
   const profiles = profileManager.listProfiles();
   if (!profiles.length) {
@@ -995,6 +1377,35 @@ function buildProfilesMenuTemplate() {
         });
       },
     },
+    { type: "separator" },
+    {
+      label: "Sync XMP Sidecars",
+      type: "checkbox",
+      checked: isXmpSyncEnabled(),
+      click: (menuItem) => {
+        saveSettingsPartial({ xmpSync: menuItem.checked })
+          .then(() => createMenu())
+          .catch((error) => {
+            console.error("Failed to toggle XMP sync", error);
+          });
+      },
+    },
+    {
+      label: "Export Metadata…",
+      click: () => {
+        handleExportMetadataFromMenu().catch((error) => {
+          console.error("Export metadata handler failed", error);
+        });
+      },
+    },
+    {
+      label: "Import Metadata…",
+      click: () => {
+        handleImportMetadataFromMenu().catch((error) => {
+          console.error("Import metadata handler failed", error);
+        });
+      },
+    },
   ];
 
   return submenu;
@@ -1045,6 +1456,14 @@ function createMenu() {
             }
           },
         },
+        {
+          label: "Scan Rules…",
+          click: () => {
+            if (mainWindow && !mainWindow.isDestroyed()) {
+              mainWindow.webContents.send("ui:open-scan-rules");
+            }
+          },
+        },
       ],
     },
     {
@@ -1177,15 +1596,32 @@ async function saveRecentFolders(items) {
   }
 }
 
+// Root sets are stored with a newline-joined key in `path` so single folders
+// and sets share the same history list and removal API.
+function recentEntryFor(folderPaths) {
+  const roots = Array.from(
+    new Set((Array.isArray(folderPaths) ? folderPaths : [folderPaths]).filter(Boolean))
+  );
+  if (roots.length <= 1) {
+    return { path: roots[0], name: path.basename(roots[0] || "") };
+  }
+  return {
+    path: roots.join("\n"),
+    name: roots.map((root) => path.basename(root)).join(" + "),
+    roots,
+  };
+}
+
 async function addRecentFolder(folderPath) {
   await ensureRecentStore();
   try {
-    const name = path.basename(folderPath);
+    const entry = recentEntryFor(folderPath);
+    if (!entry.path) return await getRecentFolders();
     const now = Date.now();
     const items = (await getRecentFolders()).filter(
-      (x) => x.path !== folderPath
+      (x) => x.path !== entry.path
     );
-    items.unshift({ path: folderPath, name, lastOpened: now });
+    items.unshift({ ...entry, lastOpened: now });
     await saveRecentFolders(items.slice(0, 10));
     return await getRecentFolders();
   } catch (error) {
@@ -1458,11 +1894,32 @@ ipcMain.handle("save-settings-partial", async (_event, partialSettings) => {
   return { success: true };
 });
 
-ipcMain.handle("select-folder", async () => {
+// Scan rules of the active profile. Saving takes effect on the next scan or
+// watch start; the renderer reopens the current folder to apply them.
+ipcMain.handle("scan-rules:get", async () => {
+  return {
+    rules: getScanRules().settings,
+    defaultExtensions: DEFAULT_VIDEO_EXTENSIONS,
+  };
+});
+
+ipcMain.handle("scan-rules:set", async (_event, rules) => {
+  try {
+    const normalized = normalizeScanRules(rules);
+    await saveSettingsPartial({ scanRules: normalized });
+    return { success: true, rules: getScanRules().settings };
+  } catch (error) {
+    console.error("Failed to save scan rules:", error);
+    return { success: false, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("select-folder", async (_event, options = {}) => {
   try {
     const result = await dialog.showOpenDialog(mainWindow, {
-      properties: ["openDirectory"],
-      title: "Select Video Folder",
+      properties: ["openDirectory", "createDirectory"],
+      title: options?.title || "Select Video Folder",
+      ...(options?.buttonLabel && { buttonLabel: options.buttonLabel }),
     });
 
     if (!result.canceled && result.filePaths.length > 0) {
@@ -1644,87 +2101,326 @@ ipcMain.handle("confirm-move-to-trash", async (event, payload = {}) => {
   }
 });
 
-// Read directory and return video files with metadata
+// ===== Scan index =====
+// Each scan records what it found per library root (see the metadata store's
+// scan index). Reopening a root shows those entries straight away, then a
+// background pass stats the files and sends "file-added", "file-changed" and
+// "file-removed" for whatever differs, like the watcher does.
+
+function scanEntryFromFile(file) {
+  return {
+    root: file.root,
+    path: file.fullPath,
+    size: file.size,
+    mtimeMs: file.dateModified instanceof Date ? file.dateModified.getTime() : 0,
+    createdMs: file.createdMs,
+    fingerprint: file.fingerprint,
+    dimensions: file.dimensions,
+  };
+}
+
+function rememberScanEntries(files) {
+  try {
+    getMetadataStore().recordScanEntries(files.filter(Boolean).map(scanEntryFromFile));
+  } catch (error) {
+    console.warn("[scan-index] Failed to record entries:", error?.message || error);
+  }
+}
+
+function forgetScanEntries(paths) {
+  try {
+    getMetadataStore().forgetScanEntries(paths);
+  } catch (error) {
+    console.warn("[scan-index] Failed to drop entries:", error?.message || error);
+  }
+}
+
+// File objects for the indexed entries of `roots`, keyed by path, or null
+// when a root has never been scanned. Metadata comes from the store as usual;
+// captions are left to the background pass.
+function loadScanIndex(roots, recursive) {
+  const store = getMetadataStore();
+  const allEntries = store.getScanIndex(roots);
+  const indexedRoots = new Set(allEntries.map((entry) => entry.root));
+  if (!roots.length || !roots.every((root) => indexedRoots.has(root))) return null;
+  const rules = getScanRules();
+  const entries = allEntries.filter(
+    (entry) =>
+      (recursive || path.dirname(entry.path) === entry.root) &&
+      rules.includesFile(entry.path, entry.root)
+  );
+  const metadata = store.getMetadataForFingerprints(
+    entries.map((entry) => entry.fingerprint).filter(Boolean)
+  );
+  const indexed = new Map();
+  entries.forEach((entry) => {
+    if (indexed.has(entry.path)) return;
+    const info = entry.fingerprint ? metadata[entry.fingerprint] : null;
+    const createdMs = entry.createdMs || entry.mtimeMs;
+    const file = buildVideoFileObject(
+      entry.path,
+      entry.root,
+      {
+        size: entry.size,
+        mtime: new Date(entry.mtimeMs),
+        mtimeMs: entry.mtimeMs,
+        birthtime: new Date(createdMs),
+        birthtimeMs: createdMs,
+      },
+      {
+        fingerprint: entry.fingerprint,
+        ...metadataFieldsFrom(info),
+        media: entry.fingerprint ? store.getMediaInfo(entry.fingerprint) : null,
+        dimensions: info?.dimensions ?? entry.dimensions,
+      }
+    );
+    indexed.set(entry.path, { entry, file });
+  });
+  return indexed;
+}
+
+// Sidecar state an index entry cannot know about: the caption, and tags or
+// a rating edited in an XMP sidecar. Resolves to the updated object or null.
+async function refreshIndexedFile(file) {
+  let next = file;
+  const caption = await readCaptionSafely(file.fullPath);
+  if (JSON.stringify(caption) !== JSON.stringify(file.caption ?? null)) {
+    next = { ...next, caption };
+  }
+  if (file.fingerprint && isXmpSyncEnabled()) {
+    try {
+      const ingested = await reconcileXmpSidecar(getMetadataStore(), file.fingerprint, file.fullPath, {
+        tags: file.tags,
+        rating: file.rating,
+      });
+      if (ingested) {
+        next = { ...next, tags: ingested.tags, rating: ingested.rating };
+      }
+    } catch (xmpError) {
+      console.warn(
+        `[xmp] Failed to sync sidecar for ${file.fullPath}:`,
+        xmpError?.message || xmpError
+      );
+    }
+  }
+  return next === file ? null : next;
+}
+
+async function reconcileScanIndex({ sender, roots, recursive, indexed, signal }) {
+  const send = (channel, payload) => {
+    if (!signal.aborted && !sender.isDestroyed()) sender.send(channel, payload);
+  };
+  const reindex = async (filePath, rootPath, channel) => {
+    const file = await createVideoFileObject(filePath, rootPath);
+    if (!file || signal.aborted) return;
+    rememberScanEntries([file]);
+    send(channel, file);
+  };
+
+  try {
+    const known = new Map([...indexed].map(([filePath, { entry }]) => [filePath, entry]));
+    const result = await reconcileLibrary({
+      roots,
+      recursive,
+      known,
+      signal,
+      concurrency: getScanConcurrency(),
+      rules: getScanRules(),
+      onAdded: (filePath, rootPath) => reindex(filePath, rootPath, "file-added"),
+      onChanged: (filePath, rootPath) => reindex(filePath, rootPath, "file-changed"),
+      onUnchanged: async (filePath) => {
+        const refreshed = await refreshIndexedFile(indexed.get(filePath).file);
+        if (refreshed) send("file-changed", refreshed);
+      },
+    });
+    if (result.cancelled) return;
+    forgetScanEntries(result.removed);
+    result.removed.forEach((filePath) => send("file-removed", filePath));
+    console.log(
+      `Checked ${indexed.size} indexed files in ${roots.join(", ")} (${result.elapsedMs}ms, ${result.removed.length} removed)`
+    );
+  } catch (error) {
+    console.warn("[scan-index] Background check failed:", error?.message || error);
+  }
+}
+
+// Full scans record every batch and, once complete, drop the entries of
+// files that are gone.
+function recordScanBatch(files, seenPaths) {
+  files.forEach((file) => seenPaths.add(file.fullPath));
+  rememberScanEntries(files);
+}
+
+function pruneScanIndexFor(roots, recursive, seenPaths) {
+  try {
+    const store = getMetadataStore();
+    roots.forEach((root) => store.pruneScanIndex(root, seenPaths, { recursive }));
+  } catch (error) {
+    console.warn("[scan-index] Failed to prune entries:", error?.message || error);
+  }
+}
+
+function toRootList(folderPaths) {
+  return (Array.isArray(folderPaths) ? folderPaths : [folderPaths]).filter(
+    (p) => typeof p === "string" && p
+  );
+}
+
+// Scans are per window: a new one (opening a different folder) cancels the
+// previous scan and its background check.
+const activeScans = new Map(); // webContents id -> { scanId, controller }
+
+function startScanJob(sender, scanId) {
+  activeScans.get(sender.id)?.controller.abort();
+  const job = { scanId, controller: new AbortController() };
+  activeScans.set(sender.id, job);
+  return job;
+}
+
+function endScanJob(sender, job) {
+  if (activeScans.get(sender.id) === job) activeScans.delete(sender.id);
+}
+
+// Shows `roots` from the scan index when every root has been scanned before
+// and kicks off the background check. Returns the indexed file objects, or
+// null to fall back to a full scan.
+function openFromScanIndex(sender, job, roots, recursive) {
+  let indexed;
+  try {
+    indexed = loadScanIndex(roots, recursive);
+  } catch (error) {
+    console.warn("[scan-index] Unavailable:", error?.message || error);
+    return null;
+  }
+  if (!indexed) return null;
+  job.checking = reconcileScanIndex({
+    sender,
+    roots,
+    recursive,
+    indexed,
+    signal: job.controller.signal,
+  }).finally(() => endScanJob(sender, job));
+  return [...indexed.values()].map(({ file }) => file);
+}
+
+// Read one or more library roots and return video files with metadata.
+// Each file records the root it was found under; overlapping roots only
+// contribute a file once. Kept for callers that want the whole list at once;
+// the grid streams through "scan:start" instead.
 ipcMain.handle(
   "read-directory",
-  async (_event, folderPath, recursive = false) => {
+  async (event, folderPaths, recursive = false) => {
+    const roots = toRootList(folderPaths);
+    const job = startScanJob(event.sender, null);
     try {
-      console.log(`Reading directory: ${folderPath} (recursive: ${recursive})`);
-      const videoExtensions = [
-        ".mp4",
-        ".mov",
-        ".avi",
-        ".mkv",
-        ".webm",
-        ".m4v",
-        ".flv",
-        ".wmv",
-        ".3gp",
-        ".ogv",
-      ];
-      const videoFiles = [];
-
-      async function scanDirectory(dirPath, depth = 0) {
-        const files = await fsPromises.readdir(dirPath, { withFileTypes: true });
-
-        for (const file of files) {
-          const fullPath = path.join(dirPath, file.name);
-
-          if (file.isFile()) {
-            const ext = path.extname(file.name).toLowerCase();
-            if (videoExtensions.includes(ext)) {
-              try {
-                const videoFile = await createVideoFileObject(
-                  fullPath,
-                  folderPath
-                );
-                if (videoFile) {
-                  videoFiles.push(videoFile);
-                }
-              } catch (error) {
-                console.warn(
-                  `Error reading file stats for ${fullPath}:`,
-                  error.message
-                );
-              }
-            }
-          } else if (file.isDirectory() && recursive && depth < 10) {
-            if (
-              !file.name.startsWith(".") &&
-              ![
-                "node_modules",
-                "System Volume Information",
-                "$RECYCLE.BIN",
-                ".git",
-              ].includes(file.name)
-            ) {
-              try {
-                await scanDirectory(fullPath, depth + 1);
-              } catch (error) {
-                console.warn(
-                  `Skipping directory ${fullPath}: ${error.message}`
-                );
-              }
-            }
-          }
-        }
+      const fromIndex = openFromScanIndex(event.sender, job, roots, recursive);
+      if (fromIndex) {
+        console.log(`Loaded ${fromIndex.length} indexed video files in ${roots.join(", ")}`);
+        return fromIndex.sort((a, b) => a.name.localeCompare(b.name));
       }
 
-      await scanDirectory(folderPath);
+      console.log(`Reading directory: ${roots.join(", ")} (recursive: ${recursive})`);
+      const videoFiles = [];
+      const seenPaths = new Set();
+      const result = await scanLibrary({
+        roots,
+        recursive,
+        createVideoFileObject,
+        concurrency: getScanConcurrency(),
+        rules: getScanRules(),
+        signal: job.controller.signal,
+        onBatch: (files) => {
+          videoFiles.push(...files);
+          recordScanBatch(files, seenPaths);
+        },
+      });
+      if (!result.cancelled) pruneScanIndexFor(roots, recursive, seenPaths);
 
       console.log(
-        `Found ${videoFiles.length} video files in ${folderPath} (recursive: ${recursive})`
+        `Found ${videoFiles.length} video files in ${roots.join(", ")} (recursive: ${recursive})`
       );
 
       return videoFiles.sort((a, b) => a.name.localeCompare(b.name));
     } catch (error) {
       console.error("Error reading directory:", error);
       throw error;
+    } finally {
+      if (!job.checking) endScanJob(event.sender, job);
     }
   }
 );
 
-ipcMain.handle("metadata:list-tags", async () => {
+// Streaming scan: file objects arrive as "scan:batch" and per-directory
+// counts as "scan:progress", both tagged with the renderer's scanId.
+// Progress and the result carry elapsedMs and the index worker count (0 when
+// indexing on the main thread) so the renderer can show throughput. A result
+// with `fromIndex` came from the scan index; changes follow as watcher-style
+// events.
+ipcMain.handle("scan:start", async (event, scanId, folderPaths, recursive = false) => {
+  const sender = event.sender;
+  const roots = toRootList(folderPaths);
+  const job = startScanJob(sender, scanId);
+
+  const send = (channel, payload) => {
+    if (!sender.isDestroyed()) sender.send(channel, { scanId, ...payload });
+  };
+
+  try {
+    const startedAt = Date.now();
+    const fromIndex = openFromScanIndex(sender, job, roots, recursive);
+    if (fromIndex) {
+      for (let i = 0; i < fromIndex.length; i += 500) {
+        send("scan:batch", { files: fromIndex.slice(i, i + 500) });
+      }
+      console.log(`Loaded ${fromIndex.length} indexed video files in ${roots.join(", ")}`);
+      return {
+        scanId,
+        total: fromIndex.length,
+        cancelled: false,
+        elapsedMs: Date.now() - startedAt,
+        workers: 0,
+        fromIndex: true,
+      };
+    }
+
+    console.log(`Scanning: ${roots.join(", ")} (recursive: ${recursive})`);
+    const concurrency = getScanConcurrency();
+    const workers = getIndexPool()?.stats().size || 0;
+    const seenPaths = new Set();
+    const result = await scanLibrary({
+      roots,
+      recursive,
+      createVideoFileObject,
+      concurrency,
+      rules: getScanRules(),
+      signal: job.controller.signal,
+      onBatch: (files) => {
+        recordScanBatch(files, seenPaths);
+        send("scan:batch", { files });
+      },
+      onProgress: (progress) => send("scan:progress", { ...progress, workers }),
+    });
+    if (!result.cancelled) pruneScanIndexFor(roots, recursive, seenPaths);
+    console.log(
+      `${result.cancelled ? "Cancelled scan after" : "Found"} ${result.total} video files in ${roots.join(", ")} (${result.elapsedMs}ms, ${workers} workers)`
+    );
+    return { scanId, ...result, workers };
+  } catch (error) {
+    console.error("Error scanning directory:", error);
+    return { scanId, total: 0, cancelled: false, error: error?.message || String(error) };
+  } finally {
+    if (!job.checking) endScanJob(sender, job);
+  }
+});
+
+ipcMain.handle("scan:cancel", async (event, scanId) => {
+  const job = activeScans.get(event.sender.id);
+  if (!job || job.scanId !== scanId) return { cancelled: false };
+  job.controller.abort();
+  return { cancelled: true };
+});
+
+ipcMain.handle("metadata:list-tags", async () => {
   try {
     const store = getMetadataStore();
     return { tags: store.listTags() };
@@ -1780,6 +2476,162 @@ ipcMain.handle(
   }
 );
 
+ipcMain.handle("metadata:set-tag-color", async (_event, tagName, color) => {
+  try {
+    return { tags: getMetadataStore().setTagColor(tagName, color) };
+  } catch (error) {
+    console.error("Failed to set tag colour:", error);
+    return { error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("metadata:set-tag-parent", async (_event, tagName, parentName) => {
+  try {
+    return { tags: getMetadataStore().setTagParent(tagName, parentName) };
+  } catch (error) {
+    console.error("Failed to set tag parent:", error);
+    return { error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("metadata:set-notes", async (_event, fingerprints = [], text) => {
+  try {
+    const cleanFingerprints = Array.isArray(fingerprints) ? fingerprints.filter(Boolean) : [];
+    if (!cleanFingerprints.length) return { updates: {} };
+    return { updates: getMetadataStore().setNotes(cleanFingerprints, text) };
+  } catch (error) {
+    console.error("Failed to save notes:", error);
+    return { updates: {}, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("metadata:list-fields", async () => {
+  try {
+    return { fields: getMetadataStore().listCustomFields() };
+  } catch (error) {
+    console.error("Failed to list custom fields:", error);
+    return { fields: [], error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("metadata:create-field", async (_event, definition = {}) => {
+  try {
+    return { fields: getMetadataStore().createCustomField(definition) };
+  } catch (error) {
+    console.error("Failed to create custom field:", error);
+    return { error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("metadata:update-field", async (_event, fieldId, patch = {}) => {
+  try {
+    return { fields: getMetadataStore().updateCustomField(fieldId, patch) };
+  } catch (error) {
+    console.error("Failed to update custom field:", error);
+    return { error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("metadata:delete-field", async (_event, fieldId) => {
+  try {
+    return { fields: getMetadataStore().deleteCustomField(fieldId) };
+  } catch (error) {
+    console.error("Failed to delete custom field:", error);
+    return { error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle(
+  "metadata:set-field",
+  async (_event, fingerprints = [], fieldId, value) => {
+    try {
+      const cleanFingerprints = Array.isArray(fingerprints)
+        ? fingerprints.filter(Boolean)
+        : [];
+      if (!cleanFingerprints.length) return { updates: {} };
+      return {
+        updates: getMetadataStore().setCustomFieldValue(cleanFingerprints, fieldId, value),
+      };
+    } catch (error) {
+      console.error("Failed to set custom field:", error);
+      return { updates: {}, error: error?.message || String(error) };
+    }
+  }
+);
+
+// Tag manager: every change returns the refreshed catalog plus metadata for
+// the clips whose tags changed.
+function tagCatalog(store, updates = {}) {
+  return { updates, tags: store.listTags(), aliases: store.listTagAliases() };
+}
+
+function cleanTagNames(names) {
+  return Array.isArray(names)
+    ? names.map((name) => (name ?? "").toString().trim()).filter(Boolean)
+    : [];
+}
+
+ipcMain.handle("metadata:list-tag-aliases", async () => {
+  try {
+    return { aliases: getMetadataStore().listTagAliases() };
+  } catch (error) {
+    console.error("Failed to list tag aliases:", error);
+    return { aliases: [], error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("metadata:rename-tag", async (_event, tagName, newName) => {
+  try {
+    const store = getMetadataStore();
+    return tagCatalog(store, store.renameTag(tagName, newName));
+  } catch (error) {
+    console.error("Failed to rename tag:", error);
+    return { updates: {}, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("metadata:merge-tags", async (_event, tagNames = [], targetName) => {
+  try {
+    const store = getMetadataStore();
+    return tagCatalog(store, store.mergeTags(cleanTagNames(tagNames), targetName));
+  } catch (error) {
+    console.error("Failed to merge tags:", error);
+    return { updates: {}, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("metadata:delete-tags", async (_event, tagNames = []) => {
+  try {
+    const store = getMetadataStore();
+    return tagCatalog(store, store.deleteTags(cleanTagNames(tagNames)));
+  } catch (error) {
+    console.error("Failed to delete tags:", error);
+    return { updates: {}, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("metadata:add-tag-alias", async (_event, alias, tagName) => {
+  try {
+    const store = getMetadataStore();
+    store.addTagAlias(alias, tagName);
+    return tagCatalog(store);
+  } catch (error) {
+    console.error("Failed to add tag alias:", error);
+    return { updates: {}, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("metadata:remove-tag-alias", async (_event, alias) => {
+  try {
+    const store = getMetadataStore();
+    store.removeTagAlias(alias);
+    return tagCatalog(store);
+  } catch (error) {
+    console.error("Failed to remove tag alias:", error);
+    return { updates: {}, error: error?.message || String(error) };
+  }
+});
+
 ipcMain.handle(
   "metadata:set-rating",
   async (_event, fingerprints = [], ratingValue) => {
@@ -1804,6 +2656,46 @@ ipcMain.handle(
   }
 );
 
+ipcMain.handle("metadata:set-flag", async (_event, fingerprints = [], flag) => {
+  try {
+    const cleanFingerprints = Array.isArray(fingerprints) ? fingerprints.filter(Boolean) : [];
+    if (!cleanFingerprints.length) return { updates: {} };
+    return { updates: getMetadataStore().setFlag(cleanFingerprints, flag) };
+  } catch (error) {
+    console.error("Failed to set flag:", error);
+    return { updates: {}, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("metadata:set-label", async (_event, fingerprints = [], label) => {
+  try {
+    const cleanFingerprints = Array.isArray(fingerprints) ? fingerprints.filter(Boolean) : [];
+    if (!cleanFingerprints.length) return { updates: {} };
+    return { updates: getMetadataStore().setLabel(cleanFingerprints, label) };
+  } catch (error) {
+    console.error("Failed to set colour label:", error);
+    return { updates: {}, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("metadata:record-comparison", async (_event, first, second, outcome) => {
+  try {
+    return { updates: getMetadataStore().recordComparison(first, second, outcome) };
+  } catch (error) {
+    console.error("Failed to record comparison:", error);
+    return { updates: {}, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("metadata:undo-comparison", async () => {
+  try {
+    return { updates: getMetadataStore().undoLastComparison() };
+  } catch (error) {
+    console.error("Failed to undo comparison:", error);
+    return { updates: {}, error: error?.message || String(error) };
+  }
+});
+
 ipcMain.handle("metadata:get", async (_event, fingerprints = []) => {
   try {
     const store = getMetadataStore();
@@ -1817,6 +2709,277 @@ ipcMain.handle("metadata:get", async (_event, fingerprints = []) => {
   }
 });
 
+ipcMain.handle("saved-searches:list", async () => {
+  try {
+    return { items: getMetadataStore().listSavedSearches() };
+  } catch (error) {
+    console.error("Failed to list saved searches:", error);
+    return { items: [], error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("saved-searches:save", async (_event, payload = {}) => {
+  try {
+    return { items: getMetadataStore().saveSavedSearch(payload) };
+  } catch (error) {
+    console.error("Failed to save search:", error);
+    return { items: null, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("saved-searches:delete", async (_event, id) => {
+  try {
+    return { items: getMetadataStore().deleteSavedSearch(id) };
+  } catch (error) {
+    console.error("Failed to delete saved search:", error);
+    return { items: null, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("collections:list", async () => {
+  try {
+    return { items: getMetadataStore().listCollections() };
+  } catch (error) {
+    console.error("Failed to list collections:", error);
+    return { items: [], error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("collections:create", async (_event, name, fingerprints = []) => {
+  try {
+    const store = getMetadataStore();
+    const id = store.createCollection(name);
+    const added = Array.isArray(fingerprints) && fingerprints.length
+      ? store.addToCollection(id, fingerprints)
+      : 0;
+    return { id, added, items: store.listCollections() };
+  } catch (error) {
+    console.error("Failed to create collection:", error);
+    return { id: null, items: null, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("collections:delete", async (_event, id) => {
+  try {
+    return { items: getMetadataStore().deleteCollection(id) };
+  } catch (error) {
+    console.error("Failed to delete collection:", error);
+    return { items: null, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("collections:add-items", async (_event, id, fingerprints = []) => {
+  try {
+    const store = getMetadataStore();
+    const added = store.addToCollection(id, Array.isArray(fingerprints) ? fingerprints : []);
+    return { added, items: store.listCollections() };
+  } catch (error) {
+    console.error("Failed to add to collection:", error);
+    return { added: 0, items: null, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("collections:remove-items", async (_event, id, fingerprints = []) => {
+  try {
+    const store = getMetadataStore();
+    store.removeFromCollection(id, Array.isArray(fingerprints) ? fingerprints : []);
+    return { success: true, items: store.listCollections() };
+  } catch (error) {
+    console.error("Failed to remove from collection:", error);
+    return { success: false, items: null, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("collections:reorder", async (_event, id, fingerprints = []) => {
+  try {
+    getMetadataStore().reorderCollection(id, Array.isArray(fingerprints) ? fingerprints : []);
+    return { success: true };
+  } catch (error) {
+    console.error("Failed to reorder collection:", error);
+    return { success: false, error: error?.message || String(error) };
+  }
+});
+
+// Resolve a collection into video file objects. Clips may live anywhere, so
+// relative paths are computed from the deepest folder they all share.
+ipcMain.handle("collections:open", async (_event, id) => {
+  try {
+    const collection = getMetadataStore().getCollection(id);
+    if (!collection) {
+      return { collection: null, files: [], missing: 0, error: "Collection not found" };
+    }
+    const basePath = commonParentPath(collection.items.map((item) => item.path));
+    const files = [];
+    let missing = 0;
+    for (const item of collection.items) {
+      const videoFile = fs.existsSync(item.path)
+        ? await createVideoFileObject(item.path, basePath)
+        : null;
+      if (videoFile && videoFile.fingerprint === item.fingerprint) {
+        files.push({ ...videoFile, collectionPosition: item.position });
+      } else {
+        missing += 1;
+      }
+    }
+    return {
+      collection: { id: collection.id, name: collection.name, basePath },
+      files,
+      missing,
+    };
+  } catch (error) {
+    console.error("Failed to open collection:", error);
+    return { collection: null, files: [], missing: 0, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("similarity:get-hashes", async (_event, fingerprints = []) => {
+  try {
+    const list = Array.isArray(fingerprints) ? fingerprints : [];
+    return { hashes: getMetadataStore().getPerceptualHashes(list) };
+  } catch (error) {
+    console.error("Failed to load perceptual hashes:", error);
+    return { hashes: {}, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("similarity:put-hash", async (_event, fingerprint, hash) => {
+  try {
+    return { success: getMetadataStore().setPerceptualHash(fingerprint, hash) };
+  } catch (error) {
+    console.error("Failed to store perceptual hash:", error);
+    return { success: false, error: error?.message || String(error) };
+  }
+});
+
+// Clusters the given fingerprints; ones without a stored hash come back in
+// `missing` so the renderer can sample them first.
+// Large libraries take a while to cluster, so it runs on an index worker
+// when one is up.
+async function clusterHashes(hashes, maxDistance) {
+  const pool = getIndexPool();
+  if (pool) {
+    try {
+      return await pool.run({ task: "cluster", hashes, maxDistance });
+    } catch (error) {
+      console.warn(
+        "[similarity] Worker failed, clustering on the main thread:",
+        error?.message || error
+      );
+    }
+  }
+  return clusterBySimilarity(hashes, maxDistance);
+}
+
+ipcMain.handle("similarity:clusters", async (_event, fingerprints = [], maxDistance = 6) => {
+  try {
+    const list = Array.isArray(fingerprints) ? fingerprints.filter(Boolean) : [];
+    const hashes = getMetadataStore().getPerceptualHashes(list);
+    const threshold = Number.isFinite(Number(maxDistance)) ? Number(maxDistance) : 6;
+    return {
+      clusters: await clusterHashes(hashes, threshold),
+      missing: list.filter((fingerprint) => !hashes[fingerprint]),
+    };
+  } catch (error) {
+    console.error("Failed to cluster similar clips:", error);
+    return { clusters: [], missing: [], error: error?.message || String(error) };
+  }
+});
+
+// Caption sidecars are only ever written next to an existing clip.
+async function assertCaptionTarget(videoPath) {
+  if (typeof videoPath !== "string" || !isVideoFile(videoPath)) {
+    throw new Error("Not a video file");
+  }
+  const stats = await fsPromises.stat(videoPath);
+  if (!stats.isFile()) throw new Error("Not a video file");
+}
+
+ipcMain.handle("captions:write", async (_event, videoPath, text) => {
+  try {
+    await assertCaptionTarget(videoPath);
+    return { caption: await captions.writeCaption(videoPath, text) };
+  } catch (error) {
+    console.error("Failed to write caption:", error);
+    return { caption: null, error: error?.message || String(error) };
+  }
+});
+
+// Applies one find/replace, prepend or append edit to every given clip.
+// `updates` maps each changed clip path to its new caption.
+ipcMain.handle("captions:bulk-edit", async (_event, videoPaths = [], edit = {}) => {
+  const updates = {};
+  const failed = [];
+  const list = Array.isArray(videoPaths) ? Array.from(new Set(videoPaths)) : [];
+  for (const videoPath of list) {
+    try {
+      await assertCaptionTarget(videoPath);
+      const current = await captions.readCaption(videoPath);
+      if (current && current.text === null) {
+        throw new Error(`Unreadable caption file ${path.basename(current.path)}`);
+      }
+      const next = captions.applyCaptionEdit(current?.text ?? "", edit);
+      if (next === null) continue;
+      updates[videoPath] = await captions.writeCaption(videoPath, next);
+    } catch (error) {
+      failed.push({ path: videoPath, error: error?.message || String(error) });
+    }
+  }
+  if (failed.length) {
+    console.warn(`[captions] Bulk edit failed for ${failed.length} clip(s)`, failed);
+  }
+  return { updates, failed };
+});
+
+ipcMain.handle("metadata:search", async (_event, query, options = {}) => {
+  try {
+    const store = getMetadataStore();
+    const cleanQuery = (query ?? "").toString().trim();
+    if (!cleanQuery) {
+      return { fingerprints: [] };
+    }
+    return { fingerprints: store.search(cleanQuery, options) };
+  } catch (error) {
+    console.error("Failed to search metadata:", error);
+    return { fingerprints: [], error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("metadata:get-workflow", async (_event, filePath) => {
+  if (!filePath || typeof filePath !== "string") {
+    return { workflow: null, error: "INVALID_PATH" };
+  }
+  try {
+    const stats = await fsPromises.stat(filePath);
+    return { workflow: await getComfyWorkflow(filePath, stats) };
+  } catch (error) {
+    console.error("Failed to read embedded workflow:", error);
+    return { workflow: null, error: error?.message || String(error) };
+  }
+});
+
+ipcMain.handle("metadata:save-workflow", async (_event, payload = {}) => {
+  const json = typeof payload?.json === "string" ? payload.json : null;
+  if (!json) {
+    return { success: false, error: "EMPTY_WORKFLOW" };
+  }
+  try {
+    const baseName = path.parse(String(payload?.suggestedName || "workflow")).name;
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: "Save Workflow",
+      defaultPath: `${baseName || "workflow"}.json`,
+      filters: [{ name: "JSON", extensions: ["json"] }],
+    });
+    if (result.canceled || !result.filePath) {
+      return { success: false, canceled: true };
+    }
+    await fsPromises.writeFile(result.filePath, json, "utf8");
+    return { success: true, filePath: result.filePath };
+  } catch (error) {
+    console.error("Failed to save workflow:", error);
+    return { success: false, error: error?.message || String(error) };
+  }
+});
+
 // File info helpers
 ipcMain.handle("get-file-info", async (_event, filePath) => {
   try {
@@ -1844,15 +3007,59 @@ ipcMain.handle("move-to-trash", async (_event, filePath) => {
   }
 });
 
-ipcMain.handle("copy-file", async (_event, sourcePath, destPath) => {
+// Options: hardLink links instead of copying (falling back to a copy across
+// volumes), createDirs creates missing parent folders, overwrite=false refuses
+// to replace an existing destination.
+async function copyOrLinkFile(sourcePath, destPath, options = {}) {
+  const { hardLink = false, createDirs = false, overwrite = true } = options || {};
+  if (createDirs) {
+    await fsPromises.mkdir(path.dirname(destPath), { recursive: true });
+  }
+  if (hardLink) {
+    try {
+      if (overwrite) await fsPromises.rm(destPath, { force: true });
+      await fsPromises.link(sourcePath, destPath);
+      return "linked";
+    } catch (error) {
+      if (error.code !== "EXDEV" && error.code !== "EPERM" && error.code !== "ENOTSUP") {
+        throw error;
+      }
+    }
+  }
+  await fsPromises.copyFile(
+    sourcePath,
+    destPath,
+    overwrite ? 0 : fs.constants.COPYFILE_EXCL
+  );
+  return "copied";
+}
+
+ipcMain.handle("copy-file", async (_event, sourcePath, destPath, options) => {
   try {
-    await fsPromises.copyFile(sourcePath, destPath);
-    return { success: true };
+    const method = await copyOrLinkFile(sourcePath, destPath, options);
+    return { success: true, method };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
+// One JSON object per line, written next to an exported dataset.
+ipcMain.handle("dataset:write-manifest", async (_event, targetDir, entries = []) => {
+  try {
+    if (typeof targetDir !== "string" || !targetDir) {
+      throw new Error("No export folder given");
+    }
+    const lines = (Array.isArray(entries) ? entries : []).map((entry) => JSON.stringify(entry));
+    const manifestPath = path.join(targetDir, "manifest.jsonl");
+    await fsPromises.mkdir(targetDir, { recursive: true });
+    await fsPromises.writeFile(manifestPath, lines.join("\n") + (lines.length ? "\n" : ""), "utf8");
+    return { success: true, path: manifestPath };
+  } catch (error) {
+    console.error("Failed to write dataset manifest:", error);
+    return { success: false, error: error?.message || String(error) };
+  }
+});
+
 ipcMain.handle("get-file-properties", async (_event, filePath) => {
   try {
     const stats = await fsPromises.stat(filePath);
@@ -1875,15 +3082,17 @@ ipcMain.handle("recent:remove", async (_e, folderPath) => await removeRecentFold
 ipcMain.handle("recent:clear", async () => await clearRecentFolders());
 
 // Watcher IPC (delegated to file watcher module)
-ipcMain.handle("start-folder-watch", async (_event, folderPath, recursive) => {
+ipcMain.handle("start-folder-watch", async (_event, folderPaths, recursive) => {
   try {
-    const result = await folderWatcher.start(folderPath, {
+    const result = await folderWatcher.start(folderPaths, {
       recursive: recursive ?? true,
+      rules: getScanRules(),
     });
     return {
       success: true,
       mode: result.mode,
       recursive: result.recursive,
+      roots: result.roots,
     };
   } catch (e) {
     console.error("Error starting folder watch:", e);
@@ -1894,7 +3103,7 @@ ipcMain.handle("start-folder-watch", async (_event, folderPath, recursive) => {
 ipcMain.handle("stop-folder-watch", async () => {
   try {
     await folderWatcher.stop();
-    lastFolderScan.clear();
+    lastFolderScans.clear();
     return { success: true };
   } catch (e) {
     return { success: false, error: e.message || String(e) };
@@ -1965,6 +3174,7 @@ app.on("activate", () => {
 // Ensure watcher cleanup on quit
 app.on("before-quit", async () => { await folderWatcher.stop(); });
 app.on("will-quit", async () => {
+  stopIndexPool();
   await folderWatcher.stop();
   try {
     thumbnailCache.shutdown();
@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import captions from "../captions";
+
+const {
+  readCaption,
+  writeCaption,
+  findVideoForCaption,
+  applyCaptionEdit,
+  isCaptionFile,
+} = captions;
+
+const isVideoFile = (name) => /\.(mp4|webm|mkv)$/i.test(name);
+
+describe("caption sidecars", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "vs-captions-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const file = (name, content = "") => {
+    const fullPath = path.join(dir, name);
+    fs.writeFileSync(fullPath, content);
+    return fullPath;
+  };
+
+  it("reads the first sidecar in .txt, .caption, .json order", async () => {
+    const clip = file("clip.mp4");
+    expect(await readCaption(clip)).toBeNull();
+
+    file("clip.json", JSON.stringify({ text: "from json", seed: 7 }));
+    expect(await readCaption(clip)).toMatchObject({ text: "from json", format: "json" });
+
+    file("clip.txt", "a cat, sitting\r\n");
+    expect(await readCaption(clip)).toEqual({
+      text: "a cat, sitting",
+      path: path.join(dir, "clip.txt"),
+      format: "txt",
+    });
+  });
+
+  it("creates a .txt sidecar when the clip has none", async () => {
+    const clip = file("clip.mp4");
+    const written = await writeCaption(clip, "a dog");
+    expect(written.path).toBe(path.join(dir, "clip.txt"));
+    expect(fs.readFileSync(written.path, "utf8")).toBe("a dog");
+  });
+
+  it("keeps the other fields of a JSON sidecar", async () => {
+    const clip = file("clip.webm");
+    const jsonPath = file("clip.json", JSON.stringify({ prompt: "old", seed: 7 }));
+
+    await writeCaption(clip, "new");
+
+    expect(JSON.parse(fs.readFileSync(jsonPath, "utf8"))).toEqual({ prompt: "new", seed: 7 });
+  });
+
+  it("refuses to overwrite a JSON sidecar it cannot parse", async () => {
+    const clip = file("clip.mp4");
+    const jsonPath = file("clip.json", "{ nope");
+
+    expect((await readCaption(clip)).text).toBeNull();
+    await expect(writeCaption(clip, "x")).rejects.toThrow(/clip\.json/);
+    expect(fs.readFileSync(jsonPath, "utf8")).toBe("{ nope");
+  });
+
+  it("maps a sidecar back to its clip", async () => {
+    const clip = file("take.mkv");
+    file("take.caption", "hello");
+    file("notes.txt", "no clip");
+
+    expect(isCaptionFile("take.CAPTION")).toBe(true);
+    expect(await findVideoForCaption(path.join(dir, "take.caption"), isVideoFile)).toBe(clip);
+    expect(await findVideoForCaption(path.join(dir, "notes.txt"), isVideoFile)).toBeNull();
+    expect(await findVideoForCaption(clip, isVideoFile)).toBeNull();
+  });
+});
+
+describe("applyCaptionEdit", () => {
+  it("replaces every occurrence", () => {
+    expect(applyCaptionEdit("a cat, a cat", { type: "replace", find: "cat", replace: "dog" })).toBe(
+      "a dog, a dog"
+    );
+  });
+
+  it("prepends and appends", () => {
+    expect(applyCaptionEdit("a cat", { type: "prepend", text: "ohwx, " })).toBe("ohwx, a cat");
+    expect(applyCaptionEdit("a cat", { type: "append", text: ", 4k" })).toBe("a cat, 4k");
+    expect(applyCaptionEdit("", { type: "append", text: "new" })).toBe("new");
+  });
+
+  it("returns null when nothing changes", () => {
+    expect(applyCaptionEdit("a cat", { type: "replace", find: "dog", replace: "x" })).toBeNull();
+    expect(applyCaptionEdit("a cat", { type: "replace", find: "", replace: "x" })).toBeNull();
+    expect(() => applyCaptionEdit("a", { type: "shout" })).toThrow(/Unknown caption edit/);
+  });
+});
@@ -0,0 +1,103 @@
+import { beforeAll, afterAll, describe, it, expect } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+
+let database;
+let databaseLoadError;
+let hasNativeDriver = false;
+
+try {
+  const testRequire = createRequire(import.meta.url);
+  const BetterSqlite = testRequire("better-sqlite3");
+  try {
+    const testDb = new BetterSqlite(":memory:");
+    testDb.close();
+    hasNativeDriver = true;
+    database = testRequire("../database");
+  } catch (driverError) {
+    databaseLoadError = driverError;
+  }
+} catch (error) {
+  databaseLoadError = error;
+}
+
+if (!hasNativeDriver || databaseLoadError) {
+  describe.skip("manual collections", () => {});
+} else {
+  const { initMetadataStore, getMetadataStore, resetDatabase } = database;
+
+  describe("manual collections", () => {
+    let tempDir;
+    let store;
+
+    beforeAll(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "videoswarm-collections-test-"));
+      const mockApp = {
+        getPath: () => tempDir,
+      };
+      initMetadataStore(mockApp, tempDir);
+      store = getMetadataStore();
+    });
+
+    afterAll(() => {
+      resetDatabase();
+      if (tempDir && fs.existsSync(tempDir)) {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
+
+    async function createIndexedFile(relativePath) {
+      const filePath = path.join(tempDir, relativePath);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, `content-${relativePath}-${Math.random()}`);
+      const stats = fs.statSync(filePath);
+      const { fingerprint } = await store.indexFile({ filePath, stats });
+      return { fingerprint, filePath };
+    }
+
+    it("keeps clips from different folders in insertion order", async () => {
+      const first = await createIndexedFile("shoot-a/take-3.mp4");
+      const second = await createIndexedFile("shoot-b/nested/take-1.mp4");
+      const id = store.createCollection("Client review");
+
+      expect(store.addToCollection(id, [second.fingerprint, first.fingerprint])).toBe(2);
+      expect(store.addToCollection(id, [first.fingerprint, "unknown"])).toBe(0);
+
+      const collection = store.getCollection(id);
+      expect(collection.name).toBe("Client review");
+      expect(collection.items.map((item) => item.path)).toEqual([
+        second.filePath,
+        first.filePath,
+      ]);
+      expect(store.listCollections()).toMatchObject([{ id, itemCount: 2 }]);
+    });
+
+    it("reorders explicitly and removes items", async () => {
+      const [collection] = store.listCollections();
+      const [a, b] = store.getCollectionItems(collection.id).map((item) => item.fingerprint);
+      const third = await createIndexedFile("take-9.mp4");
+      store.addToCollection(collection.id, [third.fingerprint]);
+
+      const reordered = store.reorderCollection(collection.id, [third.fingerprint]);
+      expect(reordered.map((item) => item.fingerprint)).toEqual([third.fingerprint, a, b]);
+      expect(reordered.map((item) => item.position)).toEqual([0, 1, 2]);
+
+      const remaining = store.removeFromCollection(collection.id, [a]);
+      expect(remaining.map((item) => item.fingerprint)).toEqual([third.fingerprint, b]);
+    });
+
+    it("reuses the collection for a duplicate name and cascades deletes", () => {
+      const [collection] = store.listCollections();
+      expect(store.createCollection("CLIENT REVIEW")).toBe(collection.id);
+      expect(() => store.createCollection(" ")).toThrow();
+
+      expect(store.deleteCollection(collection.id)).toEqual([]);
+      expect(store.getCollectionItems(collection.id)).toEqual([]);
+    });
+  });
+}
@@ -0,0 +1,247 @@
+import { describe, it, expect, afterEach } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import comfyWorkflow from "../comfyWorkflow";
+
+const { getComfyWorkflow, __internals } = comfyWorkflow;
+
+const {
+  parseMp4MetadataEntries,
+  parseMatroskaTags,
+  extractComfyPayload,
+  summarizeComfyPayload,
+} = __internals;
+
+function makeAtom(type, data) {
+  const size = 8 + data.length;
+  const buffer = Buffer.alloc(size);
+  buffer.writeUInt32BE(size, 0);
+  buffer.write(type, 4, 4, "latin1");
+  data.copy(buffer, 8);
+  return buffer;
+}
+
+function makeDataAtom(text) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(1, 0); // UTF-8 type indicator
+  return makeAtom("data", Buffer.concat([header, Buffer.from(text, "utf8")]));
+}
+
+function makeIlstMoov(items) {
+  const hdlr = makeAtom("hdlr", Buffer.alloc(25));
+  const ilst = makeAtom(
+    "ilst",
+    Buffer.concat(items.map(([type, text]) => makeAtom(type, makeDataAtom(text))))
+  );
+  const meta = makeAtom("meta", Buffer.concat([Buffer.alloc(4), hdlr, ilst]));
+  return makeAtom("udta", meta);
+}
+
+function encodeSize(size) {
+  // 8-byte vint keeps the helper simple for any payload length
+  const buffer = Buffer.alloc(8);
+  buffer.writeUInt8(0x01, 0);
+  buffer.writeUIntBE(size, 2, 6);
+  return buffer;
+}
+
+function makeEbmlElement(idBytes, data) {
+  return Buffer.concat([Buffer.from(idBytes), encodeSize(data.length), data]);
+}
+
+function makeSimpleTag(name, value) {
+  return makeEbmlElement(
+    [0x67, 0xc8],
+    Buffer.concat([
+      makeEbmlElement([0x45, 0xa3], Buffer.from(name, "utf8")),
+      makeEbmlElement([0x44, 0x87], Buffer.from(value, "utf8")),
+    ])
+  );
+}
+
+const API_PROMPT = {
+  3: {
+    class_type: "KSampler",
+    inputs: {
+      seed: 123456789,
+      steps: 20,
+      cfg: 7.5,
+      sampler_name: "euler_ancestral",
+      scheduler: "karras",
+      model: ["10", 0],
+      positive: ["6", 0],
+      negative: ["7", 0],
+    },
+  },
+  4: { class_type: "CheckpointLoaderSimple", inputs: { ckpt_name: "dreamshaper_8.safetensors" } },
+  6: { class_type: "CLIPTextEncode", inputs: { text: "a bee in a meadow", clip: ["4", 1] } },
+  7: { class_type: "CLIPTextEncode", inputs: { text: "blurry, lowres", clip: ["4", 1] } },
+  10: { class_type: "LoraLoader", inputs: { model: ["4", 0], lora_name: "motion.safetensors" } },
+};
+
+const UI_WORKFLOW = {
+  nodes: [
+    {
+      id: 1,
+      type: "KSampler",
+      inputs: [
+        { name: "positive", link: 11 },
+        { name: "negative", link: 12 },
+      ],
+      widgets_values: [42, "fixed", 30, 6, "dpmpp_2m", "normal", 1],
+    },
+    { id: 2, type: "CLIPTextEncode", widgets_values: ["sunset timelapse"] },
+    { id: 3, type: "CLIPTextEncode", widgets_values: ["watermark"] },
+    { id: 4, type: "CheckpointLoaderSimple", widgets_values: ["sdxl_base.safetensors"] },
+  ],
+  links: [
+    [11, 2, 0, 1, 1, "CONDITIONING"],
+    [12, 3, 0, 1, 2, "CONDITIONING"],
+  ],
+};
+
+describe("comfyWorkflow MP4 parsing", () => {
+  it("reads iTunes-style ©cmt comments from udta/meta/ilst", () => {
+    const comment = JSON.stringify({ prompt: JSON.stringify(API_PROMPT) });
+    const moov = makeIlstMoov([["©too", "Lavf60"], ["©cmt", comment]]);
+
+    const entries = parseMp4MetadataEntries(moov);
+    expect(entries).toContainEqual({ key: "cmt", value: comment });
+    expect(entries).toContainEqual({ key: "too", value: "Lavf60" });
+  });
+
+  it("resolves mdta key tables for custom prompt/workflow keys", () => {
+    const keyName = Buffer.from("prompt", "utf8");
+    const keyEntry = Buffer.alloc(8 + keyName.length);
+    keyEntry.writeUInt32BE(keyEntry.length, 0);
+    keyEntry.write("mdta", 4, 4, "latin1");
+    keyName.copy(keyEntry, 8);
+    const keysHeader = Buffer.alloc(8);
+    keysHeader.writeUInt32BE(1, 4);
+    const keys = makeAtom("keys", Buffer.concat([keysHeader, keyEntry]));
+
+    const itemType = Buffer.alloc(4);
+    itemType.writeUInt32BE(1, 0);
+    const ilst = makeAtom(
+      "ilst",
+      makeAtom(itemType.toString("latin1"), makeDataAtom("{\"a\":1}"))
+    );
+    const hdlr = makeAtom("hdlr", Buffer.alloc(25));
+    const moov = makeAtom("meta", Buffer.concat([hdlr, keys, ilst]));
+
+    expect(parseMp4MetadataEntries(moov)).toEqual([{ key: "prompt", value: "{\"a\":1}" }]);
+  });
+});
+
+describe("comfyWorkflow Matroska parsing", () => {
+  it("collects SimpleTag name/value pairs", () => {
+    const tag = makeEbmlElement(
+      [0x73, 0x73],
+      Buffer.concat([
+        makeSimpleTag("COMMENT", "hello"),
+        makeSimpleTag("WORKFLOW", JSON.stringify(UI_WORKFLOW)),
+      ])
+    );
+
+    const entries = parseMatroskaTags(tag);
+    expect(entries[0]).toEqual({ key: "comment", value: "hello" });
+    expect(entries[1].key).toBe("workflow");
+  });
+});
+
+describe("comfyWorkflow file reading", () => {
+  let tempDir;
+
+  afterEach(() => {
+    if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+    tempDir = null;
+  });
+
+  const writeTemp = (name, contents) => {
+    tempDir = tempDir || fs.mkdtempSync(path.join(os.tmpdir(), "videoswarm-comfy-test-"));
+    const filePath = path.join(tempDir, name);
+    fs.writeFileSync(filePath, contents);
+    return filePath;
+  };
+
+  it("finds moov after mdat in an MP4", async () => {
+    const comment = JSON.stringify({ prompt: JSON.stringify(API_PROMPT) });
+    const filePath = writeTemp(
+      "late.mp4",
+      Buffer.concat([
+        makeAtom("ftyp", Buffer.from("isom")),
+        makeAtom("mdat", Buffer.alloc(2048)),
+        makeAtom("moov", makeIlstMoov([["©cmt", comment]])),
+      ])
+    );
+
+    const result = await getComfyWorkflow(filePath);
+    expect(result.prompt).toEqual(API_PROMPT);
+  });
+
+  it("skips clusters to reach the Tags of a Matroska segment", async () => {
+    const tags = makeEbmlElement(
+      [0x12, 0x54, 0xc3, 0x67],
+      makeEbmlElement([0x73, 0x73], makeSimpleTag("WORKFLOW", JSON.stringify(UI_WORKFLOW)))
+    );
+    const segment = Buffer.concat([
+      Buffer.from([0x18, 0x53, 0x80, 0x67, 0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff]),
+      makeEbmlElement([0x1f, 0x43, 0xb6, 0x75], Buffer.alloc(4096)),
+      tags,
+    ]);
+    const filePath = writeTemp("tagged.mkv", segment);
+
+    const result = await getComfyWorkflow(filePath);
+    expect(result.workflow).toEqual(UI_WORKFLOW);
+  });
+});
+
+describe("comfyWorkflow payload interpretation", () => {
+  it("unwraps VideoHelperSuite comments that nest prompt and workflow", () => {
+    const payload = extractComfyPayload([
+      {
+        key: "comment",
+        value: JSON.stringify({
+          prompt: JSON.stringify(API_PROMPT),
+          workflow: UI_WORKFLOW,
+        }),
+      },
+    ]);
+
+    expect(payload.prompt).toEqual(API_PROMPT);
+    expect(payload.workflow).toEqual(UI_WORKFLOW);
+  });
+
+  it("returns null when no entry looks like a ComfyUI graph", () => {
+    expect(extractComfyPayload([{ key: "comment", value: "shot on phone" }])).toBeNull();
+    expect(extractComfyPayload([{ key: "comment", value: "{\"foo\":1}" }])).toBeNull();
+  });
+
+  it("summarizes API prompts by following sampler links", () => {
+    const summary = summarizeComfyPayload({ prompt: API_PROMPT, workflow: null });
+
+    expect(summary).toMatchObject({
+      positivePrompt: "a bee in a meadow",
+      negativePrompt: "blurry, lowres",
+      seed: 123456789,
+      sampler: "euler_ancestral",
+      scheduler: "karras",
+      steps: 20,
+      cfg: 7.5,
+      model: "dreamshaper_8.safetensors",
+    });
+  });
+
+  it("falls back to UI workflow widgets when the API prompt is missing", () => {
+    const summary = summarizeComfyPayload({ prompt: null, workflow: UI_WORKFLOW });
+
+    expect(summary).toMatchObject({
+      positivePrompt: "sunset timelapse",
+      negativePrompt: "watermark",
+      seed: 42,
+      sampler: "dpmpp_2m",
+      model: "sdxl_base.safetensors",
+    });
+  });
+});
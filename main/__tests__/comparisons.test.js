@@ -0,0 +1,101 @@
+import { beforeAll, afterAll, describe, it, expect } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createRequire } from "module";
+
+let database;
+let databaseLoadError;
+let hasNativeDriver = false;
+
+try {
+  const testRequire = createRequire(import.meta.url);
+  const BetterSqlite = testRequire("better-sqlite3");
+  try {
+    const testDb = new BetterSqlite(":memory:");
+    testDb.close();
+    hasNativeDriver = true;
+    database = testRequire("../database");
+  } catch (driverError) {
+    databaseLoadError = driverError;
+  }
+} catch (error) {
+  databaseLoadError = error;
+}
+
+if (!hasNativeDriver || databaseLoadError) {
+  describe.skip("head-to-head comparisons", () => {});
+} else {
+  const { initMetadataStore, getMetadataStore, resetDatabase } = database;
+
+  describe("head-to-head comparisons", () => {
+    let tempDir;
+    let store;
+    let counter = 0;
+
+    beforeAll(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "videoswarm-comparisons-test-"));
+      initMetadataStore({ getPath: () => tempDir }, tempDir);
+      store = getMetadataStore();
+    });
+
+    afterAll(() => {
+      resetDatabase();
+      if (tempDir && fs.existsSync(tempDir)) {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    async function createIndexedFile() {
+      counter += 1;
+      const filePath = path.join(tempDir, `clip-${counter}.mp4`);
+      fs.writeFileSync(filePath, `content-${counter}-${Math.random()}`);
+      const { fingerprint } = await store.indexFile({ filePath, stats: fs.statSync(filePath) });
+      return fingerprint;
+    }
+
+    const metadataOf = (fingerprint) =>
+      store.getMetadataForFingerprints([fingerprint])[fingerprint];
+
+    it("records outcomes and updates Elo scores for both clips", async () => {
+      const a = await createIndexedFile();
+      const b = await createIndexedFile();
+      const c = await createIndexedFile();
+      expect(metadataOf(a)).toMatchObject({ score: null, comparisons: 0 });
+
+      const updates = store.recordComparison(a, b, "first");
+      expect(updates[a].score).toBeCloseTo(1516);
+      expect(updates[b].score).toBeCloseTo(1484);
+      expect(updates[a].comparisons).toBe(1);
+
+      // Beating a weaker clip earns less than beating an equal one did.
+      store.recordComparison(a, b, "first");
+      expect(metadataOf(a).score - 1516).toBeLessThan(16);
+
+      // A draw with a weaker clip costs the newcomer a little.
+      store.recordComparison(b, c, "tie");
+      expect(metadataOf(c).score).toBeLessThan(1500);
+      expect(metadataOf(b)).toMatchObject({ comparisons: 3 });
+    });
+
+    it("undoes the last comparison by replaying the rest", async () => {
+      const a = await createIndexedFile();
+      const b = await createIndexedFile();
+      store.recordComparison(a, b, "second");
+      const before = metadataOf(a).score;
+      store.recordComparison(a, b, "first");
+
+      const updates = store.undoLastComparison();
+      expect(updates[a].score).toBeCloseTo(before);
+      expect(updates[a].comparisons).toBe(1);
+    });
+
+    it("rejects invalid comparisons", async () => {
+      const a = await createIndexedFile();
+      const b = await createIndexedFile();
+      expect(() => store.recordComparison(a, a, "first")).toThrow(/two different clips/);
+      expect(() => store.recordComparison(a, b, "both")).toThrow(/Unknown comparison outcome/);
+      expect(metadataOf(a)).toMatchObject({ score: null, comparisons: 0 });
+    });
+  });
+}
@@ -0,0 +1,89 @@
+import { describe, it, expect, afterEach } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import containerReaders from "../containerReaders";
+
+const { readAtom, listAtoms, findAtomPath, readTopLevelAtom, readEbmlHeader, forEachEbmlChild } =
+  containerReaders;
+
+const atom = (type, payload = Buffer.alloc(0)) => {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + payload.length, 0);
+  header.write(type, 4, "latin1");
+  return Buffer.concat([header, payload]);
+};
+
+describe("MP4 atom readers", () => {
+  let tempDir;
+
+  afterEach(() => {
+    if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+    tempDir = null;
+  });
+
+  it("keeps latin1 atom types and reads 64-bit sizes", () => {
+    const comment = atom("©cmt", Buffer.from("hi"));
+    const large = Buffer.alloc(20);
+    large.writeUInt32BE(1, 0);
+    large.write("free", 4, "latin1");
+    large.writeUInt32BE(0, 8);
+    large.writeUInt32BE(20, 12);
+
+    expect(listAtoms(Buffer.concat([comment, large])).map((a) => a.type)).toEqual([
+      "©cmt",
+      "free",
+    ]);
+    expect(readAtom(large, 0)).toMatchObject({ size: 20, headerSize: 16, end: 20 });
+    expect(readAtom(Buffer.alloc(4), 0)).toBeNull();
+  });
+
+  it("follows a path of nested atoms", () => {
+    const moov = atom("moov", atom("trak", atom("mdia", Buffer.from("x"))));
+    expect(findAtomPath(moov, ["moov", "trak", "mdia"]).data.toString()).toBe("x");
+    expect(findAtomPath(moov, ["moov", "udta"])).toBeNull();
+  });
+
+  it("finds a top-level atom written after mdat, within a size cap", async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "videoswarm-atoms-test-"));
+    const filePath = path.join(tempDir, "late-moov.mp4");
+    const moovPayload = atom("mvhd", Buffer.alloc(4));
+    const contents = Buffer.concat([
+      atom("ftyp", Buffer.from("isom")),
+      atom("mdat", Buffer.alloc(4096)),
+      atom("moov", moovPayload),
+    ]);
+    fs.writeFileSync(filePath, contents);
+
+    const handle = await fs.promises.open(filePath, "r");
+    try {
+      expect(await readTopLevelAtom(handle, contents.length, "moov", 1024)).toEqual(moovPayload);
+      expect(await readTopLevelAtom(handle, contents.length, "moov", 4)).toBeNull();
+      expect(await readTopLevelAtom(handle, contents.length, "udta", 1024)).toBeNull();
+    } finally {
+      await handle.close();
+    }
+  });
+});
+
+describe("EBML readers", () => {
+  it("reads element headers, including unknown sizes", () => {
+    expect(readEbmlHeader(Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x84]), 0)).toEqual({
+      id: 0x1a45dfa3,
+      dataStart: 5,
+      size: 4,
+      unknown: false,
+    });
+    expect(readEbmlHeader(Buffer.from([0xe0, 0xff]), 0)).toMatchObject({ id: 0xe0, unknown: true });
+  });
+
+  it("visits children in order and stops when asked", () => {
+    const buffer = Buffer.from([0xb0, 0x81, 0x10, 0xba, 0x81, 0x20, 0x83, 0x81, 0x01]);
+    const seen = [];
+    forEachEbmlChild(buffer, 0, buffer.length, (element) => {
+      seen.push(element.id);
+      return element.id !== 0xba;
+    });
+    expect(seen).toEqual([0xb0, 0xba]);
+  });
+});
@@ -0,0 +1,125 @@
+import { beforeAll, afterAll, describe, it, expect } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createRequire } from "module";
+
+let database;
+let databaseLoadError;
+let hasNativeDriver = false;
+
+try {
+  const testRequire = createRequire(import.meta.url);
+  const BetterSqlite = testRequire("better-sqlite3");
+  try {
+    const testDb = new BetterSqlite(":memory:");
+    testDb.close();
+    hasNativeDriver = true;
+    database = testRequire("../database");
+  } catch (driverError) {
+    databaseLoadError = driverError;
+  }
+} catch (error) {
+  databaseLoadError = error;
+}
+
+if (!hasNativeDriver || databaseLoadError) {
+  describe.skip("notes and custom fields", () => {});
+} else {
+  const { initMetadataStore, getMetadataStore, resetDatabase } = database;
+
+  describe("notes and custom fields", () => {
+    let tempDir;
+    let store;
+    let counter = 0;
+
+    beforeAll(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "videoswarm-custom-fields-test-"));
+      initMetadataStore({ getPath: () => tempDir }, tempDir);
+      store = getMetadataStore();
+    });
+
+    afterAll(() => {
+      resetDatabase();
+      if (tempDir && fs.existsSync(tempDir)) {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    async function createIndexedFile() {
+      counter += 1;
+      const filePath = path.join(tempDir, `clip-${counter}.mp4`);
+      fs.writeFileSync(filePath, `content-${counter}-${Math.random()}`);
+      const { fingerprint } = await store.indexFile({ filePath, stats: fs.statSync(filePath) });
+      return fingerprint;
+    }
+
+    const metadataOf = (fingerprint) =>
+      store.getMetadataForFingerprints([fingerprint])[fingerprint];
+
+    it("saves and clears notes", async () => {
+      const first = await createIndexedFile();
+      const second = await createIndexedFile();
+
+      const updates = store.setNotes([first, second], "Needs a colour pass");
+      expect(updates[first].notes).toBe("Needs a colour pass");
+      expect(metadataOf(second).notes).toBe("Needs a colour pass");
+
+      store.setNotes([second], "   ");
+      expect(metadataOf(second).notes).toBeNull();
+      expect(metadataOf(first).notes).toBe("Needs a colour pass");
+    });
+
+    it("validates values by field type", async () => {
+      const fingerprint = await createIndexedFile();
+      store.createCustomField({ name: "Shots", type: "number" });
+      store.createCustomField({ name: "Due", type: "date" });
+      const fields = store.listCustomFields();
+      const shots = fields.find((field) => field.name === "Shots");
+      const due = fields.find((field) => field.name === "Due");
+
+      store.setCustomFieldValue([fingerprint], shots.id, "12");
+      store.setCustomFieldValue([fingerprint], due.id, "2025-03-31");
+      expect(metadataOf(fingerprint).fields).toEqual({ [shots.id]: 12, [due.id]: "2025-03-31" });
+
+      expect(() => store.setCustomFieldValue([fingerprint], shots.id, "lots")).toThrow(
+        /needs a number/
+      );
+      expect(() => store.setCustomFieldValue([fingerprint], due.id, "2025-02-30")).toThrow();
+      expect(() => store.createCustomField({ name: "shots", type: "text" })).toThrow(
+        /already exists/
+      );
+
+      store.setCustomFieldValue([fingerprint], shots.id, null);
+      expect(metadataOf(fingerprint).fields).toEqual({ [due.id]: "2025-03-31" });
+    });
+
+    it("keeps choice values in step with the field's options", async () => {
+      const draft = await createIndexedFile();
+      const final = await createIndexedFile();
+      expect(() => store.createCustomField({ name: "Status", type: "enum", options: [] })).toThrow(
+        /at least one option/
+      );
+      const status = store
+        .createCustomField({ name: "Status", type: "enum", options: ["Draft", "Final"] })
+        .find((field) => field.name === "Status");
+
+      store.setCustomFieldValue([draft], status.id, "draft");
+      store.setCustomFieldValue([final], status.id, "Final");
+      expect(metadataOf(draft).fields[status.id]).toBe("Draft");
+      expect(() => store.setCustomFieldValue([draft], status.id, "Approved")).toThrow();
+
+      store.updateCustomField(status.id, { name: "Stage", options: ["DRAFT", "Approved"] });
+      expect(store.listCustomFields().find((field) => field.id === status.id)).toMatchObject({
+        name: "Stage",
+        options: ["DRAFT", "Approved"],
+      });
+      expect(metadataOf(draft).fields[status.id]).toBe("DRAFT");
+      expect(metadataOf(final).fields[status.id]).toBeUndefined();
+
+      store.deleteCustomField(status.id);
+      expect(store.listCustomFields().some((field) => field.id === status.id)).toBe(false);
+      expect(metadataOf(draft).fields[status.id]).toBeUndefined();
+    });
+  });
+}
@@ -0,0 +1,256 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import directoryScan from "../directoryScan";
+import scanRules from "../scanRules";
+
+const { scanLibrary, reconcileLibrary } = directoryScan;
+const { createScanRules } = scanRules;
+
+const quietLogger = { warn: () => {} };
+
+function touch(root, relativePath) {
+  const fullPath = path.join(root, relativePath);
+  fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+  fs.writeFileSync(fullPath, "");
+  return fullPath;
+}
+
+describe("scanLibrary", () => {
+  let root;
+  const createVideoFileObject = async (fullPath, rootPath) => ({
+    id: fullPath,
+    relativePath: path.relative(rootPath, fullPath),
+  });
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "videoswarm-scan-test-"));
+    touch(root, "a.mp4");
+    touch(root, "notes.txt");
+    touch(root, "one/b.MOV");
+    touch(root, "one/two/c.webm");
+    touch(root, "node_modules/d.mp4");
+    touch(root, ".hidden/e.mp4");
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it("streams batches and reports each directory", async () => {
+    const batches = [];
+    const progress = [];
+    const result = await scanLibrary({
+      roots: root,
+      recursive: true,
+      createVideoFileObject,
+      onBatch: (files) => batches.push(files.map((file) => file.relativePath)),
+      onProgress: (update) => progress.push(update),
+      batchSize: 1,
+      logger: quietLogger,
+    });
+
+    expect(result).toMatchObject({ total: 3, cancelled: false });
+    expect(batches).toEqual([["a.mp4"], [path.join("one", "b.MOV")], [path.join("one", "two", "c.webm")]]);
+    expect(progress.map((update) => update.directory)).toEqual([
+      root,
+      path.join(root, "one"),
+      path.join(root, "one", "two"),
+    ]);
+    expect(progress[progress.length - 1]).toMatchObject({
+      directoriesDone: 3,
+      directoriesFound: 3,
+      filesFound: 3,
+    });
+  });
+
+  it("stays in the top folder unless recursive and counts overlapping roots once", async () => {
+    const flat = [];
+    await scanLibrary({
+      roots: root,
+      createVideoFileObject,
+      onBatch: (files) => flat.push(...files),
+      logger: quietLogger,
+    });
+    expect(flat.map((file) => file.relativePath)).toEqual(["a.mp4"]);
+
+    const nested = [];
+    const result = await scanLibrary({
+      roots: [root, path.join(root, "one")],
+      recursive: true,
+      createVideoFileObject,
+      onBatch: (files) => nested.push(...files),
+      logger: quietLogger,
+    });
+    expect(result.total).toBe(3);
+    expect(new Set(nested.map((file) => file.id)).size).toBe(3);
+  });
+
+  it("stops when aborted and drops the unsent batch", async () => {
+    const controller = new AbortController();
+    const batches = [];
+    const result = await scanLibrary({
+      roots: root,
+      recursive: true,
+      createVideoFileObject,
+      onBatch: (files) => batches.push(files),
+      onProgress: () => controller.abort(),
+      signal: controller.signal,
+      batchSize: 100,
+      logger: quietLogger,
+    });
+
+    expect(result).toMatchObject({ total: 1, cancelled: true });
+    expect(batches).toEqual([]);
+  });
+
+  it("indexes up to `concurrency` files at once", async () => {
+    touch(root, "f.mp4");
+    touch(root, "g.mkv");
+    let running = 0;
+    let peak = 0;
+    const slowCreate = async (fullPath, rootPath) => {
+      running += 1;
+      peak = Math.max(peak, running);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      running -= 1;
+      return createVideoFileObject(fullPath, rootPath);
+    };
+
+    const files = [];
+    const result = await scanLibrary({
+      roots: root,
+      recursive: true,
+      createVideoFileObject: slowCreate,
+      onBatch: (batch) => files.push(...batch),
+      concurrency: 2,
+      logger: quietLogger,
+    });
+
+    expect(result.total).toBe(5);
+    expect(files).toHaveLength(5);
+    expect(peak).toBe(2);
+    expect(result.elapsedMs).toBeGreaterThanOrEqual(0);
+  });
+
+  it("follows the given scan rules", async () => {
+    touch(root, "one/two/clip.ts");
+    touch(root, "renders/f.mp4");
+    const files = [];
+    await scanLibrary({
+      roots: root,
+      recursive: true,
+      createVideoFileObject,
+      onBatch: (batch) => files.push(...batch.map((file) => file.relativePath)),
+      rules: createScanRules({
+        extraExtensions: [".ts"],
+        excludeGlobs: ["renders/", "b.*"],
+        includeDotFolders: true,
+        maxDepth: 2,
+      }),
+      logger: quietLogger,
+    });
+
+    expect(files.sort()).toEqual(
+      [".hidden/e.mp4", "a.mp4", "one/two/c.webm", "one/two/clip.ts"].map((p) => path.normalize(p))
+    );
+  });
+
+  it("walks linked folders once when following symlinks", async () => {
+    try {
+      fs.symlinkSync(path.join(root, "one"), path.join(root, "link"), "dir");
+      fs.symlinkSync(root, path.join(root, "one", "loop"), "dir");
+    } catch {
+      return; // no symlink permission on this platform
+    }
+    const ids = [];
+    const onBatch = (batch) => ids.push(...batch.map((file) => file.relativePath));
+
+    await scanLibrary({ roots: root, recursive: true, createVideoFileObject, onBatch, logger: quietLogger });
+    expect(ids.some((id) => id.startsWith("link"))).toBe(false);
+
+    ids.length = 0;
+    await scanLibrary({
+      roots: root,
+      recursive: true,
+      createVideoFileObject,
+      onBatch,
+      rules: createScanRules({ followSymlinks: true }),
+      logger: quietLogger,
+    });
+    expect(ids).toHaveLength(3);
+  });
+
+  it("rejects an unreadable root", async () => {
+    await expect(
+      scanLibrary({
+        roots: path.join(root, "missing"),
+        createVideoFileObject,
+        logger: quietLogger,
+      })
+    ).rejects.toThrow();
+  });
+});
+
+describe("reconcileLibrary", () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "videoswarm-reconcile-test-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const entryFor = (filePath) => {
+    const stats = fs.statSync(filePath);
+    return { size: stats.size, mtimeMs: stats.mtimeMs };
+  };
+
+  it("sorts files into added, changed, unchanged and removed", async () => {
+    const same = touch(root, "same.mp4");
+    const edited = touch(root, "edited.mp4");
+    const fresh = touch(root, "sub/fresh.mkv");
+    const known = new Map([
+      [same, entryFor(same)],
+      [edited, { size: 999, mtimeMs: 1 }],
+      [path.join(root, "gone.mp4"), { size: 0, mtimeMs: 1 }],
+    ]);
+    const calls = [];
+
+    const result = await reconcileLibrary({
+      roots: root,
+      recursive: true,
+      known,
+      onAdded: (filePath) => calls.push(["added", filePath]),
+      onChanged: (filePath, _root, entry) => calls.push(["changed", filePath, entry.size]),
+      onUnchanged: (filePath) => calls.push(["unchanged", filePath]),
+      logger: quietLogger,
+    });
+
+    expect(calls).toEqual(
+      expect.arrayContaining([
+        ["unchanged", same],
+        ["changed", edited, 999],
+        ["added", fresh],
+      ])
+    );
+    expect(calls).toHaveLength(3);
+    expect(result).toMatchObject({ removed: [path.join(root, "gone.mp4")], cancelled: false });
+  });
+
+  it("reports nothing removed when cancelled", async () => {
+    touch(root, "a.mp4");
+    const controller = new AbortController();
+    controller.abort();
+    const result = await reconcileLibrary({
+      roots: root,
+      known: new Map([[path.join(root, "gone.mp4"), { size: 0, mtimeMs: 1 }]]),
+      signal: controller.signal,
+      logger: quietLogger,
+    });
+    expect(result).toMatchObject({ removed: [], cancelled: true });
+  });
+});
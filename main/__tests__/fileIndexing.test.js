@@ -0,0 +1,123 @@
+import { beforeAll, afterAll, describe, it, expect } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createRequire } from "module";
+
+let database;
+let databaseLoadError;
+let hasNativeDriver = false;
+
+try {
+  const testRequire = createRequire(import.meta.url);
+  const BetterSqlite = testRequire("better-sqlite3");
+  try {
+    const testDb = new BetterSqlite(":memory:");
+    testDb.close();
+    hasNativeDriver = true;
+    database = testRequire("../database");
+  } catch (driverError) {
+    databaseLoadError = driverError;
+  }
+} catch (error) {
+  databaseLoadError = error;
+}
+
+if (!hasNativeDriver || databaseLoadError) {
+  describe.skip("file indexing", () => {});
+} else {
+  const testRequire = createRequire(import.meta.url);
+  const Database = testRequire("better-sqlite3");
+  const { indexFileContents, probeFile } = testRequire("../fileIndexing");
+  const { createWorkerPool } = testRequire("../workerPool");
+  const { initMetadataStore, getMetadataStore, getDatabasePath, resetDatabase, createFileIndex } =
+    database;
+
+  describe("file indexing", () => {
+    let tempDir;
+    let store;
+
+    const writeClip = (name, contents) => {
+      const filePath = path.join(tempDir, name);
+      fs.writeFileSync(filePath, contents);
+      return { filePath, stats: fs.statSync(filePath) };
+    };
+
+    beforeAll(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "videoswarm-index-test-"));
+      initMetadataStore({ getPath: () => tempDir }, tempDir);
+      store = getMetadataStore();
+    });
+
+    afterAll(() => {
+      resetDatabase();
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("writes rows from a second connection that the store can read", async () => {
+      const db = new Database(getDatabasePath());
+      try {
+        const fileIndex = createFileIndex(db);
+        const { filePath, stats } = writeClip("second.mp4", "not really a video");
+        const { fingerprint } = await indexFileContents(fileIndex, { filePath, stats });
+
+        expect(fingerprint).toMatch(/^v1-/);
+        const row = store.getMetadataForFingerprints([fingerprint])[fingerprint];
+        expect(row).toMatchObject({ tags: [], dimensions: null });
+        // Unreadable containers are still stamped so they are not probed again
+        expect(store.needsMediaProbe(fingerprint)).toBe(false);
+        expect(store.needsPromptScan(fingerprint)).toBe(false);
+        expect(store.search("second")).toContain(fingerprint);
+      } finally {
+        db.close();
+      }
+    });
+
+    it("probes through the store on the main thread too", async () => {
+      const { filePath, stats } = writeClip("main.mkv", "still not a video");
+      const { fingerprint } = await store.indexFile({ filePath, stats });
+      expect(store.needsMediaProbe(fingerprint)).toBe(true);
+
+      await probeFile(store, fingerprint, filePath, stats);
+      expect(store.needsMediaProbe(fingerprint)).toBe(false);
+    });
+
+    it("indexes in a worker thread", async () => {
+      const pool = createWorkerPool({
+        script: path.join(__dirname, "..", "indexWorker.js"),
+        size: 1,
+        workerData: { dbPath: getDatabasePath() },
+      });
+      try {
+        const { filePath, stats } = writeClip("worker.webm", "webm-ish bytes");
+        const { fingerprint } = await pool.run({
+          filePath,
+          stats: { size: stats.size, mtimeMs: stats.mtimeMs, birthtimeMs: stats.birthtimeMs },
+        });
+
+        expect(store.getMetadataForFingerprints([fingerprint])[fingerprint]).toBeTruthy();
+        expect(store.needsMediaProbe(fingerprint)).toBe(false);
+      } finally {
+        await pool.destroy();
+      }
+    });
+
+    it("clusters perceptual hashes in a worker thread", async () => {
+      const pool = createWorkerPool({
+        script: path.join(__dirname, "..", "indexWorker.js"),
+        size: 1,
+        workerData: { dbPath: getDatabasePath() },
+      });
+      try {
+        const clusters = await pool.run({
+          task: "cluster",
+          hashes: { a: "0000000000000000", b: "0000000000000003", c: "ffffffffffffffff" },
+          maxDistance: 2,
+        });
+        expect(clusters).toEqual([["a", "b"]]);
+      } finally {
+        await pool.destroy();
+      }
+    });
+  });
+}
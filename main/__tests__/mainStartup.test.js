@@ -0,0 +1,53 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import Module, { createRequire } from "module";
+
+// Loads main.js against a stand-in electron module, so anything that throws
+// while the file is evaluated (a const used before its require, say) fails
+// here instead of at app start.
+function electronStub(userDataPath) {
+  const noop = () => {};
+  const anything = new Proxy(function () {}, {
+    get: (_target, key) => (key === "then" ? undefined : anything),
+    apply: () => anything,
+  });
+  const withFallback = (target) =>
+    new Proxy(target, { get: (obj, key) => (key in obj ? obj[key] : anything) });
+  return withFallback({
+    app: withFallback({
+      isPackaged: false,
+      getPath: () => userDataPath,
+      getAppPath: () => userDataPath,
+      setPath: noop,
+      on: noop,
+      whenReady: () => new Promise(noop),
+      commandLine: { appendSwitch: noop },
+    }),
+  });
+}
+
+describe("main.js", () => {
+  const originalLoad = Module._load;
+  let tempDir;
+
+  afterEach(() => {
+    Module._load = originalLoad;
+    vi.restoreAllMocks();
+    if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it("loads without throwing", () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "videoswarm-main-test-"));
+    const electron = electronStub(tempDir);
+    Module._load = function load(request, ...rest) {
+      if (request === "electron") return electron;
+      return originalLoad.call(this, request, ...rest);
+    };
+    vi.spyOn(console, "log").mockImplementation(() => {});
+
+    const testRequire = createRequire(import.meta.url);
+    expect(() => testRequire("../../main.js")).not.toThrow();
+  });
+});
@@ -0,0 +1,94 @@
+import { beforeAll, afterAll, describe, it, expect } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+
+let database;
+let databaseLoadError;
+let hasNativeDriver = false;
+
+try {
+  const testRequire = createRequire(import.meta.url);
+  const BetterSqlite = testRequire("better-sqlite3");
+  try {
+    const testDb = new BetterSqlite(":memory:");
+    testDb.close();
+    hasNativeDriver = true;
+    database = testRequire("../database");
+  } catch (driverError) {
+    databaseLoadError = driverError;
+  }
+} catch (error) {
+  databaseLoadError = error;
+}
+
+if (!hasNativeDriver || databaseLoadError) {
+  describe.skip("media probe storage", () => {});
+} else {
+  const { initMetadataStore, getMetadataStore, resetDatabase } = database;
+
+  describe("media probe storage", () => {
+    let tempDir;
+    let store;
+
+    beforeAll(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "videoswarm-media-test-"));
+      initMetadataStore({ getPath: () => tempDir }, tempDir);
+      store = getMetadataStore();
+    });
+
+    afterAll(() => {
+      resetDatabase();
+      if (tempDir && fs.existsSync(tempDir)) {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    async function createIndexedFile(name) {
+      const filePath = path.join(tempDir, name);
+      fs.writeFileSync(filePath, `content-${name}-${Math.random()}`);
+      const { fingerprint } = await store.indexFile({ filePath, stats: fs.statSync(filePath) });
+      return fingerprint;
+    }
+
+    it("persists probed fields and stops asking for a probe", async () => {
+      const fingerprint = await createIndexedFile("probed.mp4");
+      expect(store.needsMediaProbe(fingerprint)).toBe(true);
+      expect(store.getMediaInfo(fingerprint)).toBeNull();
+
+      store.setMediaInfo(fingerprint, {
+        duration: 4.004,
+        videoCodec: "avc1",
+        fps: 29.97,
+        hasAudio: false,
+        bitrate: 1200000.4,
+      });
+
+      expect(store.needsMediaProbe(fingerprint)).toBe(false);
+      expect(store.getMediaInfo(fingerprint)).toEqual({
+        duration: 4.004,
+        videoCodec: "avc1",
+        fps: 29.97,
+        hasAudio: false,
+        bitrate: 1200000,
+      });
+    });
+
+    it("stamps unreadable files so they are not probed again", async () => {
+      const fingerprint = await createIndexedFile("broken.mkv");
+      store.setMediaInfo(fingerprint, null);
+
+      expect(store.needsMediaProbe(fingerprint)).toBe(false);
+      expect(store.getMediaInfo(fingerprint)).toEqual({
+        duration: null,
+        videoCodec: null,
+        fps: null,
+        hasAudio: null,
+        bitrate: null,
+      });
+    });
+  });
+}
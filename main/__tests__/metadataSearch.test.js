@@ -0,0 +1,106 @@
+import { beforeAll, afterAll, describe, it, expect } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+
+let database;
+let databaseLoadError;
+let hasNativeDriver = false;
+
+try {
+  const testRequire = createRequire(import.meta.url);
+  const BetterSqlite = testRequire("better-sqlite3");
+  try {
+    const testDb = new BetterSqlite(":memory:");
+    testDb.close();
+    hasNativeDriver = true;
+    database = testRequire("../database");
+  } catch (driverError) {
+    databaseLoadError = driverError;
+  }
+} catch (error) {
+  databaseLoadError = error;
+}
+
+if (!hasNativeDriver || databaseLoadError) {
+  describe.skip("metadata full-text search", () => {});
+} else {
+  const { initMetadataStore, getMetadataStore, resetDatabase } = database;
+
+  describe("metadata full-text search", () => {
+    let tempDir;
+    let store;
+
+    beforeAll(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "videoswarm-search-test-"));
+      const mockApp = {
+        getPath: () => tempDir,
+      };
+      initMetadataStore(mockApp, tempDir);
+      store = getMetadataStore();
+    });
+
+    afterAll(() => {
+      resetDatabase();
+      if (tempDir && fs.existsSync(tempDir)) {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    async function createIndexedFile(name) {
+      const filePath = path.join(tempDir, name);
+      fs.writeFileSync(filePath, `content-${name}-${Math.random()}`);
+      const stats = fs.statSync(filePath);
+      const { fingerprint } = await store.indexFile({ filePath, stats });
+      return fingerprint;
+    }
+
+    it("matches filenames by word prefix", async () => {
+      const fingerprint = await createIndexedFile("harbor_sunset_0001.mp4");
+
+      expect(store.search("harb")).toContain(fingerprint);
+      expect(store.search("sunset harbor")).toContain(fingerprint);
+      expect(store.search("harbor moonrise")).not.toContain(fingerprint);
+    });
+
+    it("indexes prompt text once it has been scanned", async () => {
+      const fingerprint = await createIndexedFile("clip-prompt.mp4");
+      expect(store.needsPromptScan(fingerprint)).toBe(true);
+
+      store.setPromptText(fingerprint, "cyberpunk alley, neon rain at night");
+
+      expect(store.needsPromptScan(fingerprint)).toBe(false);
+      expect(store.search('"neon rain"')).toEqual([fingerprint]);
+      expect(store.search('"rain neon"')).toEqual([]);
+    });
+
+    it("keeps tags in sync with assignments", async () => {
+      const fingerprint = await createIndexedFile("clip-tags.mp4");
+      const tagName = `zeppelin${Date.now()}`;
+
+      store.assignTags([fingerprint], [tagName]);
+      expect(store.search(tagName)).toEqual([fingerprint]);
+
+      store.removeTag([fingerprint], tagName);
+      expect(store.search(tagName)).toEqual([]);
+    });
+
+    it("returns every match unless a limit is asked for", async () => {
+      const fingerprints = [];
+      for (let i = 0; i < 3; i += 1) {
+        fingerprints.push(await createIndexedFile(`glacier_${i}.mp4`));
+      }
+
+      expect(store.search("glacier").sort()).toEqual([...fingerprints].sort());
+      expect(store.search("glacier", { limit: 2 })).toHaveLength(2);
+    });
+
+    it("treats FTS syntax in user input as plain text", () => {
+      expect(() => store.search('AND OR ( "unterminated')).not.toThrow();
+      expect(store.search("   ")).toEqual([]);
+    });
+  });
+}
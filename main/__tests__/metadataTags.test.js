@@ -84,5 +84,43 @@ if (!hasNativeDriver || databaseLoadError) {
       expect(entry).toBeTruthy();
       expect(Number(entry?.usageCount || 0)).toBeGreaterThan(0);
     });
+
+    it("notifies change listeners and tracks the latest edit time", async () => {
+      const fingerprint = await createIndexedFile(`listener-${Math.random()}`);
+      expect(store.getMetadataUpdatedAt(fingerprint)).toBe(0);
+
+      const seen = [];
+      const unsubscribe = store.onMetadataChanged((fingerprints) => seen.push(fingerprints));
+      store.assignTags([fingerprint], [`tag-${Date.now()}-listened`]);
+      store.setRating([fingerprint], 2);
+      unsubscribe();
+      store.setRating([fingerprint], 3);
+
+      expect(seen).toEqual([[fingerprint], [fingerprint]]);
+      expect(store.getMetadataUpdatedAt(fingerprint)).toBeGreaterThan(0);
+      expect(store.getFilePaths([fingerprint])[fingerprint]).toContain("file-listener-");
+    });
+
+    it("nests namespaced tags and stores colours and parents", async () => {
+      const fingerprint = await createIndexedFile(`hierarchy-${Math.random()}`);
+      const ns = `ns${Date.now()}`;
+      store.assignTags([fingerprint], [`${ns}:wan`]);
+
+      const find = (name) => store.listTags().find((tag) => tag.name === name);
+      expect(find(`${ns}:wan`)).toMatchObject({ parent: ns, usageCount: 1 });
+      expect(find(ns)).toMatchObject({ parent: null, usageCount: 0 });
+
+      store.setTagColor(ns, "#1E88E5");
+      expect(find(ns).color).toBe("#1e88e5");
+      expect(() => store.setTagColor(ns, "blue")).toThrow();
+      store.setTagColor(ns, null);
+      expect(find(ns).color).toBeNull();
+
+      expect(() => store.setTagParent(ns, `${ns}:wan`)).toThrow(/nested under itself/);
+
+      store.setTagParent(`${ns}:wan`, null);
+      expect(find(`${ns}:wan`).parent).toBeNull();
+      expect(find(ns)).toBeUndefined();
+    });
   });
 }
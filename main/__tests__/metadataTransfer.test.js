@@ -0,0 +1,240 @@
+import { beforeAll, afterAll, describe, it, expect } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createRequire } from "module";
+import metadataTransfer from "../metadataTransfer";
+
+const {
+  formatFromPath,
+  serializeJson,
+  serializeCsv,
+  parseMetadataFile,
+  METADATA_FORMAT,
+} = metadataTransfer;
+
+const sampleRecord = (overrides = {}) => ({
+  fingerprint: "fp-1",
+  path: "C:\\clips\\beach, sunset.mp4",
+  size: 1024,
+  createdMs: 1000,
+  updatedAt: 2000,
+  width: 1920,
+  height: 1080,
+  tags: ["beach", 'say "hi"'],
+  tagsUpdatedAt: 3000,
+  rating: 4,
+  ratingUpdatedAt: 4000,
+  ...overrides,
+});
+
+describe("metadata transfer formats", () => {
+  it("picks the format from the file extension", () => {
+    expect(formatFromPath("/tmp/export.CSV")).toBe("csv");
+    expect(formatFromPath("/tmp/export.json")).toBe("json");
+    expect(formatFromPath("/tmp/export")).toBe("json");
+  });
+
+  it("round-trips records through JSON", () => {
+    const text = serializeJson([sampleRecord()], { profile: "Default" });
+    const data = JSON.parse(text);
+    expect(data).toMatchObject({ format: METADATA_FORMAT, version: 1, profile: "Default" });
+
+    expect(parseMetadataFile(text, "json")).toEqual({ records: [sampleRecord()], invalid: 0 });
+  });
+
+  it("round-trips records through CSV, including quoted fields", () => {
+    const records = [
+      sampleRecord(),
+      sampleRecord({
+        fingerprint: "fp-2",
+        tags: [],
+        tagsUpdatedAt: null,
+        rating: null,
+        ratingUpdatedAt: null,
+      }),
+    ];
+    const text = serializeCsv(records);
+    expect(text.split("\r\n")[0]).toBe(
+      "fingerprint,path,size,created_ms,updated_at,width,height,rating,rating_updated_at,tags,tags_updated_at"
+    );
+    expect(parseMetadataFile(text, "csv")).toEqual({ records, invalid: 0 });
+  });
+
+  it("accepts hand-edited CSV with a BOM, reordered columns and blank lines", () => {
+    const text = "\uFEFFtags,fingerprint,rating\n a ; b ;a,fp-9,7\n\n,,3\n";
+    const { records, invalid } = parseMetadataFile(text, "csv");
+    expect(invalid).toBe(1);
+    expect(records).toHaveLength(1);
+    expect(records[0]).toMatchObject({ fingerprint: "fp-9", tags: ["a", "b"], rating: null });
+  });
+
+  it("rejects files that are not metadata exports", () => {
+    expect(() => parseMetadataFile("path,size\nx,1\n", "csv")).toThrow(/fingerprint column/);
+    expect(() => parseMetadataFile('{"files": [], "format": "other"}', "json")).toThrow(
+      /Unsupported/
+    );
+    expect(() => parseMetadataFile('{"items": []}', "json")).toThrow(/files array/);
+    expect(() => parseMetadataFile('fingerprint\n"open', "csv")).toThrow(/Unterminated/);
+  });
+});
+
+let database;
+let databaseLoadError;
+let hasNativeDriver = false;
+
+try {
+  const testRequire = createRequire(import.meta.url);
+  const BetterSqlite = testRequire("better-sqlite3");
+  try {
+    const testDb = new BetterSqlite(":memory:");
+    testDb.close();
+    hasNativeDriver = true;
+    database = testRequire("../database");
+  } catch (driverError) {
+    databaseLoadError = driverError;
+  }
+} catch (error) {
+  databaseLoadError = error;
+}
+
+if (!hasNativeDriver || databaseLoadError) {
+  describe.skip("metadata export and import", () => {});
+} else {
+  const { initMetadataStore, getMetadataStore, resetDatabase } = database;
+
+  describe("metadata export and import", () => {
+    let tempDir;
+    let store;
+    let counter = 0;
+
+    beforeAll(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "videoswarm-transfer-test-"));
+      initMetadataStore({ getPath: () => tempDir }, tempDir);
+      store = getMetadataStore();
+    });
+
+    afterAll(() => {
+      resetDatabase();
+      if (tempDir && fs.existsSync(tempDir)) {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    async function createIndexedFile() {
+      counter += 1;
+      const filePath = path.join(tempDir, `clip-${counter}.mp4`);
+      fs.writeFileSync(filePath, `content-${counter}-${Math.random()}`);
+      const { fingerprint } = await store.indexFile({ filePath, stats: fs.statSync(filePath) });
+      return { fingerprint, filePath };
+    }
+
+    const exported = (fingerprint) =>
+      store.exportMetadata().find((record) => record.fingerprint === fingerprint);
+
+    it("exports tags and ratings keyed by fingerprint", async () => {
+      const { fingerprint, filePath } = await createIndexedFile();
+      store.assignTags([fingerprint], ["zeta", "alpha"]);
+      store.setRating([fingerprint], 3);
+
+      const record = exported(fingerprint);
+      expect(record).toMatchObject({ path: filePath, tags: ["alpha", "zeta"], rating: 3 });
+      expect(record.tagsUpdatedAt).toBeGreaterThan(0);
+      expect(record.ratingUpdatedAt).toBeGreaterThan(0);
+    });
+
+    it("keeps whichever side changed last with the newest strategy", async () => {
+      const { fingerprint } = await createIndexedFile();
+      store.assignTags([fingerprint], ["local"]);
+      store.setRating([fingerprint], 2);
+
+      const stale = {
+        ...exported(fingerprint),
+        tags: ["stale"],
+        tagsUpdatedAt: 1,
+        rating: 5,
+        ratingUpdatedAt: 1,
+      };
+      const staleSummary = store.importMetadata([stale], { strategy: "newest" });
+      expect(staleSummary).toMatchObject({ matched: 1, tagsChanged: 0, ratingsChanged: 0 });
+      expect(store.getMetadataForFingerprints([fingerprint])[fingerprint]).toMatchObject({
+        tags: ["local"],
+        rating: 2,
+      });
+
+      const future = Date.now() + 60_000;
+      const fresh = { ...stale, tags: ["fresh"], tagsUpdatedAt: future, ratingUpdatedAt: future };
+      const summary = store.importMetadata([fresh], { strategy: "newest" });
+      expect(summary).toMatchObject({
+        tagsChanged: 1,
+        ratingsChanged: 1,
+        fingerprints: [fingerprint],
+      });
+      expect(store.getMetadataForFingerprints([fingerprint])[fingerprint]).toMatchObject({
+        tags: ["fresh"],
+        rating: 5,
+      });
+      expect(store.listTags().map((tag) => tag.name)).not.toContain("local");
+    });
+
+    it("combines tags and keeps local ratings with the union strategy", async () => {
+      const { fingerprint } = await createIndexedFile();
+      store.assignTags([fingerprint], ["mine"]);
+      store.setRating([fingerprint], 1);
+
+      store.importMetadata(
+        [
+          {
+            ...exported(fingerprint),
+            tags: ["theirs", "MINE"],
+            rating: 4,
+            ratingUpdatedAt: Date.now() + 1000,
+          },
+        ],
+        { strategy: "union" }
+      );
+      expect(store.getMetadataForFingerprints([fingerprint])[fingerprint]).toMatchObject({
+        tags: ["mine", "theirs"],
+        rating: 1,
+      });
+    });
+
+    it("replaces tags and clears ratings with the overwrite strategy", async () => {
+      const { fingerprint } = await createIndexedFile();
+      store.assignTags([fingerprint], ["old"]);
+      store.setRating([fingerprint], 5);
+
+      store.importMetadata(
+        [{ ...exported(fingerprint), tags: ["new"], tagsUpdatedAt: 1, rating: null }],
+        { strategy: "overwrite" }
+      );
+      expect(store.getMetadataForFingerprints([fingerprint])[fingerprint]).toMatchObject({
+        tags: ["new"],
+        rating: null,
+      });
+    });
+
+    it("adds files that are only known from the import", () => {
+      const record = metadataTransfer.normalizeRecord({
+        fingerprint: `remote-${Date.now()}`,
+        path: "/elsewhere/clip.mp4",
+        size: 10,
+        tags: ["remote"],
+        rating: 3,
+      });
+      const summary = store.importMetadata([record], { strategy: "newest" });
+      expect(summary).toMatchObject({ total: 1, added: 1, matched: 0 });
+      expect(exported(record.fingerprint)).toMatchObject({
+        path: "/elsewhere/clip.mp4",
+        tags: ["remote"],
+        rating: 3,
+      });
+    });
+
+    it("rejects unknown strategies", () => {
+      expect(() => store.importMetadata([], { strategy: "merge" })).toThrow(
+        /Unknown import strategy/
+      );
+    });
+  });
+}
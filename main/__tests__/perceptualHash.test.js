@@ -0,0 +1,150 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createRequire } from "module";
+import perceptualHash from "../perceptualHash";
+
+const { hashDistance, clusterBySimilarity } = perceptualHash;
+
+const frame = (bits) => bits.toString(16).padStart(16, "0");
+
+describe("perceptual hash clustering", () => {
+  it("averages per-frame Hamming distance", () => {
+    const a = frame(0) + frame(0);
+    const b = frame(0b111) + frame(0b1);
+    expect(hashDistance(a, a)).toBe(0);
+    expect(hashDistance(a, b)).toBe(2);
+    expect(hashDistance(a, "zz")).toBe(Infinity);
+  });
+
+  it("groups near-duplicates transitively and leaves singletons out", () => {
+    const clusters = clusterBySimilarity(
+      {
+        base: frame(0),
+        reencode: frame(0b11),
+        chain: frame(0b11111),
+        other: "ffffffffffffffff",
+        broken: "abc",
+      },
+      3
+    );
+    expect(clusters).toEqual([["base", "reencode", "chain"]]);
+  });
+
+  it("only clusters identical hashes at distance 0", () => {
+    expect(clusterBySimilarity({ a: frame(1), b: frame(1), c: frame(3) }, 0)).toEqual([
+      ["a", "b"],
+    ]);
+  });
+
+  it("finds the same clusters as comparing every pair", () => {
+    let seed = 7;
+    const random = () => {
+      seed ^= seed << 13;
+      seed ^= seed >>> 17;
+      seed ^= seed << 5;
+      return (seed >>> 0) / 4294967296;
+    };
+    const randomFrame = () =>
+      Array.from({ length: 16 }, () => Math.floor(random() * 16).toString(16)).join("");
+    const flipBits = (hex, count) => {
+      let value = BigInt(`0x${hex}`);
+      for (let i = 0; i < count; i++) value ^= 1n << BigInt(Math.floor(random() * 64));
+      return value.toString(16).padStart(16, "0");
+    };
+
+    const hashes = {};
+    for (let i = 0; i < 40; i++) {
+      const frames = [randomFrame(), randomFrame(), randomFrame()];
+      hashes[`seed${i}`] = frames.join("");
+      for (let v = 0; v < 3; v++) {
+        const variant = frames.map((frame) => flipBits(frame, Math.floor(random() * 10)));
+        hashes[`seed${i}-${v}`] = variant.slice(0, 2 + (v % 2)).join("");
+      }
+    }
+
+    const bruteForce = (maxDistance) => {
+      const keys = Object.keys(hashes);
+      const parent = new Map(keys.map((key) => [key, key]));
+      const find = (key) => (parent.get(key) === key ? key : find(parent.get(key)));
+      keys.forEach((a, i) => {
+        keys.slice(i + 1).forEach((b) => {
+          if (hashDistance(hashes[a], hashes[b]) <= maxDistance) parent.set(find(b), find(a));
+        });
+      });
+      const groups = new Map();
+      keys.forEach((key) => {
+        const root = find(key);
+        groups.set(root, [...(groups.get(root) || []), key]);
+      });
+      return Array.from(groups.values()).filter((group) => group.length > 1);
+    };
+    const normalize = (clusters) => clusters.map((group) => [...group].sort()).sort();
+
+    [0, 2.5, 4, 6, 9].forEach((maxDistance) => {
+      expect(normalize(clusterBySimilarity(hashes, maxDistance))).toEqual(
+        normalize(bruteForce(maxDistance))
+      );
+    });
+  });
+});
+
+const require = createRequire(import.meta.url);
+
+let database;
+let databaseLoadError;
+let hasNativeDriver = false;
+
+try {
+  const testRequire = createRequire(import.meta.url);
+  const BetterSqlite = testRequire("better-sqlite3");
+  try {
+    const testDb = new BetterSqlite(":memory:");
+    testDb.close();
+    hasNativeDriver = true;
+    database = testRequire("../database");
+  } catch (driverError) {
+    databaseLoadError = driverError;
+  }
+} catch (error) {
+  databaseLoadError = error;
+}
+
+if (!hasNativeDriver || databaseLoadError) {
+  describe.skip("perceptual hash storage", () => {});
+} else {
+  const { initMetadataStore, getMetadataStore, resetDatabase } = database;
+
+  describe("perceptual hash storage", () => {
+    let tempDir;
+    let store;
+
+    beforeAll(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "videoswarm-phash-test-"));
+      initMetadataStore({ getPath: () => tempDir }, tempDir);
+      store = getMetadataStore();
+    });
+
+    afterAll(() => {
+      resetDatabase();
+      if (tempDir && fs.existsSync(tempDir)) {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    it("stores well-formed hashes for known files only", async () => {
+      const filePath = path.join(tempDir, "clip.mp4");
+      fs.writeFileSync(filePath, "clip-bytes");
+      const { fingerprint } = await store.indexFile({ filePath, stats: fs.statSync(filePath) });
+      const hash = frame(1) + frame(2);
+
+      expect(store.setPerceptualHash(fingerprint, "not-a-hash")).toBe(false);
+      expect(store.setPerceptualHash("unknown-fingerprint", hash)).toBe(false);
+      expect(store.setPerceptualHash(fingerprint, hash.toUpperCase())).toBe(true);
+      expect(store.getPerceptualHashes([fingerprint, "unknown-fingerprint"])).toEqual({
+        [fingerprint]: hash,
+      });
+    });
+  });
+}
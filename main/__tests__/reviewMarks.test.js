@@ -0,0 +1,86 @@
+import { beforeAll, afterAll, describe, it, expect } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createRequire } from "module";
+
+let database;
+let databaseLoadError;
+let hasNativeDriver = false;
+
+try {
+  const testRequire = createRequire(import.meta.url);
+  const BetterSqlite = testRequire("better-sqlite3");
+  try {
+    const testDb = new BetterSqlite(":memory:");
+    testDb.close();
+    hasNativeDriver = true;
+    database = testRequire("../database");
+  } catch (driverError) {
+    databaseLoadError = driverError;
+  }
+} catch (error) {
+  databaseLoadError = error;
+}
+
+if (!hasNativeDriver || databaseLoadError) {
+  describe.skip("review marks", () => {});
+} else {
+  const { initMetadataStore, getMetadataStore, resetDatabase } = database;
+
+  describe("review marks", () => {
+    let tempDir;
+    let store;
+    let counter = 0;
+
+    beforeAll(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "videoswarm-review-marks-test-"));
+      initMetadataStore({ getPath: () => tempDir }, tempDir);
+      store = getMetadataStore();
+    });
+
+    afterAll(() => {
+      resetDatabase();
+      if (tempDir && fs.existsSync(tempDir)) {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    async function createIndexedFile() {
+      counter += 1;
+      const filePath = path.join(tempDir, `clip-${counter}.mp4`);
+      fs.writeFileSync(filePath, `content-${counter}-${Math.random()}`);
+      const { fingerprint } = await store.indexFile({ filePath, stats: fs.statSync(filePath) });
+      return fingerprint;
+    }
+
+    const metadataOf = (fingerprint) =>
+      store.getMetadataForFingerprints([fingerprint])[fingerprint];
+
+    it("sets flags and colour labels independently of ratings", async () => {
+      const first = await createIndexedFile();
+      const second = await createIndexedFile();
+      store.setRating([first], 4);
+
+      const updates = store.setFlag([first, second], "Pick");
+      expect(updates[first]).toMatchObject({ flag: "pick", label: null, rating: 4 });
+
+      store.setLabel([second], "green");
+      store.setFlag([second], "reject");
+      expect(metadataOf(second)).toMatchObject({ flag: "reject", label: "green", rating: null });
+
+      store.setFlag([second], null);
+      expect(metadataOf(second)).toMatchObject({ flag: null, label: "green" });
+      store.setLabel([second], null);
+      expect(metadataOf(second)).toMatchObject({ flag: null, label: null });
+      expect(metadataOf(first)).toMatchObject({ flag: "pick", rating: 4 });
+    });
+
+    it("rejects unknown flags and labels", async () => {
+      const fingerprint = await createIndexedFile();
+      expect(() => store.setFlag([fingerprint], "maybe")).toThrow(/Unknown flag/);
+      expect(() => store.setLabel([fingerprint], "teal")).toThrow(/Unknown colour label/);
+      expect(metadataOf(fingerprint)).toMatchObject({ flag: null, label: null });
+    });
+  });
+}
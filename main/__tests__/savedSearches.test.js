@@ -0,0 +1,97 @@
+import { beforeAll, afterAll, describe, it, expect } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+
+let database;
+let databaseLoadError;
+let hasNativeDriver = false;
+
+try {
+  const testRequire = createRequire(import.meta.url);
+  const BetterSqlite = testRequire("better-sqlite3");
+  try {
+    const testDb = new BetterSqlite(":memory:");
+    testDb.close();
+    hasNativeDriver = true;
+    database = testRequire("../database");
+  } catch (driverError) {
+    databaseLoadError = driverError;
+  }
+} catch (error) {
+  databaseLoadError = error;
+}
+
+if (!hasNativeDriver || databaseLoadError) {
+  describe.skip("saved searches", () => {});
+} else {
+  const { initMetadataStore, getMetadataStore, resetDatabase } = database;
+
+  describe("saved searches", () => {
+    let tempDir;
+    let store;
+
+    beforeAll(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "videoswarm-saved-test-"));
+      const mockApp = {
+        getPath: () => tempDir,
+      };
+      initMetadataStore(mockApp, tempDir);
+      store = getMetadataStore();
+    });
+
+    afterAll(() => {
+      resetDatabase();
+      if (tempDir && fs.existsSync(tempDir)) {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
+
+    it("stores filters, sort and grouping under a name", () => {
+      const filters = {
+        includeTags: ["city"],
+        excludeTags: [],
+        minRating: 3,
+        exactRating: null,
+        query: "city AND rating>=3",
+      };
+      const items = store.saveSavedSearch({
+        name: "Night city",
+        filters,
+        sortValue: "created-desc",
+        groupByFolders: false,
+      });
+
+      expect(items).toHaveLength(1);
+      expect(items[0]).toMatchObject({
+        name: "Night city",
+        filters,
+        sortValue: "created-desc",
+        groupByFolders: false,
+      });
+      expect(store.listSavedSearches()).toEqual(items);
+    });
+
+    it("overwrites an existing entry with the same name", () => {
+      store.saveSavedSearch({ name: "night CITY", filters: { query: "neon" }, sortValue: "random" });
+
+      const items = store.listSavedSearches();
+      expect(items).toHaveLength(1);
+      expect(items[0].name).toBe("Night city");
+      expect(items[0].filters).toEqual({ query: "neon" });
+      expect(items[0].sortValue).toBe("random");
+      expect(items[0].groupByFolders).toBeNull();
+    });
+
+    it("rejects empty names and deletes by id", () => {
+      expect(() => store.saveSavedSearch({ name: "  " })).toThrow();
+
+      const [entry] = store.listSavedSearches();
+      expect(store.deleteSavedSearch(entry.id)).toEqual([]);
+    });
+  });
+}
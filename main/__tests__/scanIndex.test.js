@@ -0,0 +1,111 @@
+import { beforeAll, afterAll, describe, it, expect } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createRequire } from "module";
+
+let database;
+let databaseLoadError;
+let hasNativeDriver = false;
+
+try {
+  const testRequire = createRequire(import.meta.url);
+  const BetterSqlite = testRequire("better-sqlite3");
+  try {
+    const testDb = new BetterSqlite(":memory:");
+    testDb.close();
+    hasNativeDriver = true;
+    database = testRequire("../database");
+  } catch (driverError) {
+    databaseLoadError = driverError;
+  }
+} catch (error) {
+  databaseLoadError = error;
+}
+
+if (!hasNativeDriver || databaseLoadError) {
+  describe.skip("scan index", () => {});
+} else {
+  const { initMetadataStore, getMetadataStore, resetDatabase } = database;
+
+  describe("scan index", () => {
+    let tempDir;
+    let store;
+
+    beforeAll(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "videoswarm-scan-index-test-"));
+      initMetadataStore({ getPath: () => tempDir }, tempDir);
+      store = getMetadataStore();
+    });
+
+    afterAll(() => {
+      resetDatabase();
+      if (tempDir && fs.existsSync(tempDir)) {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    const entry = (root, relativePath, extra = {}) => ({
+      root,
+      path: path.join(root, relativePath),
+      size: 100,
+      mtimeMs: 1700000000123.456,
+      createdMs: 1690000000000,
+      fingerprint: `fp-${relativePath}`,
+      dimensions: { width: 1920, height: 1080 },
+      ...extra,
+    });
+
+    const pathsOf = (root) => store.getScanIndex(root).map((row) => row.path).sort();
+
+    it("records entries per root and updates them in place", () => {
+      const root = "/library/a";
+      expect(store.recordScanEntries([entry(root, "one.mp4"), { root, path: "" }])).toBe(1);
+      store.recordScanEntries([entry(root, "one.mp4", { size: 200, dimensions: null })]);
+
+      const [row] = store.getScanIndex(root);
+      expect(row).toEqual({
+        root,
+        path: path.join(root, "one.mp4"),
+        size: 200,
+        mtimeMs: 1700000000123.456,
+        createdMs: 1690000000000,
+        fingerprint: "fp-one.mp4",
+        dimensions: null,
+      });
+      expect(store.getScanIndex(["/library/elsewhere"])).toEqual([]);
+    });
+
+    it("prunes unseen entries, only below the root when not recursive", () => {
+      const root = "/library/b";
+      store.recordScanEntries([
+        entry(root, "keep.mp4"),
+        entry(root, "gone.mp4"),
+        entry(root, path.join("sub", "nested.mp4")),
+      ]);
+
+      store.pruneScanIndex(root, [path.join(root, "keep.mp4")], { recursive: false });
+      expect(pathsOf(root)).toEqual([path.join(root, "keep.mp4"), path.join(root, "sub", "nested.mp4")]);
+
+      store.pruneScanIndex(root, [path.join(root, "keep.mp4")], { recursive: true });
+      expect(pathsOf(root)).toEqual([path.join(root, "keep.mp4")]);
+    });
+
+    it("forgets a path under every root that indexed it", () => {
+      const shared = path.join("/library/c", "sub", "clip.mp4");
+      store.recordScanEntries([
+        { ...entry("/library/c", "x"), path: shared },
+        { ...entry(path.join("/library/c", "sub"), "x"), path: shared },
+      ]);
+      store.forgetScanEntries([shared]);
+      expect(store.getScanIndex(["/library/c", path.join("/library/c", "sub")])).toEqual([]);
+    });
+
+    it("looks up the fingerprint last indexed at a path", () => {
+      const root = "/library/d";
+      store.recordScanEntries([entry(root, "moved.mp4")]);
+      expect(store.getFingerprintForPath(path.join(root, "moved.mp4"))).toBe("fp-moved.mp4");
+      expect(store.getFingerprintForPath(path.join(root, "never.mp4"))).toBeNull();
+    });
+  });
+}
@@ -0,0 +1,96 @@
+import { describe, it, expect } from "vitest";
+import path from "path";
+import scanRules from "../scanRules";
+
+const { normalizeScanRules, compileGlob, createScanRules, DEFAULT_SCAN_RULES } = scanRules;
+
+const root = path.join(path.sep, "lib");
+const at = (...segments) => path.join(root, ...segments);
+
+describe("normalizeScanRules", () => {
+  it("fills defaults and cleans up user input", () => {
+    expect(normalizeScanRules(undefined)).toEqual(DEFAULT_SCAN_RULES);
+    expect(
+      normalizeScanRules({
+        extraExtensions: "TS, *.mpg, .mp4, bad ext, ",
+        excludeGlobs: "renders/\n# comment\n\n*.part.mp4\nrenders/",
+        maxDepth: "99",
+        followSymlinks: 1,
+      })
+    ).toEqual({
+      extraExtensions: [".ts", ".mpg"],
+      excludeGlobs: ["renders/", "*.part.mp4"],
+      maxDepth: 64,
+      followSymlinks: true,
+      includeDotFolders: false,
+    });
+    expect(normalizeScanRules({ maxDepth: -3 }).maxDepth).toBe(0);
+  });
+});
+
+describe("compileGlob", () => {
+  const matches = (pattern, relativePath) => compileGlob(pattern).regex.test(relativePath);
+
+  it("follows .gitignore anchoring and wildcards", () => {
+    expect(matches("*.part.mp4", "a/b/clip.part.mp4")).toBe(true);
+    expect(matches("renders", "x/renders")).toBe(true);
+    expect(matches("/renders", "x/renders")).toBe(false);
+    expect(matches("/renders", "renders")).toBe(true);
+    expect(matches("a/*.mp4", "a/b/c.mp4")).toBe(false);
+    expect(matches("a/**/c.mp4", "a/b/d/c.mp4")).toBe(true);
+    expect(matches("a/**/c.mp4", "a/c.mp4")).toBe(true);
+    expect(matches("take[0-9].mov", "take7.mov")).toBe(true);
+    expect(matches("take?.mov", "take10.mov")).toBe(false);
+    expect(compileGlob("tmp/")).toMatchObject({ directoryOnly: true, negate: false });
+    expect(compileGlob("!keep.mp4")).toMatchObject({ negate: true });
+    expect(compileGlob("# note")).toBeNull();
+  });
+});
+
+describe("createScanRules", () => {
+  it("decides files and folders the same way for walkers and events", () => {
+    const rules = createScanRules({
+      extraExtensions: [".ts"],
+      excludeGlobs: ["renders/", "*.part.mp4", "!keep.part.mp4"],
+      maxDepth: 1,
+    });
+
+    expect(rules.isVideoFile("clip.TS")).toBe(true);
+    expect(rules.includesFile(at("a.mp4"), root)).toBe(true);
+    expect(rules.includesFile(at("one", "b.ts"), root)).toBe(true);
+    expect(rules.includesFile(at("one", "two", "c.mp4"), root)).toBe(false);
+    expect(rules.includesFile(at("renders", "d.mp4"), root)).toBe(false);
+    expect(rules.includesFile(at("x.part.mp4"), root)).toBe(false);
+    expect(rules.includesFile(at("keep.part.mp4"), root)).toBe(true);
+    expect(rules.includesFile(at(".cache", "e.mp4"), root)).toBe(false);
+    expect(rules.includesFile(at("node_modules", "f.mp4"), root)).toBe(false);
+    expect(rules.includesFile(at("notes.txt"), root)).toBe(false);
+    expect(rules.includesFile(path.join(path.sep, "elsewhere", "a.mp4"), root)).toBe(false);
+
+    expect(rules.shouldScanDirectory(at("one"), root, 1)).toBe(true);
+    expect(rules.shouldScanDirectory(at("one", "two"), root, 2)).toBe(false);
+    expect(rules.shouldScanDirectory(at("renders"), root, 1)).toBe(false);
+
+    // A renders.mp4 file is not a folder, so "renders/" leaves it alone.
+    expect(rules.includesFile(at("renders.mp4"), root)).toBe(true);
+  });
+
+  it("answers chokidar with or without stats", () => {
+    const rules = createScanRules({ excludeGlobs: ["renders/", "*.tmp"] });
+    const dir = { isDirectory: () => true };
+    const file = { isDirectory: () => false };
+
+    expect(rules.isIgnoredByWatcher(root, root)).toBe(false);
+    expect(rules.isIgnoredByWatcher(at("renders"), root, dir)).toBe(true);
+    expect(rules.isIgnoredByWatcher(at("renders"), root)).toBe(false);
+    expect(rules.isIgnoredByWatcher(at("renders", "a.mp4"), root)).toBe(true);
+    expect(rules.isIgnoredByWatcher(at(".hidden"), root, dir)).toBe(true);
+    expect(rules.isIgnoredByWatcher(at("a.tmp"), root, file)).toBe(true);
+    // Caption sidecars must still reach the watcher.
+    expect(rules.isIgnoredByWatcher(at("a.txt"), root, file)).toBe(false);
+
+    const withDots = createScanRules({ includeDotFolders: true });
+    expect(withDots.isIgnoredByWatcher(at(".hidden"), root, dir)).toBe(false);
+    expect(withDots.isIgnoredByWatcher(at(".git"), root, dir)).toBe(true);
+  });
+});
@@ -0,0 +1,158 @@
+import { beforeAll, afterAll, describe, it, expect } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createRequire } from "module";
+
+let database;
+let databaseLoadError;
+let hasNativeDriver = false;
+
+try {
+  const testRequire = createRequire(import.meta.url);
+  const BetterSqlite = testRequire("better-sqlite3");
+  try {
+    const testDb = new BetterSqlite(":memory:");
+    testDb.close();
+    hasNativeDriver = true;
+    database = testRequire("../database");
+  } catch (driverError) {
+    databaseLoadError = driverError;
+  }
+} catch (error) {
+  databaseLoadError = error;
+}
+
+if (!hasNativeDriver || databaseLoadError) {
+  describe.skip("tag manager", () => {});
+} else {
+  const { initMetadataStore, getMetadataStore, resetDatabase } = database;
+
+  describe("tag manager", () => {
+    let tempDir;
+    let store;
+    let counter = 0;
+
+    beforeAll(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "videoswarm-tag-manager-test-"));
+      initMetadataStore({ getPath: () => tempDir }, tempDir);
+      store = getMetadataStore();
+    });
+
+    afterAll(() => {
+      resetDatabase();
+      if (tempDir && fs.existsSync(tempDir)) {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    async function createIndexedFile() {
+      counter += 1;
+      const filePath = path.join(tempDir, `clip-${counter}.mp4`);
+      fs.writeFileSync(filePath, `content-${counter}-${Math.random()}`);
+      const { fingerprint } = await store.indexFile({ filePath, stats: fs.statSync(filePath) });
+      return fingerprint;
+    }
+
+    const tagsOf = (fingerprint) =>
+      store.getMetadataForFingerprints([fingerprint])[fingerprint].tags;
+    const findTag = (name) => store.listTags().find((tag) => tag.name === name);
+
+    it("renames a tag while keeping its clips", async () => {
+      const fingerprint = await createIndexedFile();
+      store.assignTags([fingerprint], ["sunest"]);
+
+      const seen = [];
+      const unsubscribe = store.onMetadataChanged((fingerprints) => seen.push(...fingerprints));
+      const updates = store.renameTag("sunest", "sunset");
+      unsubscribe();
+
+      expect(updates[fingerprint].tags).toEqual(["sunset"]);
+      expect(tagsOf(fingerprint)).toEqual(["sunset"]);
+      expect(findTag("sunest")).toBeUndefined();
+      expect(seen).toEqual([fingerprint]);
+      expect(store.search("sunset")).toContain(fingerprint);
+
+      store.assignTags([fingerprint], ["dusk"]);
+      expect(() => store.renameTag("dusk", "SUNSET")).toThrow(/already exists/);
+    });
+
+    it("moves renamed namespaced tags to their new namespace", async () => {
+      const fingerprint = await createIndexedFile();
+      store.assignTags([fingerprint], ["oldns:wan"]);
+      store.renameTag("oldns:wan", "newns:wan");
+
+      expect(findTag("newns:wan")).toMatchObject({ parent: "newns", usageCount: 1 });
+      expect(findTag("oldns")).toBeUndefined();
+    });
+
+    it("merges tags into one, keeping merged names as aliases", async () => {
+      const first = await createIndexedFile();
+      const second = await createIndexedFile();
+      store.assignTags([first], ["cats", "kitty"]);
+      store.assignTags([second], ["cat"]);
+
+      const updates = store.mergeTags(["cats", "kitty"], "cat");
+      expect(Object.keys(updates)).toEqual([first]);
+      expect(tagsOf(first)).toEqual(["cat"]);
+      expect(findTag("cat").usageCount).toBe(2);
+      expect(findTag("cats")).toBeUndefined();
+      expect(store.listTagAliases()).toEqual(
+        expect.arrayContaining([
+          { alias: "cats", tag: "cat" },
+          { alias: "kitty", tag: "cat" },
+        ])
+      );
+
+      const third = await createIndexedFile();
+      store.assignTags([third], ["Cats"]);
+      expect(tagsOf(third)).toEqual(["cat"]);
+    });
+
+    it("adopts children without creating cycles when merging a parent into its child", async () => {
+      const fingerprint = await createIndexedFile();
+      store.assignTags([fingerprint], ["fam:a", "fam:a:b"]);
+      store.mergeTags(["fam:a"], "fam:a:b");
+
+      expect(findTag("fam:a:b")).toMatchObject({ parent: "fam", usageCount: 1 });
+      expect(findTag("fam:a")).toBeUndefined();
+    });
+
+    it("deletes tags from every clip and lifts their children", async () => {
+      const first = await createIndexedFile();
+      const second = await createIndexedFile();
+      store.assignTags([first, second], ["doomed", "keep"]);
+      store.assignTags([first], ["group"]);
+      store.setTagParent("keep", "group");
+
+      const updates = store.deleteTags(["doomed", "group", "not-a-tag"]);
+      expect(Object.keys(updates).sort()).toEqual([first, second].sort());
+      expect(tagsOf(first)).toEqual(["keep"]);
+      expect(findTag("doomed")).toBeUndefined();
+      expect(findTag("keep").parent).toBeNull();
+    });
+
+    it("manages aliases", async () => {
+      const fingerprint = await createIndexedFile();
+      store.assignTags([fingerprint], ["automobile", "truck"]);
+
+      expect(store.addTagAlias("car", "automobile")).toContainEqual({
+        alias: "car",
+        tag: "automobile",
+      });
+      expect(() => store.addTagAlias("truck", "automobile")).toThrow(/existing tag/);
+      expect(() => store.addTagAlias("car", "missing")).toThrow(/Unknown tag/);
+
+      const other = await createIndexedFile();
+      store.assignTags([other], ["CAR"]);
+      expect(tagsOf(other)).toEqual(["automobile"]);
+
+      store.renameTag("automobile", "auto");
+      expect(store.listTagAliases()).toContainEqual({ alias: "car", tag: "auto" });
+
+      store.removeTagAlias("car");
+      store.assignTags([other], ["car"]);
+      expect(tagsOf(other)).toEqual(["auto", "car"]);
+    });
+  });
+}
@@ -1,12 +1,17 @@
 import { describe, it, expect } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
 import videoDimensions from "../videoDimensions";
 
-const { __internals } = videoDimensions;
+const { __internals, getVideoMediaInfo } = videoDimensions;
 
 const {
   parseTkhd,
   parseMp4Moov,
   parseMatroska,
+  parseMp4MediaInfo,
+  parseMatroskaMediaInfo,
 } = __internals;
 
 function makeAtom(type, data) {
@@ -139,3 +144,130 @@ describe("videoDimensions internals", () => {
     expect(dims.height).toBe(1080);
   });
 });
+
+function makeFullBox(type, fields) {
+  const data = Buffer.alloc(4 + fields.length * 4);
+  fields.forEach((value, index) => data.writeUInt32BE(value, 4 + index * 4));
+  return makeAtom(type, data);
+}
+
+function makeHdlr(handlerType) {
+  const data = Buffer.alloc(24);
+  data.write(handlerType, 8, 4, "ascii");
+  return makeAtom("hdlr", data);
+}
+
+function makeMp4Trak({ handlerType, timescale, duration, format, stts }) {
+  const mdhd = makeFullBox("mdhd", [0, 0, timescale, duration, 0]);
+  const stsdEntry = Buffer.alloc(16);
+  stsdEntry.writeUInt32BE(16, 0);
+  stsdEntry.write(format, 4, 4, "latin1");
+  const stsd = makeAtom("stsd", Buffer.concat([Buffer.from([0, 0, 0, 0, 0, 0, 0, 1]), stsdEntry]));
+  const sttsBox = makeFullBox("stts", [stts.length, ...stts.flat()]);
+  const stbl = makeAtom("stbl", Buffer.concat([stsd, sttsBox]));
+  const minf = makeAtom("minf", stbl);
+  const mdia = makeAtom("mdia", Buffer.concat([mdhd, makeHdlr(handlerType), minf]));
+  return makeAtom("trak", mdia);
+}
+
+function makeMp4Moov({ movieDuration = 5000 } = {}) {
+  const mvhd = makeFullBox("mvhd", [0, 0, 1000, movieDuration, 0x00010000]);
+  const video = makeMp4Trak({
+    handlerType: "vide",
+    timescale: 24000,
+    duration: 120120,
+    format: "avc1",
+    stts: [[120, 1001]],
+  });
+  const audio = makeMp4Trak({
+    handlerType: "soun",
+    timescale: 48000,
+    duration: 240000,
+    format: "mp4a",
+    stts: [[235, 1024]],
+  });
+  return makeAtom("moov", Buffer.concat([mvhd, video, audio]));
+}
+
+function makeEbmlFloat64(idBytes, value) {
+  const data = Buffer.alloc(8);
+  data.writeDoubleBE(value, 0);
+  return makeEbmlElement(Buffer.from(idBytes), data);
+}
+
+describe("videoDimensions media info", () => {
+  it("reads duration, codec, fps and audio from mp4 track boxes", () => {
+    const info = parseMp4MediaInfo(makeMp4Moov().slice(8));
+    expect(info.duration).toBeCloseTo(5, 3);
+    expect(info.videoCodec).toBe("avc1");
+    expect(info.fps).toBeCloseTo(23.976, 3);
+    expect(info.hasAudio).toBe(true);
+  });
+
+  it("reports zero-length mp4 clips as 0 seconds", () => {
+    const mvhd = makeFullBox("mvhd", [0, 0, 1000, 0, 0x00010000]);
+    const info = parseMp4MediaInfo(mvhd);
+    expect(info.duration).toBe(0);
+    expect(info.hasAudio).toBe(false);
+  });
+
+  it("reads matroska Info and Tracks inside a Segment", () => {
+    const timecodeScale = makeEbmlElement(Buffer.from([0x2a, 0xd7, 0xb1]), Buffer.from([0x0f, 0x42, 0x40]));
+    const duration = makeEbmlFloat64([0x44, 0x89], 2500);
+    const info = makeEbmlElement(Buffer.from([0x15, 0x49, 0xa9, 0x66]), Buffer.concat([timecodeScale, duration]));
+
+    const videoEntry = makeEbmlElement(
+      Buffer.from([0xae]),
+      Buffer.concat([
+        makeEbmlElement(Buffer.from([0x83]), Buffer.from([0x01])),
+        makeEbmlElement(Buffer.from([0x86]), Buffer.from("V_VP9", "ascii")),
+        // DefaultDuration 33333333ns ≈ 30 fps
+        makeEbmlElement(Buffer.from([0x23, 0xe3, 0x83]), Buffer.from([0x01, 0xfc, 0xa0, 0x55])),
+        makeEbmlElement(
+          Buffer.from([0xe0]),
+          Buffer.concat([
+            makeEbmlElement(Buffer.from([0xb0]), Buffer.from([0x02, 0x80])),
+            makeEbmlElement(Buffer.from([0xba]), Buffer.from([0x01, 0x68])),
+          ])
+        ),
+      ])
+    );
+    const audioEntry = makeEbmlElement(
+      Buffer.from([0xae]),
+      makeEbmlElement(Buffer.from([0x83]), Buffer.from([0x02]))
+    );
+    const tracks = makeEbmlElement(
+      Buffer.from([0x16, 0x54, 0xae, 0x6b]),
+      Buffer.concat([videoEntry, audioEntry])
+    );
+    // Segment with the reserved "unknown size" marker, as live muxers write it
+    const segment = Buffer.concat([
+      Buffer.from([0x18, 0x53, 0x80, 0x67, 0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff]),
+      info,
+      tracks,
+    ]);
+
+    const result = parseMatroskaMediaInfo(segment);
+    expect(result.duration).toBeCloseTo(2.5, 5);
+    expect(result.videoCodec).toBe("vp09");
+    expect(result.fps).toBeCloseTo(30, 2);
+    expect(result.hasAudio).toBe(true);
+    expect(result.dimensions).toEqual({ width: 640, height: 360 });
+  });
+
+  it("finds a moov stored after mdat and derives bitrate from file size", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "videoswarm-media-test-"));
+    const filePath = path.join(dir, "clip.mp4");
+    const ftyp = makeAtom("ftyp", Buffer.from("isom\0\0\0\0", "latin1"));
+    const mdat = makeAtom("mdat", Buffer.alloc(4096));
+    fs.writeFileSync(filePath, Buffer.concat([ftyp, mdat, makeMp4Moov()]));
+    try {
+      const stats = fs.statSync(filePath);
+      const info = await getVideoMediaInfo(filePath, stats);
+      expect(info).toMatchObject({ duration: 5, videoCodec: "avc1", hasAudio: true });
+      expect(info.bitrate).toBe(Math.round((stats.size * 8) / 5));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
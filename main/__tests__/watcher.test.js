@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { EventEmitter } from "events";
+import watcherModule from "../watcher";
+
+const { createFolderWatcher } = watcherModule;
+
+const quietLogger = { log: () => {}, warn: () => {}, error: () => {} };
+
+describe("createFolderWatcher renames", () => {
+  let fake;
+  let watcher;
+  let events;
+  const known = new Map([["/lib/old.mp4", "fp-1"]]);
+
+  const record = (name) => (payload) => events.push([name, payload]);
+
+  beforeEach(async () => {
+    vi.useFakeTimers();
+    events = [];
+    fake = null;
+    watcher = createFolderWatcher({
+      isVideoFile: (filePath) => filePath.endsWith(".mp4"),
+      createVideoFileObject: async (filePath) => ({
+        id: filePath,
+        fullPath: filePath,
+        fingerprint: filePath.includes("copy") ? "fp-other" : "fp-1",
+      }),
+      scanFolderForChanges: () => {},
+      resolveRemovedFingerprint: (filePath) => known.get(filePath) || null,
+      renameWindowMs: 1000,
+      watch: () => {
+        fake = Object.assign(new EventEmitter(), { close: async () => {} });
+        return fake;
+      },
+      logger: quietLogger,
+    });
+    ["added", "removed", "renamed"].forEach((name) => watcher.on(name, record(name)));
+    await watcher.start("/lib");
+  });
+
+  afterEach(async () => {
+    await watcher.stop();
+    vi.useRealTimers();
+  });
+
+  it("pairs an unlink with a later add of the same file", async () => {
+    fake.emit("unlink", "/lib/old.mp4");
+    await vi.advanceTimersByTimeAsync(300);
+    fake.emit("add", "/lib/sub/new.mp4");
+    await vi.advanceTimersByTimeAsync(2000);
+
+    expect(events).toEqual([
+      [
+        "renamed",
+        {
+          oldPath: "/lib/old.mp4",
+          newPath: "/lib/sub/new.mp4",
+          videoFile: expect.objectContaining({ id: "/lib/sub/new.mp4" }),
+        },
+      ],
+    ]);
+  });
+
+  it("pairs an add that arrives before the unlink", async () => {
+    fake.emit("add", "/lib/new.mp4");
+    await vi.advanceTimersByTimeAsync(0);
+    fake.emit("unlink", "/lib/old.mp4");
+    await vi.advanceTimersByTimeAsync(2000);
+
+    expect(events.map(([name]) => name)).toEqual(["added", "renamed"]);
+    expect(events[1][1]).toMatchObject({ oldPath: "/lib/old.mp4", newPath: "/lib/new.mp4" });
+  });
+
+  it("reports a removal once the window passes without a match", async () => {
+    fake.emit("unlink", "/lib/old.mp4");
+    fake.emit("add", "/lib/copy.mp4");
+    await vi.advanceTimersByTimeAsync(999);
+    expect(events.map(([name]) => name)).toEqual(["added"]);
+
+    await vi.advanceTimersByTimeAsync(1);
+    expect(events).toEqual([
+      ["added", expect.objectContaining({ id: "/lib/copy.mp4" })],
+      ["removed", "/lib/old.mp4"],
+    ]);
+  });
+
+  it("removes unknown files right away and drops held removals on stop", async () => {
+    fake.emit("unlink", "/lib/never-indexed.mp4");
+    await vi.advanceTimersByTimeAsync(0);
+    expect(events).toEqual([["removed", "/lib/never-indexed.mp4"]]);
+
+    fake.emit("unlink", "/lib/old.mp4");
+    await vi.advanceTimersByTimeAsync(0);
+    await watcher.stop();
+    await vi.advanceTimersByTimeAsync(2000);
+    expect(events).toHaveLength(1);
+  });
+});
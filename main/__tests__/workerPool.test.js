@@ -0,0 +1,86 @@
+import { describe, it, expect, afterEach, vi } from "vitest";
+import { Worker } from "worker_threads";
+import workerPool from "../workerPool";
+
+const { createWorkerPool } = workerPool;
+
+const quietLogger = { warn: () => {} };
+
+// Echo worker: doubles `value`, fails on `fail`, exits on `crash`, and
+// reports how many tasks it holds at once through `held`.
+const ECHO_WORKER = `
+const { parentPort } = require("worker_threads");
+let held = 0;
+parentPort.on("message", async ({ id, value, fail, crash }) => {
+  if (crash) process.exit(3);
+  held += 1;
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  const result = { doubled: value * 2, held };
+  held -= 1;
+  if (fail) parentPort.postMessage({ id, error: "bad input" });
+  else parentPort.postMessage({ id, result });
+});
+`;
+
+const evalWorker = (code) => (_file, options) => new Worker(code, { ...options, eval: true });
+
+describe("createWorkerPool", () => {
+  let pool;
+
+  afterEach(async () => {
+    await pool?.destroy();
+    pool = null;
+  });
+
+  it("runs queued tasks one per worker", async () => {
+    pool = createWorkerPool({ size: 2, createWorker: evalWorker(ECHO_WORKER), logger: quietLogger });
+
+    const pending = [1, 2, 3, 4, 5].map((value) => pool.run({ value }));
+    expect(pool.stats()).toMatchObject({ size: 2, busy: 2, queued: 3 });
+
+    const results = await Promise.all(pending);
+    expect(results.map((result) => result.doubled)).toEqual([2, 4, 6, 8, 10]);
+    expect(results.every((result) => result.held === 1)).toBe(true);
+    expect(pool.stats()).toMatchObject({ busy: 0, queued: 0, completed: 5, failed: 0 });
+  });
+
+  it("rejects a failed task and keeps going", async () => {
+    pool = createWorkerPool({ size: 1, createWorker: evalWorker(ECHO_WORKER), logger: quietLogger });
+
+    await expect(pool.run({ value: 1, fail: true })).rejects.toThrow("bad input");
+    await expect(pool.run({ value: 2 })).resolves.toMatchObject({ doubled: 4 });
+    expect(pool.stats()).toMatchObject({ completed: 1, failed: 1 });
+  });
+
+  it("replaces a worker that crashes after doing work", async () => {
+    pool = createWorkerPool({ size: 1, createWorker: evalWorker(ECHO_WORKER), logger: quietLogger });
+
+    await pool.run({ value: 1 });
+    await expect(pool.run({ crash: true })).rejects.toThrow("exited with code 3");
+    await expect(pool.run({ value: 3 })).resolves.toMatchObject({ doubled: 6 });
+    expect(pool.stats()).toMatchObject({ size: 1, available: true });
+  });
+
+  it("gives up when no worker can start", async () => {
+    pool = createWorkerPool({
+      size: 2,
+      createWorker: evalWorker("throw new Error('cannot load');"),
+      logger: quietLogger,
+    });
+
+    await expect(pool.run({ value: 1 })).rejects.toThrow();
+    await vi.waitFor(() => expect(pool.stats().available).toBe(false));
+    await expect(pool.run({ value: 2 })).rejects.toThrow("unavailable");
+  });
+
+  it("rejects queued work when destroyed", async () => {
+    pool = createWorkerPool({ size: 1, createWorker: evalWorker(ECHO_WORKER), logger: quietLogger });
+
+    const running = expect(pool.run({ value: 1 })).rejects.toThrow();
+    const queued = expect(pool.run({ value: 2 })).rejects.toThrow("closed");
+    await pool.destroy();
+
+    await Promise.all([running, queued]);
+    await expect(pool.run({ value: 3 })).rejects.toThrow("unavailable");
+  });
+});
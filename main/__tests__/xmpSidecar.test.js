@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import xmpSidecar from "../xmpSidecar";
+
+const {
+  sidecarPathFor,
+  videoPathForSidecar,
+  parseXmp,
+  buildXmp,
+  sameMetadata,
+  readXmpSidecar,
+  writeXmpSidecar,
+} = xmpSidecar;
+
+// Trimmed-down packet in the shape Bridge writes.
+const BRIDGE_PACKET = `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/" x:xmptk="Adobe XMP Core 7.0">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description rdf:about=""
+    xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+    xmlns:dc="http://purl.org/dc/elements/1.1/"
+    xmlns:photoshop="http://ns.adobe.com/photoshop/1.0/"
+    xmp:CreatorTool="Adobe Bridge 2024"
+    xmp:Rating="3"
+    photoshop:Headline="Keep me">
+   <dc:subject>
+    <rdf:Bag>
+     <rdf:li>beach</rdf:li>
+     <rdf:li>Sunset &amp; Sea</rdf:li>
+    </rdf:Bag>
+   </dc:subject>
+  </rdf:Description>
+ </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+
+describe("XMP sidecars", () => {
+  it("maps clip paths to clip.ext.xmp and back", () => {
+    expect(sidecarPathFor("/v/clip.mp4")).toBe("/v/clip.mp4.xmp");
+    expect(videoPathForSidecar("/v/clip.mp4.XMP")).toBe("/v/clip.mp4");
+    expect(videoPathForSidecar("/v/clip.txt")).toBeNull();
+  });
+
+  it("reads dc:subject and xmp:Rating from a Bridge packet", () => {
+    expect(parseXmp(BRIDGE_PACKET)).toEqual({ tags: ["beach", "Sunset & Sea"], rating: 3 });
+    expect(parseXmp("<xmp:Rating>-1</xmp:Rating>")).toEqual({ tags: [], rating: null });
+    expect(parseXmp("not xml")).toEqual({ tags: [], rating: null });
+  });
+
+  it("rewrites tags and rating in place, keeping other fields", () => {
+    const updated = buildXmp({ tags: ["night", "<city>"], rating: 5 }, BRIDGE_PACKET);
+    expect(parseXmp(updated)).toEqual({ tags: ["night", "<city>"], rating: 5 });
+    expect(updated).toContain('photoshop:Headline="Keep me"');
+    expect(updated).toContain('xmp:CreatorTool="Adobe Bridge 2024"');
+    expect(updated).not.toContain("beach");
+
+    const cleared = buildXmp({ tags: [], rating: null }, updated);
+    expect(parseXmp(cleared)).toEqual({ tags: [], rating: null });
+    expect(cleared).not.toContain("dc:subject");
+    expect(cleared).toContain('photoshop:Headline="Keep me"');
+  });
+
+  it("builds a fresh packet, declaring namespaces when missing", () => {
+    expect(parseXmp(buildXmp({ tags: ["a"], rating: 0 }))).toEqual({ tags: ["a"], rating: 0 });
+
+    const bare =
+      '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#"><rdf:Description rdf:about=""/></rdf:RDF></x:xmpmeta>';
+    const filled = buildXmp({ tags: ["b"], rating: 2 }, bare);
+    expect(filled).toContain('xmlns:dc="http://purl.org/dc/elements/1.1/"');
+    expect(filled).toContain("</rdf:Description>");
+    expect(parseXmp(filled)).toEqual({ tags: ["b"], rating: 2 });
+  });
+
+  it("compares metadata ignoring tag case and order", () => {
+    expect(sameMetadata({ tags: ["A", "b"], rating: 1 }, { tags: ["B", "a"], rating: 1 })).toBe(
+      true
+    );
+    expect(sameMetadata({ tags: [], rating: 1 }, { tags: [], rating: null })).toBe(false);
+  });
+
+  describe("on disk", () => {
+    let dir;
+    let clip;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "vs-xmp-"));
+      clip = path.join(dir, "clip.mp4");
+      fs.writeFileSync(clip, "");
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("writes only when the sidecar would change", async () => {
+      expect(await readXmpSidecar(clip)).toBeNull();
+      expect(await writeXmpSidecar(clip, { tags: [], rating: null })).toBe(false);
+      expect(fs.existsSync(sidecarPathFor(clip))).toBe(false);
+
+      expect(await writeXmpSidecar(clip, { tags: ["x"], rating: 4 })).toBe(true);
+      expect(await readXmpSidecar(clip)).toMatchObject({ tags: ["x"], rating: 4 });
+      expect(await writeXmpSidecar(clip, { tags: ["X"], rating: 4 })).toBe(false);
+    });
+
+    it("preserves foreign fields when updating an existing sidecar", async () => {
+      fs.writeFileSync(sidecarPathFor(clip), BRIDGE_PACKET);
+      await writeXmpSidecar(clip, { tags: ["beach"], rating: 1 });
+      const text = fs.readFileSync(sidecarPathFor(clip), "utf8");
+      expect(text).toContain('photoshop:Headline="Keep me"');
+      expect(parseXmp(text)).toEqual({ tags: ["beach"], rating: 1 });
+    });
+  });
+});
@@ -0,0 +1,161 @@
+// main/captions.js
+// Caption sidecars for training datasets: a clip "foo.mp4" is captioned by a
+// sibling "foo.txt", "foo.caption" or "foo.json" (first match wins, in that
+// order). JSON sidecars keep their other fields; the caption lives under the
+// first of JSON_CAPTION_KEYS that is present, or "caption" for new files.
+
+const fs = require("fs");
+const path = require("path");
+
+const fsPromises = fs.promises;
+
+const CAPTION_EXTENSIONS = [".txt", ".caption", ".json"];
+const JSON_CAPTION_KEYS = ["caption", "text", "prompt"];
+const DEFAULT_CAPTION_EXTENSION = ".txt";
+
+function stripExtension(filePath) {
+  return filePath.slice(0, filePath.length - path.extname(filePath).length);
+}
+
+function isCaptionFile(filePath) {
+  return CAPTION_EXTENSIONS.includes(path.extname(filePath || "").toLowerCase());
+}
+
+function formatFor(filePath) {
+  return path.extname(filePath).toLowerCase().slice(1);
+}
+
+async function pathExists(filePath) {
+  try {
+    const stats = await fsPromises.stat(filePath);
+    return stats.isFile();
+  } catch {
+    return false;
+  }
+}
+
+// Returns the sidecar path for a clip, or null when it has none.
+async function findCaptionFile(videoPath) {
+  const base = stripExtension(videoPath);
+  for (const ext of CAPTION_EXTENSIONS) {
+    for (const candidate of [base + ext, base + ext.toUpperCase()]) {
+      if (await pathExists(candidate)) return candidate;
+    }
+  }
+  return null;
+}
+
+// Returns the clip a sidecar belongs to, or null when there is no such clip.
+// `isVideoFile` decides which siblings count as clips.
+async function findVideoForCaption(captionPath, isVideoFile) {
+  if (!isCaptionFile(captionPath)) return null;
+  const dir = path.dirname(captionPath);
+  const base = path.basename(stripExtension(captionPath));
+  let entries;
+  try {
+    entries = await fsPromises.readdir(dir);
+  } catch {
+    return null;
+  }
+  const match = entries
+    .filter((name) => stripExtension(name) === base && isVideoFile(name))
+    .sort()[0];
+  return match ? path.join(dir, match) : null;
+}
+
+function jsonCaptionKey(data) {
+  return JSON_CAPTION_KEYS.find((key) => typeof data[key] === "string") || null;
+}
+
+function parseCaption(raw, format) {
+  if (format !== "json") return raw.replace(/\r\n/g, "\n").replace(/\n+$/, "");
+  try {
+    const data = JSON.parse(raw);
+    if (typeof data === "string") return data;
+    if (data && typeof data === "object") {
+      const key = jsonCaptionKey(data);
+      return key ? data[key] : "";
+    }
+  } catch {}
+  return null; // unreadable JSON: leave it alone
+}
+
+/**
+ * Reads a clip's caption. Resolves to { text, path, format } or null when the
+ * clip has no sidecar; `text` is null if a JSON sidecar could not be parsed.
+ */
+async function readCaption(videoPath) {
+  const captionPath = await findCaptionFile(videoPath);
+  if (!captionPath) return null;
+  const raw = await fsPromises.readFile(captionPath, "utf8");
+  const format = formatFor(captionPath);
+  return { text: parseCaption(raw, format), path: captionPath, format };
+}
+
+/**
+ * Writes a clip's caption into its existing sidecar, or creates "<clip>.txt".
+ * Resolves to the same shape as readCaption.
+ */
+async function writeCaption(videoPath, text) {
+  const value = typeof text === "string" ? text : String(text ?? "");
+  const captionPath =
+    (await findCaptionFile(videoPath)) || stripExtension(videoPath) + DEFAULT_CAPTION_EXTENSION;
+  const format = formatFor(captionPath);
+
+  if (format === "json") {
+    const raw = await fsPromises.readFile(captionPath, "utf8");
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`Cannot update ${path.basename(captionPath)}: ${error.message}`);
+    }
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      data = { caption: value };
+    } else {
+      data = { ...data, [jsonCaptionKey(data) || "caption"]: value };
+    }
+    await fsPromises.writeFile(captionPath, JSON.stringify(data, null, 2) + "\n", "utf8");
+  } else {
+    await fsPromises.writeFile(captionPath, value, "utf8");
+  }
+
+  return { text: value, path: captionPath, format };
+}
+
+/**
+ * Applies one bulk edit to a caption string:
+ *   { type: "replace", find, replace }  every occurrence of `find`
+ *   { type: "prepend", text }           text + caption
+ *   { type: "append", text }            caption + text
+ * Returns the new caption, or null when the edit leaves it unchanged.
+ */
+function applyCaptionEdit(caption, edit) {
+  const current = typeof caption === "string" ? caption : "";
+  let next = current;
+  switch (edit?.type) {
+    case "replace":
+      if (!edit.find) return null;
+      next = current.split(edit.find).join(edit.replace ?? "");
+      break;
+    case "prepend":
+      next = (edit.text ?? "") + current;
+      break;
+    case "append":
+      next = current + (edit.text ?? "");
+      break;
+    default:
+      throw new Error(`Unknown caption edit: ${edit?.type}`);
+  }
+  return next === current ? null : next;
+}
+
+module.exports = {
+  CAPTION_EXTENSIONS,
+  isCaptionFile,
+  findCaptionFile,
+  findVideoForCaption,
+  readCaption,
+  writeCaption,
+  applyCaptionEdit,
+};
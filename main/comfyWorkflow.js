@@ -0,0 +1,471 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  MP4_EXTENSIONS,
+  MATROSKA_EXTENSIONS,
+  EBML_SEGMENT,
+  listAtoms,
+  readTopLevelAtom,
+  readEbmlHeader,
+  forEachEbmlChild,
+} = require("./containerReaders");
+
+const MAX_MOOV_BYTES = 32 * 1024 * 1024; // 32MB
+const MAX_TAGS_BYTES = 16 * 1024 * 1024; // 16MB
+const MAX_EBML_ELEMENTS = 20000;
+
+const MKV_TAGS_ID = 0x1254c367;
+const MKV_TAG_ID = 0x7373;
+const MKV_SIMPLE_TAG_ID = 0x67c8;
+const MKV_TAG_NAME_ID = 0x45a3;
+const MKV_TAG_STRING_ID = 0x4487;
+
+const CACHE = new Map();
+
+function cacheKey(filePath, stats) {
+  const size = stats?.size ?? 0;
+  const mtimeMs = stats?.mtimeMs ?? 0;
+  return `${filePath}::${size}::${mtimeMs}`;
+}
+
+// ---------------------------------------------------------------------------
+// MP4 / QuickTime
+// ---------------------------------------------------------------------------
+
+function decodeText(buffer) {
+  if (!buffer || !buffer.length) return "";
+  // UTF-16 with BOM shows up in some QuickTime writers.
+  if (buffer.length >= 2 && buffer[0] === 0xfe && buffer[1] === 0xff) {
+    const swapped = Buffer.from(buffer.slice(2));
+    swapped.swap16();
+    return swapped.toString("utf16le").replace(/\0+$/, "");
+  }
+  return buffer.toString("utf8").replace(/\0+$/, "");
+}
+
+function normalizeKey(type) {
+  return type.replace(/^©/, "").trim().toLowerCase();
+}
+
+// iTunes-style item: children are `data` (and `mean`/`name` for "----").
+function parseIlstItem(atom, keyTable) {
+  const children = listAtoms(atom.data);
+  let key = null;
+  const values = [];
+
+  for (const child of children) {
+    if (child.type === "name" && child.data.length > 4) {
+      key = decodeText(child.data.slice(4));
+    } else if (child.type === "data" && child.data.length >= 8) {
+      values.push(decodeText(child.data.slice(8)));
+    }
+  }
+
+  if (!key) {
+    if (keyTable && atom.type.length === 4) {
+      const index = Buffer.from(atom.type, "latin1").readUInt32BE(0);
+      key = keyTable.get(index) || null;
+    }
+    if (!key) key = atom.type;
+  }
+
+  return values.length ? { key: normalizeKey(key), value: values.join("\n") } : null;
+}
+
+// QuickTime `mdta` key table used when ffmpeg writes custom keys.
+function parseKeysAtom(buffer) {
+  const table = new Map();
+  if (buffer.length < 8) return table;
+  const count = buffer.readUInt32BE(4);
+  let offset = 8;
+  for (let index = 1; index <= count && offset + 8 <= buffer.length; index++) {
+    const size = buffer.readUInt32BE(offset);
+    if (size < 8 || offset + size > buffer.length) break;
+    table.set(index, buffer.toString("utf8", offset + 8, offset + size));
+    offset += size;
+  }
+  return table;
+}
+
+function parseMetaAtom(buffer) {
+  // ISO `meta` is a full box (4 bytes version/flags); QuickTime `meta` is not.
+  const hasVersionHeader =
+    buffer.length >= 12 && buffer.toString("latin1", 8, 12) === "hdlr";
+  const children = listAtoms(hasVersionHeader ? buffer.slice(4) : buffer);
+
+  const keysAtom = children.find((atom) => atom.type === "keys");
+  const keyTable = keysAtom ? parseKeysAtom(keysAtom.data) : null;
+  const ilst = children.find((atom) => atom.type === "ilst");
+  if (!ilst) return [];
+
+  return listAtoms(ilst.data)
+    .map((item) => parseIlstItem(item, keyTable))
+    .filter(Boolean);
+}
+
+// Classic QuickTime user data text: 16-bit length, 16-bit language, text.
+function parseUdtaText(buffer) {
+  if (buffer.length < 4) return null;
+  const length = buffer.readUInt16BE(0);
+  if (length > 0 && 4 + length <= buffer.length) {
+    return decodeText(buffer.slice(4, 4 + length));
+  }
+  return decodeText(buffer);
+}
+
+function parseUdta(buffer) {
+  const entries = [];
+  for (const atom of listAtoms(buffer)) {
+    if (atom.type === "meta") {
+      entries.push(...parseMetaAtom(atom.data));
+    } else if (atom.type.startsWith("©")) {
+      const value = parseUdtaText(atom.data);
+      if (value) entries.push({ key: normalizeKey(atom.type), value });
+    }
+  }
+  return entries;
+}
+
+function parseMp4MetadataEntries(moovBuffer) {
+  const entries = [];
+  for (const atom of listAtoms(moovBuffer)) {
+    if (atom.type === "udta") {
+      entries.push(...parseUdta(atom.data));
+    } else if (atom.type === "meta") {
+      entries.push(...parseMetaAtom(atom.data));
+    }
+  }
+  return entries;
+}
+
+async function readMp4MetadataEntries(filePath, fileSize) {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    // `moov` is often written after `mdat`, so we cannot rely on it being
+    // near the start.
+    const moov = await readTopLevelAtom(handle, fileSize, "moov", MAX_MOOV_BYTES);
+    return moov ? parseMp4MetadataEntries(moov) : [];
+  } finally {
+    await handle.close();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Matroska / WebM
+// ---------------------------------------------------------------------------
+
+function listElements(buffer) {
+  const elements = [];
+  forEachEbmlChild(buffer, 0, buffer.length, (element, end) => {
+    if (!element.unknown && element.dataStart + element.size > end) return false;
+    elements.push({ id: element.id, data: buffer.slice(element.dataStart, end) });
+    return elements.length < MAX_EBML_ELEMENTS;
+  });
+  return elements;
+}
+
+function parseSimpleTag(buffer, entries) {
+  let name = null;
+  let value = null;
+  for (const element of listElements(buffer)) {
+    if (element.id === MKV_TAG_NAME_ID) {
+      name = decodeText(element.data);
+    } else if (element.id === MKV_TAG_STRING_ID) {
+      value = decodeText(element.data);
+    } else if (element.id === MKV_SIMPLE_TAG_ID) {
+      parseSimpleTag(element.data, entries);
+    }
+  }
+  if (name && value) {
+    entries.push({ key: normalizeKey(name), value });
+  }
+}
+
+function parseMatroskaTags(tagsBuffer) {
+  const entries = [];
+  for (const tag of listElements(tagsBuffer)) {
+    if (tag.id !== MKV_TAG_ID) continue;
+    for (const element of listElements(tag.data)) {
+      if (element.id === MKV_SIMPLE_TAG_ID) {
+        parseSimpleTag(element.data, entries);
+      }
+    }
+  }
+  return entries;
+}
+
+async function readMatroskaMetadataEntries(filePath, fileSize) {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const header = Buffer.alloc(12);
+    const entries = [];
+    let offset = 0;
+    let visited = 0;
+
+    // Descend into the Segment and hop over its children (clusters included)
+    // using only the element headers until we hit the Tags master element.
+    while (offset < fileSize && visited < MAX_EBML_ELEMENTS) {
+      visited += 1;
+      const { bytesRead } = await handle.read(header, 0, 12, offset);
+      if (!bytesRead) break;
+      const element = readEbmlHeader(header.slice(0, bytesRead), 0);
+      if (!element) break;
+      const dataStart = offset + element.dataStart;
+
+      if (element.id === EBML_SEGMENT) {
+        offset = dataStart;
+        continue;
+      }
+
+      if (element.unknown) break;
+
+      if (element.id === MKV_TAGS_ID && element.size <= MAX_TAGS_BYTES) {
+        const tags = Buffer.alloc(element.size);
+        const result = await handle.read(tags, 0, element.size, dataStart);
+        entries.push(...parseMatroskaTags(tags.slice(0, result.bytesRead)));
+      }
+
+      offset = dataStart + element.size;
+    }
+    return entries;
+  } finally {
+    await handle.close();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// ComfyUI payload interpretation
+// ---------------------------------------------------------------------------
+
+function tryParseJson(value) {
+  if (value && typeof value === "object") return value;
+  if (typeof value !== "string") return null;
+  const trimmed = value.trim();
+  if (!trimmed.startsWith("{") && !trimmed.startsWith("[")) return null;
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    return null;
+  }
+}
+
+function isApiPrompt(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return false;
+  const nodes = Object.values(value);
+  return nodes.length > 0 && nodes.some((node) => node && typeof node.class_type === "string");
+}
+
+function isUiWorkflow(value) {
+  return !!value && typeof value === "object" && Array.isArray(value.nodes);
+}
+
+// Pulls `prompt` (API graph) and `workflow` (UI graph) out of the container
+// text entries. VideoHelperSuite stores both inside a JSON `comment`; other
+// writers use separate `prompt` / `workflow` keys.
+function extractComfyPayload(entries) {
+  let prompt = null;
+  let workflow = null;
+
+  const consider = (key, raw) => {
+    const parsed = tryParseJson(raw);
+    if (!parsed) return;
+
+    if (key === "prompt" && !prompt && isApiPrompt(parsed)) {
+      prompt = parsed;
+      return;
+    }
+    if (key === "workflow" && !workflow && isUiWorkflow(parsed)) {
+      workflow = parsed;
+      return;
+    }
+    if (isApiPrompt(parsed) && !prompt) {
+      prompt = parsed;
+      return;
+    }
+    if (isUiWorkflow(parsed) && !workflow) {
+      workflow = parsed;
+      return;
+    }
+    if (!Array.isArray(parsed)) {
+      if (parsed.prompt !== undefined) consider("prompt", parsed.prompt);
+      if (parsed.workflow !== undefined) consider("workflow", parsed.workflow);
+    }
+  };
+
+  for (const entry of entries) {
+    consider(entry.key, entry.value);
+  }
+
+  if (!prompt && !workflow) return null;
+  return { prompt, workflow };
+}
+
+const SAMPLER_PATTERN = /sampler/i;
+const MODEL_INPUT_KEYS = ["ckpt_name", "unet_name", "model_name", "model_path", "base_ckpt_name"];
+const TEXT_INPUT_KEYS = ["text", "text_g", "text_l", "string", "value", "prompt"];
+const SEED_INPUT_KEYS = ["seed", "noise_seed", "value"];
+
+function isLink(value) {
+  return Array.isArray(value) && value.length === 2 && typeof value[1] === "number";
+}
+
+// Follows API-format links until a literal for one of `keys` turns up.
+function resolveApiInput(prompt, value, keys, depth = 0) {
+  if (depth > 16) return null;
+  if (!isLink(value)) return value ?? null;
+  const node = prompt[String(value[0])];
+  if (!node?.inputs) return null;
+  for (const key of keys) {
+    if (node.inputs[key] !== undefined) {
+      const resolved = resolveApiInput(prompt, node.inputs[key], keys, depth + 1);
+      if (resolved !== null && resolved !== undefined && resolved !== "") {
+        return resolved;
+      }
+    }
+  }
+  // Pass-through nodes (conditioning combiners, reroutes) – follow the first link.
+  const next = Object.values(node.inputs).find(isLink);
+  return next ? resolveApiInput(prompt, next, keys, depth + 1) : null;
+}
+
+function findModelName(prompt, value, depth = 0) {
+  if (depth > 16 || !isLink(value)) return null;
+  const node = prompt[String(value[0])];
+  if (!node?.inputs) return null;
+  for (const key of MODEL_INPUT_KEYS) {
+    if (typeof node.inputs[key] === "string") return node.inputs[key];
+  }
+  const upstream = node.inputs.model ?? Object.values(node.inputs).find(isLink);
+  return findModelName(prompt, upstream, depth + 1);
+}
+
+function asText(value) {
+  return typeof value === "string" && value.trim() ? value : null;
+}
+
+function asNumber(value) {
+  const numeric = Number(value);
+  return value !== null && value !== "" && Number.isFinite(numeric) ? numeric : null;
+}
+
+function summarizeApiPrompt(prompt) {
+  const samplers = Object.values(prompt).filter(
+    (node) => node && SAMPLER_PATTERN.test(node.class_type || "") && node.inputs
+  );
+  const sampler =
+    samplers.find((node) => node.inputs.positive !== undefined) || samplers[0];
+  if (!sampler) return null;
+
+  const inputs = sampler.inputs;
+  let model = findModelName(prompt, inputs.model);
+  if (!model) {
+    const loader = Object.values(prompt).find((node) =>
+      MODEL_INPUT_KEYS.some((key) => typeof node?.inputs?.[key] === "string")
+    );
+    const key = loader && MODEL_INPUT_KEYS.find((k) => typeof loader.inputs[k] === "string");
+    model = key ? loader.inputs[key] : null;
+  }
+
+  return {
+    positivePrompt: asText(resolveApiInput(prompt, inputs.positive, TEXT_INPUT_KEYS)),
+    negativePrompt: asText(resolveApiInput(prompt, inputs.negative, TEXT_INPUT_KEYS)),
+    seed: asNumber(resolveApiInput(prompt, inputs.seed ?? inputs.noise_seed, SEED_INPUT_KEYS)),
+    sampler: asText(resolveApiInput(prompt, inputs.sampler_name, ["sampler_name", "value"])),
+    scheduler: asText(resolveApiInput(prompt, inputs.scheduler, ["scheduler", "value"])),
+    steps: asNumber(resolveApiInput(prompt, inputs.steps, ["steps", "value"])),
+    cfg: asNumber(resolveApiInput(prompt, inputs.cfg, ["cfg", "value"])),
+    model: asText(model),
+  };
+}
+
+// UI-format fallback: KSampler widgets are [seed, control, steps, cfg,
+// sampler, scheduler, denoise]; prompts are found by following the links.
+function summarizeUiWorkflow(workflow) {
+  const nodes = new Map(workflow.nodes.map((node) => [node.id, node]));
+  const links = new Map();
+  (workflow.links || []).forEach((link) => {
+    if (Array.isArray(link)) links.set(link[0], link[1]);
+    else if (link && typeof link === "object") links.set(link.id, link.origin_id);
+  });
+
+  const sampler = workflow.nodes.find((node) => /^KSampler/.test(node.type || ""));
+  if (!sampler) return null;
+
+  const upstream = (name) => {
+    const input = (sampler.inputs || []).find((entry) => entry.name === name);
+    return input && input.link != null ? nodes.get(links.get(input.link)) : null;
+  };
+  const textOf = (node) =>
+    Array.isArray(node?.widgets_values) ? asText(node.widgets_values[0]) : null;
+
+  const widgets = Array.isArray(sampler.widgets_values) ? sampler.widgets_values : [];
+  const loader = workflow.nodes.find((node) => /Loader/.test(node.type || "") &&
+    Array.isArray(node.widgets_values) && typeof node.widgets_values[0] === "string");
+
+  return {
+    positivePrompt: textOf(upstream("positive")),
+    negativePrompt: textOf(upstream("negative")),
+    seed: asNumber(widgets[0]),
+    sampler: asText(widgets[4]),
+    scheduler: asText(widgets[5]),
+    steps: asNumber(widgets[2]),
+    cfg: asNumber(widgets[3]),
+    model: loader ? asText(loader.widgets_values[0]) : null,
+  };
+}
+
+function summarizeComfyPayload(payload) {
+  if (!payload) return null;
+  if (payload.prompt) {
+    const summary = summarizeApiPrompt(payload.prompt);
+    if (summary) return summary;
+  }
+  if (payload.workflow) {
+    return summarizeUiWorkflow(payload.workflow);
+  }
+  return null;
+}
+
+async function getComfyWorkflow(filePath, stats = null) {
+  const fileStats = stats || (await fs.promises.stat(filePath));
+  const key = cacheKey(filePath, fileStats);
+  if (CACHE.has(key)) {
+    return CACHE.get(key);
+  }
+
+  const ext = path.extname(filePath).toLowerCase();
+  let result = null;
+
+  try {
+    let entries = [];
+    if (MP4_EXTENSIONS.has(ext)) {
+      entries = await readMp4MetadataEntries(filePath, fileStats.size);
+    } else if (MATROSKA_EXTENSIONS.has(ext)) {
+      entries = await readMatroskaMetadataEntries(filePath, fileStats.size);
+    }
+    const payload = extractComfyPayload(entries);
+    if (payload) {
+      result = {
+        prompt: payload.prompt,
+        workflow: payload.workflow,
+        summary: summarizeComfyPayload(payload),
+      };
+    }
+  } catch (error) {
+    console.warn(`[workflow] Failed to parse ${filePath}:`, error.message || error);
+    result = null;
+  }
+
+  CACHE.set(key, result);
+  return result;
+}
+
+module.exports = {
+  getComfyWorkflow,
+  __internals: {
+    parseMp4MetadataEntries,
+    parseMatroskaTags,
+    extractComfyPayload,
+    summarizeComfyPayload,
+  },
+};
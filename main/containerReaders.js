@@ -0,0 +1,213 @@
+// main/containerReaders.js
+// Low-level readers for MP4/QuickTime atoms and Matroska/WebM EBML elements,
+// shared by the media probes (videoDimensions.js) and the embedded workflow
+// reader (comfyWorkflow.js). They only walk structure; what a box or element
+// means is up to the caller.
+
+const MP4_EXTENSIONS = new Set([".mp4", ".m4v", ".mov", ".qt"]); // quicktime family
+
+const MATROSKA_EXTENSIONS = new Set([".mkv", ".webm", ".mk3d", ".mka"]);
+
+const EBML_SEGMENT = 0x18538067;
+
+// ---------------------------------------------------------------------------
+// MP4 / QuickTime
+// ---------------------------------------------------------------------------
+
+function readUInt64(buffer, offset) {
+  if (offset + 8 > buffer.length) return null;
+  return buffer.readUInt32BE(offset) * 0x100000000 + buffer.readUInt32BE(offset + 4);
+}
+
+// Atom types are read as latin1 so "©cmt" (0xA9 'c' 'm' 't') survives intact.
+function readAtom(buffer, offset) {
+  if (offset + 8 > buffer.length) return null;
+  let size = buffer.readUInt32BE(offset);
+  const type = buffer.toString("latin1", offset + 4, offset + 8);
+  let headerSize = 8;
+
+  if (size === 1) {
+    if (offset + 16 > buffer.length) return null;
+    size = readUInt64(buffer, offset + 8);
+    headerSize = 16;
+  } else if (size === 0) {
+    size = buffer.length - offset;
+  }
+
+  if (size < headerSize || offset + size > buffer.length) {
+    return null;
+  }
+
+  return {
+    type,
+    size,
+    headerSize,
+    start: offset,
+    end: offset + size,
+    data: buffer.slice(offset + headerSize, offset + size),
+  };
+}
+
+function listAtoms(buffer) {
+  const atoms = [];
+  let offset = 0;
+  while (offset + 8 <= buffer.length) {
+    const atom = readAtom(buffer, offset);
+    if (!atom) break;
+    atoms.push(atom);
+    offset = atom.end;
+  }
+  return atoms;
+}
+
+function findAtom(buffer, type) {
+  let offset = 0;
+  while (offset + 8 <= buffer.length) {
+    const atom = readAtom(buffer, offset);
+    if (!atom) break;
+    if (atom.type === type) return atom;
+    offset = atom.end;
+  }
+  return null;
+}
+
+function findAtomPath(buffer, types) {
+  let current = buffer;
+  let atom = null;
+  for (const type of types) {
+    atom = findAtom(current, type);
+    if (!atom) return null;
+    current = atom.data;
+  }
+  return atom;
+}
+
+// Walks top-level boxes by their headers so a box written after a large
+// mdat (e.g. moov without faststart) is found without reading the payload.
+// Resolves to the box's payload, or null when missing or over `maxSize`.
+async function readTopLevelAtom(handle, fileSize, type, maxSize) {
+  const header = Buffer.alloc(16);
+  let offset = 0;
+  while (offset + 8 <= fileSize) {
+    const { bytesRead } = await handle.read(header, 0, 16, offset);
+    if (bytesRead < 8) return null;
+    let size = header.readUInt32BE(0);
+    const atomType = header.toString("latin1", 4, 8);
+    let headerSize = 8;
+    if (size === 1) {
+      if (bytesRead < 16) return null;
+      size = readUInt64(header, 8);
+      headerSize = 16;
+    } else if (size === 0) {
+      size = fileSize - offset;
+    }
+    if (size < headerSize) return null;
+    if (atomType === type) {
+      if (size - headerSize > maxSize) return null;
+      const payload = Buffer.alloc(size - headerSize);
+      const result = await handle.read(payload, 0, payload.length, offset + headerSize);
+      return payload.slice(0, result.bytesRead);
+    }
+    offset += size;
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Matroska / WebM
+// ---------------------------------------------------------------------------
+
+function decodeVint(buffer, offset) {
+  if (offset >= buffer.length) return null;
+  const firstByte = buffer[offset];
+  let mask = 0x80;
+  let length = 1;
+  while (length <= 8 && (firstByte & mask) === 0) {
+    mask >>= 1;
+    length += 1;
+  }
+  if (length > 8 || offset + length > buffer.length) return null;
+  let value = firstByte & (mask - 1);
+  for (let i = 1; i < length; i++) {
+    value = (value << 8) + buffer[offset + i];
+  }
+  return { length, value };
+}
+
+// Like decodeVint but keeps the length marker on IDs and avoids 32-bit
+// overflow on 8-byte sizes. `unknown` flags the all-ones reserved size.
+function readEbmlHeader(buffer, offset) {
+  const id = decodeVint(buffer, offset);
+  if (!id || id.length > 4) return null;
+  let idValue = 0;
+  for (let i = 0; i < id.length; i++) {
+    idValue = idValue * 256 + buffer[offset + i];
+  }
+
+  const sizeOffset = offset + id.length;
+  if (sizeOffset >= buffer.length) return null;
+  const first = buffer[sizeOffset];
+  let mask = 0x80;
+  let length = 1;
+  while (length <= 8 && (first & mask) === 0) {
+    mask >>= 1;
+    length += 1;
+  }
+  if (length > 8 || sizeOffset + length > buffer.length) return null;
+  let size = first & (mask - 1);
+  let allOnes = size === mask - 1;
+  for (let i = 1; i < length; i++) {
+    const byte = buffer[sizeOffset + i];
+    size = size * 256 + byte;
+    if (byte !== 0xff) allOnes = false;
+  }
+
+  const dataStart = sizeOffset + length;
+  return { id: idValue, dataStart, size, unknown: allOnes };
+}
+
+function readEbmlUInt(buffer, start, size) {
+  let value = 0;
+  for (let i = 0; i < size && start + i < buffer.length; i++) {
+    value = value * 256 + buffer[start + i];
+  }
+  return value;
+}
+
+function readEbmlFloat(buffer, start, size) {
+  if (size === 4 && start + 4 <= buffer.length) return buffer.readFloatBE(start);
+  if (size === 8 && start + 8 <= buffer.length) return buffer.readDoubleBE(start);
+  return null;
+}
+
+// Calls visit(element, dataEnd) for each element in [start, end); returning
+// false stops the walk. An element running past `end` is visited clipped and
+// ends the walk.
+function forEachEbmlChild(buffer, start, end, visit) {
+  let offset = start;
+  while (offset < end) {
+    const element = readEbmlHeader(buffer, offset);
+    if (!element) return;
+    const dataEnd = element.unknown ? end : Math.min(end, element.dataStart + element.size);
+    if (visit(element, dataEnd) === false) return;
+    if (!element.unknown && element.dataStart + element.size > end) return;
+    offset = element.unknown ? end : element.dataStart + element.size;
+  }
+}
+
+module.exports = {
+  MP4_EXTENSIONS,
+  MATROSKA_EXTENSIONS,
+  EBML_SEGMENT,
+  readUInt64,
+  readAtom,
+  listAtoms,
+  findAtom,
+  findAtomPath,
+  readTopLevelAtom,
+  decodeVint,
+  readEbmlHeader,
+  readEbmlUInt,
+  readEbmlFloat,
+  forEachEbmlChild,
+};
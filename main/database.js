@@ -221,6 +221,12 @@ function initDatabase(app, profilePath) {
       FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
     );
 
+    CREATE TABLE IF NOT EXISTS tag_aliases (
+      alias TEXT PRIMARY KEY COLLATE NOCASE,
+      tag_id INTEGER NOT NULL,
+      FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+    );
+
     CREATE TABLE IF NOT EXISTS ratings (
       fingerprint TEXT PRIMARY KEY,
       value INTEGER NOT NULL CHECK (value BETWEEN 0 AND 5),
@@ -228,8 +234,112 @@ function initDatabase(app, profilePath) {
       FOREIGN KEY (fingerprint) REFERENCES files(fingerprint) ON DELETE CASCADE
     );
 
+    CREATE TABLE IF NOT EXISTS review_marks (
+      fingerprint TEXT PRIMARY KEY,
+      flag TEXT CHECK (flag IN ('pick', 'reject')),
+      label TEXT,
+      updated_at INTEGER NOT NULL,
+      FOREIGN KEY (fingerprint) REFERENCES files(fingerprint) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS comparisons (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      first TEXT NOT NULL,
+      second TEXT NOT NULL,
+      outcome TEXT NOT NULL CHECK (outcome IN ('first', 'second', 'tie')),
+      created_at INTEGER NOT NULL,
+      FOREIGN KEY (first) REFERENCES files(fingerprint) ON DELETE CASCADE,
+      FOREIGN KEY (second) REFERENCES files(fingerprint) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_comparisons_first ON comparisons(first);
+    CREATE INDEX IF NOT EXISTS idx_comparisons_second ON comparisons(second);
+
+    CREATE TABLE IF NOT EXISTS elo_scores (
+      fingerprint TEXT PRIMARY KEY,
+      score REAL NOT NULL,
+      comparisons INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      FOREIGN KEY (fingerprint) REFERENCES files(fingerprint) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS notes (
+      fingerprint TEXT PRIMARY KEY,
+      text TEXT NOT NULL,
+      updated_at INTEGER NOT NULL,
+      FOREIGN KEY (fingerprint) REFERENCES files(fingerprint) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS custom_fields (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      type TEXT NOT NULL,
+      options_json TEXT,
+      position INTEGER NOT NULL,
+      created_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS custom_field_values (
+      fingerprint TEXT NOT NULL,
+      field_id INTEGER NOT NULL,
+      value TEXT NOT NULL,
+      updated_at INTEGER NOT NULL,
+      PRIMARY KEY (fingerprint, field_id),
+      FOREIGN KEY (fingerprint) REFERENCES files(fingerprint) ON DELETE CASCADE,
+      FOREIGN KEY (field_id) REFERENCES custom_fields(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS saved_searches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      filters_json TEXT NOT NULL,
+      sort_value TEXT,
+      group_by_folders INTEGER,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS collections (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS collection_items (
+      collection_id INTEGER NOT NULL,
+      fingerprint TEXT NOT NULL,
+      position INTEGER NOT NULL,
+      added_at INTEGER NOT NULL,
+      PRIMARY KEY (collection_id, fingerprint),
+      FOREIGN KEY (collection_id) REFERENCES collections(id) ON DELETE CASCADE,
+      FOREIGN KEY (fingerprint) REFERENCES files(fingerprint) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS perceptual_hashes (
+      fingerprint TEXT PRIMARY KEY,
+      hash TEXT NOT NULL,
+      computed_at INTEGER NOT NULL,
+      FOREIGN KEY (fingerprint) REFERENCES files(fingerprint) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS scan_index (
+      root TEXT NOT NULL,
+      path TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      mtime_ms REAL NOT NULL,
+      created_ms INTEGER,
+      fingerprint TEXT,
+      width INTEGER,
+      height INTEGER,
+      indexed_at INTEGER NOT NULL,
+      PRIMARY KEY (root, path)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_scan_index_path ON scan_index(path);
     CREATE INDEX IF NOT EXISTS idx_files_path ON files(last_known_path);
     CREATE INDEX IF NOT EXISTS idx_file_tags_tag ON file_tags(tag_id);
+    CREATE INDEX IF NOT EXISTS idx_collection_items_order ON collection_items(collection_id, position);
   `);
 
   dbInstance = db;
@@ -237,6 +347,330 @@ function initDatabase(app, profilePath) {
   return db;
 }
 
+// Turns free text into an FTS5 MATCH expression. Quoted phrases stay
+// phrases, bare words become prefix terms, and everything is AND-ed.
+function buildSearchQuery(input) {
+  const text = (input ?? '').toString();
+  const terms = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[1] !== undefined) {
+      const phrase = match[1].trim().replace(/"/g, '');
+      if (phrase) terms.push(`"${phrase}"`);
+    } else {
+      const word = match[2].replace(/"/g, '');
+      if (word) terms.push(`"${word}"*`);
+    }
+  }
+  return terms.join(' ');
+}
+
+function createSearchIndex(db) {
+  let available = true;
+  let backfill = false;
+  try {
+    const existed = db
+      .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'file_search';")
+      .get();
+    db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS file_search USING fts5(
+        fingerprint UNINDEXED,
+        filename,
+        prompt,
+        tags,
+        tokenize = 'unicode61 remove_diacritics 2'
+      );
+    `);
+    backfill = !existed;
+  } catch (error) {
+    console.warn('[database] Full-text search unavailable', error?.message || error);
+    available = false;
+  }
+
+  if (!available) {
+    return { available, refresh: () => {}, search: () => [] };
+  }
+
+  const sourceRow = db.prepare(`
+    SELECT f.rowid AS rowid,
+           f.last_known_path AS path,
+           COALESCE(f.prompt_text, '') AS prompt,
+           COALESCE((
+             SELECT group_concat(t.name, ' ')
+             FROM file_tags ft
+             INNER JOIN tags t ON t.id = ft.tag_id
+             WHERE ft.fingerprint = f.fingerprint
+           ), '') AS tags
+    FROM files f
+    WHERE f.fingerprint = ?;
+  `);
+  // Entries share the rowid of their `files` row so updates stay O(log n).
+  const upsertEntry = db.prepare(`
+    INSERT OR REPLACE INTO file_search (rowid, fingerprint, filename, prompt, tags)
+    VALUES (?, ?, ?, ?, ?);
+  `);
+  const matchEntries = db.prepare(`
+    SELECT fingerprint FROM file_search
+    WHERE file_search MATCH ?
+    ORDER BY bm25(file_search, 0.0, 2.0, 1.0, 4.0)
+    LIMIT ?;
+  `);
+
+  function refresh(fingerprint) {
+    if (!fingerprint) return;
+    const row = sourceRow.get(fingerprint);
+    if (!row) return;
+    upsertEntry.run(
+      row.rowid,
+      fingerprint,
+      path.basename(row.path || ''),
+      row.prompt,
+      row.tags
+    );
+  }
+
+  // Unlimited unless asked: the renderer filters the whole library by it.
+  function search(query, limit = -1) {
+    const expression = buildSearchQuery(query);
+    if (!expression) return [];
+    return matchEntries.all(expression, limit).map((row) => row.fingerprint);
+  }
+
+  if (backfill) {
+    const fingerprints = db.prepare('SELECT fingerprint FROM files;').all();
+    db.transaction(() => {
+      fingerprints.forEach((row) => refresh(row.fingerprint));
+    })();
+  }
+
+  return { available, refresh, search };
+}
+
+function normalizeDimension(value) {
+  const num = Number(value);
+  if (!Number.isFinite(num) || num <= 0) return null;
+  return Math.round(num);
+}
+
+// The `files` columns a scan writes: the row itself, dimensions, the media
+// probe and the embedded prompt. Index workers build one on their own
+// connection, so scans write without going through the metadata store.
+function createFileIndex(db, searchIndex = createSearchIndex(db)) {
+  const fileUpsert = db.prepare(`
+    INSERT INTO files (fingerprint, last_known_path, size, created_ms, updated_at, width, height)
+    VALUES (@fingerprint, @last_known_path, @size, @created_ms, @updated_at, @width, @height)
+    ON CONFLICT(fingerprint) DO UPDATE SET
+      last_known_path=excluded.last_known_path,
+      size=excluded.size,
+      created_ms=excluded.created_ms,
+      updated_at=excluded.updated_at,
+      width=COALESCE(excluded.width, files.width),
+      height=COALESCE(excluded.height, files.height);
+  `);
+
+  const fileSelect = db.prepare(
+    'SELECT width, height FROM files WHERE fingerprint = ?;'
+  );
+
+  const setDimensionsStmt = db.prepare(
+    'UPDATE files SET width = ?, height = ? WHERE fingerprint = ?;'
+  );
+
+  const promptStateSelect = db.prepare(
+    'SELECT prompt_scanned_at AS scannedAt FROM files WHERE fingerprint = ?;'
+  );
+
+  const setPromptTextStmt = db.prepare(
+    'UPDATE files SET prompt_text = ?, prompt_scanned_at = ? WHERE fingerprint = ?;'
+  );
+
+  const mediaInfoSelect = db.prepare(`
+    SELECT duration_sec AS duration, video_codec AS videoCodec, fps, has_audio AS hasAudio,
+      bitrate, media_probed_at AS probedAt
+    FROM files WHERE fingerprint = ?;
+  `);
+
+  const setMediaInfoStmt = db.prepare(`
+    UPDATE files SET duration_sec = ?, video_codec = ?, fps = ?, has_audio = ?, bitrate = ?,
+      media_probed_at = ?
+    WHERE fingerprint = ?;
+  `);
+
+  function writeFileRecord(
+    fingerprint,
+    filePath,
+    stats,
+    createdMsOverride,
+    dimensions
+  ) {
+    const now = Date.now();
+    const createdMs = createdMsOverride ?? Math.round(
+      stats.birthtimeMs || stats.ctimeMs || stats.mtimeMs || 0
+    );
+    fileUpsert.run({
+      fingerprint,
+      last_known_path: filePath,
+      size: Number(stats.size || 0),
+      created_ms: createdMs,
+      updated_at: now,
+      width: normalizeDimension(dimensions?.width),
+      height: normalizeDimension(dimensions?.height),
+    });
+  }
+
+  function getDimensions(fingerprint) {
+    if (!fingerprint) return null;
+    const row = fileSelect.get(fingerprint);
+    if (!row) return null;
+    const width = Number(row.width) || 0;
+    const height = Number(row.height) || 0;
+    if (width > 0 && height > 0) {
+      return { width, height, aspectRatio: width / height };
+    }
+    return null;
+  }
+
+  function setDimensions(fingerprint, dimensions) {
+    if (!fingerprint) return;
+    const width = normalizeDimension(dimensions?.width);
+    const height = normalizeDimension(dimensions?.height);
+    if (!width || !height) return;
+    setDimensionsStmt.run(width, height, fingerprint);
+  }
+
+  function needsPromptScan(fingerprint) {
+    if (!fingerprint) return false;
+    const row = promptStateSelect.get(fingerprint);
+    return !!row && row.scannedAt === null;
+  }
+
+  function setPromptText(fingerprint, text) {
+    if (!fingerprint) return;
+    const value = (text ?? '').toString().trim();
+    setPromptTextStmt.run(value || null, Date.now(), fingerprint);
+    searchIndex.refresh(fingerprint);
+  }
+
+  function needsMediaProbe(fingerprint) {
+    if (!fingerprint) return false;
+    const row = mediaInfoSelect.get(fingerprint);
+    return !!row && row.probedAt === null;
+  }
+
+  function getMediaInfo(fingerprint) {
+    if (!fingerprint) return null;
+    const row = mediaInfoSelect.get(fingerprint);
+    if (!row || row.probedAt === null) return null;
+    return {
+      duration: row.duration,
+      videoCodec: row.videoCodec,
+      fps: row.fps,
+      hasAudio: row.hasAudio === null ? null : row.hasAudio === 1,
+      bitrate: row.bitrate,
+    };
+  }
+
+  function setMediaInfo(fingerprint, info) {
+    if (!fingerprint) return;
+    const finite = (value) => (Number.isFinite(value) ? value : null);
+    // Unreadable files are stamped too so they are not re-probed every scan
+    setMediaInfoStmt.run(
+      finite(info?.duration),
+      info?.videoCodec || null,
+      finite(info?.fps),
+      typeof info?.hasAudio === 'boolean' ? (info.hasAudio ? 1 : 0) : null,
+      Number.isFinite(info?.bitrate) ? Math.round(info.bitrate) : null,
+      Date.now(),
+      fingerprint
+    );
+  }
+
+  return {
+    writeFileRecord,
+    refreshSearch: searchIndex.refresh,
+    getDimensions,
+    setDimensions,
+    needsPromptScan,
+    setPromptText,
+    needsMediaProbe,
+    getMediaInfo,
+    setMediaInfo,
+  };
+}
+
+// Pick/reject flags and colour labels, Lightroom style. Both sit beside the
+// star rating rather than replacing it.
+const REVIEW_FLAGS = ['pick', 'reject'];
+const COLOR_LABELS = ['red', 'yellow', 'green', 'blue', 'purple'];
+
+function normalizeMark(value, allowed, kind) {
+  if (value === null || value === undefined || value === '') return null;
+  const clean = value.toString().trim().toLowerCase();
+  if (!allowed.includes(clean)) throw new Error(`Unknown ${kind} "${value}"`);
+  return clean;
+}
+
+// Head-to-head comparisons. `comparisons` is the log of outcomes and
+// `elo_scores` the running Elo rating it produces, so sorting never replays.
+const COMPARISON_OUTCOMES = ['first', 'second', 'tie'];
+const ELO_START = 1500;
+const ELO_K = 32;
+
+// New ratings for a pair, given the first clip's result (1, 0.5 or 0).
+function eloUpdate(first, second, result) {
+  const expected = 1 / (1 + 10 ** ((second - first) / 400));
+  const delta = ELO_K * (result - expected);
+  return [first + delta, second - delta];
+}
+
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'enum'];
+
+function normalizeFieldOptions(options) {
+  const seen = new Set();
+  const result = [];
+  (Array.isArray(options) ? options : []).forEach((option) => {
+    const value = (option ?? '').toString().trim();
+    if (!value || seen.has(value.toLowerCase())) return;
+    seen.add(value.toLowerCase());
+    result.push(value);
+  });
+  return result;
+}
+
+// Checks a value against its field's type. Returns the string to store, or
+// null to clear the value; throws on anything the type cannot hold.
+function normalizeFieldValue(field, value) {
+  if (value === null || value === undefined) return null;
+  const text = value.toString().trim();
+  if (!text) return null;
+  switch (field.type) {
+    case 'number': {
+      const number = Number(text);
+      if (!Number.isFinite(number)) throw new Error(`${field.name} needs a number`);
+      return String(number);
+    }
+    case 'date': {
+      const date = new Date(`${text}T00:00:00Z`);
+      if (
+        !/^\d{4}-\d{2}-\d{2}$/.test(text) ||
+        Number.isNaN(date.getTime()) ||
+        date.toISOString().slice(0, 10) !== text
+      ) {
+        throw new Error(`${field.name} needs a date as YYYY-MM-DD`);
+      }
+      return text;
+    }
+    case 'enum': {
+      const option = field.options.find((entry) => entry.toLowerCase() === text.toLowerCase());
+      if (!option) throw new Error(`"${text}" is not an option for ${field.name}`);
+      return option;
+    }
+    default:
+      return text;
+  }
+}
+
 function createMetadataStore(db) {
   const columns = new Set(
     db
@@ -260,39 +694,133 @@ function createMetadataStore(db) {
     }
   }
 
-  const fileUpsert = db.prepare(`
-    INSERT INTO files (fingerprint, last_known_path, size, created_ms, updated_at, width, height)
-    VALUES (@fingerprint, @last_known_path, @size, @created_ms, @updated_at, @width, @height)
-    ON CONFLICT(fingerprint) DO UPDATE SET
-      last_known_path=excluded.last_known_path,
-      size=excluded.size,
-      created_ms=excluded.created_ms,
-      updated_at=excluded.updated_at,
-      width=COALESCE(excluded.width, files.width),
-      height=COALESCE(excluded.height, files.height);
-  `);
+  if (!columns.has('prompt_text')) {
+    try {
+      db.exec('ALTER TABLE files ADD COLUMN prompt_text TEXT;');
+    } catch (error) {
+      if (!/duplicate column/i.test(error?.message || '')) throw error;
+    }
+  }
+  if (!columns.has('prompt_scanned_at')) {
+    try {
+      db.exec('ALTER TABLE files ADD COLUMN prompt_scanned_at INTEGER;');
+    } catch (error) {
+      if (!/duplicate column/i.test(error?.message || '')) throw error;
+    }
+  }
+
+  // Container probe results (see videoDimensions.getVideoMediaInfo)
+  [
+    ['duration_sec', 'REAL'],
+    ['video_codec', 'TEXT'],
+    ['fps', 'REAL'],
+    ['has_audio', 'INTEGER'],
+    ['bitrate', 'INTEGER'],
+    ['media_probed_at', 'INTEGER'],
+  ].forEach(([name, type]) => {
+    if (columns.has(name)) return;
+    try {
+      db.exec(`ALTER TABLE files ADD COLUMN ${name} ${type};`);
+    } catch (error) {
+      if (!/duplicate column/i.test(error?.message || '')) throw error;
+    }
+  });
+
+  // Tag hierarchy and colours. Namespaced names ("model:wan") are nested
+  // under their namespace ("model") automatically; other tags can be
+  // re-parented by hand.
+  const tagColumns = new Set(
+    db
+      .prepare('PRAGMA table_info(tags);')
+      .all()
+      .map((row) => row.name)
+  );
+  const addedTagParents = !tagColumns.has('parent_id');
+  if (addedTagParents) {
+    try {
+      db.exec(
+        'ALTER TABLE tags ADD COLUMN parent_id INTEGER REFERENCES tags(id) ON DELETE SET NULL;'
+      );
+    } catch (error) {
+      if (!/duplicate column/i.test(error?.message || '')) throw error;
+    }
+  }
+  if (!tagColumns.has('color')) {
+    try {
+      db.exec('ALTER TABLE tags ADD COLUMN color TEXT;');
+    } catch (error) {
+      if (!/duplicate column/i.test(error?.message || '')) throw error;
+    }
+  }
+
+  const searchIndex = createSearchIndex(db);
+  const fileIndex = createFileIndex(db, searchIndex);
+  const {
+    writeFileRecord,
+    getDimensions,
+    setDimensions,
+    needsPromptScan,
+    setPromptText,
+    needsMediaProbe,
+    getMediaInfo,
+    setMediaInfo,
+  } = fileIndex;
 
   const tagInsert = db.prepare(`
     INSERT INTO tags (name) VALUES (?)
     ON CONFLICT(name) DO NOTHING;
   `);
 
-  const tagSelect = db.prepare(`SELECT id, name FROM tags WHERE name = ? COLLATE NOCASE`);
+  const tagSelect = db.prepare(
+    `SELECT id, name, parent_id AS parentId FROM tags WHERE name = ? COLLATE NOCASE`
+  );
   const tagUsage = db.prepare(`
-    SELECT t.name AS name, COUNT(ft.fingerprint) AS usageCount
+    SELECT t.name AS name, COUNT(ft.fingerprint) AS usageCount, t.color AS color,
+      p.name AS parent
     FROM tags t
     LEFT JOIN file_tags ft ON ft.tag_id = t.id
+    LEFT JOIN tags p ON p.id = t.parent_id
     GROUP BY t.id
     ORDER BY t.name COLLATE NOCASE;
   `);
 
-  const fileSelect = db.prepare(
-    'SELECT width, height FROM files WHERE fingerprint = ?;'
+  const tagParentSelect = db.prepare('SELECT parent_id AS parentId FROM tags WHERE id = ?;');
+  const setTagParentStmt = db.prepare('UPDATE tags SET parent_id = ? WHERE id = ?;');
+  const setTagColorStmt = db.prepare('UPDATE tags SET color = ? WHERE id = ?;');
+  const countTagChildren = db.prepare(
+    'SELECT COUNT(*) AS count FROM tags WHERE parent_id = ?;'
   );
+  const tagByIdSelect = db.prepare(
+    'SELECT id, name, parent_id AS parentId FROM tags WHERE id = ?;'
+  );
+  const renameTagStmt = db.prepare('UPDATE tags SET name = ? WHERE id = ?;');
+  const reparentChildrenStmt = db.prepare(
+    'UPDATE tags SET parent_id = ? WHERE parent_id = ? AND id != ?;'
+  );
+  const tagFingerprintsSelect = db.prepare(
+    'SELECT fingerprint FROM file_tags WHERE tag_id = ?;'
+  );
+  const copyTagLinksStmt = db.prepare(`
+    INSERT INTO file_tags (fingerprint, tag_id, added_at)
+    SELECT fingerprint, ?, added_at FROM file_tags WHERE tag_id = ?
+    ON CONFLICT(fingerprint, tag_id) DO NOTHING;
+  `);
 
-  const setDimensionsStmt = db.prepare(
-    'UPDATE files SET width = ?, height = ? WHERE fingerprint = ?;'
+  const aliasSelect = db.prepare(
+    'SELECT tag_id AS tagId FROM tag_aliases WHERE alias = ? COLLATE NOCASE;'
   );
+  const aliasList = db.prepare(`
+    SELECT a.alias AS alias, t.name AS tag
+    FROM tag_aliases a
+    INNER JOIN tags t ON t.id = a.tag_id
+    ORDER BY a.alias COLLATE NOCASE;
+  `);
+  const aliasUpsert = db.prepare(`
+    INSERT INTO tag_aliases (alias, tag_id) VALUES (?, ?)
+    ON CONFLICT(alias) DO UPDATE SET tag_id = excluded.tag_id;
+  `);
+  const aliasDelete = db.prepare('DELETE FROM tag_aliases WHERE alias = ? COLLATE NOCASE;');
+  const moveAliasesStmt = db.prepare('UPDATE tag_aliases SET tag_id = ? WHERE tag_id = ?;');
 
   const tagsForFingerprint = db.prepare(`
     SELECT t.name AS name
@@ -330,124 +858,848 @@ function createMetadataStore(db) {
 
   const deleteRatingStmt = db.prepare(`DELETE FROM ratings WHERE fingerprint = ?;`);
 
+  const marksSelect = db.prepare(
+    'SELECT flag, label FROM review_marks WHERE fingerprint = ?;'
+  );
+  const flagUpsert = db.prepare(`
+    INSERT INTO review_marks (fingerprint, flag, updated_at)
+    VALUES (?, ?, ?)
+    ON CONFLICT(fingerprint) DO UPDATE SET flag=excluded.flag, updated_at=excluded.updated_at;
+  `);
+  const labelUpsert = db.prepare(`
+    INSERT INTO review_marks (fingerprint, label, updated_at)
+    VALUES (?, ?, ?)
+    ON CONFLICT(fingerprint) DO UPDATE SET label=excluded.label, updated_at=excluded.updated_at;
+  `);
+  const emptyMarksDelete = db.prepare(
+    'DELETE FROM review_marks WHERE fingerprint = ? AND flag IS NULL AND label IS NULL;'
+  );
+
+  const eloSelect = db.prepare(
+    'SELECT score, comparisons FROM elo_scores WHERE fingerprint = ?;'
+  );
+  const eloUpsert = db.prepare(`
+    INSERT INTO elo_scores (fingerprint, score, comparisons, updated_at)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(fingerprint) DO UPDATE SET
+      score=excluded.score,
+      comparisons=excluded.comparisons,
+      updated_at=excluded.updated_at;
+  `);
+  const eloFingerprints = db.prepare('SELECT fingerprint FROM elo_scores;');
+  const eloDeleteAll = db.prepare('DELETE FROM elo_scores;');
+  const comparisonInsert = db.prepare(`
+    INSERT INTO comparisons (first, second, outcome, created_at) VALUES (?, ?, ?, ?);
+  `);
+  const comparisonsAll = db.prepare(
+    'SELECT first, second, outcome FROM comparisons ORDER BY id;'
+  );
+  const comparisonLast = db.prepare(
+    'SELECT id, first, second FROM comparisons ORDER BY id DESC LIMIT 1;'
+  );
+  const comparisonDelete = db.prepare('DELETE FROM comparisons WHERE id = ?;');
+
+  const notesSelect = db.prepare('SELECT text FROM notes WHERE fingerprint = ?;');
+  const notesUpsert = db.prepare(`
+    INSERT INTO notes (fingerprint, text, updated_at)
+    VALUES (?, ?, ?)
+    ON CONFLICT(fingerprint) DO UPDATE SET text=excluded.text, updated_at=excluded.updated_at;
+  `);
+  const notesDelete = db.prepare('DELETE FROM notes WHERE fingerprint = ?;');
+
+  const customFieldList = db.prepare(`
+    SELECT id, name, type, options_json AS optionsJson
+    FROM custom_fields
+    ORDER BY position, id;
+  `);
+  const customFieldById = db.prepare(`
+    SELECT id, name, type, options_json AS optionsJson FROM custom_fields WHERE id = ?;
+  `);
+  const customFieldByName = db.prepare(
+    'SELECT id FROM custom_fields WHERE name = ? COLLATE NOCASE;'
+  );
+  const customFieldInsert = db.prepare(`
+    INSERT INTO custom_fields (name, type, options_json, position, created_at)
+    VALUES (?, ?, ?, (SELECT COALESCE(MAX(position), -1) + 1 FROM custom_fields), ?);
+  `);
+  const customFieldUpdate = db.prepare(
+    'UPDATE custom_fields SET name = ?, options_json = ? WHERE id = ?;'
+  );
+  const customFieldDelete = db.prepare('DELETE FROM custom_fields WHERE id = ?;');
+  const fieldValuesForFingerprint = db.prepare(`
+    SELECT v.field_id AS fieldId, v.value AS value, f.type AS type
+    FROM custom_field_values v
+    INNER JOIN custom_fields f ON f.id = v.field_id
+    WHERE v.fingerprint = ?;
+  `);
+  const fieldValueUpsert = db.prepare(`
+    INSERT INTO custom_field_values (fingerprint, field_id, value, updated_at)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(fingerprint, field_id) DO UPDATE SET
+      value=excluded.value,
+      updated_at=excluded.updated_at;
+  `);
+  const fieldValueDelete = db.prepare(
+    'DELETE FROM custom_field_values WHERE fingerprint = ? AND field_id = ?;'
+  );
+  const fieldValuesByField = db.prepare(
+    'SELECT fingerprint, value FROM custom_field_values WHERE field_id = ?;'
+  );
+
+  const savedSearchList = db.prepare(`
+    SELECT id, name, filters_json, sort_value, group_by_folders, created_at, updated_at
+    FROM saved_searches
+    ORDER BY name COLLATE NOCASE;
+  `);
+
+  const savedSearchUpsert = db.prepare(`
+    INSERT INTO saved_searches (name, filters_json, sort_value, group_by_folders, created_at, updated_at)
+    VALUES (@name, @filters_json, @sort_value, @group_by_folders, @now, @now)
+    ON CONFLICT(name) DO UPDATE SET
+      filters_json=excluded.filters_json,
+      sort_value=excluded.sort_value,
+      group_by_folders=excluded.group_by_folders,
+      updated_at=excluded.updated_at;
+  `);
+
+  const savedSearchDelete = db.prepare('DELETE FROM saved_searches WHERE id = ?;');
+
+  const collectionList = db.prepare(`
+    SELECT c.id, c.name, c.created_at, c.updated_at,
+           (SELECT COUNT(*) FROM collection_items ci WHERE ci.collection_id = c.id) AS item_count
+    FROM collections c
+    ORDER BY c.name COLLATE NOCASE;
+  `);
+
+  const collectionSelect = db.prepare('SELECT id, name FROM collections WHERE id = ?;');
+
+  const collectionInsert = db.prepare(`
+    INSERT INTO collections (name, created_at, updated_at)
+    VALUES (?, ?, ?)
+    ON CONFLICT(name) DO UPDATE SET updated_at=excluded.updated_at
+    RETURNING id;
+  `);
+
+  const collectionTouch = db.prepare('UPDATE collections SET updated_at = ? WHERE id = ?;');
+
+  const collectionDelete = db.prepare('DELETE FROM collections WHERE id = ?;');
+
+  const collectionItemsSelect = db.prepare(`
+    SELECT ci.fingerprint, ci.position, f.last_known_path AS path
+    FROM collection_items ci
+    INNER JOIN files f ON f.fingerprint = ci.fingerprint
+    WHERE ci.collection_id = ?
+    ORDER BY ci.position, ci.added_at;
+  `);
+
+  const collectionMaxPosition = db.prepare(
+    'SELECT COALESCE(MAX(position), -1) AS position FROM collection_items WHERE collection_id = ?;'
+  );
+
+  const collectionItemInsert = db.prepare(`
+    INSERT OR IGNORE INTO collection_items (collection_id, fingerprint, position, added_at)
+    SELECT ?, fingerprint, ?, ? FROM files WHERE fingerprint = ?;
+  `);
+
+  const collectionItemDelete = db.prepare(
+    'DELETE FROM collection_items WHERE collection_id = ? AND fingerprint = ?;'
+  );
+
+  const collectionItemPosition = db.prepare(
+    'UPDATE collection_items SET position = ? WHERE collection_id = ? AND fingerprint = ?;'
+  );
+
+  const perceptualHashSelect = db.prepare(
+    'SELECT hash FROM perceptual_hashes WHERE fingerprint = ?;'
+  );
+
+  const perceptualHashUpsert = db.prepare(`
+    INSERT INTO perceptual_hashes (fingerprint, hash, computed_at)
+    SELECT fingerprint, ?, ? FROM files WHERE fingerprint = ?
+    ON CONFLICT(fingerprint) DO UPDATE SET hash=excluded.hash, computed_at=excluded.computed_at;
+  `);
+
+  const scanIndexSelect = db.prepare(`
+    SELECT root, path, size, mtime_ms AS mtimeMs, created_ms AS createdMs, fingerprint,
+      width, height
+    FROM scan_index WHERE root = ?;
+  `);
+
+  const scanIndexUpsert = db.prepare(`
+    INSERT INTO scan_index (root, path, size, mtime_ms, created_ms, fingerprint, width, height, indexed_at)
+    VALUES (@root, @path, @size, @mtimeMs, @createdMs, @fingerprint, @width, @height, @indexedAt)
+    ON CONFLICT(root, path) DO UPDATE SET
+      size=excluded.size,
+      mtime_ms=excluded.mtime_ms,
+      created_ms=excluded.created_ms,
+      fingerprint=excluded.fingerprint,
+      width=excluded.width,
+      height=excluded.height,
+      indexed_at=excluded.indexed_at;
+  `);
+
+  const scanIndexDeletePath = db.prepare('DELETE FROM scan_index WHERE path = ?;');
+  const scanIndexDeleteEntry = db.prepare('DELETE FROM scan_index WHERE root = ? AND path = ?;');
+
+  const exportFilesSelect = db.prepare(`
+    SELECT f.fingerprint, f.last_known_path AS path, f.size, f.created_ms AS createdMs,
+      f.updated_at AS updatedAt, f.width, f.height,
+      r.value AS rating, r.updated_at AS ratingUpdatedAt
+    FROM files f
+    LEFT JOIN ratings r ON r.fingerprint = f.fingerprint
+    ORDER BY f.last_known_path COLLATE NOCASE;
+  `);
+
+  const exportTagsSelect = db.prepare(`
+    SELECT ft.fingerprint, t.name AS name, ft.added_at AS addedAt
+    FROM file_tags ft
+    INNER JOIN tags t ON t.id = ft.tag_id
+    ORDER BY t.name COLLATE NOCASE;
+  `);
+
+  const fileInsertIfMissing = db.prepare(`
+    INSERT INTO files (fingerprint, last_known_path, size, created_ms, updated_at, width, height)
+    VALUES (@fingerprint, @last_known_path, @size, @created_ms, @updated_at, @width, @height)
+    ON CONFLICT(fingerprint) DO NOTHING;
+  `);
+
+  const tagLinksForFingerprint = db.prepare(`
+    SELECT ft.tag_id AS id, t.name AS name, ft.added_at AS addedAt
+    FROM file_tags ft
+    INNER JOIN tags t ON t.id = ft.tag_id
+    WHERE ft.fingerprint = ?;
+  `);
+
+  const ratingRowSelect = db.prepare(
+    'SELECT value, updated_at AS updatedAt FROM ratings WHERE fingerprint = ?;'
+  );
+
+  const filePathSelect = db.prepare(
+    'SELECT last_known_path AS path FROM files WHERE fingerprint = ?;'
+  );
+
+  const fingerprintForPathSelect = db.prepare(`
+    SELECT fingerprint FROM scan_index
+    WHERE path = ? AND fingerprint IS NOT NULL
+    ORDER BY indexed_at DESC LIMIT 1;
+  `);
+
+  const fingerprintForKnownPathSelect = db.prepare(`
+    SELECT fingerprint FROM files
+    WHERE last_known_path = ?
+    ORDER BY updated_at DESC LIMIT 1;
+  `);
+
+  const metadataUpdatedAtSelect = db.prepare(`
+    SELECT MAX(
+      COALESCE((SELECT MAX(added_at) FROM file_tags WHERE fingerprint = @fingerprint), 0),
+      COALESCE((SELECT updated_at FROM ratings WHERE fingerprint = @fingerprint), 0)
+    ) AS updatedAt;
+  `);
+
+  const changeListeners = new Set();
+
   const metadataCache = new Map();
 
   function cacheKey(filePath, stats) {
     return `${filePath}::${stats.mtimeMs || 0}::${stats.size || 0}`;
   }
 
-  async function ensureFingerprint(filePath, stats) {
-    if (!stats) {
-      stats = await fs.promises.stat(filePath);
-    }
-    const key = cacheKey(filePath, stats);
-    const cached = metadataCache.get(key);
-    if (cached?.fingerprint) {
-      return { fingerprint: cached.fingerprint, createdMs: cached.createdMs };
+  async function ensureFingerprint(filePath, stats) {
+    if (!stats) {
+      stats = await fs.promises.stat(filePath);
+    }
+    const key = cacheKey(filePath, stats);
+    const cached = metadataCache.get(key);
+    if (cached?.fingerprint) {
+      return { fingerprint: cached.fingerprint, createdMs: cached.createdMs };
+    }
+
+    const result = await computeFingerprint(filePath, stats);
+    metadataCache.set(key, { fingerprint: result.fingerprint, createdMs: result.createdMs });
+    return result;
+  }
+
+  // Listeners hear about tag and rating edits (e.g. to mirror them into XMP
+  // sidecars). A failing listener never rolls back the edit itself.
+  function onMetadataChanged(listener) {
+    if (typeof listener !== 'function') return () => {};
+    changeListeners.add(listener);
+    return () => changeListeners.delete(listener);
+  }
+
+  function emitMetadataChanged(fingerprints) {
+    const list = (fingerprints || []).filter(Boolean);
+    if (!list.length) return;
+    changeListeners.forEach((listener) => {
+      try {
+        listener(list);
+      } catch (error) {
+        console.warn('[database] Metadata change listener failed', error);
+      }
+    });
+  }
+
+  function getFilePaths(fingerprints) {
+    const result = {};
+    (fingerprints || []).forEach((fingerprint) => {
+      if (!fingerprint) return;
+      const row = filePathSelect.get(fingerprint);
+      if (row?.path) result[fingerprint] = row.path;
+    });
+    return result;
+  }
+
+  // Fingerprint last seen at `filePath`, for a file that may already be gone
+  // from disk (the watcher pairs renames with it).
+  function getFingerprintForPath(filePath) {
+    if (typeof filePath !== 'string' || !filePath) return null;
+    const row = fingerprintForPathSelect.get(filePath) || fingerprintForKnownPathSelect.get(filePath);
+    return row?.fingerprint || null;
+  }
+
+  // Latest tag or rating write for a file, 0 when it has neither.
+  function getMetadataUpdatedAt(fingerprint) {
+    if (!fingerprint) return 0;
+    return Number(metadataUpdatedAtSelect.get({ fingerprint })?.updatedAt) || 0;
+  }
+
+  // "a:b:c" -> "a:b"; null for names without a namespace.
+  function namespaceParentName(name) {
+    const index = name.lastIndexOf(':');
+    return index > 0 && index < name.length - 1 ? name.slice(0, index) : null;
+  }
+
+  // Resolves a typed name to a tag id: an existing tag first, then an
+  // alias, otherwise a new tag is created.
+  function getTagId(name) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) return null;
+    const known = tagSelect.get(trimmed);
+    if (known) return known.id;
+    const alias = aliasSelect.get(trimmed);
+    if (alias) return alias.tagId;
+    const created = tagInsert.run(trimmed).changes > 0;
+    const row = tagSelect.get(trimmed);
+    if (!row) return null;
+    if (created) {
+      const parentName = namespaceParentName(trimmed);
+      if (parentName) setTagParentStmt.run(getTagId(parentName), row.id);
+    }
+    return row.id;
+  }
+
+  // Drops a tag nobody uses any more, then walks up its ancestors (which
+  // may only have existed as a namespace for it).
+  function pruneTagIfUnused(id) {
+    let current = id;
+    while (current) {
+      if (Number(countTagUsage.get(current)?.count || 0) > 0) return;
+      if (Number(countTagChildren.get(current)?.count || 0) > 0) return;
+      const parentId = tagParentSelect.get(current)?.parentId ?? null;
+      deleteTagById.run(current);
+      current = parentId;
+    }
+  }
+
+  function isAncestorTag(ancestorId, id) {
+    for (let cursor = id; cursor; cursor = tagParentSelect.get(cursor)?.parentId) {
+      if (cursor === ancestorId) return true;
+    }
+    return false;
+  }
+
+  function tagFingerprints(id) {
+    return tagFingerprintsSelect.all(id).map((row) => row.fingerprint);
+  }
+
+  function mapMetadataRow(fingerprint) {
+    const tags = tagsForFingerprint.all(fingerprint).map((row) => row.name);
+    const ratingRow = getRating.get(fingerprint);
+    const dimensions = getDimensions(fingerprint);
+    const marks = marksSelect.get(fingerprint);
+    const elo = eloSelect.get(fingerprint);
+    const fields = {};
+    fieldValuesForFingerprint.all(fingerprint).forEach((row) => {
+      fields[row.fieldId] = row.type === 'number' ? Number(row.value) : row.value;
+    });
+    return {
+      tags,
+      rating: ratingRow ? ratingRow.value : null,
+      flag: marks?.flag ?? null,
+      label: marks?.label ?? null,
+      dimensions,
+      notes: notesSelect.get(fingerprint)?.text ?? null,
+      fields,
+      score: elo ? elo.score : null,
+      comparisons: elo ? elo.comparisons : 0,
+    };
+  }
+
+  async function indexFile({ filePath, stats, dimensions }) {
+    if (!filePath) return null;
+    const safeStats = stats || (await fs.promises.stat(filePath));
+    const { fingerprint, createdMs } = await ensureFingerprint(filePath, safeStats);
+    writeFileRecord(fingerprint, filePath, safeStats, createdMs, dimensions);
+    searchIndex.refresh(fingerprint);
+    return {
+      fingerprint,
+      ...mapMetadataRow(fingerprint),
+    };
+  }
+
+  function getMetadataForFingerprints(fingerprints) {
+    const result = {};
+    (fingerprints || []).forEach((fp) => {
+      if (!fp) return;
+      result[fp] = mapMetadataRow(fp);
+    });
+    return result;
+  }
+
+  function getPerceptualHashes(fingerprints) {
+    const result = {};
+    (fingerprints || []).forEach((fingerprint) => {
+      if (!fingerprint || result[fingerprint]) return;
+      const row = perceptualHashSelect.get(fingerprint);
+      if (row) result[fingerprint] = row.hash;
+    });
+    return result;
+  }
+
+  function setPerceptualHash(fingerprint, hash) {
+    if (!fingerprint) return false;
+    const value = (hash ?? '').toString().trim().toLowerCase();
+    if (!/^(?:[0-9a-f]{16})+$/.test(value)) return false;
+    return perceptualHashUpsert.run(value, Date.now(), fingerprint).changes > 0;
+  }
+
+  // Scan index: what the last scan of each library root found, so a folder
+  // can be shown again before the filesystem has been walked.
+  function getScanIndex(roots) {
+    const list = Array.isArray(roots) ? roots : [roots];
+    return list
+      .filter((root) => typeof root === 'string' && root)
+      .flatMap((root) => scanIndexSelect.all(root))
+      .map((row) => {
+        const width = normalizeDimension(row.width);
+        const height = normalizeDimension(row.height);
+        return {
+          root: row.root,
+          path: row.path,
+          size: row.size,
+          mtimeMs: row.mtimeMs,
+          createdMs: row.createdMs,
+          fingerprint: row.fingerprint,
+          dimensions: width && height ? { width, height, aspectRatio: width / height } : null,
+        };
+      });
+  }
+
+  const recordScanEntriesTx = db.transaction((entries, indexedAt) => {
+    entries.forEach((entry) => {
+      scanIndexUpsert.run({
+        root: entry.root,
+        path: entry.path,
+        size: Number(entry.size) || 0,
+        mtimeMs: Number(entry.mtimeMs) || 0,
+        createdMs: Number.isFinite(entry.createdMs) ? Math.round(entry.createdMs) : null,
+        fingerprint: entry.fingerprint || null,
+        width: normalizeDimension(entry.dimensions?.width),
+        height: normalizeDimension(entry.dimensions?.height),
+        indexedAt,
+      });
+    });
+  });
+
+  function recordScanEntries(entries) {
+    const valid = (entries || []).filter(
+      (entry) => typeof entry?.root === 'string' && entry.root && typeof entry.path === 'string' && entry.path
+    );
+    if (valid.length) recordScanEntriesTx(valid, Date.now());
+    return valid.length;
+  }
+
+  // Drops paths from every root they were indexed under.
+  const forgetScanEntriesTx = db.transaction((paths) => {
+    paths.forEach((filePath) => scanIndexDeletePath.run(filePath));
+  });
+
+  function forgetScanEntries(paths) {
+    const list = (paths || []).filter((filePath) => typeof filePath === 'string' && filePath);
+    if (list.length) forgetScanEntriesTx(list);
+  }
+
+  // After a complete scan of `root`: entries it did not see are gone. A
+  // non-recursive scan only speaks for the root's own files.
+  const pruneScanIndexTx = db.transaction((root, seen, recursive) => {
+    scanIndexSelect.all(root).forEach((row) => {
+      if (seen.has(row.path)) return;
+      if (!recursive && path.dirname(row.path) !== root) return;
+      scanIndexDeleteEntry.run(root, row.path);
+    });
+  });
+
+  function pruneScanIndex(root, seenPaths, { recursive = false } = {}) {
+    if (typeof root !== 'string' || !root) return;
+    pruneScanIndexTx(root, new Set(seenPaths || []), !!recursive);
+  }
+
+  function search(query, options = {}) {
+    const limit = Number.isFinite(options?.limit) && options.limit > 0
+      ? Math.floor(options.limit)
+      : -1;
+    return searchIndex.search(query, limit);
+  }
+
+  function mapSavedSearchRow(row) {
+    let filters = {};
+    try {
+      filters = JSON.parse(row.filters_json) || {};
+    } catch (error) {
+      console.warn(`[database] Ignoring malformed saved search ${row.id}`, error);
+    }
+    return {
+      id: row.id,
+      name: row.name,
+      filters,
+      sortValue: row.sort_value || null,
+      groupByFolders:
+        row.group_by_folders === null || row.group_by_folders === undefined
+          ? null
+          : !!row.group_by_folders,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+
+  function listSavedSearches() {
+    return savedSearchList.all().map(mapSavedSearchRow);
+  }
+
+  function saveSavedSearch({ name, filters, sortValue, groupByFolders } = {}) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+      throw new Error('Saved search name is required');
+    }
+    savedSearchUpsert.run({
+      name: trimmed,
+      filters_json: JSON.stringify(filters && typeof filters === 'object' ? filters : {}),
+      sort_value: sortValue ? String(sortValue) : null,
+      group_by_folders:
+        typeof groupByFolders === 'boolean' ? (groupByFolders ? 1 : 0) : null,
+      now: Date.now(),
+    });
+    return listSavedSearches();
+  }
+
+  function deleteSavedSearch(id) {
+    const numeric = Number(id);
+    if (Number.isInteger(numeric)) {
+      savedSearchDelete.run(numeric);
+    }
+    return listSavedSearches();
+  }
+
+  function toCollectionId(id) {
+    const numeric = Number(id);
+    return Number.isInteger(numeric) ? numeric : null;
+  }
+
+  function listCollections() {
+    return collectionList.all().map((row) => ({
+      id: row.id,
+      name: row.name,
+      itemCount: Number(row.item_count) || 0,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    }));
+  }
+
+  function createCollection(name) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+      throw new Error('Collection name is required');
+    }
+    const row = collectionInsert.get(trimmed, Date.now(), Date.now());
+    return row?.id ?? null;
+  }
+
+  function deleteCollection(id) {
+    const collectionId = toCollectionId(id);
+    if (collectionId !== null) {
+      collectionDelete.run(collectionId);
     }
+    return listCollections();
+  }
 
-    const result = await computeFingerprint(filePath, stats);
-    metadataCache.set(key, { fingerprint: result.fingerprint, createdMs: result.createdMs });
-    return result;
+  // Items are kept in an explicit order; the position column is rewritten
+  // on reorder so it always runs 0..n-1 without gaps.
+  function getCollectionItems(id) {
+    const collectionId = toCollectionId(id);
+    if (collectionId === null) return [];
+    return collectionItemsSelect.all(collectionId).map((row) => ({
+      fingerprint: row.fingerprint,
+      path: row.path,
+      position: row.position,
+    }));
   }
 
-  function normalizeDimension(value) {
-    const num = Number(value);
-    if (!Number.isFinite(num) || num <= 0) return null;
-    return Math.round(num);
+  function getCollection(id) {
+    const collectionId = toCollectionId(id);
+    if (collectionId === null) return null;
+    const row = collectionSelect.get(collectionId);
+    if (!row) return null;
+    return { id: row.id, name: row.name, items: getCollectionItems(row.id) };
   }
 
-  function writeFileRecord(
-    fingerprint,
-    filePath,
-    stats,
-    createdMsOverride,
-    dimensions
-  ) {
+  function addToCollection(id, fingerprints) {
+    const collectionId = toCollectionId(id);
+    if (collectionId === null || !collectionSelect.get(collectionId)) {
+      throw new Error('Collection not found');
+    }
     const now = Date.now();
-    const createdMs = createdMsOverride ?? Math.round(
-      stats.birthtimeMs || stats.ctimeMs || stats.mtimeMs || 0
-    );
-    fileUpsert.run({
-      fingerprint,
-      last_known_path: filePath,
-      size: Number(stats.size || 0),
-      created_ms: createdMs,
-      updated_at: now,
-      width: normalizeDimension(dimensions?.width),
-      height: normalizeDimension(dimensions?.height),
+    let added = 0;
+    const txn = db.transaction(() => {
+      let position = Number(collectionMaxPosition.get(collectionId)?.position ?? -1);
+      (fingerprints || []).forEach((fingerprint) => {
+        if (!fingerprint) return;
+        const result = collectionItemInsert.run(collectionId, position + 1, now, fingerprint);
+        if (result.changes > 0) {
+          position += 1;
+          added += 1;
+        }
+      });
+      collectionTouch.run(now, collectionId);
     });
+    txn();
+    return added;
   }
 
-  function getTagId(name) {
-    const trimmed = (name || '').trim();
-    if (!trimmed) return null;
-    tagInsert.run(trimmed);
-    const row = tagSelect.get(trimmed);
-    return row ? row.id : null;
+  function removeFromCollection(id, fingerprints) {
+    const collectionId = toCollectionId(id);
+    if (collectionId === null) return [];
+    const txn = db.transaction(() => {
+      (fingerprints || []).forEach((fingerprint) => {
+        if (fingerprint) collectionItemDelete.run(collectionId, fingerprint);
+      });
+      collectionTouch.run(Date.now(), collectionId);
+    });
+    txn();
+    return getCollectionItems(collectionId);
   }
 
-  function mapMetadataRow(fingerprint) {
-    const tags = tagsForFingerprint.all(fingerprint).map((row) => row.name);
-    const ratingRow = getRating.get(fingerprint);
-    const dimRow = fileSelect.get(fingerprint);
-    let dimensions = null;
-    if (dimRow) {
-      const width = Number(dimRow.width) || 0;
-      const height = Number(dimRow.height) || 0;
-      if (width > 0 && height > 0) {
-        dimensions = { width, height, aspectRatio: width / height };
+  // Fingerprints listed first keep the given order; anything omitted
+  // follows in its previous order.
+  function reorderCollection(id, fingerprints) {
+    const collectionId = toCollectionId(id);
+    if (collectionId === null) return [];
+    const current = getCollectionItems(collectionId).map((item) => item.fingerprint);
+    const known = new Set(current);
+    const ordered = [];
+    const seen = new Set();
+    (fingerprints || []).forEach((fingerprint) => {
+      if (known.has(fingerprint) && !seen.has(fingerprint)) {
+        seen.add(fingerprint);
+        ordered.push(fingerprint);
       }
+    });
+    current.forEach((fingerprint) => {
+      if (!seen.has(fingerprint)) ordered.push(fingerprint);
+    });
+    const txn = db.transaction(() => {
+      ordered.forEach((fingerprint, index) => {
+        collectionItemPosition.run(index, collectionId, fingerprint);
+      });
+      collectionTouch.run(Date.now(), collectionId);
+    });
+    txn();
+    return getCollectionItems(collectionId);
+  }
+
+  function listTags() {
+    return tagUsage.all();
+  }
+
+  function requireTag(name) {
+    const row = tagSelect.get((name || '').trim());
+    if (!row) throw new Error(`Unknown tag "${name}"`);
+    return row;
+  }
+
+  // `color` is "#rrggbb"; null/empty clears it.
+  function setTagColor(name, color) {
+    const tag = requireTag(name);
+    const value = (color ?? '').toString().trim().toLowerCase();
+    if (value && !/^#[0-9a-f]{6}$/.test(value)) {
+      throw new Error(`Invalid tag colour "${color}"`);
     }
-    return {
-      tags,
-      rating: ratingRow ? ratingRow.value : null,
-      dimensions,
-    };
+    setTagColorStmt.run(value || null, tag.id);
+    return listTags();
   }
 
-  async function indexFile({ filePath, stats, dimensions }) {
-    if (!filePath) return null;
-    const safeStats = stats || (await fs.promises.stat(filePath));
-    const { fingerprint, createdMs } = await ensureFingerprint(filePath, safeStats);
-    writeFileRecord(fingerprint, filePath, safeStats, createdMs, dimensions);
-    return {
-      fingerprint,
-      ...mapMetadataRow(fingerprint),
-    };
+  // Nests `name` under `parentName` (null makes it top-level again).
+  function setTagParent(name, parentName) {
+    const tag = requireTag(name);
+    const parentTrimmed = (parentName ?? '').toString().trim();
+    const txn = db.transaction(() => {
+      if (!parentTrimmed) {
+        setTagParentStmt.run(null, tag.id);
+        return;
+      }
+      const parentId = getTagId(parentTrimmed);
+      if (isAncestorTag(tag.id, parentId)) {
+        throw new Error('A tag cannot be nested under itself or its descendants');
+      }
+      setTagParentStmt.run(parentId, tag.id);
+    });
+    const previousParent = tag.parentId;
+    txn();
+    if (previousParent) pruneTagIfUnused(previousParent);
+    return listTags();
   }
 
-  function getMetadataForFingerprints(fingerprints) {
-    const result = {};
-    (fingerprints || []).forEach((fp) => {
-      if (!fp) return;
-      result[fp] = mapMetadataRow(fp);
+  // Refreshes the search index for files whose tags were edited in bulk and
+  // returns their metadata, keyed by fingerprint like assignTags does.
+  function finishTagEdit(fingerprints) {
+    const updates = {};
+    fingerprints.forEach((fingerprint) => {
+      searchIndex.refresh(fingerprint);
+      updates[fingerprint] = mapMetadataRow(fingerprint);
     });
-    return result;
+    return updates;
   }
 
-  function getDimensions(fingerprint) {
-    if (!fingerprint) return null;
-    const row = fileSelect.get(fingerprint);
-    if (!row) return null;
-    const width = Number(row.width) || 0;
-    const height = Number(row.height) || 0;
-    if (width > 0 && height > 0) {
-      return { width, height, aspectRatio: width / height };
+  // Renames a tag in place, so every clip keeps it. A namespaced tag moves
+  // with its namespace ("model:wan" -> "base:wan" nests under "base") unless
+  // it was nested somewhere else by hand.
+  function renameTag(name, newName) {
+    const tag = requireTag(name);
+    const target = (newName ?? '').toString().trim();
+    if (!target) throw new Error('Tag name cannot be empty');
+    const clash = tagSelect.get(target);
+    if (clash && clash.id !== tag.id) {
+      throw new Error(`A tag named "${clash.name}" already exists; merge them instead`);
     }
-    return null;
+
+    const fingerprints = tagFingerprints(tag.id);
+    let updates = {};
+    let previousParent = null;
+    const txn = db.transaction(() => {
+      renameTagStmt.run(target, tag.id);
+      aliasDelete.run(target);
+
+      const oldNamespace = namespaceParentName(tag.name);
+      const newNamespace = namespaceParentName(target);
+      const parentName = tag.parentId ? tagByIdSelect.get(tag.parentId)?.name : null;
+      const followsNamespace =
+        !tag.parentId || (oldNamespace && parentName?.toLowerCase() === oldNamespace.toLowerCase());
+      if (followsNamespace && oldNamespace?.toLowerCase() !== newNamespace?.toLowerCase()) {
+        const parentId = newNamespace ? getTagId(newNamespace) : null;
+        if (!parentId || !isAncestorTag(tag.id, parentId)) {
+          setTagParentStmt.run(parentId, tag.id);
+          previousParent = tag.parentId;
+        }
+      }
+      updates = finishTagEdit(fingerprints);
+    });
+    txn();
+    if (previousParent) pruneTagIfUnused(previousParent);
+    emitMetadataChanged(fingerprints);
+    return updates;
   }
 
-  function setDimensions(fingerprint, dimensions) {
-    if (!fingerprint) return;
-    const width = normalizeDimension(dimensions?.width);
-    const height = normalizeDimension(dimensions?.height);
-    if (!width || !height) return;
-    setDimensionsStmt.run(width, height, fingerprint);
+  // Folds `sourceNames` into `targetName` (created when missing): clips,
+  // child tags and aliases move over, and each merged name becomes an alias
+  // of the target so typing it again lands on the target.
+  function mergeTags(sourceNames, targetName) {
+    const target = (targetName ?? '').toString().trim();
+    if (!target) throw new Error('Merge target cannot be empty');
+    const sources = [];
+    (sourceNames || []).forEach((name) => {
+      const tag = requireTag(name);
+      if (!sources.some((entry) => entry.id === tag.id)) sources.push(tag);
+    });
+
+    const affected = new Set();
+    let updates = {};
+    const txn = db.transaction(() => {
+      const targetId = getTagId(target);
+      const formerParents = new Set();
+      sources.forEach((source) => {
+        if (source.id === targetId) return;
+        const current = tagByIdSelect.get(source.id);
+        if (!current) return;
+        tagFingerprints(current.id).forEach((fingerprint) => affected.add(fingerprint));
+        copyTagLinksStmt.run(targetId, current.id);
+        // Lift the target out first when it lives under the source, so
+        // adopting the source's children cannot create a cycle.
+        if (isAncestorTag(current.id, tagParentSelect.get(targetId)?.parentId)) {
+          setTagParentStmt.run(current.parentId, targetId);
+        }
+        reparentChildrenStmt.run(targetId, current.id, targetId);
+        moveAliasesStmt.run(targetId, current.id);
+        deleteTagById.run(current.id);
+        aliasUpsert.run(current.name, targetId);
+        if (current.parentId) formerParents.add(current.parentId);
+      });
+      formerParents.forEach((id) => {
+        if (id !== targetId) pruneTagIfUnused(id);
+      });
+      updates = finishTagEdit(Array.from(affected));
+    });
+    txn();
+    emitMetadataChanged(Array.from(affected));
+    return updates;
   }
 
-  function listTags() {
-    return tagUsage.all();
+  // Removes tags from every clip at once. Child tags move up a level.
+  function deleteTags(names) {
+    const affected = new Set();
+    let updates = {};
+    const txn = db.transaction(() => {
+      const formerParents = new Set();
+      (names || []).forEach((name) => {
+        const found = tagSelect.get((name || '').trim());
+        const current = found ? tagByIdSelect.get(found.id) : null;
+        if (!current) return;
+        tagFingerprints(current.id).forEach((fingerprint) => affected.add(fingerprint));
+        reparentChildrenStmt.run(current.parentId, current.id, current.id);
+        deleteTagById.run(current.id);
+        if (current.parentId) formerParents.add(current.parentId);
+      });
+      formerParents.forEach((id) => pruneTagIfUnused(id));
+      updates = finishTagEdit(Array.from(affected));
+    });
+    txn();
+    emitMetadataChanged(Array.from(affected));
+    return updates;
+  }
+
+  function listTagAliases() {
+    return aliasList.all();
+  }
+
+  // Makes `alias` resolve to `tagName` whenever it is entered as a tag.
+  function addTagAlias(alias, tagName) {
+    const tag = requireTag(tagName);
+    const value = (alias ?? '').toString().trim();
+    if (!value) throw new Error('Alias cannot be empty');
+    const existing = tagSelect.get(value);
+    if (existing) {
+      throw new Error(
+        existing.id === tag.id
+          ? `"${value}" is already the tag's name`
+          : `"${existing.name}" is an existing tag; merge it into "${tag.name}" instead`
+      );
+    }
+    aliasUpsert.run(value, tag.id);
+    return listTagAliases();
+  }
+
+  function removeTagAlias(alias) {
+    aliasDelete.run((alias ?? '').toString().trim());
+    return listTagAliases();
   }
 
   function assignTags(fingerprints, tagNames) {
@@ -461,10 +1713,12 @@ function createMetadataStore(db) {
           if (!id) return;
           addTagLink.run(fingerprint, id, now);
         });
+        searchIndex.refresh(fingerprint);
         applied[fingerprint] = mapMetadataRow(fingerprint);
       });
     });
     txn();
+    emitMetadataChanged(Object.keys(applied));
     return applied;
   }
 
@@ -479,16 +1733,14 @@ function createMetadataStore(db) {
       fingerprints.forEach((fingerprint) => {
         if (!fingerprint) return;
         removeTagLink.run(fingerprint, id);
+        searchIndex.refresh(fingerprint);
         removed[fingerprint] = mapMetadataRow(fingerprint);
       });
 
-      const usageRow = countTagUsage.get(id);
-      const usageCount = Number(usageRow?.count || 0);
-      if (usageCount === 0) {
-        deleteTagById.run(id);
-      }
+      pruneTagIfUnused(id);
     });
     txn();
+    emitMetadataChanged(Object.keys(removed));
     return removed;
   }
 
@@ -508,18 +1760,431 @@ function createMetadataStore(db) {
       });
     });
     txn();
+    emitMetadataChanged(Object.keys(updates));
+    return updates;
+  }
+
+  function setReviewMark(fingerprints, statement, value) {
+    const updates = {};
+    const now = Date.now();
+    const txn = db.transaction(() => {
+      (fingerprints || []).forEach((fingerprint) => {
+        if (!fingerprint) return;
+        statement.run(fingerprint, value, now);
+        emptyMarksDelete.run(fingerprint);
+        updates[fingerprint] = mapMetadataRow(fingerprint);
+      });
+    });
+    txn();
+    return updates;
+  }
+
+  // 'pick', 'reject', or null to unflag.
+  function setFlag(fingerprints, flag) {
+    return setReviewMark(fingerprints, flagUpsert, normalizeMark(flag, REVIEW_FLAGS, 'flag'));
+  }
+
+  // One of COLOR_LABELS, or null to clear.
+  function setLabel(fingerprints, label) {
+    return setReviewMark(
+      fingerprints,
+      labelUpsert,
+      normalizeMark(label, COLOR_LABELS, 'colour label')
+    );
+  }
+
+  // Logs "which is better?" for two clips and updates both Elo scores.
+  // `outcome` is 'first', 'second' or 'tie'.
+  function recordComparison(first, second, outcome) {
+    if (!first || !second || first === second) {
+      throw new Error('A comparison needs two different clips');
+    }
+    const clean = (outcome ?? '').toString().trim().toLowerCase();
+    if (!COMPARISON_OUTCOMES.includes(clean)) {
+      throw new Error(`Unknown comparison outcome "${outcome}"`);
+    }
+    const now = Date.now();
+    const txn = db.transaction(() => {
+      comparisonInsert.run(first, second, clean, now);
+      const a = eloSelect.get(first) || { score: ELO_START, comparisons: 0 };
+      const b = eloSelect.get(second) || { score: ELO_START, comparisons: 0 };
+      const result = clean === 'first' ? 1 : clean === 'second' ? 0 : 0.5;
+      const [scoreA, scoreB] = eloUpdate(a.score, b.score, result);
+      eloUpsert.run(first, scoreA, a.comparisons + 1, now);
+      eloUpsert.run(second, scoreB, b.comparisons + 1, now);
+    });
+    txn();
+    return {
+      [first]: mapMetadataRow(first),
+      [second]: mapMetadataRow(second),
+    };
+  }
+
+  // Drops the most recent comparison and replays the log, since every later
+  // Elo update depended on it. Returns updates for every scored clip.
+  function undoLastComparison() {
+    const last = comparisonLast.get();
+    if (!last) return {};
+    const touched = new Set();
+    const now = Date.now();
+    const txn = db.transaction(() => {
+      comparisonDelete.run(last.id);
+      const scores = new Map();
+      comparisonsAll.all().forEach((row) => {
+        const a = scores.get(row.first) || { score: ELO_START, comparisons: 0 };
+        const b = scores.get(row.second) || { score: ELO_START, comparisons: 0 };
+        const result = row.outcome === 'first' ? 1 : row.outcome === 'second' ? 0 : 0.5;
+        const [scoreA, scoreB] = eloUpdate(a.score, b.score, result);
+        scores.set(row.first, { score: scoreA, comparisons: a.comparisons + 1 });
+        scores.set(row.second, { score: scoreB, comparisons: b.comparisons + 1 });
+      });
+      eloFingerprints.all().forEach((row) => touched.add(row.fingerprint));
+      eloDeleteAll.run();
+      scores.forEach((entry, fingerprint) => {
+        eloUpsert.run(fingerprint, entry.score, entry.comparisons, now);
+        touched.add(fingerprint);
+      });
+    });
+    txn();
+    const updates = {};
+    touched.forEach((fingerprint) => {
+      updates[fingerprint] = mapMetadataRow(fingerprint);
+    });
+    return updates;
+  }
+
+  // Empty text removes the note.
+  function setNotes(fingerprints, text) {
+    const value = (text ?? '').toString();
+    const now = Date.now();
+    const updates = {};
+    const txn = db.transaction(() => {
+      (fingerprints || []).forEach((fingerprint) => {
+        if (!fingerprint) return;
+        if (value.trim()) {
+          notesUpsert.run(fingerprint, value, now);
+        } else {
+          notesDelete.run(fingerprint);
+        }
+        updates[fingerprint] = mapMetadataRow(fingerprint);
+      });
+    });
+    txn();
+    return updates;
+  }
+
+  function mapCustomField(row) {
+    let options = [];
+    try {
+      options = row.optionsJson ? JSON.parse(row.optionsJson) : [];
+    } catch (error) {
+      options = [];
+    }
+    return { id: row.id, name: row.name, type: row.type, options };
+  }
+
+  function listCustomFields() {
+    return customFieldList.all().map(mapCustomField);
+  }
+
+  function requireCustomField(id) {
+    const row = customFieldById.get(Number(id));
+    if (!row) throw new Error(`Unknown field ${id}`);
+    return mapCustomField(row);
+  }
+
+  function checkFieldName(name, id = null) {
+    const trimmed = (name ?? '').toString().trim();
+    if (!trimmed) throw new Error('Field name cannot be empty');
+    const clash = customFieldByName.get(trimmed);
+    if (clash && clash.id !== id) throw new Error(`A field named "${trimmed}" already exists`);
+    return trimmed;
+  }
+
+  // `type` is one of text, number, date or enum; enum fields need options.
+  function createCustomField({ name, type, options } = {}) {
+    const trimmed = checkFieldName(name);
+    if (!CUSTOM_FIELD_TYPES.includes(type)) throw new Error(`Unknown field type "${type}"`);
+    const cleanOptions = type === 'enum' ? normalizeFieldOptions(options) : [];
+    if (type === 'enum' && !cleanOptions.length) {
+      throw new Error('A choice field needs at least one option');
+    }
+    customFieldInsert.run(
+      trimmed,
+      type,
+      cleanOptions.length ? JSON.stringify(cleanOptions) : null,
+      Date.now()
+    );
+    return listCustomFields();
+  }
+
+  // Renames a field or replaces an enum's options. The type is fixed; values
+  // that are no longer an option are cleared.
+  function updateCustomField(id, { name, options } = {}) {
+    const field = requireCustomField(id);
+    const trimmed = name === undefined ? field.name : checkFieldName(name, field.id);
+    let nextOptions = field.options;
+    if (field.type === 'enum' && options !== undefined) {
+      nextOptions = normalizeFieldOptions(options);
+      if (!nextOptions.length) throw new Error('A choice field needs at least one option');
+    }
+    const txn = db.transaction(() => {
+      customFieldUpdate.run(
+        trimmed,
+        nextOptions.length ? JSON.stringify(nextOptions) : null,
+        field.id
+      );
+      if (field.type !== 'enum') return;
+      const now = Date.now();
+      fieldValuesByField.all(field.id).forEach((row) => {
+        const option = nextOptions.find(
+          (entry) => entry.toLowerCase() === row.value.toLowerCase()
+        );
+        if (!option) {
+          fieldValueDelete.run(row.fingerprint, field.id);
+        } else if (option !== row.value) {
+          fieldValueUpsert.run(row.fingerprint, field.id, option, now);
+        }
+      });
+    });
+    txn();
+    return listCustomFields();
+  }
+
+  function deleteCustomField(id) {
+    customFieldDelete.run(requireCustomField(id).id);
+    return listCustomFields();
+  }
+
+  // null or an empty string clears the value.
+  function setCustomFieldValue(fingerprints, fieldId, value) {
+    const field = requireCustomField(fieldId);
+    const stored = normalizeFieldValue(field, value);
+    const now = Date.now();
+    const updates = {};
+    const txn = db.transaction(() => {
+      (fingerprints || []).forEach((fingerprint) => {
+        if (!fingerprint) return;
+        if (stored === null) {
+          fieldValueDelete.run(fingerprint, field.id);
+        } else {
+          fieldValueUpsert.run(fingerprint, field.id, stored, now);
+        }
+        updates[fingerprint] = mapMetadataRow(fingerprint);
+      });
+    });
+    txn();
     return updates;
   }
 
+  // One record per known file, in the shape main/metadataTransfer.js writes.
+  // Tags carry a single timestamp: the most recent time any of them was added.
+  function exportMetadata() {
+    const tagsByFingerprint = new Map();
+    exportTagsSelect.all().forEach((row) => {
+      const entry = tagsByFingerprint.get(row.fingerprint) || { tags: [], updatedAt: null };
+      entry.tags.push(row.name);
+      entry.updatedAt = Math.max(entry.updatedAt ?? 0, Number(row.addedAt) || 0);
+      tagsByFingerprint.set(row.fingerprint, entry);
+    });
+    return exportFilesSelect.all().map((row) => {
+      const tagEntry = tagsByFingerprint.get(row.fingerprint);
+      return {
+        fingerprint: row.fingerprint,
+        path: row.path,
+        size: row.size,
+        createdMs: row.createdMs,
+        updatedAt: row.updatedAt,
+        width: row.width,
+        height: row.height,
+        tags: tagEntry ? tagEntry.tags : [],
+        tagsUpdatedAt: tagEntry ? tagEntry.updatedAt : null,
+        rating: row.rating ?? null,
+        ratingUpdatedAt: row.ratingUpdatedAt ?? null,
+      };
+    });
+  }
+
+  /**
+   * Merges exported records into this profile.
+   *   overwrite - imported tags and rating replace local ones
+   *   newest    - per fingerprint, tags and rating each come from whichever
+   *               side has the later updated_at
+   *   union     - tags are combined; a local rating wins over an imported one
+   * Files that are not known locally are added using the path hint.
+   */
+  function importMetadata(records, { strategy = 'newest' } = {}) {
+    if (!['overwrite', 'newest', 'union'].includes(strategy)) {
+      throw new Error(`Unknown import strategy "${strategy}"`);
+    }
+    const now = Date.now();
+    const summary = {
+      total: 0,
+      matched: 0,
+      added: 0,
+      tagsChanged: 0,
+      ratingsChanged: 0,
+      fingerprints: [],
+    };
+    const orphanCandidates = new Set();
+
+    const txn = db.transaction(() => {
+      (records || []).forEach((record) => {
+        const fingerprint = record?.fingerprint;
+        if (!fingerprint) return;
+        summary.total += 1;
+
+        const inserted = fileInsertIfMissing.run({
+          fingerprint,
+          last_known_path: record.path || '',
+          size: Number(record.size) || 0,
+          created_ms: record.createdMs ?? null,
+          updated_at: record.updatedAt ?? now,
+          width: normalizeDimension(record.width),
+          height: normalizeDimension(record.height),
+        });
+        if (inserted.changes > 0) summary.added += 1;
+        else summary.matched += 1;
+
+        const localLinks = tagLinksForFingerprint.all(fingerprint);
+        const localTagsUpdatedAt = localLinks.reduce(
+          (max, link) => Math.max(max, Number(link.addedAt) || 0),
+          0
+        );
+        const importedTags = Array.isArray(record.tags) ? record.tags : [];
+        const takeImportedTags =
+          strategy === 'overwrite' ||
+          (strategy === 'newest' &&
+            (!localLinks.length || (record.tagsUpdatedAt ?? 0) > localTagsUpdatedAt));
+
+        let tagsChanged = false;
+        if (takeImportedTags) {
+          const wanted = new Set(importedTags.map((name) => name.toLowerCase()));
+          localLinks.forEach((link) => {
+            if (wanted.has(link.name.toLowerCase())) return;
+            removeTagLink.run(fingerprint, link.id);
+            orphanCandidates.add(link.id);
+            tagsChanged = true;
+          });
+        }
+        if (takeImportedTags || strategy === 'union') {
+          const addedAt = record.tagsUpdatedAt ?? now;
+          importedTags.forEach((name) => {
+            const id = getTagId(name);
+            if (id && addTagLink.run(fingerprint, id, addedAt).changes > 0) {
+              tagsChanged = true;
+            }
+          });
+        }
+        if (tagsChanged) {
+          summary.tagsChanged += 1;
+          searchIndex.refresh(fingerprint);
+        }
+
+        const localRating = ratingRowSelect.get(fingerprint);
+        const importedRating = record.rating ?? null;
+        let takeImportedRating = false;
+        if (strategy === 'overwrite') {
+          takeImportedRating = true;
+        } else if (strategy === 'union') {
+          takeImportedRating = !localRating && importedRating !== null;
+        } else if (!localRating) {
+          takeImportedRating = importedRating !== null;
+        } else {
+          takeImportedRating = (record.ratingUpdatedAt ?? 0) > (Number(localRating.updatedAt) || 0);
+        }
+
+        const ratingChanged =
+          takeImportedRating && (localRating?.value ?? null) !== importedRating;
+        if (ratingChanged) {
+          if (importedRating === null) {
+            deleteRatingStmt.run(fingerprint);
+          } else {
+            setRatingStmt.run(fingerprint, importedRating, record.ratingUpdatedAt ?? now);
+          }
+          summary.ratingsChanged += 1;
+        }
+
+        if (inserted.changes > 0 || tagsChanged || ratingChanged) {
+          summary.fingerprints.push(fingerprint);
+        }
+      });
+
+      orphanCandidates.forEach((id) => pruneTagIfUnused(id));
+    });
+    txn();
+    emitMetadataChanged(summary.fingerprints);
+    return summary;
+  }
+
+  if (addedTagParents) {
+    // Namespaced tags from before the hierarchy existed get nested now.
+    db.transaction(() => {
+      db.prepare('SELECT id, name FROM tags WHERE parent_id IS NULL;')
+        .all()
+        .forEach((row) => {
+          const parentName = namespaceParentName(row.name);
+          if (parentName) setTagParentStmt.run(getTagId(parentName), row.id);
+        });
+    })();
+  }
+
   return {
     indexFile,
     getMetadataForFingerprints,
     listTags,
+    setTagColor,
+    setTagParent,
+    renameTag,
+    mergeTags,
+    deleteTags,
+    listTagAliases,
+    addTagAlias,
+    removeTagAlias,
     assignTags,
     removeTag,
     setRating,
+    setFlag,
+    setLabel,
+    recordComparison,
+    undoLastComparison,
+    setNotes,
+    listCustomFields,
+    createCustomField,
+    updateCustomField,
+    deleteCustomField,
+    setCustomFieldValue,
     getDimensions,
     setDimensions,
+    needsPromptScan,
+    setPromptText,
+    needsMediaProbe,
+    getMediaInfo,
+    setMediaInfo,
+    getPerceptualHashes,
+    setPerceptualHash,
+    getScanIndex,
+    recordScanEntries,
+    forgetScanEntries,
+    pruneScanIndex,
+    search,
+    listSavedSearches,
+    saveSavedSearch,
+    deleteSavedSearch,
+    listCollections,
+    createCollection,
+    deleteCollection,
+    getCollection,
+    getCollectionItems,
+    addToCollection,
+    removeFromCollection,
+    reorderCollection,
+    exportMetadata,
+    importMetadata,
+    onMetadataChanged,
+    getFilePaths,
+    getFingerprintForPath,
+    getMetadataUpdatedAt,
   };
 }
 
@@ -540,6 +2205,11 @@ function getMetadataStore() {
   return metadataStoreInstance;
 }
 
+// File behind the open connection, for index workers to open their own.
+function getDatabasePath() {
+  return dbInstance ? dbInstance.name : null;
+}
+
 function resetDatabase() {
   if (metadataStoreInstance) {
     metadataStoreInstance = null;
@@ -558,5 +2228,7 @@ function resetDatabase() {
 module.exports = {
   initMetadataStore,
   getMetadataStore,
+  getDatabasePath,
   resetDatabase,
+  createFileIndex,
 };
@@ -0,0 +1,227 @@
+// main/directoryScan.js
+// Library scan as a job: walks the roots breadth-first, turns each video into
+// a file object as it goes and hands them over in batches, so the renderer
+// can show clips long before a large share has been read. An AbortSignal
+// stops it between files. With `concurrency` above 1 several files are
+// indexed at once and the walk pauses while that many are in flight, which
+// keeps a fast disk from queueing the whole library on the index workers.
+// What counts as a video and which folders are entered comes from `rules`
+// (see main/scanRules.js).
+
+const fs = require("fs");
+const path = require("path");
+const { createScanRules } = require("./scanRules");
+
+const fsPromises = fs.promises;
+
+// A symlink as file or directory, or null when it dangles.
+async function resolveLink(fullPath) {
+  try {
+    const stats = await fsPromises.stat(fullPath);
+    if (stats.isDirectory()) return "directory";
+    if (stats.isFile()) return "file";
+  } catch {}
+  return null;
+}
+
+/**
+ * Scans `roots` (one folder, or several library roots; overlapping roots
+ * only contribute a file once) and resolves to { total, cancelled, elapsedMs }.
+ *
+ * - onBatch(files): file objects in the order they finish indexing, at most
+ *   `batchSize` at a time and at least every `batchIntervalMs` while files
+ *   keep coming.
+ * - onProgress({ directory, directoriesDone, directoriesFound, filesFound,
+ *   elapsedMs }): after each directory. directoriesFound grows as subfolders
+ *   turn up; filesFound counts videos seen, some of which may still be
+ *   indexing.
+ *
+ * An unreadable root rejects; unreadable subfolders are skipped. With
+ * `rules.followSymlinks`, linked folders are walked once each by real path
+ * so link cycles end.
+ */
+async function scanLibrary({
+  roots,
+  recursive = false,
+  createVideoFileObject,
+  onBatch,
+  onProgress,
+  signal,
+  batchSize = 100,
+  batchIntervalMs = 250,
+  concurrency = 1,
+  rules = createScanRules(),
+  logger = console,
+}) {
+  if (typeof createVideoFileObject !== "function") {
+    throw new Error("scanLibrary: createVideoFileObject(fn) is required");
+  }
+  const queue = (Array.isArray(roots) ? roots : [roots])
+    .filter((root) => typeof root === "string" && root)
+    .map((root) => ({ rootPath: root, dirPath: root, depth: 0 }));
+  const seenPaths = new Set();
+  const visitedDirectories = new Set();
+  const inFlight = new Set();
+  const startedAt = Date.now();
+  let pending = [];
+  let lastFlush = Date.now();
+  let total = 0;
+  let directoriesDone = 0;
+  let directoriesFound = queue.length;
+
+  // A cancelled scan never sends what it has not sent yet.
+  const flush = () => {
+    if (!pending.length || signal?.aborted) return;
+    const batch = pending;
+    pending = [];
+    lastFlush = Date.now();
+    onBatch?.(batch);
+  };
+
+  const indexFile = async (fullPath, rootPath) => {
+    try {
+      const videoFile = await createVideoFileObject(fullPath, rootPath);
+      if (videoFile) {
+        pending.push(videoFile);
+        total += 1;
+      }
+    } catch (error) {
+      logger.warn(`Error reading file stats for ${fullPath}:`, error.message);
+    }
+    if (pending.length >= batchSize || Date.now() - lastFlush >= batchIntervalMs) {
+      flush();
+    }
+  };
+
+  while (queue.length && !signal?.aborted) {
+    const { rootPath, dirPath, depth } = queue.shift();
+    let entries = [];
+    try {
+      if (rules.followSymlinks) {
+        const realPath = await fsPromises.realpath(dirPath);
+        if (visitedDirectories.has(realPath)) {
+          directoriesDone += 1;
+          continue;
+        }
+        visitedDirectories.add(realPath);
+      }
+      entries = await fsPromises.readdir(dirPath, { withFileTypes: true });
+    } catch (error) {
+      if (depth === 0) throw error;
+      logger.warn(`Skipping directory ${dirPath}: ${error.message}`);
+    }
+
+    for (const entry of entries) {
+      if (signal?.aborted) break;
+      const fullPath = path.join(dirPath, entry.name);
+      let kind = entry.isFile() ? "file" : entry.isDirectory() ? "directory" : null;
+      if (!kind && entry.isSymbolicLink() && rules.followSymlinks) {
+        kind = await resolveLink(fullPath);
+      }
+
+      if (kind === "file") {
+        if (!rules.shouldScanFile(fullPath, rootPath) || seenPaths.has(fullPath)) continue;
+        seenPaths.add(fullPath);
+        while (inFlight.size >= Math.max(1, concurrency)) {
+          await Promise.race(inFlight);
+        }
+        const task = indexFile(fullPath, rootPath).finally(() => inFlight.delete(task));
+        inFlight.add(task);
+      } else if (
+        kind === "directory" &&
+        recursive &&
+        rules.shouldScanDirectory(fullPath, rootPath, depth + 1)
+      ) {
+        queue.push({ rootPath, dirPath: fullPath, depth: depth + 1 });
+        directoriesFound += 1;
+      }
+    }
+
+    if (signal?.aborted) break;
+    directoriesDone += 1;
+    onProgress?.({
+      directory: dirPath,
+      directoriesDone,
+      directoriesFound,
+      filesFound: seenPaths.size,
+      elapsedMs: Date.now() - startedAt,
+    });
+  }
+
+  await Promise.all(inFlight);
+  const elapsedMs = Date.now() - startedAt;
+  if (signal?.aborted) return { total, cancelled: true, elapsedMs };
+  flush();
+  return { total, cancelled: false, elapsedMs };
+}
+
+// Same file as when indexed. mtimes are compared to the millisecond since
+// they pass through a REAL column and back.
+function isUnchanged(entry, stats) {
+  return (
+    Number(entry.size) === Number(stats.size) &&
+    Math.abs(Number(entry.mtimeMs) - Number(stats.mtimeMs)) < 1
+  );
+}
+
+/**
+ * Walks `roots` like scanLibrary and checks each video against `known`
+ * (path -> { size, mtimeMs }) from an earlier scan. Only a stat per file
+ * unless something changed:
+ *
+ * - onAdded(filePath, rootPath) for paths not in `known`
+ * - onChanged(filePath, rootPath, entry) when size or mtime moved
+ * - onUnchanged(filePath, rootPath, entry) otherwise
+ *
+ * Callbacks are awaited, `concurrency` at a time. Resolves to
+ * { removed, cancelled, elapsedMs }, where removed lists the known paths the
+ * walk did not find (empty when cancelled).
+ */
+async function reconcileLibrary({
+  roots,
+  recursive = false,
+  known,
+  onAdded,
+  onChanged,
+  onUnchanged,
+  signal,
+  concurrency = 1,
+  rules,
+  logger = console,
+}) {
+  const seen = new Set();
+  const result = await scanLibrary({
+    roots,
+    recursive,
+    signal,
+    concurrency,
+    rules,
+    logger,
+    createVideoFileObject: async (filePath, rootPath) => {
+      seen.add(filePath);
+      const entry = known.get(filePath);
+      if (!entry) {
+        await onAdded?.(filePath, rootPath);
+        return null;
+      }
+      const stats = await fsPromises.stat(filePath);
+      if (isUnchanged(entry, stats)) {
+        await onUnchanged?.(filePath, rootPath, entry);
+      } else {
+        await onChanged?.(filePath, rootPath, entry);
+      }
+      return null;
+    },
+  });
+
+  if (result.cancelled) {
+    return { removed: [], cancelled: true, elapsedMs: result.elapsedMs };
+  }
+  const removed = [...known.keys()].filter((filePath) => !seen.has(filePath));
+  return { removed, cancelled: false, elapsedMs: result.elapsedMs };
+}
+
+module.exports = {
+  scanLibrary,
+  reconcileLibrary,
+};
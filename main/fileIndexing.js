@@ -0,0 +1,81 @@
+// main/fileIndexing.js
+// The per-file work of a scan: fingerprint, container probe and embedded
+// ComfyUI prompt, written through a file index (database.createFileIndex or
+// the metadata store, which has the same methods). Runs inside the index
+// workers, and on the main thread when they are unavailable.
+
+const { computeFingerprint } = require("./fingerprint");
+const { getVideoDimensions, getVideoMediaInfo } = require("./videoDimensions");
+const { getComfyWorkflow } = require("./comfyWorkflow");
+
+const FINGERPRINT_CACHE = new Map();
+
+function isValidDimensions(dims) {
+  return (
+    !!dims &&
+    Number.isFinite(dims.width) &&
+    Number.isFinite(dims.height) &&
+    dims.width > 0 &&
+    dims.height > 0
+  );
+}
+
+async function fingerprintFile(filePath, stats) {
+  const key = `${filePath}::${stats.mtimeMs || 0}::${stats.size || 0}`;
+  if (FINGERPRINT_CACHE.has(key)) {
+    return FINGERPRINT_CACHE.get(key);
+  }
+  const { fingerprint, createdMs } = await computeFingerprint(filePath, stats);
+  const result = { fingerprint, createdMs };
+  FINGERPRINT_CACHE.set(key, result);
+  return result;
+}
+
+// Fills in whatever the row for `fingerprint` is still missing. Each probe
+// runs once per file: dimensions until found, media info and the prompt
+// until stamped.
+async function probeFile(index, fingerprint, filePath, stats) {
+  if (!fingerprint) return;
+
+  if (!isValidDimensions(index.getDimensions(fingerprint))) {
+    const computed = await getVideoDimensions(filePath, stats);
+    if (isValidDimensions(computed)) {
+      index.setDimensions(fingerprint, computed);
+    }
+  }
+
+  if (index.needsMediaProbe(fingerprint)) {
+    const probed = await getVideoMediaInfo(filePath, stats);
+    index.setMediaInfo(fingerprint, probed);
+    if (
+      !isValidDimensions(index.getDimensions(fingerprint)) &&
+      isValidDimensions(probed?.dimensions)
+    ) {
+      index.setDimensions(fingerprint, probed.dimensions);
+    }
+  }
+
+  if (index.needsPromptScan(fingerprint)) {
+    const workflow = await getComfyWorkflow(filePath, stats);
+    const summary = workflow?.summary;
+    index.setPromptText(
+      fingerprint,
+      [summary?.positivePrompt, summary?.negativePrompt].filter(Boolean).join("\n")
+    );
+  }
+}
+
+// `stats` only needs size, mtimeMs, birthtimeMs and ctimeMs, so a plain
+// object posted from the main thread will do.
+async function indexFileContents(fileIndex, { filePath, stats }) {
+  const { fingerprint, createdMs } = await fingerprintFile(filePath, stats);
+  fileIndex.writeFileRecord(fingerprint, filePath, stats, createdMs);
+  fileIndex.refreshSearch(fingerprint);
+  await probeFile(fileIndex, fingerprint, filePath, stats);
+  return { fingerprint };
+}
+
+module.exports = {
+  indexFileContents,
+  probeFile,
+};
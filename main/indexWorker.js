@@ -0,0 +1,27 @@
+// main/indexWorker.js
+// Worker thread behind the index pool (see main/workerPool.js). Opens its own
+// connection to the profile database named in workerData.dbPath and answers
+// { id, filePath, stats } with { id, result } or { id, error }. Messages with
+// `task: "cluster"` carry { hashes, maxDistance } for clusterBySimilarity.
+
+const { parentPort, workerData } = require("worker_threads");
+const Database = require("better-sqlite3");
+const { createFileIndex } = require("./database");
+const { indexFileContents } = require("./fileIndexing");
+const { clusterBySimilarity } = require("./perceptualHash");
+
+// The main thread may hold the write lock briefly (tag edits etc.).
+const db = new Database(workerData.dbPath, { timeout: 10000 });
+const fileIndex = createFileIndex(db);
+
+parentPort.on("message", async ({ id, task, filePath, stats, hashes, maxDistance }) => {
+  try {
+    const result =
+      task === "cluster"
+        ? clusterBySimilarity(hashes, maxDistance)
+        : await indexFileContents(fileIndex, { filePath, stats });
+    parentPort.postMessage({ id, result });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error?.message || String(error) });
+  }
+});
@@ -0,0 +1,198 @@
+// main/metadataTransfer.js
+// File formats for moving a profile's tags and ratings between machines.
+// Records are keyed by fingerprint; `path` is only the last-known location,
+// kept as a hint for people reading the file.
+//
+// Record: { fingerprint, path, size, createdMs, updatedAt, width, height,
+//           tags: string[], tagsUpdatedAt, rating, ratingUpdatedAt }
+
+const path = require("path");
+
+const METADATA_FORMAT = "videoswarm-metadata";
+const METADATA_VERSION = 1;
+
+const CSV_COLUMNS = [
+  ["fingerprint", "fingerprint"],
+  ["path", "path"],
+  ["size", "size"],
+  ["created_ms", "createdMs"],
+  ["updated_at", "updatedAt"],
+  ["width", "width"],
+  ["height", "height"],
+  ["rating", "rating"],
+  ["rating_updated_at", "ratingUpdatedAt"],
+  ["tags", "tags"],
+  ["tags_updated_at", "tagsUpdatedAt"],
+];
+const CSV_TAG_SEPARATOR = ";";
+
+function formatFromPath(filePath) {
+  return path.extname(filePath || "").toLowerCase() === ".csv" ? "csv" : "json";
+}
+
+function toIntegerOrNull(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? Math.round(num) : null;
+}
+
+// Normalises one imported record; returns null when it has no fingerprint.
+function normalizeRecord(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const fingerprint = typeof raw.fingerprint === "string" ? raw.fingerprint.trim() : "";
+  if (!fingerprint) return null;
+
+  const tagList = Array.isArray(raw.tags)
+    ? raw.tags
+    : typeof raw.tags === "string"
+      ? raw.tags.split(CSV_TAG_SEPARATOR)
+      : [];
+  const rating = toIntegerOrNull(raw.rating);
+
+  return {
+    fingerprint,
+    path: typeof raw.path === "string" ? raw.path : "",
+    size: toIntegerOrNull(raw.size) ?? 0,
+    createdMs: toIntegerOrNull(raw.createdMs),
+    updatedAt: toIntegerOrNull(raw.updatedAt),
+    width: toIntegerOrNull(raw.width),
+    height: toIntegerOrNull(raw.height),
+    tags: Array.from(
+      new Set(tagList.map((tag) => (tag ?? "").toString().trim()).filter(Boolean))
+    ),
+    tagsUpdatedAt: toIntegerOrNull(raw.tagsUpdatedAt),
+    rating: rating !== null && rating >= 0 && rating <= 5 ? rating : null,
+    ratingUpdatedAt: toIntegerOrNull(raw.ratingUpdatedAt),
+  };
+}
+
+function serializeJson(records, { profile } = {}) {
+  return (
+    JSON.stringify(
+      {
+        format: METADATA_FORMAT,
+        version: METADATA_VERSION,
+        exportedAt: new Date().toISOString(),
+        profile: profile || null,
+        files: records,
+      },
+      null,
+      2
+    ) + "\n"
+  );
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function serializeCsv(records) {
+  const lines = [CSV_COLUMNS.map(([column]) => column).join(",")];
+  records.forEach((record) => {
+    lines.push(
+      CSV_COLUMNS.map(([, key]) =>
+        csvCell(key === "tags" ? record.tags.join(CSV_TAG_SEPARATOR) : record[key])
+      ).join(",")
+    );
+  });
+  return lines.join("\r\n") + "\r\n";
+}
+
+// RFC 4180: quoted fields may contain commas, doubled quotes and newlines.
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const source = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && source[i + 1] === "\n") i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (quoted) throw new Error("Unterminated quoted field in CSV");
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((value) => value !== ""));
+}
+
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+  const keyByColumn = new Map(CSV_COLUMNS);
+  const keys = header.map((column) => keyByColumn.get(column.trim().toLowerCase()) || null);
+  if (!keys.includes("fingerprint")) {
+    throw new Error("CSV is missing a fingerprint column");
+  }
+  return rows.map((cells) => {
+    const raw = {};
+    keys.forEach((key, index) => {
+      if (key) raw[key] = cells[index] ?? "";
+    });
+    return raw;
+  });
+}
+
+function parseJson(text) {
+  const data = JSON.parse(text);
+  if (Array.isArray(data)) return data;
+  if (data && Array.isArray(data.files)) {
+    if (data.format && data.format !== METADATA_FORMAT) {
+      throw new Error(`Unsupported metadata format "${data.format}"`);
+    }
+    return data.files;
+  }
+  throw new Error("Metadata JSON must contain a files array");
+}
+
+/**
+ * Parses an export file. Returns { records, invalid } where `invalid`
+ * counts rows without a usable fingerprint.
+ */
+function parseMetadataFile(text, format = "json") {
+  const rawRecords = format === "csv" ? parseCsv(text) : parseJson(text);
+  const records = [];
+  let invalid = 0;
+  rawRecords.forEach((raw) => {
+    const record = normalizeRecord(raw);
+    if (record) records.push(record);
+    else invalid += 1;
+  });
+  return { records, invalid };
+}
+
+module.exports = {
+  METADATA_FORMAT,
+  METADATA_VERSION,
+  formatFromPath,
+  normalizeRecord,
+  serializeJson,
+  serializeCsv,
+  parseMetadataFile,
+};
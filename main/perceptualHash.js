@@ -0,0 +1,162 @@
+// Clusters clips by perceptual hash. A hash is one 64-bit dHash per sampled
+// frame, written as 16 hex chars each and concatenated in sample order (see
+// src/services/perceptualHash.js, which computes them in the renderer).
+
+const FRAME_HEX_LENGTH = 16;
+
+const NIBBLE_BITS = Array.from({ length: 16 }, (_, value) => {
+  let bits = 0;
+  for (let n = value; n; n >>= 1) bits += n & 1;
+  return bits;
+});
+
+function splitFrames(hash) {
+  if (typeof hash !== "string" || !hash || hash.length % FRAME_HEX_LENGTH !== 0) {
+    return [];
+  }
+  const frames = [];
+  for (let i = 0; i < hash.length; i += FRAME_HEX_LENGTH) {
+    frames.push(hash.slice(i, i + FRAME_HEX_LENGTH));
+  }
+  return frames;
+}
+
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < FRAME_HEX_LENGTH; i++) {
+    distance += NIBBLE_BITS[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+  }
+  return distance;
+}
+
+/**
+ * Mean per-frame Hamming distance (0-64) over the frames both hashes have.
+ * Returns Infinity when the hashes share no comparable frame.
+ */
+function hashDistance(a, b) {
+  const framesA = Array.isArray(a) ? a : splitFrames(a);
+  const framesB = Array.isArray(b) ? b : splitFrames(b);
+  const count = Math.min(framesA.length, framesB.length);
+  if (!count) return Infinity;
+  let total = 0;
+  for (let i = 0; i < count; i++) {
+    total += hammingDistance(framesA[i], framesB[i]);
+  }
+  return total / count;
+}
+
+function popcount32(value) {
+  let v = value - ((value >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+// Frames as two 32-bit words each, so clustering compares with popcounts.
+function toWords(frames) {
+  const words = new Uint32Array(frames.length * 2);
+  frames.forEach((frame, index) => {
+    words[index * 2] = parseInt(frame.slice(0, 8), 16);
+    words[index * 2 + 1] = parseInt(frame.slice(8), 16);
+  });
+  return words;
+}
+
+// Same as hashDistance, but gives up once the mean can't reach `limit`.
+function withinDistance(a, b, limit) {
+  const length = Math.min(a.length, b.length);
+  const budget = limit * (length / 2);
+  let total = 0;
+  for (let i = 0; i < length; i++) {
+    total += popcount32(a[i] ^ b[i]);
+    if (total > budget) return false;
+  }
+  return true;
+}
+
+// Bucket keys for candidate lookup. Hashes within `maxDistance` on average
+// have some frame within floor(maxDistance) bits, and by pigeonhole that frame
+// then agrees exactly on one of floor(maxDistance) + 1 bands of its 64 bits.
+function bandKeys(frames, maxDistance) {
+  const bandCount = Math.floor(maxDistance) + 1;
+  if (bandCount > FRAME_HEX_LENGTH * 4) return ["*"];
+  const keys = [];
+  frames.forEach((frame, frameIndex) => {
+    const bits = frame
+      .split("")
+      .map((nibble) => parseInt(nibble, 16).toString(2).padStart(4, "0"))
+      .join("");
+    for (let band = 0; band < bandCount; band++) {
+      const from = Math.floor((band * bits.length) / bandCount);
+      const to = Math.floor(((band + 1) * bits.length) / bandCount);
+      keys.push(`${frameIndex}:${band}:${bits.slice(from, to)}`);
+    }
+  });
+  return keys;
+}
+
+/**
+ * Groups fingerprints whose hashes are within `maxDistance` of each other,
+ * transitively (single linkage). Only groups of two or more are returned,
+ * largest first. Only hashes sharing a band bucket are compared.
+ */
+function clusterBySimilarity(hashesByFingerprint, maxDistance = 6) {
+  if (!(maxDistance >= 0)) return [];
+  const entries = Object.entries(hashesByFingerprint || {})
+    .map(([fingerprint, hash]) => ({ fingerprint, frames: splitFrames(hash) }))
+    .filter((entry) => entry.frames.length > 0)
+    .map((entry) => ({ ...entry, words: toWords(entry.frames) }));
+
+  const parent = entries.map((_, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  const buckets = new Map();
+  const keysByEntry = entries.map((entry, index) => {
+    const keys = bandKeys(entry.frames, maxDistance);
+    keys.forEach((key) => {
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(index);
+    });
+    return keys;
+  });
+
+  // lastSeen[j] === i once j has been considered for i.
+  const lastSeen = new Int32Array(entries.length).fill(-1);
+  for (let i = 0; i < entries.length; i++) {
+    const words = entries[i].words;
+    const keys = keysByEntry[i];
+    for (let k = 0; k < keys.length; k++) {
+      const bucket = buckets.get(keys[k]);
+      for (let m = 0; m < bucket.length; m++) {
+        const j = bucket[m];
+        if (j <= i || lastSeen[j] === i) continue;
+        lastSeen[j] = i;
+        if (find(i) === find(j)) continue;
+        if (withinDistance(words, entries[j].words, maxDistance)) {
+          parent[find(j)] = find(i);
+        }
+      }
+    }
+  }
+
+  const groups = new Map();
+  entries.forEach((entry, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(entry.fingerprint);
+  });
+
+  return Array.from(groups.values())
+    .filter((group) => group.length > 1)
+    .sort((a, b) => b.length - a.length);
+}
+
+module.exports = {
+  hashDistance,
+  clusterBySimilarity,
+};
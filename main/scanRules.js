@@ -0,0 +1,250 @@
+// main/scanRules.js
+// What a library scan looks at: which extensions count as video, which
+// folders are skipped and how deep to go. The directory scanner, the
+// chokidar watcher and the polling fallback all ask the same rules object,
+// built per profile from the `scanRules` setting:
+//
+//   {
+//     extraExtensions: [".ts"],         // on top of DEFAULT_VIDEO_EXTENSIONS
+//     excludeGlobs: ["renders/", "*.part.mp4", "!keep.part.mp4"],
+//     maxDepth: 10,                     // folder levels below a root
+//     followSymlinks: false,
+//     includeDotFolders: false,
+//   }
+//
+// Exclude globs use .gitignore syntax relative to each library root: a
+// pattern without a slash matches a name at any level, a leading or inner
+// slash anchors it to the root, a trailing slash matches folders only, `**`
+// crosses folders and `!` re-includes. Files inside an excluded folder stay
+// excluded. Dot-files are not hidden by the dot-folder rule; exclude them
+// with a glob such as `._*` if needed.
+
+const path = require("path");
+
+const DEFAULT_VIDEO_EXTENSIONS = [
+  ".mp4",
+  ".mov",
+  ".avi",
+  ".mkv",
+  ".webm",
+  ".m4v",
+  ".flv",
+  ".wmv",
+  ".3gp",
+  ".ogv",
+];
+
+// Never worth walking, whatever the profile says.
+const SKIPPED_DIRECTORIES = [
+  "node_modules",
+  "System Volume Information",
+  "$RECYCLE.BIN",
+  ".git",
+];
+
+const MAX_DEPTH_LIMIT = 64;
+
+const DEFAULT_SCAN_RULES = Object.freeze({
+  extraExtensions: [],
+  excludeGlobs: [],
+  maxDepth: 10,
+  followSymlinks: false,
+  includeDotFolders: false,
+});
+
+function normalizeExtension(value) {
+  if (typeof value !== "string") return null;
+  const trimmed = value.trim().toLowerCase().replace(/^\*/, "");
+  if (!trimmed) return null;
+  const ext = trimmed.startsWith(".") ? trimmed : `.${trimmed}`;
+  return /^\.[^\s./\\]+$/.test(ext) ? ext : null;
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === "string") return value.split(/[\r\n,]+/);
+  return [];
+}
+
+// Settings-shaped copy with defaults filled in and junk dropped.
+function normalizeScanRules(raw) {
+  const source = raw && typeof raw === "object" ? raw : {};
+  const extraExtensions = Array.from(
+    new Set(toList(source.extraExtensions).map(normalizeExtension).filter(Boolean))
+  ).filter((ext) => !DEFAULT_VIDEO_EXTENSIONS.includes(ext));
+  const excludeGlobs = Array.from(
+    new Set(
+      (Array.isArray(source.excludeGlobs)
+        ? source.excludeGlobs
+        : typeof source.excludeGlobs === "string"
+          ? source.excludeGlobs.split(/\r?\n/)
+          : []
+      )
+        .filter((line) => typeof line === "string")
+        .map((line) => line.trim())
+        .filter((line) => line && !line.startsWith("#"))
+    )
+  );
+  const depth = Number(source.maxDepth);
+  const maxDepth = Number.isFinite(depth)
+    ? Math.min(MAX_DEPTH_LIMIT, Math.max(0, Math.floor(depth)))
+    : DEFAULT_SCAN_RULES.maxDepth;
+
+  return {
+    extraExtensions,
+    excludeGlobs,
+    maxDepth,
+    followSymlinks: !!source.followSymlinks,
+    includeDotFolders: !!source.includeDotFolders,
+  };
+}
+
+// One .gitignore line -> { regex, negate, directoryOnly }, or null for a
+// blank line or comment. Matched against root-relative paths with "/".
+function compileGlob(line) {
+  let pattern = typeof line === "string" ? line.trim() : "";
+  if (!pattern || pattern.startsWith("#")) return null;
+
+  const negate = pattern.startsWith("!");
+  if (negate) pattern = pattern.slice(1);
+  pattern = pattern.replace(/\\/g, "/");
+  const directoryOnly = pattern.endsWith("/");
+  pattern = pattern.replace(/\/+$/, "");
+  const anchored = pattern.includes("/");
+  pattern = pattern.replace(/^\/+/, "");
+  if (!pattern) return null;
+
+  let source = "";
+  for (let i = 0; i < pattern.length; i += 1) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      if (pattern[i + 2] === "/") {
+        source += "(?:.*/)?";
+        i += 2;
+      } else {
+        source += ".*";
+        i += 1;
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[") {
+      const close = pattern.indexOf("]", i + 1);
+      if (close === -1) {
+        source += "\\[";
+      } else {
+        const body = pattern.slice(i + 1, close).replace(/\\/g, "\\\\");
+        source += `[${body.startsWith("!") ? `^${body.slice(1)}` : body}]`;
+        i = close;
+      }
+    } else {
+      source += char.replace(/[.+^${}()|\]\\]/g, "\\$&");
+    }
+  }
+
+  return {
+    regex: new RegExp(`^${anchored ? "" : "(?:.*/)?"}${source}$`),
+    negate,
+    directoryOnly,
+  };
+}
+
+function toRelative(rootPath, fullPath) {
+  const relative = path.relative(rootPath, fullPath);
+  if (!relative || relative.startsWith("..") || path.isAbsolute(relative)) return null;
+  return relative.split(path.sep).join("/");
+}
+
+function createScanRules(raw) {
+  const settings = normalizeScanRules(raw);
+  const extensions = [...DEFAULT_VIDEO_EXTENSIONS, ...settings.extraExtensions];
+  const globs = settings.excludeGlobs.map(compileGlob).filter(Boolean);
+
+  // Last matching glob wins, as in .gitignore.
+  function isExcludedRelative(relativePath, isDirectory) {
+    let excluded = false;
+    for (const glob of globs) {
+      if (glob.directoryOnly && !isDirectory) continue;
+      if (glob.regex.test(relativePath)) excluded = !glob.negate;
+    }
+    return excluded;
+  }
+
+  function isHiddenName(name) {
+    return SKIPPED_DIRECTORIES.includes(name) || (!settings.includeDotFolders && name.startsWith("."));
+  }
+
+  function isVideoFile(filePath) {
+    return extensions.includes(path.extname(filePath).toLowerCase());
+  }
+
+  // For walkers entering `dirPath`, `depth` levels below `rootPath`. The
+  // walker has already accepted every folder above it.
+  function shouldScanDirectory(dirPath, rootPath, depth) {
+    if (depth > settings.maxDepth) return false;
+    if (isHiddenName(path.basename(dirPath))) return false;
+    const relative = toRelative(rootPath, dirPath);
+    return !relative || !isExcludedRelative(relative, true);
+  }
+
+  // For walkers: a video inside a folder they chose to scan.
+  function shouldScanFile(filePath, rootPath) {
+    if (!isVideoFile(filePath)) return false;
+    const relative = toRelative(rootPath, filePath);
+    return !relative || !isExcludedRelative(relative, false);
+  }
+
+  // Whether the folders between `rootPath` and `fullPath` would be walked.
+  function isInsideScannedFolders(fullPath, rootPath) {
+    const relative = toRelative(rootPath, fullPath);
+    if (!relative) return false;
+    const segments = relative.split("/");
+    if (segments.length - 1 > settings.maxDepth) return false;
+    for (let i = 0; i < segments.length - 1; i += 1) {
+      if (isHiddenName(segments[i])) return false;
+      if (isExcludedRelative(segments.slice(0, i + 1).join("/"), true)) return false;
+    }
+    return true;
+  }
+
+  // For event sources that see arbitrary paths (watcher, scan index): a
+  // video the walkers would have found under `rootPath`.
+  function includesFile(filePath, rootPath) {
+    return isInsideScannedFolders(filePath, rootPath) && shouldScanFile(filePath, rootPath);
+  }
+
+  // chokidar's `ignored`. Stats may be missing, in which case only what is
+  // ignored either way (file or folder) is ignored. Sidecars are not
+  // ignored here since their events update the clip they belong to.
+  function isIgnoredByWatcher(fullPath, rootPath, stats) {
+    const relative = toRelative(rootPath, fullPath);
+    if (!relative) return false;
+    if (!isInsideScannedFolders(fullPath, rootPath)) return true;
+    if (stats?.isDirectory?.()) {
+      return !shouldScanDirectory(fullPath, rootPath, relative.split("/").length);
+    }
+    return isExcludedRelative(relative, false);
+  }
+
+  return {
+    settings,
+    extensions,
+    maxDepth: settings.maxDepth,
+    followSymlinks: settings.followSymlinks,
+    isVideoFile,
+    shouldScanDirectory,
+    shouldScanFile,
+    includesFile,
+    isIgnoredByWatcher,
+  };
+}
+
+module.exports = {
+  DEFAULT_VIDEO_EXTENSIONS,
+  DEFAULT_SCAN_RULES,
+  SKIPPED_DIRECTORIES,
+  normalizeScanRules,
+  compileGlob,
+  createScanRules,
+};
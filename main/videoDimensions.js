@@ -1,9 +1,21 @@
 const fs = require("fs");
 const path = require("path");
-
-const MP4_EXTENSIONS = new Set([".mp4", ".m4v", ".mov", ".qt"]); // quicktime family
-
-const MATROSKA_EXTENSIONS = new Set([".mkv", ".webm", ".mk3d", ".mka"]);
+const {
+  MP4_EXTENSIONS,
+  MATROSKA_EXTENSIONS,
+  EBML_SEGMENT,
+  readUInt64,
+  readAtom,
+  findAtom,
+  findAtomPath,
+  readTopLevelAtom,
+  decodeVint,
+  readEbmlUInt,
+  readEbmlFloat,
+  forEachEbmlChild,
+} = require("./containerReaders");
+
+const MAX_MOOV_BYTES = 64 * 1024 * 1024; // 64MB
 
 const CACHE = new Map();
 
@@ -71,47 +83,6 @@ function parseTkhd(buffer) {
   return { width, height };
 }
 
-function readAtom(buffer, offset) {
-  if (offset + 8 > buffer.length) return null;
-  let size = buffer.readUInt32BE(offset);
-  const type = buffer.toString("ascii", offset + 4, offset + 8);
-  let headerSize = 8;
-
-  if (size === 1) {
-    if (offset + 16 > buffer.length) return null;
-    const high = buffer.readUInt32BE(offset + 8);
-    const low = buffer.readUInt32BE(offset + 12);
-    size = Number((BigInt(high) << 32n) | BigInt(low));
-    headerSize = 16;
-  } else if (size === 0) {
-    size = buffer.length - offset;
-  }
-
-  if (size < headerSize || offset + size > buffer.length) {
-    return null;
-  }
-
-  return {
-    type,
-    size,
-    headerSize,
-    start: offset,
-    end: offset + size,
-    data: buffer.slice(offset + headerSize, offset + size),
-  };
-}
-
-function findAtom(buffer, type) {
-  let offset = 0;
-  while (offset + 8 <= buffer.length) {
-    const atom = readAtom(buffer, offset);
-    if (!atom) break;
-    if (atom.type === type) return atom;
-    offset = atom.end;
-  }
-  return null;
-}
-
 function parseMp4Moov(buffer) {
   let offset = 0;
   while (offset + 8 <= buffer.length) {
@@ -195,23 +166,6 @@ async function extractMp4Dimensions(filePath) {
   }
 }
 
-function decodeVint(buffer, offset) {
-  if (offset >= buffer.length) return null;
-  const firstByte = buffer[offset];
-  let mask = 0x80;
-  let length = 1;
-  while (length <= 8 && (firstByte & mask) === 0) {
-    mask >>= 1;
-    length += 1;
-  }
-  if (length > 8 || offset + length > buffer.length) return null;
-  let value = firstByte & (mask - 1);
-  for (let i = 1; i < length; i++) {
-    value = (value << 8) + buffer[offset + i];
-  }
-  return { length, value };
-}
-
 function parseMatroska(buffer) {
   let offset = 0;
   const TRACKS_ID = Buffer.from([0x16, 0x54, 0xae, 0x6b]);
@@ -362,6 +316,263 @@ async function extractMatroskaDimensions(filePath) {
   }
 }
 
+// mvhd/mdhd share a layout: version, flags, two timestamps, timescale, duration.
+function parseTimescaleDuration(buffer) {
+  if (!buffer || buffer.length < 20) return null;
+  const version = buffer.readUInt8(0);
+  if (version === 1) {
+    if (buffer.length < 32) return null;
+    return { timescale: buffer.readUInt32BE(20), duration: readUInt64(buffer, 24) };
+  }
+  return { timescale: buffer.readUInt32BE(12), duration: buffer.readUInt32BE(16) };
+}
+
+function parseStsdFormat(buffer) {
+  if (!buffer || buffer.length < 16) return null;
+  const format = buffer.toString("latin1", 12, 16).replace(/[\0\s]+$/, "");
+  return format || null;
+}
+
+function parseSttsTotals(buffer) {
+  if (!buffer || buffer.length < 8) return null;
+  const entryCount = buffer.readUInt32BE(4);
+  let samples = 0;
+  let duration = 0;
+  for (let i = 0; i < entryCount; i++) {
+    const offset = 8 + i * 8;
+    if (offset + 8 > buffer.length) break;
+    const count = buffer.readUInt32BE(offset);
+    samples += count;
+    duration += count * buffer.readUInt32BE(offset + 4);
+  }
+  return { samples, duration };
+}
+
+function parseMp4MediaInfo(buffer) {
+  let duration = null;
+  let videoCodec = null;
+  let fps = null;
+  let hasAudio = false;
+  let longestTrack = 0;
+
+  const mvhd = findAtom(buffer, "mvhd");
+  const movie = mvhd ? parseTimescaleDuration(mvhd.data) : null;
+  if (movie && movie.timescale > 0 && movie.duration > 0) {
+    duration = movie.duration / movie.timescale;
+  } else if (movie && movie.timescale > 0) {
+    // Fragmented files leave mvhd empty and put the total in mvex/mehd
+    const mehd = findAtomPath(buffer, ["mvex", "mehd"]);
+    if (mehd && mehd.data.length >= 8) {
+      const fragmentDuration =
+        mehd.data.readUInt8(0) === 1 ? readUInt64(mehd.data, 4) : mehd.data.readUInt32BE(4);
+      if (fragmentDuration > 0) duration = fragmentDuration / movie.timescale;
+    }
+  }
+
+  let offset = 0;
+  while (offset + 8 <= buffer.length) {
+    const atom = readAtom(buffer, offset);
+    if (!atom) break;
+    offset = atom.end;
+    if (atom.type !== "trak") continue;
+
+    const mdia = findAtom(atom.data, "mdia");
+    if (!mdia) continue;
+    const hdlr = findAtom(mdia.data, "hdlr");
+    const handlerType =
+      hdlr && hdlr.data.length >= 12 ? hdlr.data.toString("ascii", 8, 12) : null;
+
+    const mdhd = findAtom(mdia.data, "mdhd");
+    const media = mdhd ? parseTimescaleDuration(mdhd.data) : null;
+    if (media && media.timescale > 0 && media.duration > 0) {
+      longestTrack = Math.max(longestTrack, media.duration / media.timescale);
+    }
+
+    if (handlerType === "soun") {
+      hasAudio = true;
+    } else if (handlerType === "vide" && !videoCodec) {
+      const stsd = findAtomPath(mdia.data, ["minf", "stbl", "stsd"]);
+      videoCodec = parseStsdFormat(stsd?.data);
+      const stts = findAtomPath(mdia.data, ["minf", "stbl", "stts"]);
+      const totals = parseSttsTotals(stts?.data);
+      if (totals && totals.samples > 0 && totals.duration > 0 && media?.timescale > 0) {
+        fps = (totals.samples * media.timescale) / totals.duration;
+      }
+    }
+  }
+
+  // An empty mvhd without mvex is a genuinely zero-length clip, which is
+  // exactly what dataset QA wants flagged; fragmented files stay unknown.
+  if (duration === null && (longestTrack > 0 || (movie && !findAtom(buffer, "mvex")))) {
+    duration = longestTrack;
+  }
+
+  return {
+    dimensions: parseMp4Moov(buffer),
+    duration,
+    videoCodec,
+    fps,
+    hasAudio,
+  };
+}
+
+async function extractMp4MediaInfo(filePath, fileSize) {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const moov = await readTopLevelAtom(handle, fileSize, "moov", MAX_MOOV_BYTES);
+    return moov ? parseMp4MediaInfo(moov) : null;
+  } finally {
+    await handle.close();
+  }
+}
+
+const EBML_INFO = 0x1549a966;
+const EBML_TRACKS = 0x1654ae6b;
+const EBML_TRACK_ENTRY = 0xae;
+const EBML_VIDEO = 0xe0;
+const EBML_CLUSTER = 0x1f43b675;
+
+const MATROSKA_CODEC_FOURCC = {
+  "V_MPEG4/ISO/AVC": "avc1",
+  "V_MPEGH/ISO/HEVC": "hvc1",
+  V_AV1: "av01",
+  V_VP8: "vp08",
+  V_VP9: "vp09",
+  V_PRORES: "prores",
+};
+
+function parseMatroskaMediaInfo(buffer) {
+  const info = {
+    dimensions: null,
+    duration: null,
+    videoCodec: null,
+    fps: null,
+    hasAudio: false,
+  };
+  let timecodeScale = 1000000;
+  let rawDuration = null;
+
+  const parseTrackEntry = (start, end) => {
+    let type = null;
+    let codecId = null;
+    let defaultDuration = null;
+    let width = null;
+    let height = null;
+    forEachEbmlChild(buffer, start, end, (child, childEnd) => {
+      if (child.id === 0x83) {
+        type = readEbmlUInt(buffer, child.dataStart, child.size);
+      } else if (child.id === 0x86) {
+        codecId = buffer.toString("ascii", child.dataStart, childEnd).replace(/\0+$/, "");
+      } else if (child.id === 0x23e383) {
+        defaultDuration = readEbmlUInt(buffer, child.dataStart, child.size);
+      } else if (child.id === EBML_VIDEO) {
+        forEachEbmlChild(buffer, child.dataStart, childEnd, (video) => {
+          if (video.id === 0xb0) width = readEbmlUInt(buffer, video.dataStart, video.size);
+          if (video.id === 0xba) height = readEbmlUInt(buffer, video.dataStart, video.size);
+        });
+      }
+    });
+
+    if (type === 2) {
+      info.hasAudio = true;
+    } else if (type === 1 && !info.videoCodec) {
+      info.videoCodec = codecId ? MATROSKA_CODEC_FOURCC[codecId] || codecId : null;
+      if (defaultDuration > 0) info.fps = 1e9 / defaultDuration;
+      if (width > 0 && height > 0) info.dimensions = { width, height };
+    }
+  };
+
+  const visitSegmentChild = (element, end) => {
+    if (element.id === EBML_CLUSTER) return false;
+    if (element.id === EBML_INFO) {
+      forEachEbmlChild(buffer, element.dataStart, end, (child) => {
+        if (child.id === 0x2ad7b1) {
+          timecodeScale = readEbmlUInt(buffer, child.dataStart, child.size) || timecodeScale;
+        } else if (child.id === 0x4489) {
+          rawDuration = readEbmlFloat(buffer, child.dataStart, child.size);
+        }
+      });
+    } else if (element.id === EBML_TRACKS) {
+      forEachEbmlChild(buffer, element.dataStart, end, (child, childEnd) => {
+        if (child.id === EBML_TRACK_ENTRY) parseTrackEntry(child.dataStart, childEnd);
+      });
+    }
+    return true;
+  };
+
+  forEachEbmlChild(buffer, 0, buffer.length, (element, end) => {
+    if (element.id === EBML_SEGMENT) {
+      forEachEbmlChild(buffer, element.dataStart, end, visitSegmentChild);
+      return false;
+    }
+    return visitSegmentChild(element, end);
+  });
+
+  if (Number.isFinite(rawDuration) && rawDuration >= 0) {
+    info.duration = (rawDuration * timecodeScale) / 1e9;
+  }
+  return info;
+}
+
+async function extractMatroskaMediaInfo(filePath) {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    // Info and Tracks sit ahead of the first Cluster; 2MB covers real files
+    const buffer = Buffer.alloc(2 * 1024 * 1024);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    return parseMatroskaMediaInfo(buffer.slice(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+}
+
+const MEDIA_CACHE = new Map();
+
+function roundTo(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Container-level media facts read straight from the header boxes/elements.
+ * Any field the file does not declare comes back as null.
+ */
+async function getVideoMediaInfo(filePath, stats = null) {
+  const key = cacheKey(filePath, stats);
+  if (MEDIA_CACHE.has(key)) {
+    return MEDIA_CACHE.get(key);
+  }
+
+  const ext = path.extname(filePath).toLowerCase();
+  let info = null;
+
+  try {
+    const size = stats?.size ?? (await fs.promises.stat(filePath)).size;
+    if (MP4_EXTENSIONS.has(ext)) {
+      info = await extractMp4MediaInfo(filePath, size);
+    } else if (MATROSKA_EXTENSIONS.has(ext)) {
+      info = await extractMatroskaMediaInfo(filePath);
+    }
+    if (info) {
+      const duration = Number.isFinite(info.duration) ? roundTo(info.duration, 3) : null;
+      info = {
+        dimensions: info.dimensions,
+        duration,
+        videoCodec: info.videoCodec || null,
+        fps: Number.isFinite(info.fps) && info.fps > 0 ? roundTo(info.fps, 3) : null,
+        hasAudio: !!info.hasAudio,
+        bitrate: duration > 0 && size > 0 ? Math.round((size * 8) / duration) : null,
+      };
+    }
+  } catch (error) {
+    console.warn(`[media] Failed to probe ${filePath}:`, error.message || error);
+    info = null;
+  }
+
+  MEDIA_CACHE.set(key, info);
+  return info;
+}
+
 async function getVideoDimensions(filePath, stats = null) {
   const key = cacheKey(filePath, stats);
   if (CACHE.has(key)) {
@@ -398,10 +609,13 @@ async function getVideoDimensions(filePath, stats = null) {
 
 module.exports = {
   getVideoDimensions,
+  getVideoMediaInfo,
   __internals: {
     parseTkhd,
     detectRotationFromMatrix,
     parseMp4Moov,
     parseMatroska,
+    parseMp4MediaInfo,
+    parseMatroskaMediaInfo,
   },
 };
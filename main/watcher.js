@@ -1,17 +1,29 @@
 // main/watcher.js
-// Single-instance folder watcher with graceful polling fallback.
-// Emits: 'mode', 'ready', 'added', 'removed', 'changed', 'error'
+// Folder watcher with one chokidar instance per library root and a graceful
+// per-root polling fallback. Which paths are watched follows the scan rules
+// passed to start() (see main/scanRules.js), as the scanner does.
+// Emits: 'mode', 'ready', 'added', 'removed', 'changed', 'renamed', 'error'
+//
+// chokidar reports a rename or move as unlink + add. A vanished clip whose
+// fingerprint is known is held for `renameWindowMs`; an add with the same
+// fingerprint inside that window is emitted as 'renamed' { oldPath, newPath,
+// videoFile } instead. Adds are not held back, so when the add comes first
+// 'added' has already gone out and the later unlink still pairs as 'renamed'.
 
 const chokidar = require("chokidar");
 const path = require("path");
 const { EventEmitter } = require("events");
+const { createScanRules } = require("./scanRules");
 
 function createFolderWatcher({
   isVideoFile,
   createVideoFileObject,
   scanFolderForChanges,   // used for polling fallback
+  resolveSidecarOwner = null, // optional async (filePath) => owning video path | null
+  resolveRemovedFingerprint = null, // optional (filePath) => last known fingerprint | null
+  renameWindowMs = 2000,
+  watch = chokidar.watch,
   logger = console,
-  depth = 10,             // keep your previous recursion limit; set to undefined for unlimited
 }) {
   if (typeof isVideoFile !== "function") {
     throw new Error("createFolderWatcher: isVideoFile(fn) is required");
@@ -25,45 +37,94 @@ function createFolderWatcher({
 
   const events = new EventEmitter();
 
-  let fileWatcher = null; // active chokidar watcher (native events)
-  let pollingInterval = null; // setInterval id (polling fallback)
-  let currentFolder = null; // current root
-  let fellBackThisSession = false; // one-shot fallback flag per folder
-  let currentOptions = { recursive: true }; // last requested options
+  // One entry per watched root: { fileWatcher, pollingInterval, fellBack }
+  const roots = new Map();
+  let currentOptions = { recursive: true, rules: createScanRules() }; // last requested options
   const changeTimeouts = new Map(); // debounce timers per file
+  const pendingRemovals = new Map(); // oldPath -> { fingerprint, rootPath, timer }
+  const recentAdds = new Map(); // fingerprint -> { videoFile, rootPath, timer }
 
   // ---- helpers ----
   function isPolling() {
-    return !!pollingInterval;
+    for (const entry of roots.values()) {
+      if (entry.pollingInterval) return true;
+    }
+    return false;
+  }
+  function getRoots() {
+    return Array.from(roots.keys());
   }
   function getCurrentFolder() {
-    return currentFolder;
+    return getRoots()[0] ?? null;
+  }
+  function clearChangeDebouncers(rootPath) {
+    for (const [filePath, t] of changeTimeouts) {
+      if (rootPath && !isInsideRoot(filePath, rootPath)) continue;
+      clearTimeout(t);
+      changeTimeouts.delete(filePath);
+    }
+  }
+  function clearRenameState(rootPath) {
+    for (const [filePath, pending] of pendingRemovals) {
+      if (rootPath && pending.rootPath !== rootPath) continue;
+      clearTimeout(pending.timer);
+      pendingRemovals.delete(filePath);
+    }
+    for (const [fingerprint, added] of recentAdds) {
+      if (rootPath && added.rootPath !== rootPath) continue;
+      clearTimeout(added.timer);
+      recentAdds.delete(fingerprint);
+    }
+  }
+  function emitRenamed(oldPath, videoFile) {
+    const newPath = videoFile.fullPath || videoFile.id;
+    logger.log("Video file renamed:", oldPath, "->", newPath);
+    events.emit("renamed", { oldPath, newPath, videoFile });
+  }
+  async function lookupRemovedFingerprint(filePath) {
+    if (typeof resolveRemovedFingerprint !== "function") return null;
+    try {
+      return (await resolveRemovedFingerprint(filePath)) || null;
+    } catch (e) {
+      logger.warn("[watch] Failed to resolve fingerprint:", e);
+      return null;
+    }
   }
-  function clearChangeDebouncers() {
-    for (const t of changeTimeouts.values()) clearTimeout(t);
-    changeTimeouts.clear();
+  function isInsideRoot(filePath, rootPath) {
+    const relative = path.relative(rootPath, filePath);
+    return !!relative && !relative.startsWith("..") && !path.isAbsolute(relative);
+  }
+  function normalizeRoots(folderPaths) {
+    const list = Array.isArray(folderPaths) ? folderPaths : [folderPaths];
+    return Array.from(
+      new Set(list.filter((p) => typeof p === "string" && p.trim()))
+    );
   }
 
-  async function stop() {
+  async function stopRoot(rootPath) {
+    const entry = roots.get(rootPath);
+    if (!entry) return;
+    roots.delete(rootPath);
     try {
-      if (fileWatcher) {
-        fileWatcher.removeAllListeners?.();
-        await fileWatcher.close();
+      if (entry.fileWatcher) {
+        entry.fileWatcher.removeAllListeners?.();
+        await entry.fileWatcher.close();
       }
     } catch (e) {
       logger.warn("[watch] Error closing watcher:", e);
-    } finally {
-      fileWatcher = null;
     }
-
-    if (pollingInterval) {
-      clearInterval(pollingInterval);
-      pollingInterval = null;
+    if (entry.pollingInterval) {
+      clearInterval(entry.pollingInterval);
     }
+    clearChangeDebouncers(rootPath);
+    clearRenameState(rootPath);
+  }
 
+  async function stop() {
+    await Promise.all(getRoots().map((rootPath) => stopRoot(rootPath)));
     clearChangeDebouncers();
-    currentFolder = null;
-    currentOptions = { recursive: true };
+    clearRenameState();
+    currentOptions = { recursive: true, rules: createScanRules() };
   }
 
   function startPollingMode(folderPath, options = currentOptions) {
@@ -71,10 +132,14 @@ function createFolderWatcher({
       recursive: true,
       ...options,
     };
-    // Ensure single instance
-    stop().catch(() => {});
-    currentFolder = folderPath;
-    currentOptions = resolvedOptions;
+    const entry = roots.get(folderPath) || { fellBack: true };
+    if (entry.fileWatcher) {
+      entry.fileWatcher.removeAllListeners?.();
+      entry.fileWatcher.close().catch(() => {});
+      entry.fileWatcher = null;
+    }
+    if (entry.pollingInterval) clearInterval(entry.pollingInterval);
+    roots.set(folderPath, entry);
 
     logger.log(
       "[watch] Starting polling mode:",
@@ -87,16 +152,16 @@ function createFolderWatcher({
       recursive: resolvedOptions.recursive,
     });
 
-    // Initial scan
+    // Initial scan only records a baseline for this root
     try {
-      scanFolderForChanges(folderPath, resolvedOptions);
+      scanFolderForChanges(folderPath, { ...resolvedOptions, initial: true });
     } catch (e) {
       logger.error("[watch] Polling initial scan failed:", e);
       events.emit("error", e);
     }
 
     // Poll every 5 seconds (matches your previous behavior)
-    pollingInterval = setInterval(() => {
+    entry.pollingInterval = setInterval(() => {
       try {
         scanFolderForChanges(folderPath, resolvedOptions);
       } catch (e) {
@@ -108,34 +173,16 @@ function createFolderWatcher({
     return { success: true, mode: "polling", recursive: resolvedOptions.recursive };
   }
 
-  async function start(folderPath, options = {}) {
-    const { recursive = true } = options;
-    // If already watching the same folder, return current mode
-    if (
-      currentFolder === folderPath &&
-      currentOptions.recursive === recursive &&
-      (fileWatcher || pollingInterval)
-    ) {
-      return { success: true, mode: isPolling() ? "polling" : "watch" };
-    }
-
-    await stop();
-    currentFolder = folderPath;
-    currentOptions = { recursive };
-    fellBackThisSession = false; // allow native attempt on each new folder
+  function startRoot(folderPath, recursive, rules) {
+    const entry = { fileWatcher: null, pollingInterval: null, fellBack: false };
+    roots.set(folderPath, entry);
 
     // Create chokidar watcher (native events)
-    fileWatcher = chokidar.watch(folderPath, {
-      ignored: [
-        /(^|[\/\\])\../,      // ignore dot files/dirs
-        "**/node_modules/**",
-        "**/.git/**",
-      ],
+    const fileWatcher = watch(folderPath, {
+      ignored: (filePath, stats) => rules.isIgnoredByWatcher(filePath, folderPath, stats),
       persistent: true,
       ignoreInitial: true,
-      ...(recursive
-        ? { depth }
-        : { depth: 0 }), // follow recursion preference
+      depth: recursive ? rules.maxDepth : 0, // follow recursion preference
 
       // Prefer native events
       usePolling: false,
@@ -144,13 +191,14 @@ function createFolderWatcher({
       // Churn/permissions
       atomic: true,
       alwaysStat: false,
-      followSymlinks: false,
+      followSymlinks: rules.followSymlinks,
       ignorePermissionErrors: true,
 
       // Platform quirks
       ...(process.platform === "darwin" && { useFsEvents: true }),
       ...(process.platform === "win32" && { useReaddir: false }),
     });
+    entry.fileWatcher = fileWatcher;
 
     // ---- events ----
     fileWatcher.on("ready", () => {
@@ -164,33 +212,24 @@ function createFolderWatcher({
       events.emit("mode", {
         mode: "watch",
         folderPath,
-        recursive: currentOptions.recursive,
+        recursive,
       });
       events.emit("ready", { folderPath });
       logger.log("[watch] Watching:", folderPath);
     });
 
-    fileWatcher.on("add", async (filePath) => {
-      if (!isVideoFile(filePath)) return;
-      logger.log("Video file added:", filePath);
+    // A sidecar (e.g. a caption file) changing re-emits its clip as changed.
+    async function handleSidecarEvent(filePath) {
+      if (typeof resolveSidecarOwner !== "function") return;
       try {
-        const videoFile = await createVideoFileObject(filePath, folderPath);
-        if (videoFile) events.emit("added", videoFile);
+        const ownerPath = await resolveSidecarOwner(filePath);
+        if (ownerPath) scheduleChanged(ownerPath);
       } catch (e) {
-        logger.error("[watch:add] createVideoFileObject failed:", e);
-        events.emit("error", e);
+        logger.warn("[watch] Failed to resolve sidecar owner:", e);
       }
-    });
-
-    fileWatcher.on("unlink", (filePath) => {
-      if (!isVideoFile(filePath)) return;
-      logger.log("Video file removed:", filePath);
-      events.emit("removed", filePath);
-    });
-
-    fileWatcher.on("change", async (filePath) => {
-      if (!isVideoFile(filePath)) return;
+    }
 
+    function scheduleChanged(filePath) {
       if (changeTimeouts.has(filePath)) {
         clearTimeout(changeTimeouts.get(filePath));
       }
@@ -209,31 +248,96 @@ function createFolderWatcher({
           }
         }, 1000)
       );
+    }
+
+    function takePendingRemoval(fingerprint, newPath) {
+      // Replaced in place: the path is back, whatever its contents are now.
+      if (pendingRemovals.has(newPath)) {
+        clearTimeout(pendingRemovals.get(newPath).timer);
+        pendingRemovals.delete(newPath);
+      }
+      if (!fingerprint) return null;
+      for (const [oldPath, pending] of pendingRemovals) {
+        if (pending.fingerprint !== fingerprint) continue;
+        clearTimeout(pending.timer);
+        pendingRemovals.delete(oldPath);
+        return oldPath;
+      }
+      return null;
+    }
+
+    function rememberAdd(videoFile) {
+      const { fingerprint } = videoFile;
+      if (!fingerprint) return;
+      clearTimeout(recentAdds.get(fingerprint)?.timer);
+      recentAdds.set(fingerprint, {
+        videoFile,
+        rootPath: folderPath,
+        timer: setTimeout(() => recentAdds.delete(fingerprint), renameWindowMs),
+      });
+    }
+
+    fileWatcher.on("add", async (filePath) => {
+      if (!isVideoFile(filePath)) return handleSidecarEvent(filePath);
+      logger.log("Video file added:", filePath);
+      try {
+        const videoFile = await createVideoFileObject(filePath, folderPath);
+        if (!videoFile) return;
+        const oldPath = takePendingRemoval(videoFile.fingerprint, filePath);
+        if (oldPath) {
+          emitRenamed(oldPath, videoFile);
+        } else {
+          events.emit("added", videoFile);
+          rememberAdd(videoFile);
+        }
+      } catch (e) {
+        logger.error("[watch:add] createVideoFileObject failed:", e);
+        events.emit("error", e);
+      }
+    });
+
+    fileWatcher.on("unlink", async (filePath) => {
+      if (!isVideoFile(filePath)) return handleSidecarEvent(filePath);
+      logger.log("Video file removed:", filePath);
+      const fingerprint = await lookupRemovedFingerprint(filePath);
+      if (!fingerprint) {
+        events.emit("removed", filePath);
+        return;
+      }
+
+      const added = recentAdds.get(fingerprint);
+      if (added && added.videoFile.fullPath !== filePath) {
+        clearTimeout(added.timer);
+        recentAdds.delete(fingerprint);
+        emitRenamed(filePath, added.videoFile);
+        return;
+      }
+
+      clearTimeout(pendingRemovals.get(filePath)?.timer);
+      pendingRemovals.set(filePath, {
+        fingerprint,
+        rootPath: folderPath,
+        timer: setTimeout(() => {
+          pendingRemovals.delete(filePath);
+          events.emit("removed", filePath);
+        }, renameWindowMs),
+      });
+    });
+
+    fileWatcher.on("change", (filePath) => {
+      if (!isVideoFile(filePath)) return handleSidecarEvent(filePath);
+      scheduleChanged(filePath);
     });
 
     fileWatcher.on("error", async (error) => {
       const code = error && error.code;
       const isLimitError = code === "EMFILE" || code === "ENOSPC";
 
-      if (isLimitError && !fellBackThisSession) {
-        fellBackThisSession = true; // one-shot per folder
+      if (isLimitError && !entry.fellBack) {
+        entry.fellBack = true; // one-shot per root
         logger.warn("[watch] Limit hit:", code, "→ switching to polling");
-        // Preserve context before tearing down
-        const prevFolder = currentFolder;
-        const prevOptions = currentOptions;
-        // Close partially-initialized watcher before falling back
-        try {
-          await stop();
-        } catch {}
-        // Emit mode explicitly because 'ready' may never fire when erroring early
-        events.emit("mode", {
-          mode: "polling",
-          folderPath: prevFolder,
-          recursive: prevOptions.recursive,
-        });
-        if (prevFolder) {
-          startPollingMode(prevFolder, prevOptions);
-        }
+        // Only this root falls back; the others keep their native watchers
+        startPollingMode(folderPath, { recursive, rules });
         // Optional UI hint
         events.emit("error", new Error("Switched to polling mode"));
         return;
@@ -243,8 +347,35 @@ function createFolderWatcher({
       logger.error("File watcher error:", error);
       events.emit("error", error);
     });
+  }
+
+  // Accepts one root or a list. Roots already being watched with the same
+  // options are left alone; the rest are started or stopped to match. New
+  // scan rules restart every root.
+  async function start(folderPaths, options = {}) {
+    const { recursive = true, rules = currentOptions.rules } = options;
+    const nextRoots = normalizeRoots(folderPaths);
+
+    if (currentOptions.recursive !== recursive || currentOptions.rules !== rules) {
+      await stop();
+    }
+    currentOptions = { recursive, rules };
 
-    return { success: true, mode: "watch", recursive };
+    await Promise.all(
+      getRoots()
+        .filter((rootPath) => !nextRoots.includes(rootPath))
+        .map((rootPath) => stopRoot(rootPath))
+    );
+    nextRoots.forEach((rootPath) => {
+      if (!roots.has(rootPath)) startRoot(rootPath, recursive, rules);
+    });
+
+    return {
+      success: true,
+      mode: isPolling() ? "polling" : "watch",
+      recursive,
+      roots: getRoots(),
+    };
   }
 
   // public API
@@ -253,6 +384,7 @@ function createFolderWatcher({
     stop,
     isPolling,
     getCurrentFolder,
+    getRoots,
     on: (...args) => events.on(...args),
     off: (...args) => events.off?.(...args) || events.removeListener(...args),
     once: (...args) => events.once(...args),
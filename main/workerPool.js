@@ -0,0 +1,124 @@
+// main/workerPool.js
+// Fixed-size worker_threads pool. Each worker runs one task at a time and
+// the rest wait in a FIFO queue, so at most `size` tasks are in progress.
+// Callers that produce work faster than that (the library scan) bound their
+// own in-flight count on top of this; see directoryScan's `concurrency`.
+//
+// A worker that crashes after doing some work is replaced. If every worker
+// dies before finishing a single task (e.g. the script cannot load), the pool
+// marks itself unavailable and rejects; callers fall back to the main thread.
+
+const { Worker } = require("worker_threads");
+
+function createWorkerPool({
+  script,
+  size = 2,
+  workerData,
+  logger = console,
+  createWorker = (file, options) => new Worker(file, options),
+}) {
+  const slots = new Set();
+  const queue = [];
+  let nextId = 1;
+  let closed = false;
+  let unavailable = false;
+  let completed = 0;
+  let failed = 0;
+
+  function rejectQueued(error) {
+    queue.splice(0).forEach((task) => task.reject(error));
+  }
+
+  function finish(slot, task, error, result) {
+    slot.task = null;
+    if (error) {
+      failed += 1;
+      task.reject(error);
+    } else {
+      completed += 1;
+      slot.completed += 1;
+      task.resolve(result);
+    }
+    pump();
+  }
+
+  function spawn() {
+    const worker = createWorker(script, { workerData });
+    const slot = { worker, task: null, completed: 0 };
+    slots.add(slot);
+
+    worker.on("message", (message) => {
+      const task = slot.task;
+      if (!task || message?.id !== task.id) return;
+      finish(slot, task, message.error ? new Error(message.error) : null, message.result);
+    });
+    worker.on("error", (error) => {
+      logger.warn("[workers] Worker error:", error?.message || error);
+    });
+    worker.on("exit", (code) => {
+      slots.delete(slot);
+      if (slot.task) {
+        finish(slot, slot.task, new Error(`Worker exited with code ${code}`));
+      }
+      if (closed) return;
+      if (slot.completed > 0) {
+        spawn();
+        pump();
+      } else if (slots.size === 0) {
+        unavailable = true;
+        rejectQueued(new Error("Worker pool unavailable"));
+      }
+    });
+  }
+
+  function pump() {
+    for (const slot of slots) {
+      if (!queue.length) return;
+      if (slot.task) continue;
+      const task = queue.shift();
+      slot.task = task;
+      slot.worker.postMessage({ id: task.id, ...task.payload });
+    }
+  }
+
+  for (let i = 0; i < Math.max(1, size); i += 1) {
+    spawn();
+  }
+
+  function run(payload) {
+    if (closed || unavailable) {
+      return Promise.reject(new Error("Worker pool unavailable"));
+    }
+    return new Promise((resolve, reject) => {
+      queue.push({ id: nextId++, payload, resolve, reject });
+      pump();
+    });
+  }
+
+  function stats() {
+    let busy = 0;
+    slots.forEach((slot) => {
+      if (slot.task) busy += 1;
+    });
+    return {
+      size: slots.size,
+      busy,
+      queued: queue.length,
+      completed,
+      failed,
+      available: !closed && !unavailable,
+    };
+  }
+
+  async function destroy() {
+    closed = true;
+    rejectQueued(new Error("Worker pool closed"));
+    await Promise.all([...slots].map((slot) => slot.worker.terminate()));
+  }
+
+  return { run, stats, destroy };
+}
+
+module.exports = {
+  createWorkerPool,
+};
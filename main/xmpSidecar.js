@@ -0,0 +1,186 @@
+// main/xmpSidecar.js
+// XMP sidecars (`clip.mp4.xmp`) so Resolve, Bridge and friends can see our
+// tags and ratings. Tags map to dc:subject, the rating to xmp:Rating.
+// Existing packets are edited in place so fields written by other tools
+// survive a round trip.
+
+const fs = require("fs");
+const fsPromises = fs.promises;
+
+const XMP_EXTENSION = ".xmp";
+
+const NS_DC = "http://purl.org/dc/elements/1.1/";
+const NS_XMP = "http://ns.adobe.com/xap/1.0/";
+
+const EMPTY_PACKET = `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description rdf:about=""
+    xmlns:dc="${NS_DC}"
+    xmlns:xmp="${NS_XMP}">
+  </rdf:Description>
+ </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>
+`;
+
+function sidecarPathFor(videoPath) {
+  return `${videoPath}${XMP_EXTENSION}`;
+}
+
+function isXmpSidecar(filePath) {
+  return (filePath || "").toLowerCase().endsWith(XMP_EXTENSION);
+}
+
+function videoPathForSidecar(xmpPath) {
+  return isXmpSidecar(xmpPath) ? xmpPath.slice(0, -XMP_EXTENSION.length) : null;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function unescapeXml(text) {
+  return String(text)
+    .replace(/&#x([0-9a-f]+);/gi, (_m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_m, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+function parseRating(value) {
+  const num = Number(value);
+  // XMP uses -1 for "rejected"; we only keep 0-5.
+  if (!Number.isFinite(num) || num < 0) return null;
+  return Math.min(5, Math.round(num));
+}
+
+/** Extracts { tags, rating } from an XMP packet. */
+function parseXmp(text) {
+  const source = String(text || "");
+  const tags = [];
+  const subject = source.match(/<dc:subject\b[^>]*>([\s\S]*?)<\/dc:subject>/);
+  if (subject) {
+    const items = subject[1].matchAll(/<rdf:li\b[^>]*>([\s\S]*?)<\/rdf:li>/g);
+    for (const [, raw] of items) {
+      const tag = unescapeXml(raw).trim();
+      if (tag && !tags.some((existing) => existing.toLowerCase() === tag.toLowerCase())) {
+        tags.push(tag);
+      }
+    }
+  }
+
+  const ratingMatch =
+    source.match(/\bxmp:Rating\s*=\s*["']([^"']*)["']/) ||
+    source.match(/<xmp:Rating>([\s\S]*?)<\/xmp:Rating>/);
+  const rating = ratingMatch ? parseRating(ratingMatch[1].trim()) : null;
+
+  return { tags, rating };
+}
+
+function ensureNamespace(openTag, prefix, uri, source) {
+  if (new RegExp(`xmlns:${prefix}\\s*=`).test(source)) return openTag;
+  return openTag.replace(/^<rdf:Description\b/, `<rdf:Description xmlns:${prefix}="${uri}"`);
+}
+
+/**
+ * Writes tags and rating into an XMP packet, replacing any previous
+ * dc:subject and xmp:Rating but leaving everything else alone. Without a
+ * usable `existing` packet a fresh one is produced.
+ */
+function buildXmp({ tags = [], rating = null } = {}, existing = null) {
+  let source =
+    existing && /<rdf:Description\b/.test(existing) ? String(existing) : EMPTY_PACKET;
+
+  source = source
+    .replace(/[ \t]*<dc:subject\b[^>]*\/>\s*/g, "")
+    .replace(/[ \t]*<dc:subject\b[^>]*>[\s\S]*?<\/dc:subject>\s*/g, "")
+    .replace(/\s+xmp:Rating\s*=\s*["'][^"']*["']/g, "")
+    .replace(/[ \t]*<xmp:Rating>[\s\S]*?<\/xmp:Rating>\s*/g, "");
+
+  const openMatch = source.match(/<rdf:Description\b[^>]*?(\/?)>/);
+  const selfClosing = openMatch[1] === "/";
+  let openTag = openMatch[0].replace(/\s*\/?>$/, "");
+  openTag = ensureNamespace(openTag, "dc", NS_DC, source);
+  openTag = ensureNamespace(openTag, "xmp", NS_XMP, source);
+  if (rating !== null && rating !== undefined) {
+    openTag += `\n    xmp:Rating="${parseRating(rating) ?? 0}"`;
+  }
+  openTag += ">";
+
+  const subject = tags.length
+    ? `\n   <dc:subject>\n    <rdf:Bag>\n${tags
+        .map((tag) => `     <rdf:li>${escapeXml(tag)}</rdf:li>\n`)
+        .join("")}    </rdf:Bag>\n   </dc:subject>`
+    : "";
+  const replacement = selfClosing
+    ? `${openTag}${subject}\n  </rdf:Description>`
+    : `${openTag}${subject}`;
+
+  return (
+    source.slice(0, openMatch.index) +
+    replacement +
+    source.slice(openMatch.index + openMatch[0].length)
+  );
+}
+
+/** Same tags (ignoring case and order) and same rating. */
+function sameMetadata(a, b) {
+  const normalize = (tags) =>
+    Array.from(new Set((tags || []).map((tag) => tag.toLowerCase()))).sort().join("\n");
+  return (a?.rating ?? null) === (b?.rating ?? null) && normalize(a?.tags) === normalize(b?.tags);
+}
+
+/** Resolves to { tags, rating, mtimeMs } or null when there is no sidecar. */
+async function readXmpSidecar(videoPath) {
+  const sidecarPath = sidecarPathFor(videoPath);
+  try {
+    const [text, stats] = await Promise.all([
+      fsPromises.readFile(sidecarPath, "utf8"),
+      fsPromises.stat(sidecarPath),
+    ]);
+    return { ...parseXmp(text), mtimeMs: Math.round(stats.mtimeMs) };
+  } catch (error) {
+    if (error?.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+/**
+ * Brings the sidecar in line with { tags, rating }. Resolves to false when
+ * it already matched (the file is not touched, so its mtime stays put).
+ */
+async function writeXmpSidecar(videoPath, metadata) {
+  const sidecarPath = sidecarPathFor(videoPath);
+  let existing = null;
+  try {
+    existing = await fsPromises.readFile(sidecarPath, "utf8");
+  } catch (error) {
+    if (error?.code !== "ENOENT") throw error;
+  }
+  if (existing !== null && sameMetadata(parseXmp(existing), metadata)) return false;
+  if (existing === null && !metadata?.tags?.length && (metadata?.rating ?? null) === null) {
+    return false;
+  }
+  await fsPromises.writeFile(sidecarPath, buildXmp(metadata, existing), "utf8");
+  return true;
+}
+
+module.exports = {
+  XMP_EXTENSION,
+  sidecarPathFor,
+  isXmpSidecar,
+  videoPathForSidecar,
+  parseXmp,
+  buildXmp,
+  sameMetadata,
+  readXmpSidecar,
+  writeXmpSidecar,
+};
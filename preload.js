@@ -20,12 +20,26 @@ contextBridge.exposeInMainWorld("electronAPI", {
     return () => ipcRenderer.removeListener("ui:open-data-location", handler);
   },
 
+  onOpenScanRules: (callback) => {
+    if (typeof callback !== "function") {
+      return () => {};
+    }
+    const handler = () => callback();
+    ipcRenderer.on("ui:open-scan-rules", handler);
+    return () => ipcRenderer.removeListener("ui:open-scan-rules", handler);
+  },
+
   dataLocation: {
     getState: () => ipcRenderer.invoke("data-location:get-state"),
     browse: () => ipcRenderer.invoke("data-location:browse"),
     applySelection: (payload) => ipcRenderer.invoke("data-location:apply", payload),
   },
 
+  scanRules: {
+    get: () => ipcRenderer.invoke("scan-rules:get"),
+    set: (rules) => ipcRenderer.invoke("scan-rules:set", rules),
+  },
+
   // File manager integration
   showItemInFolder: async (filePath) => {
     return await ipcRenderer.invoke("show-item-in-folder", filePath);
@@ -36,6 +50,24 @@ contextBridge.exposeInMainWorld("electronAPI", {
     return await ipcRenderer.invoke("read-directory", folderPath, recursive);
   },
 
+  // Streaming scan: resolves to { scanId, total, cancelled, error? } once
+  // done; batches and progress arrive through the listeners meanwhile.
+  scan: {
+    start: (scanId, folderPath, recursive = false) =>
+      ipcRenderer.invoke("scan:start", scanId, folderPath, recursive),
+    cancel: (scanId) => ipcRenderer.invoke("scan:cancel", scanId),
+    onBatch: (callback) => {
+      const handler = (_event, payload) => callback(payload);
+      ipcRenderer.on("scan:batch", handler);
+      return () => ipcRenderer.removeListener("scan:batch", handler);
+    },
+    onProgress: (callback) => {
+      const handler = (_event, payload) => callback(payload);
+      ipcRenderer.on("scan:progress", handler);
+      return () => ipcRenderer.removeListener("scan:progress", handler);
+    },
+  },
+
   // File system watching
   startFolderWatch: async (folderPath, recursive) => {
     return await ipcRenderer.invoke(
@@ -68,6 +100,12 @@ contextBridge.exposeInMainWorld("electronAPI", {
     return () => ipcRenderer.removeListener("file-changed", handler);
   },
 
+  onFileRenamed: (callback) => {
+    const handler = (_event, payload) => callback(payload);
+    ipcRenderer.on("file-renamed", handler);
+    return () => ipcRenderer.removeListener("file-renamed", handler);
+  },
+
   onFileWatchError: (callback) => {
     const handler = (_event, error) => callback(error);
     ipcRenderer.on("file-watch-error", handler);
@@ -80,8 +118,8 @@ contextBridge.exposeInMainWorld("electronAPI", {
   },
 
   // Folder selection dialog
-  selectFolder: async () => {
-    return await ipcRenderer.invoke("select-folder");
+  selectFolder: async (options) => {
+    return await ipcRenderer.invoke("select-folder", options);
   },
 
   // Listen for folder selection from menu
@@ -172,8 +210,8 @@ contextBridge.exposeInMainWorld("electronAPI", {
     return !!result;
   },
 
-  copyFile: async (sourcePath, destPath) => {
-    return await ipcRenderer.invoke("copy-file", sourcePath, destPath);
+  copyFile: async (sourcePath, destPath, options) => {
+    return await ipcRenderer.invoke("copy-file", sourcePath, destPath, options);
   },
 
   getFileProperties: async (filePath) => {
@@ -229,8 +267,97 @@ contextBridge.exposeInMainWorld("electronAPI", {
       ipcRenderer.invoke("metadata:remove-tag", fingerprints, tagName),
     setRating: async (fingerprints, rating) =>
       ipcRenderer.invoke("metadata:set-rating", fingerprints, rating),
+    setFlag: async (fingerprints, flag) =>
+      ipcRenderer.invoke("metadata:set-flag", fingerprints, flag),
+    setLabel: async (fingerprints, label) =>
+      ipcRenderer.invoke("metadata:set-label", fingerprints, label),
+    recordComparison: async (first, second, outcome) =>
+      ipcRenderer.invoke("metadata:record-comparison", first, second, outcome),
+    undoComparison: async () => ipcRenderer.invoke("metadata:undo-comparison"),
+    setTagColor: async (tagName, color) =>
+      ipcRenderer.invoke("metadata:set-tag-color", tagName, color),
+    setTagParent: async (tagName, parentName) =>
+      ipcRenderer.invoke("metadata:set-tag-parent", tagName, parentName),
+    setNotes: async (fingerprints, text) =>
+      ipcRenderer.invoke("metadata:set-notes", fingerprints, text),
+    listFields: async () => ipcRenderer.invoke("metadata:list-fields"),
+    createField: async (definition) =>
+      ipcRenderer.invoke("metadata:create-field", definition),
+    updateField: async (fieldId, patch) =>
+      ipcRenderer.invoke("metadata:update-field", fieldId, patch),
+    deleteField: async (fieldId) => ipcRenderer.invoke("metadata:delete-field", fieldId),
+    setField: async (fingerprints, fieldId, value) =>
+      ipcRenderer.invoke("metadata:set-field", fingerprints, fieldId, value),
+    renameTag: async (tagName, newName) =>
+      ipcRenderer.invoke("metadata:rename-tag", tagName, newName),
+    mergeTags: async (tagNames, targetName) =>
+      ipcRenderer.invoke("metadata:merge-tags", tagNames, targetName),
+    deleteTags: async (tagNames) =>
+      ipcRenderer.invoke("metadata:delete-tags", tagNames),
+    listTagAliases: async () => ipcRenderer.invoke("metadata:list-tag-aliases"),
+    addTagAlias: async (alias, tagName) =>
+      ipcRenderer.invoke("metadata:add-tag-alias", alias, tagName),
+    removeTagAlias: async (alias) =>
+      ipcRenderer.invoke("metadata:remove-tag-alias", alias),
     get: async (fingerprints) =>
       ipcRenderer.invoke("metadata:get", fingerprints),
+    search: async (query, options) =>
+      ipcRenderer.invoke("metadata:search", query, options),
+    getWorkflow: async (filePath) =>
+      ipcRenderer.invoke("metadata:get-workflow", filePath),
+    saveWorkflow: async (payload) =>
+      ipcRenderer.invoke("metadata:save-workflow", payload),
+    onImported: (callback) => {
+      const handler = (_event, payload) => callback(payload);
+      ipcRenderer.on("metadata:imported", handler);
+      return () => ipcRenderer.removeListener("metadata:imported", handler);
+    },
+    onChanged: (callback) => {
+      const handler = (_event, payload) => callback(payload);
+      ipcRenderer.on("metadata:changed", handler);
+      return () => ipcRenderer.removeListener("metadata:changed", handler);
+    },
+  },
+
+  savedSearches: {
+    list: async () => ipcRenderer.invoke("saved-searches:list"),
+    save: async (payload) => ipcRenderer.invoke("saved-searches:save", payload),
+    delete: async (id) => ipcRenderer.invoke("saved-searches:delete", id),
+  },
+
+  collections: {
+    list: async () => ipcRenderer.invoke("collections:list"),
+    create: async (name, fingerprints) =>
+      ipcRenderer.invoke("collections:create", name, fingerprints),
+    delete: async (id) => ipcRenderer.invoke("collections:delete", id),
+    addItems: async (id, fingerprints) =>
+      ipcRenderer.invoke("collections:add-items", id, fingerprints),
+    removeItems: async (id, fingerprints) =>
+      ipcRenderer.invoke("collections:remove-items", id, fingerprints),
+    reorder: async (id, fingerprints) =>
+      ipcRenderer.invoke("collections:reorder", id, fingerprints),
+    open: async (id) => ipcRenderer.invoke("collections:open", id),
+  },
+
+  similarity: {
+    getHashes: async (fingerprints) =>
+      ipcRenderer.invoke("similarity:get-hashes", fingerprints),
+    putHash: async (fingerprint, hash) =>
+      ipcRenderer.invoke("similarity:put-hash", fingerprint, hash),
+    clusters: async (fingerprints, maxDistance) =>
+      ipcRenderer.invoke("similarity:clusters", fingerprints, maxDistance),
+  },
+
+  dataset: {
+    writeManifest: async (targetDir, entries) =>
+      ipcRenderer.invoke("dataset:write-manifest", targetDir, entries),
+  },
+
+  captions: {
+    write: async (videoPath, text) =>
+      ipcRenderer.invoke("captions:write", videoPath, text),
+    bulkEdit: async (videoPaths, edit) =>
+      ipcRenderer.invoke("captions:bulk-edit", videoPaths, edit),
   },
 
   recent: {
@@ -17,6 +17,12 @@ import DebugSummary from "./components/DebugSummary";
 import AboutDialog from "./components/AboutDialog";
 import DataLocationDialog from "./components/DataLocationDialog";
 import ProfilePromptDialog from "./components/ProfilePromptDialog";
+import CollectionPickerDialog from "./components/CollectionPickerDialog";
+import SimilarClipsDialog from "./components/SimilarClipsDialog";
+import ComparisonDialog from "./components/ComparisonDialog";
+import ExportDatasetDialog from "./components/ExportDatasetDialog";
+import ScanRulesDialog from "./components/ScanRulesDialog";
+import TagManagerDialog from "./components/TagManagerDialog";
 
 import { useFullScreenModal } from "./hooks/useFullScreenModal";
 import { useVideoCollection } from "./hooks/video-collection";
@@ -28,13 +34,21 @@ import useSelectionState from "./hooks/selection/useSelectionState";
 import useStableViewAnchoring from "./hooks/selection/useStableViewAnchoring";
 import { useContextMenu } from "./hooks/context-menu/useContextMenu";
 import useActionDispatch from "./hooks/actions/useActionDispatch";
+import { ActionIds } from "./hooks/actions/actions";
 import { releaseVideoHandlesForAsync } from "./utils/releaseVideoHandles";
 import { updateSetMembership, removeManyFromSet } from "./utils/updateSetMembership";
 import useTrashIntegration from "./hooks/actions/useTrashIntegration";
 import { shouldAutoOpenMetadataPanel } from "./utils/metadataPanelState";
 
 import { SortKey } from "./sorting/sorting.js";
-import { parseSortValue, formatSortValue } from "./sorting/sortOption.js";
+import {
+  sortKeyLabel,
+  parseSortValue,
+  formatSortValue,
+  formatSortChain,
+  parseSortChain,
+  normalizeThenBy,
+} from "./sorting/sortOption.js";
 
 import { zoomClassForLevel, clampZoomIndex } from "./zoom/utils.js";
 import useHotkeys from "./hooks/selection/useHotkeys";
@@ -53,6 +67,12 @@ import MemoryAlert from "./app/components/MemoryAlert";
 import { useFilterState } from "./app/hooks/useFilterState";
 import { useMasonryLayout } from "./app/hooks/useMasonryLayout";
 import { useMetadataActions } from "./app/hooks/useMetadataActions";
+import { useCaptionActions } from "./app/hooks/useCaptionActions";
+import { useEmbeddedWorkflow } from "./app/hooks/useEmbeddedWorkflow";
+import { useSavedSearches } from "./app/hooks/useSavedSearches";
+import { useCollections } from "./app/hooks/useCollections";
+import { createDefaultFilters } from "./app/filters/filtersUtils";
+import { buildTagColorMap } from "./app/filters/tagHierarchy";
 import { useZoomControls } from "./app/hooks/useZoomControls";
 import { useElectronFolderLifecycle } from "./app/hooks/useElectronFolderLifecycle";
 
@@ -146,10 +166,20 @@ function App() {
   const [zoomLevel, setZoomLevel] = useState(1);
   const [sortKey, setSortKey] = useState(SortKey.NAME);
   const [sortDir, setSortDir] = useState("asc");
+  const [sortThenBy, setSortThenBy] = useState([]);
   const [groupByFolders, setGroupByFolders] = useState(true);
   const [randomSeed, setRandomSeed] = useState(null);
+  const [hideRejects, setHideRejects] = useState(false);
+  const [triageTagKeys, setTriageTagKeys] = useState({});
+  const [collectionOrderActive, setCollectionOrderActive] = useState(true);
+  const [collectionPicker, setCollectionPicker] = useState(null);
+  const [isSimilarOpen, setSimilarOpen] = useState(false);
+  const [isTagManagerOpen, setTagManagerOpen] = useState(false);
+  const [comparisonScope, setComparisonScope] = useState(null); // "selection" | "filtered"
+  const [exportTargets, setExportTargets] = useState(null); // clips offered as "Selected"
   const [isAboutOpen, setAboutOpen] = useState(false);
   const [isDataLocationOpen, setDataLocationOpen] = useState(false);
+  const [isScanRulesOpen, setScanRulesOpen] = useState(false);
   const [profilePromptRequest, setProfilePromptRequest] = useState(null);
   const [profilePromptValue, setProfilePromptValue] = useState("");
 
@@ -162,9 +192,11 @@ function App() {
   const { scheduleInit } = useInitGate({ perFrame: 6 });
 
   const [availableTags, setAvailableTags] = useState([]);
+  const [customFields, setCustomFields] = useState([]);
   const [isMetadataPanelOpen, setMetadataPanelOpen] = useState(false);
   const [metadataPanelDismissed, setMetadataPanelDismissed] = useState(false);
   const [metadataFocusToken, setMetadataFocusToken] = useState(0);
+  const [metadataPanelTab, setMetadataPanelTab] = useState("details");
   const [metadataDockHeight, setMetadataDockHeight] = useState(
     DEFAULT_METADATA_DOCK_HEIGHT
   );
@@ -178,6 +210,10 @@ function App() {
   const applyZoomFromSettingsRef = useRef((value) => {
     setZoomLevel(clampZoomIndex(value));
   });
+  const retargetFullScreenRef = useRef(null);
+  const handleVideoRenamed = useCallback((oldId, video) => {
+    retargetFullScreenRef.current?.(oldId, video);
+  }, []);
   const invokeRefreshTagList = useCallback(() => {
     const fn = refreshTagListRef.current;
     if (typeof fn === "function") {
@@ -201,6 +237,17 @@ function App() {
     };
   }, []);
 
+  useEffect(() => {
+    const unsubscribe = window.electronAPI?.onOpenScanRules?.(() => {
+      setScanRulesOpen(true);
+    });
+    return () => {
+      if (typeof unsubscribe === "function") {
+        unsubscribe();
+      }
+    };
+  }, []);
+
   useEffect(() => {
     const profilesApi = window.electronAPI?.profiles;
     if (!profilesApi?.onPromptInput) {
@@ -273,10 +320,19 @@ function App() {
     isLoadingFolder,
     loadingStage,
     loadingProgress,
+    scanProgress,
+    scanStats,
+    cancelScan,
     settingsLoaded,
     handleElectronFolderSelection,
     handleFolderSelect,
     handleWebFileSelection,
+    activeCollection,
+    setActiveCollection,
+    handleOpenCollection,
+    libraryRoots,
+    handleAddRoot,
+    handleRemoveRoot,
   } = useElectronFolderLifecycle({
     selection,
     recursiveMode,
@@ -286,9 +342,12 @@ function App() {
     setRenderLimitStep,
     setSortKey,
     setSortDir,
+    setSortThenBy,
     groupByFolders,
     setGroupByFolders,
     setRandomSeed,
+    setHideRejects,
+    setTriageTagKeys,
     setZoomLevelFromSettings: (value) =>
       applyZoomFromSettingsRef.current?.(value),
     setVisibleVideos,
@@ -297,6 +356,7 @@ function App() {
     setActualPlaying,
     refreshTagList: invokeRefreshTagList,
     addRecentFolder,
+    onVideoRenamed: handleVideoRenamed,
   });
 
   const {
@@ -308,11 +368,17 @@ function App() {
     filteredVideos,
     filteredVideoIds,
     filtersActiveCount,
+    queryError,
+    searchQuery,
+    setSearchQuery,
     ratingSummary,
     handleRemoveIncludeFilter,
     handleRemoveExcludeFilter,
   } = useFilterState({
     videos,
+    availableTags,
+    customFields,
+    hideRejects,
     filtersButtonRef,
     filtersPopoverRef,
   });
@@ -337,8 +403,10 @@ function App() {
     filteredVideos,
     sortKey,
     sortDir,
+    sortThenBy,
     groupByFolders,
     randomSeed,
+    preserveOrder: !!activeCollection && collectionOrderActive,
     zoomLevel,
     scrollContainerRef,
     gridRef,
@@ -733,16 +801,17 @@ function App() {
   ]);
 
   const sortStatus = useMemo(() => {
-    const keyLabels = {
-      [SortKey.NAME]: "Name",
-      [SortKey.CREATED]: "Created",
-      [SortKey.RANDOM]: "Random",
-    };
-    const arrow =
-      sortKey === SortKey.RANDOM ? "" : sortDir === "asc" ? "↑" : "↓";
-    const base = `Sorted by ${keyLabels[sortKey]}${arrow ? ` ${arrow}` : ""}`;
+    const describe = (key, dir) =>
+      `${sortKeyLabel(key, customFields)}${key === SortKey.RANDOM ? "" : dir === "asc" ? " ↑" : " ↓"}`;
+    const chain = [
+      describe(sortKey, sortDir),
+      ...(sortKey === SortKey.RANDOM ? [] : sortThenBy).map((entry) =>
+        describe(entry.sortKey, entry.sortDir)
+      ),
+    ];
+    const base = `Sorted by ${chain.join(", then ")}`;
     return groupByFolders ? `${base} • Grouped by folders` : base;
-  }, [sortKey, sortDir, groupByFolders]);
+  }, [sortKey, sortDir, sortThenBy, groupByFolders, customFields]);
 
   // Simple toast used by actions layer
   const notify = useCallback((message, type = "info") => {
@@ -776,20 +845,60 @@ function App() {
     handleSetRating,
     handleClearRating,
     handleApplyExistingTag,
+    handleSetTagColor,
+    handleSetTagParent,
+    handleRenameTag,
+    handleMergeTags,
+    handleDeleteTags,
+    handleAddTagAlias,
+    handleRemoveTagAlias,
+    handleSetFlag,
+    handleSetLabel,
+    applyTriageAction,
+    handleRecordComparison,
+    handleUndoComparison,
+    handleSetNotes,
+    handleSetFieldValue,
+    handleCreateField,
+    handleUpdateField,
+    handleDeleteField,
     refreshTagList,
+    refreshCustomFields,
   } = useMetadataActions({
     selectedFingerprints,
     setVideos,
     setAvailableTags,
+    setCustomFields,
     notify,
   });
 
-  refreshTagListRef.current = refreshTagList;
+  refreshTagListRef.current = () => {
+    refreshTagList();
+    refreshCustomFields();
+  };
+
+  const tagColors = useMemo(() => buildTagColorMap(availableTags), [availableTags]);
+
+  const { handleSaveCaption, handleBulkEditCaptions } = useCaptionActions({
+    selectedVideos,
+    setVideos,
+    notify,
+  });
+
+  const embeddedWorkflow = useEmbeddedWorkflow({
+    video: selectedVideos.length === 1 ? selectedVideos[0] : null,
+    enabled: isMetadataPanelOpen && metadataPanelTab === "workflow",
+    notify,
+  });
 
   useEffect(() => {
     refreshTagList();
   }, [refreshTagList]);
 
+  useEffect(() => {
+    refreshCustomFields();
+  }, [refreshCustomFields]);
+
   const openMetadataPanel = useCallback(() => {
     runSidebarTransition("sidebar:open", () => {
       setMetadataPanelOpen(true);
@@ -954,7 +1063,132 @@ function App() {
     setLoadingIds: setLoadingVideos,
   });
 
-  const { runAction } = useActionDispatch(deps, getById);
+  const { runAction, resolveTargetIds } = useActionDispatch(deps, getById);
+
+  const {
+    items: collections,
+    create: createCollection,
+    addItems: addToCollection,
+    removeItems: removeFromCollection,
+    reorder: reorderCollection,
+    remove: deleteCollection,
+  } = useCollections({ notify });
+
+  const openCollection = useCallback(
+    async (collection) => {
+      if (!collection) return;
+      setCollectionOrderActive(true);
+      const result = await handleOpenCollection(collection.id);
+      if (!result) {
+        notify(`Failed to open "${collection.name}"`, "error");
+      } else if (result.missing > 0) {
+        notify(`${result.missing} clip(s) in "${collection.name}" could not be found`, "warning");
+      }
+    },
+    [handleOpenCollection, notify]
+  );
+
+  // New scan rules apply to the next scan, so reopen what is showing.
+  const handleScanRulesSaved = useCallback(() => {
+    notify("Scan rules saved", "success");
+    if (!activeCollection && libraryRoots.length) {
+      handleElectronFolderSelection(libraryRoots);
+    }
+  }, [activeCollection, handleElectronFolderSelection, libraryRoots, notify]);
+
+  const handleDeleteCollection = useCallback(
+    async (collection) => {
+      if (!collection) return;
+      await deleteCollection(collection.id);
+      if (activeCollection?.id === collection.id) {
+        setActiveCollection(null);
+        setVideos([]);
+      }
+    },
+    [deleteCollection, activeCollection, setActiveCollection, setVideos]
+  );
+
+  const resolveCollectionTargets = useCallback(
+    (actionId) => {
+      const ids = resolveTargetIds(actionId, selection.selected, contextMenu.contextId);
+      return Array.from(ids || [])
+        .map((id) => getById(id))
+        .filter((video) => video?.fingerprint);
+    },
+    [resolveTargetIds, selection.selected, contextMenu.contextId, getById]
+  );
+
+  const handleCollectionAction = useCallback(
+    async (actionId) => {
+      // Keep the on-screen order so picked clips land in the sequence the user sees
+      const targets = resolveCollectionTargets(actionId);
+      const targetSet = new Set(targets.map((video) => video.fingerprint));
+      const fingerprints = orderedVideos
+        .filter((video) => targetSet.has(video.fingerprint))
+        .map((video) => video.fingerprint);
+      if (!fingerprints.length) {
+        notify("Selected clips are not indexed yet", "info");
+        return;
+      }
+
+      if (actionId === "add-to-collection") {
+        setCollectionPicker({ fingerprints });
+        return;
+      }
+      if (!activeCollection) return;
+
+      if (actionId === "remove-from-collection") {
+        const removed = await removeFromCollection(activeCollection.id, fingerprints);
+        if (!removed) return;
+        setVideos((prev) => prev.filter((video) => !targetSet.has(video.fingerprint)));
+        selection.clear();
+        notify(`Removed ${fingerprints.length} item(s) from "${activeCollection.name}"`, "success");
+        return;
+      }
+
+      if (actionId === "move-to-collection-start") {
+        const moved = videos.filter((video) => targetSet.has(video.fingerprint));
+        const rest = videos.filter((video) => !targetSet.has(video.fingerprint));
+        const next = [...moved, ...rest];
+        const saved = await reorderCollection(
+          activeCollection.id,
+          next.map((video) => video.fingerprint)
+        );
+        if (!saved) return;
+        setVideos(next);
+        setCollectionOrderActive(true);
+      }
+    },
+    [
+      resolveCollectionTargets,
+      orderedVideos,
+      videos,
+      activeCollection,
+      removeFromCollection,
+      reorderCollection,
+      setVideos,
+      selection,
+      notify,
+    ]
+  );
+
+  const handlePickCollection = useCallback(
+    async (collection) => {
+      const fingerprints = collectionPicker?.fingerprints || [];
+      setCollectionPicker(null);
+      await addToCollection(collection, fingerprints);
+    },
+    [collectionPicker, addToCollection]
+  );
+
+  const handleCreateCollectionFromPicker = useCallback(
+    async (name) => {
+      const fingerprints = collectionPicker?.fingerprints || [];
+      setCollectionPicker(null);
+      await createCollection(name, fingerprints);
+    },
+    [collectionPicker, createCollection]
+  );
 
   const handleContextAction = useCallback(
     (actionId) => {
@@ -975,6 +1209,29 @@ function App() {
         }
         return;
       }
+      if (actionId.startsWith("metadata:flag:")) {
+        const flag = actionId.replace("metadata:flag:", "");
+        handleSetFlag(flag === "clear" ? null : flag);
+        return;
+      }
+      if (actionId.startsWith("metadata:label:")) {
+        const label = actionId.replace("metadata:label:", "");
+        handleSetLabel(label === "clear" ? null : label);
+        return;
+      }
+      if (
+        actionId === "add-to-collection" ||
+        actionId === "remove-from-collection" ||
+        actionId === "move-to-collection-start"
+      ) {
+        handleCollectionAction(actionId);
+        return;
+      }
+      if (actionId === "export-dataset") {
+        const ids = resolveTargetIds(actionId, selection.selected, contextMenu.contextId);
+        setExportTargets(Array.from(ids || []).map((id) => getById(id)).filter(Boolean));
+        return;
+      }
       if (actionId.startsWith("metadata:tag:")) {
         const tagName = actionId.replace("metadata:tag:", "");
         if (tagName) {
@@ -988,7 +1245,12 @@ function App() {
       openMetadataPanel,
       selectedFingerprints,
       handleSetRating,
+      handleSetFlag,
+      handleSetLabel,
       handleApplyExistingTag,
+      handleCollectionAction,
+      resolveTargetIds,
+      getById,
       runAction,
       selection.selected,
       contextMenu.contextId,
@@ -1025,8 +1287,13 @@ function App() {
     openFullScreen,
     closeFullScreen,
     navigateFullScreen,
+    retargetFullScreen,
   } = useFullScreenModal(orderedVideos, "masonry-vertical", gridRef);
 
+  useEffect(() => {
+    retargetFullScreenRef.current = retargetFullScreen;
+  }, [retargetFullScreen]);
+
   // Hotkeys operate on current selection
   const runForHotkeys = useCallback(
     (actionId, currentSelection) =>
@@ -1145,6 +1412,31 @@ function App() {
     });
   }, [recursiveMode, renderLimitStep, zoomLevel, showFilenames]);
 
+  const toggleHideRejects = useCallback(() => {
+    const next = !hideRejects;
+    setHideRejects(next);
+    window.electronAPI?.saveSettingsPartial?.({ hideRejects: next });
+  }, [hideRejects]);
+
+  const updateTriageTagKeys = useCallback((next) => {
+    setTriageTagKeys(next);
+    window.electronAPI?.saveSettingsPartial?.({ triageTagKeys: next });
+  }, []);
+
+  // The fullscreen clip is a snapshot; triage needs its current marks.
+  const fullScreenLiveVideo = useMemo(
+    () =>
+      fullScreenVideo
+        ? videos.find((video) => video.id === fullScreenVideo.id) || fullScreenVideo
+        : null,
+    [videos, fullScreenVideo]
+  );
+
+  const handleTriage = useCallback(
+    (video, action) => applyTriageAction(video?.fingerprint, action),
+    [applyTriageAction]
+  );
+
   const toggleFilenames = useCallback(() => {
     const next = !showFilenames;
     setShowFilenames(next);
@@ -1172,9 +1464,16 @@ function App() {
 
   const handleSortChange = useCallback(
     (value) => {
+      if (value === "collection") {
+        setCollectionOrderActive(true);
+        return;
+      }
+      setCollectionOrderActive(false);
       const { sortKey: key, sortDir: dir } = parseSortValue(value);
+      const thenBy = normalizeThenBy(sortThenBy, key);
       setSortKey(key);
       setSortDir(dir);
+      setSortThenBy(thenBy);
       let seed = randomSeed;
       if (key === SortKey.RANDOM && seed == null) {
         seed = Date.now();
@@ -1183,12 +1482,22 @@ function App() {
       window.electronAPI?.saveSettingsPartial?.({
         sortKey: key,
         sortDir: dir,
+        sortThenBy: thenBy,
         groupByFolders,
         randomSeed: seed,
         renderLimitStep,
       });
     },
-    [groupByFolders, randomSeed, renderLimitStep]
+    [groupByFolders, randomSeed, renderLimitStep, sortThenBy]
+  );
+
+  const handleSortThenByChange = useCallback(
+    (next) => {
+      const thenBy = normalizeThenBy(next, sortKey);
+      setSortThenBy(thenBy);
+      window.electronAPI?.saveSettingsPartial?.({ sortThenBy: thenBy });
+    },
+    [sortKey]
   );
 
   const toggleGroupByFolders = useCallback(() => {
@@ -1213,6 +1522,55 @@ function App() {
     });
   }, [sortKey, sortDir, groupByFolders]);
 
+  const {
+    items: savedSearches,
+    save: saveSavedSearch,
+    remove: deleteSavedSearch,
+  } = useSavedSearches({ notify });
+
+  const handleSaveSearch = useCallback(
+    (name) =>
+      saveSavedSearch(name, {
+        filters,
+        sortValue: formatSortChain(sortKey, sortDir, sortThenBy),
+        groupByFolders,
+      }),
+    [saveSavedSearch, filters, sortKey, sortDir, sortThenBy, groupByFolders]
+  );
+
+  // Restore filters, sort and grouping from a saved search in one go
+  const applySavedSearch = useCallback(
+    (entry) => {
+      if (!entry) return;
+      updateFilters(() => ({ ...createDefaultFilters(), ...(entry.filters || {}) }));
+
+      const {
+        sortKey: key,
+        sortDir: dir,
+        thenBy,
+      } = parseSortChain(entry.sortValue || "name-asc");
+      const grouped =
+        typeof entry.groupByFolders === "boolean" ? entry.groupByFolders : groupByFolders;
+      setSortKey(key);
+      setSortDir(dir);
+      setSortThenBy(thenBy);
+      setGroupByFolders(grouped);
+      let seed = randomSeed;
+      if (key === SortKey.RANDOM && seed == null) {
+        seed = Date.now();
+        setRandomSeed(seed);
+      }
+      window.electronAPI?.saveSettingsPartial?.({
+        sortKey: key,
+        sortDir: dir,
+        sortThenBy: thenBy,
+        groupByFolders: grouped,
+        randomSeed: seed,
+      });
+    },
+    [updateFilters, groupByFolders, randomSeed]
+  );
+
   // Selection via clicks on cards (single / ctrl-multi / shift-range / double → fullscreen)
   const handleVideoSelect = useCallback(
     (videoId, isCtrlClick, isShiftClick, isDoubleClick) => {
@@ -1270,11 +1628,11 @@ function App() {
 
   useEffect(() => {
     const onKey = (e) => {
-      if (e.key === "Escape" && isLoadingFolder) setIsLoadingFolder(false);
+      if (e.key === "Escape" && isLoadingFolder) cancelScan();
     };
     document.addEventListener("keydown", onKey);
     return () => document.removeEventListener("keydown", onKey);
-  }, [isLoadingFolder]);
+  }, [isLoadingFolder, cancelScan]);
 
   // cleanup pass from videoCollection
   // drive the effect by stable scalars; apply deletions, not replacement; de-bounce one tick
@@ -1363,6 +1721,8 @@ function App() {
             show={isLoadingFolder}
             stage={loadingStage}
             progress={loadingProgress}
+            scan={scanProgress}
+            onCancel={cancelScan}
           />
 
           <HeaderBar
@@ -1372,6 +1732,8 @@ function App() {
             recursiveMode={recursiveMode}
             toggleRecursive={toggleRecursive}
             showFilenames={showFilenames}
+            hideRejects={hideRejects}
+            toggleHideRejects={toggleHideRejects}
             toggleFilenames={toggleFilenames}
             renderLimitStep={renderLimitStep}
             renderLimitLabel={renderLimitLabel}
@@ -1381,9 +1743,16 @@ function App() {
             handleZoomChangeSafe={handleZoomChangeSafe}
             getMinimumZoomLevel={getMinimumZoomLevel}
             sortKey={sortKey}
-            sortSelection={formatSortValue(sortKey, sortDir)}
+            sortSelection={
+              activeCollection && collectionOrderActive
+                ? "collection"
+                : formatSortValue(sortKey, sortDir)
+            }
             groupByFolders={groupByFolders}
             onSortChange={handleSortChange}
+            sortThenBy={sortThenBy}
+            onSortThenByChange={handleSortThenByChange}
+            customFields={customFields}
             onGroupByFoldersToggle={toggleGroupByFolders}
             onReshuffle={reshuffleRandom}
             recentFolders={recentFolders}
@@ -1393,6 +1762,26 @@ function App() {
             filtersActiveCount={filtersActiveCount}
             filtersAreOpen={isFiltersOpen}
             filtersButtonRef={filtersButtonRef}
+            searchQuery={searchQuery}
+            onSearchChange={setSearchQuery}
+            savedSearches={savedSearches}
+            onApplySavedSearch={applySavedSearch}
+            onSaveSearch={handleSaveSearch}
+            onDeleteSavedSearch={deleteSavedSearch}
+            collections={collections}
+            activeCollection={activeCollection}
+            onOpenCollection={openCollection}
+            onCreateCollection={(name) => createCollection(name)}
+            onDeleteCollection={handleDeleteCollection}
+            libraryRoots={libraryRoots}
+            onAddRoot={handleAddRoot}
+            onFindSimilar={() => setSimilarOpen(true)}
+            onCompare={() =>
+              setComparisonScope(selectedVideos.length >= 2 ? "selection" : "filtered")
+            }
+            onExportDataset={() => setExportTargets(selectedVideos)}
+            onManageTags={() => setTagManagerOpen(true)}
+            onRemoveRoot={handleRemoveRoot}
           />
 
           {isFiltersOpen && (
@@ -1400,6 +1789,7 @@ function App() {
               ref={filtersPopoverRef}
               filters={filters}
               availableTags={availableTags}
+              queryError={queryError}
               onChange={updateFilters}
               onReset={resetFilters}
               onClose={() => setFiltersOpen(false)}
@@ -1422,6 +1812,66 @@ function App() {
             />
           ) : null}
 
+          {collectionPicker ? (
+            <CollectionPickerDialog
+              count={collectionPicker.fingerprints.length}
+              collections={collections}
+              onPick={handlePickCollection}
+              onCreate={handleCreateCollectionFromPicker}
+              onCancel={() => setCollectionPicker(null)}
+            />
+          ) : null}
+
+          {isSimilarOpen ? (
+            <SimilarClipsDialog
+              videos={filteredVideos}
+              onClose={() => setSimilarOpen(false)}
+              onTrash={(ids) => runAction(ActionIds.MOVE_TO_TRASH, new Set(ids))}
+              onSelect={(ids) => {
+                selection.setSelected(new Set(ids));
+                setSimilarOpen(false);
+              }}
+            />
+          ) : null}
+
+          {comparisonScope ? (
+            <ComparisonDialog
+              videos={comparisonScope === "selection" ? selectedVideos : filteredVideos}
+              onClose={() => setComparisonScope(null)}
+              onRecord={handleRecordComparison}
+              onUndo={handleUndoComparison}
+            />
+          ) : null}
+
+          {isScanRulesOpen ? (
+            <ScanRulesDialog
+              onClose={() => setScanRulesOpen(false)}
+              onSaved={handleScanRulesSaved}
+              notify={notify}
+            />
+          ) : null}
+
+          {exportTargets ? (
+            <ExportDatasetDialog
+              selectedVideos={exportTargets}
+              filteredVideos={filteredVideos}
+              onClose={() => setExportTargets(null)}
+              notify={notify}
+            />
+          ) : null}
+
+          {isTagManagerOpen ? (
+            <TagManagerDialog
+              tags={availableTags}
+              onRename={handleRenameTag}
+              onMerge={handleMergeTags}
+              onDelete={handleDeleteTags}
+              onAddAlias={handleAddTagAlias}
+              onRemoveAlias={handleRemoveTagAlias}
+              onClose={() => setTagManagerOpen(false)}
+            />
+          ) : null}
+
           {filtersActiveCount > 0 && (
             <div className="filters-summary">
               {filters.includeTags.length > 0 && (
@@ -1480,6 +1930,44 @@ function App() {
                   </div>
                 </div>
               )}
+
+              {filters.missingCaption && (
+                <div className="filters-summary__section">
+                  <span className="filters-summary__label">Caption</span>
+                  <div className="filters-summary__chips">
+                    <button
+                      type="button"
+                      className="filters-summary__chip"
+                      onClick={() => updateFilters({ missingCaption: false })}
+                      title="Clear caption filter"
+                    >
+                      Has no caption
+                      <span className="filters-summary__chip-remove">×</span>
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {filters.query?.trim() &&
+                !filters.includeTags.length &&
+                !filters.excludeTags.length &&
+                !ratingSummary &&
+                !filters.missingCaption && (
+                  <div className="filters-summary__section">
+                    <span className="filters-summary__label">Query</span>
+                    <div className="filters-summary__chips">
+                      <button
+                        type="button"
+                        className="filters-summary__chip"
+                        onClick={() => updateFilters({ query: "" })}
+                        title="Clear query"
+                      >
+                        {filters.query.trim()}
+                        <span className="filters-summary__chip-remove">×</span>
+                      </button>
+                    </div>
+                  </div>
+                )}
             </div>
           )}
 
@@ -1495,6 +1983,7 @@ function App() {
             zoomLevel={zoomLevel}
             getMinimumZoomLevel={getMinimumZoomLevel}
             sortStatus={sortStatus}
+            scanStats={scanStats}
           />
 
           {/* Home state: Recent Locations when nothing is loaded */}
@@ -1558,6 +2047,7 @@ function App() {
                     onContextMenu={handleCardContextMenu}
                     onNativeDragStart={handleNativeDragStart}
                     showFilenames={showFilenames}
+                    tagColors={tagColors}
                     // Video Collection Management
                     canLoadMoreVideos={(opts) =>
                       videoCollection.canLoadVideo(video.id, opts)
@@ -1603,14 +2093,31 @@ function App() {
                 onAddTag={handleAddTags}
                 onRemoveTag={handleRemoveTag}
                 onApplyTagToSelection={handleApplyExistingTag}
+                onSetTagColor={handleSetTagColor}
+                onSetTagParent={handleSetTagParent}
                 onSetRating={handleSetRating}
                 onClearRating={handleClearRating}
+                onSetFlag={handleSetFlag}
+                onSetLabel={handleSetLabel}
+                onSaveCaption={handleSaveCaption}
+                onBulkEditCaptions={handleBulkEditCaptions}
+                customFields={customFields}
+                onSetNotes={handleSetNotes}
+                onSetFieldValue={handleSetFieldValue}
+                onCreateField={handleCreateField}
+                onUpdateField={handleUpdateField}
+                onDeleteField={handleDeleteField}
                 focusToken={metadataFocusToken}
                 onFocusSelection={focusSelection}
                 dockHeight={metadataDockHeight}
                 minDockHeight={MIN_METADATA_DOCK_HEIGHT}
                 maxDockHeight={MAX_METADATA_DOCK_HEIGHT}
                 onDockHeightChange={handleMetadataDockHeightChange}
+                activeTab={metadataPanelTab}
+                onTabChange={setMetadataPanelTab}
+                workflowState={embeddedWorkflow}
+                onCopyWorkflow={embeddedWorkflow.copyWorkflowJson}
+                onSaveWorkflow={embeddedWorkflow.saveWorkflowJson}
               />
             </div>
           )}
@@ -1622,6 +2129,12 @@ function App() {
               onNavigate={navigateFullScreen}
               showFilenames={showFilenames}
               gridRef={gridRef}
+              triageVideo={fullScreenLiveVideo}
+              triageTotal={orderedVideos.length}
+              triageTagKeys={triageTagKeys}
+              availableTags={availableTags}
+              onTriage={handleTriage}
+              onTriageTagKeysChange={updateTriageTagKeys}
             />
           )}
 
@@ -1632,6 +2145,7 @@ function App() {
               contextId={contextMenu.contextId}
               getById={getById}
               selectionCount={selection.size}
+              inCollection={!!activeCollection}
               electronAPI={window.electronAPI}
               onClose={hideContextMenu}
               onAction={handleContextAction}
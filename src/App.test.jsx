@@ -22,6 +22,14 @@ const recentFoldersMock = {
 };
 const useRecentFoldersMock = vi.fn(() => recentFoldersMock);
 
+const savedSearchesMock = {
+  items: [],
+  refresh: vi.fn(),
+  save: vi.fn(),
+  remove: vi.fn(),
+};
+const useSavedSearchesMock = vi.fn(() => savedSearchesMock);
+
 const runWithStableAnchorMock = vi.fn((_, fn) => (typeof fn === "function" ? fn() : undefined));
 const focusCurrentAnchorMock = vi.fn(() => false);
 const useStableViewAnchoringMock = vi.fn(() => ({
@@ -54,6 +62,9 @@ const useElectronLifecycleMock = vi.fn(() => ({
   isLoadingFolder: false,
   loadingStage: "",
   loadingProgress: 0,
+  scanProgress: null,
+  scanStats: null,
+  cancelScan: vi.fn(),
   settingsLoaded: true,
   handleElectronFolderSelection: vi.fn(),
   handleFolderSelect: vi.fn(),
@@ -117,6 +128,7 @@ const metadataActionsReturn = {
   handleClearRating: vi.fn(),
   handleApplyExistingTag: vi.fn(),
   refreshTagList: vi.fn(),
+  refreshCustomFields: vi.fn(),
 };
 const useMetadataActionsMock = vi.fn(() => metadataActionsReturn);
 
@@ -241,6 +253,10 @@ vi.mock("./app/hooks/useMetadataActions", () => ({
   __esModule: true,
   useMetadataActions: (...args) => useMetadataActionsMock(...args),
 }));
+vi.mock("./app/hooks/useSavedSearches", () => ({
+  __esModule: true,
+  useSavedSearches: (...args) => useSavedSearchesMock(...args),
+}));
 vi.mock("./app/hooks/useZoomControls", () => ({
   __esModule: true,
   useZoomControls: (...args) => useZoomControlsMock(...args),
@@ -1,7 +1,24 @@
 import LoadingProgress from "../../components/LoadingProgress";
 
-function LoadingOverlay({ show, stage, progress }) {
+// `scan` is the streaming scan's per-directory progress; the bar counts
+// folders done out of folders found so far, so it can step back as
+// subfolders turn up.
+function LoadingOverlay({ show, stage, progress, scan, onCancel }) {
   if (!show) return null;
+  if (scan) {
+    const { directory, directoriesDone = 0, directoriesFound = 0, filesFound = 0 } = scan;
+    return (
+      <LoadingProgress
+        progress={{
+          current: directoriesDone,
+          total: directoriesFound,
+          stage: directory ? `Scanning ${directory}` : stage || "",
+          detail: `${directoriesDone.toLocaleString()} of ${directoriesFound.toLocaleString()} folders · ${filesFound.toLocaleString()} videos`,
+        }}
+        onCancel={onCancel}
+      />
+    );
+  }
   return (
     <LoadingProgress
       progress={{
@@ -9,6 +26,7 @@ function LoadingOverlay({ show, stage, progress }) {
         total: 100,
         stage: stage || "",
       }}
+      onCancel={onCancel}
     />
   );
 }
@@ -0,0 +1,35 @@
+// User-defined fields from metadata:list-fields, as { id, name, type, options }.
+// Clips carry their values in `video.fields`, keyed by field id; numbers are
+// numbers, dates "YYYY-MM-DD" strings, text and enum values strings.
+
+export const FIELD_TYPES = [
+  { value: "text", label: "Text" },
+  { value: "number", label: "Number" },
+  { value: "date", label: "Date" },
+  { value: "enum", label: "Choice" },
+];
+
+/** Name as written in filter queries: "Due date" -> "due_date" (used as `@due_date`). */
+export function fieldQueryKey(name) {
+  return (name ?? "")
+    .toString()
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+/** Query key -> field definition. */
+export function buildFieldIndex(fields) {
+  const index = new Map();
+  (Array.isArray(fields) ? fields : []).forEach((field) => {
+    const key = fieldQueryKey(field?.name);
+    if (key && !index.has(key)) index.set(key, field);
+  });
+  return index;
+}
+
+export function readFieldValue(video, fieldId) {
+  const value = video?.fields?.[fieldId];
+  return value === null || value === undefined || value === "" ? null : value;
+}
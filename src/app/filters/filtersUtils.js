@@ -5,6 +5,8 @@ export const createDefaultFilters = () => ({
   excludeTags: [],
   minRating: null,
   exactRating: null,
+  missingCaption: false,
+  query: "",
 });
 
 export const normalizeTagList = (tags) =>
@@ -51,5 +53,9 @@ export const useFiltersActiveCount = (filters) =>
         : filters.minRating !== null && filters.minRating !== undefined
         ? 1
         : 0;
-    return includeCount + excludeCount + ratingCount;
+    const captionCount = filters.missingCaption ? 1 : 0;
+    const chipCount = includeCount + excludeCount + ratingCount + captionCount;
+    // Queries the chips can't express still count as one active filter.
+    const queryCount = chipCount === 0 && (filters.query ?? "").trim() ? 1 : 0;
+    return chipCount + queryCount;
   }, [filters]);
@@ -16,6 +16,8 @@ describe("filtersUtils", () => {
       excludeTags: [],
       minRating: null,
       exactRating: null,
+      missingCaption: false,
+      query: "",
     });
   });
 
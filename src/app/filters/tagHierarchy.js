@@ -0,0 +1,131 @@
+// Tag hierarchy helpers. `availableTags` entries come from
+// metadata:list-tags as { name, usageCount, parent, color }, where `parent`
+// is the parent tag's name (null for top-level tags).
+
+const lower = (value) => (value ?? "").toString().trim().toLowerCase();
+
+const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: "base" });
+
+function indexTags(tags) {
+  const index = new Map();
+  (Array.isArray(tags) ? tags : []).forEach((entry) => {
+    const name = entry?.name?.trim();
+    if (!name) return;
+    index.set(lower(name), {
+      name,
+      parent: entry.parent ? entry.parent.trim() : null,
+      color: entry.color || null,
+      usageCount: Number.isFinite(entry.usageCount) ? entry.usageCount : 0,
+    });
+  });
+  return index;
+}
+
+// Walks up from a tag, stopping at unknown parents and cycles.
+function ancestorsOf(key, index) {
+  const chain = [];
+  const seen = new Set([key]);
+  let parentKey = lower(index.get(key)?.parent);
+  while (parentKey && index.has(parentKey) && !seen.has(parentKey)) {
+    seen.add(parentKey);
+    chain.push(parentKey);
+    parentKey = lower(index.get(parentKey).parent);
+  }
+  return chain;
+}
+
+/** Short label for a tree node: "model:wan" under "model" shows as "wan". */
+export function tagLabel(name, parent) {
+  if (parent && name.toLowerCase().startsWith(`${parent.toLowerCase()}:`)) {
+    return name.slice(parent.length + 1);
+  }
+  return name;
+}
+
+/**
+ * Nested tree of tags sorted by name. Each node carries its own usage and
+ * `totalCount` (usage summed over the subtree); `color` is inherited from
+ * the nearest coloured ancestor.
+ */
+export function buildTagTree(tags) {
+  const index = indexTags(tags);
+  const colors = buildTagColorMap(tags);
+  const nodes = new Map();
+  index.forEach((entry, key) => {
+    nodes.set(key, {
+      name: entry.name,
+      label: entry.name,
+      color: colors.get(key) || null,
+      ownColor: entry.color,
+      usageCount: entry.usageCount,
+      totalCount: entry.usageCount,
+      children: [],
+    });
+  });
+
+  const roots = [];
+  index.forEach((entry, key) => {
+    const node = nodes.get(key);
+    const parentKey = ancestorsOf(key, index)[0];
+    // A parent chain that loops back here is treated as top-level.
+    if (parentKey && !ancestorsOf(parentKey, index).includes(key)) {
+      node.label = tagLabel(entry.name, index.get(parentKey).name);
+      nodes.get(parentKey).children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  const finish = (list) => {
+    list.sort(byName);
+    list.forEach((node) => {
+      finish(node.children);
+      node.totalCount =
+        node.usageCount + node.children.reduce((sum, child) => sum + child.totalCount, 0);
+    });
+    return list;
+  };
+  return finish(roots);
+}
+
+/**
+ * Lower-cased tag -> Set of itself plus every descendant, for tags that
+ * have children. Filtering on a parent matches clips carrying any of them.
+ */
+export function buildTagDescendants(tags) {
+  const index = indexTags(tags);
+  const descendants = new Map();
+  index.forEach((_entry, key) => {
+    ancestorsOf(key, index).forEach((ancestorKey) => {
+      if (!descendants.has(ancestorKey)) descendants.set(ancestorKey, new Set([ancestorKey]));
+      descendants.get(ancestorKey).add(key);
+    });
+  });
+  return descendants;
+}
+
+/** Lower-cased tag -> its colour, falling back to the nearest coloured ancestor. */
+export function buildTagColorMap(tags) {
+  const index = indexTags(tags);
+  const colors = new Map();
+  index.forEach((entry, key) => {
+    const color =
+      entry.color ||
+      ancestorsOf(key, index)
+        .map((ancestorKey) => index.get(ancestorKey).color)
+        .find(Boolean);
+    if (color) colors.set(key, color);
+  });
+  return colors;
+}
+
+/** Whether `tagSet` (lower-cased names) has `tag` or one of its descendants. */
+export function hasTagOrDescendant(tagSet, tag, descendants) {
+  const key = lower(tag);
+  const names = descendants?.get(key);
+  if (!names) return tagSet.has(key);
+  for (const name of names) {
+    if (tagSet.has(name)) return true;
+  }
+  return false;
+}
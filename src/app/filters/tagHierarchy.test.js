@@ -0,0 +1,65 @@
+import {
+  buildTagTree,
+  buildTagDescendants,
+  buildTagColorMap,
+  hasTagOrDescendant,
+  tagLabel,
+} from "./tagHierarchy";
+
+const tags = [
+  { name: "model", usageCount: 0, parent: null, color: "#1e88e5" },
+  { name: "model:wan", usageCount: 4, parent: "model", color: null },
+  { name: "model:wan:2.1", usageCount: 1, parent: "model:wan", color: "#e53935" },
+  { name: "model:hunyuan", usageCount: 2, parent: "model", color: null },
+  { name: "animal", usageCount: 1, parent: null, color: null },
+  { name: "cat", usageCount: 3, parent: "animal", color: null },
+  { name: "orphan", usageCount: 1, parent: "missing", color: null },
+];
+
+describe("tag hierarchy", () => {
+  it("labels namespaced children by their last segment", () => {
+    expect(tagLabel("model:wan", "model")).toBe("wan");
+    expect(tagLabel("cat", "animal")).toBe("cat");
+  });
+
+  it("nests tags under their parents with subtree counts", () => {
+    const tree = buildTagTree(tags);
+    expect(tree.map((node) => node.name)).toEqual(["animal", "model", "orphan"]);
+
+    const model = tree[1];
+    expect(model.children.map((node) => node.label)).toEqual(["hunyuan", "wan"]);
+    expect(model.totalCount).toBe(7);
+    expect(model.children[1].children[0]).toMatchObject({ label: "2.1", color: "#e53935" });
+    expect(model.children[0]).toMatchObject({ color: "#1e88e5", ownColor: null });
+  });
+
+  it("keeps tags whose parents form a cycle at the top level", () => {
+    const tree = buildTagTree([
+      { name: "a", parent: "b" },
+      { name: "b", parent: "a" },
+    ]);
+    expect(tree.map((node) => node.name)).toEqual(["a", "b"]);
+  });
+
+  it("maps parents to all their descendants", () => {
+    const descendants = buildTagDescendants(tags);
+    expect([...descendants.get("model")].sort()).toEqual([
+      "model",
+      "model:hunyuan",
+      "model:wan",
+      "model:wan:2.1",
+    ]);
+    expect(descendants.has("cat")).toBe(false);
+
+    expect(hasTagOrDescendant(new Set(["model:wan:2.1"]), "Model", descendants)).toBe(true);
+    expect(hasTagOrDescendant(new Set(["cat"]), "model", descendants)).toBe(false);
+    expect(hasTagOrDescendant(new Set(["cat"]), "cat", descendants)).toBe(true);
+  });
+
+  it("inherits colours from the nearest coloured ancestor", () => {
+    const colors = buildTagColorMap(tags);
+    expect(colors.get("model:hunyuan")).toBe("#1e88e5");
+    expect(colors.get("model:wan:2.1")).toBe("#e53935");
+    expect(colors.has("cat")).toBe(false);
+  });
+});
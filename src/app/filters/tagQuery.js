@@ -0,0 +1,591 @@
+// Boolean filter query language.
+//
+//   (portrait OR vertical) AND rating>=4 AND NOT rejected AND ext:webm AND size>50MB
+//
+// Bare words and "quoted phrases" match tags. `field<op>value` terms compare
+// clip properties; `caption:none` / `caption:any` test for a caption sidecar
+// and `notes:none` / `notes:any` for notes. `flag:pick|reject|none` and
+// `label:red|...|none` match review flags and colour labels. `@name<op>value` compares a
+// custom field (see customFields.js) and needs `context.customFields`, from
+// buildFieldIndex. Juxtaposed terms are AND-ed; `-term` and `!term` are
+// shorthands for NOT. Keywords are case-insensitive. A tag term also matches
+// the tag's descendants when `context.tagDescendants` is given. A `name:value`
+// word that is itself an existing tag (e.g. "type:portrait") stays a tag
+// rather than a field term when the parser is given `knownTags`.
+
+import { hasTagOrDescendant } from "./tagHierarchy";
+import { fieldQueryKey, readFieldValue } from "./customFields";
+
+const SIZE_UNITS = {
+  b: 1,
+  kb: 1024,
+  mb: 1024 ** 2,
+  gb: 1024 ** 3,
+  tb: 1024 ** 4,
+};
+
+const FIELD_ALIASES = {
+  tag: "tag",
+  tags: "tag",
+  rating: "rating",
+  stars: "rating",
+  ext: "ext",
+  extension: "ext",
+  type: "ext",
+  size: "size",
+  name: "name",
+  filename: "name",
+  folder: "folder",
+  dir: "folder",
+  width: "width",
+  height: "height",
+  caption: "caption",
+  notes: "notes",
+  note: "notes",
+  flag: "flag",
+  label: "label",
+};
+
+// Text fields where `:none` / `:any` test for presence.
+const PRESENCE_FIELDS = new Set(["caption", "notes", "flag", "label"]);
+
+const NUMERIC_FIELDS = new Set(["rating", "size", "width", "height"]);
+
+export class TagQueryError extends Error {
+  constructor(message, start, end) {
+    super(message);
+    this.name = "TagQueryError";
+    this.start = start;
+    this.end = Math.max(end, start + 1);
+  }
+}
+
+const isWordChar = (ch) => !!ch && !/[\s()"!]/.test(ch);
+
+export function tokenizeTagQuery(input) {
+  const text = (input ?? "").toString();
+  const tokens = [];
+  let index = 0;
+
+  while (index < text.length) {
+    const ch = text[index];
+
+    if (/\s/.test(ch)) {
+      index += 1;
+      continue;
+    }
+
+    if (ch === "(" || ch === ")") {
+      tokens.push({ type: ch, start: index, end: index + 1 });
+      index += 1;
+      continue;
+    }
+
+    if (ch === "!" && text[index + 1] !== "=") {
+      tokens.push({ type: "NOT", start: index, end: index + 1 });
+      index += 1;
+      continue;
+    }
+
+    if (ch === "-" && isWordChar(text[index + 1]) && text[index + 1] !== "-") {
+      const prev = text[index - 1];
+      if (index === 0 || /[\s(]/.test(prev)) {
+        tokens.push({ type: "NOT", start: index, end: index + 1 });
+        index += 1;
+        continue;
+      }
+    }
+
+    if (ch === '"') {
+      const close = text.indexOf('"', index + 1);
+      if (close === -1) {
+        throw new TagQueryError("Unterminated quote", index, text.length);
+      }
+      tokens.push({
+        type: "WORD",
+        value: text.slice(index + 1, close),
+        quoted: true,
+        start: index,
+        end: close + 1,
+      });
+      index = close + 1;
+      continue;
+    }
+
+    let end = index;
+    while (
+      end < text.length &&
+      (isWordChar(text[end]) || (text[end] === "!" && text[end + 1] === "=" && end > index))
+    ) {
+      end += 1;
+    }
+    // `field:"quoted value"` keeps the quoted part attached to the field.
+    if (text[end] === '"' && /[:=<>]$/.test(text.slice(index, end))) {
+      const close = text.indexOf('"', end + 1);
+      if (close === -1) {
+        throw new TagQueryError("Unterminated quote", end, text.length);
+      }
+      tokens.push({
+        type: "WORD",
+        value: text.slice(index, end) + text.slice(end + 1, close),
+        start: index,
+        end: close + 1,
+      });
+      index = close + 1;
+      continue;
+    }
+    if (end === index) {
+      // `!=` without a field in front of it
+      throw new TagQueryError(`Unexpected "${ch}"`, index, index + 1);
+    }
+
+    const word = text.slice(index, end);
+    const upper = word.toUpperCase();
+    if (upper === "AND" || upper === "OR" || upper === "NOT") {
+      tokens.push({ type: upper, start: index, end });
+    } else {
+      tokens.push({ type: "WORD", value: word, start: index, end });
+    }
+    index = end;
+  }
+
+  return tokens;
+}
+
+function parseNumber(field, raw, token) {
+  if (field === "rating" && /^(none|unrated)$/i.test(raw)) {
+    return null;
+  }
+  if (field === "size") {
+    const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb|tb)?$/i.exec(raw);
+    if (!match) {
+      throw new TagQueryError(`Invalid size "${raw}"`, token.start, token.end);
+    }
+    const unit = (match[2] || "b").toLowerCase();
+    return Number(match[1]) * SIZE_UNITS[unit];
+  }
+  const value = Number(raw);
+  if (!raw || !Number.isFinite(value)) {
+    throw new TagQueryError(`Expected a number for ${field}`, token.start, token.end);
+  }
+  return value;
+}
+
+function parseCustomTerm(token) {
+  const match = /^@([^:=<>!]+)(>=|<=|!=|>|<|=|:)(.*)$/.exec(token.value);
+  if (!match) {
+    throw new TagQueryError("Expected @field:value", token.start, token.end);
+  }
+  const [, name, op, rawValue] = match;
+  const value = rawValue.trim();
+  if (!value) {
+    throw new TagQueryError(`Missing value for @${name}`, token.start, token.end);
+  }
+  return {
+    type: "custom",
+    key: fieldQueryKey(name),
+    name,
+    op,
+    value,
+    start: token.start,
+    end: token.end,
+  };
+}
+
+function parseTerm(token, knownTags) {
+  if (token.quoted) {
+    return { type: "tag", value: token.value.trim(), start: token.start, end: token.end };
+  }
+
+  const word = token.value;
+  if (word.startsWith("@")) {
+    return parseCustomTerm(token);
+  }
+  const match = /^([a-z]+)(>=|<=|!=|>|<|=|:)(.*)$/i.exec(word);
+  if (!match) {
+    return { type: "tag", value: word, start: token.start, end: token.end };
+  }
+
+  const [, rawField, op, rawValue] = match;
+  if (op === ":" && knownTags?.has(word.toLowerCase())) {
+    return { type: "tag", value: word, start: token.start, end: token.end };
+  }
+  const field = FIELD_ALIASES[rawField.toLowerCase()];
+  if (!field) {
+    // Tags can legitimately contain ":" (e.g. "style:anime").
+    if (op === ":") {
+      return { type: "tag", value: word, start: token.start, end: token.end };
+    }
+    throw new TagQueryError(`Unknown field "${rawField}"`, token.start, token.start + rawField.length);
+  }
+
+  const value = rawValue.trim();
+  if (!value) {
+    throw new TagQueryError(`Missing value for ${field}`, token.start, token.end);
+  }
+
+  if (NUMERIC_FIELDS.has(field)) {
+    const number = parseNumber(field, value, token);
+    if (number === null && op !== ":" && op !== "=" && op !== "!=") {
+      throw new TagQueryError(`Cannot compare ${field} with "${value}"`, token.start, token.end);
+    }
+    return {
+      type: "compare",
+      field,
+      op: op === ":" ? "=" : op,
+      value: number,
+      start: token.start,
+      end: token.end,
+    };
+  }
+
+  if (op !== ":" && op !== "=" && op !== "!=") {
+    throw new TagQueryError(`${field} only supports ":" and "!="`, token.start, token.end);
+  }
+
+  const node =
+    field === "tag"
+      ? { type: "tag", value }
+      : { type: "text", field, value: field === "ext" ? value.replace(/^\./, "") : value };
+  const term = { ...node, start: token.start, end: token.end };
+  return op === "!=" ? { type: "not", operand: term, start: token.start, end: token.end } : term;
+}
+
+// `options.knownTags`: lower-cased tag names, see buildKnownTags.
+export function parseTagQuery(input, options = {}) {
+  const text = (input ?? "").toString();
+  if (!text.trim()) {
+    return { ast: null, error: null };
+  }
+
+  let tokens;
+  try {
+    tokens = tokenizeTagQuery(text);
+  } catch (error) {
+    if (error instanceof TagQueryError) {
+      return { ast: null, error };
+    }
+    throw error;
+  }
+
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  const expectOperand = (after) => {
+    const token = peek();
+    if (!token) {
+      const at = after ? after.end : text.length;
+      throw new TagQueryError("Expected a term", at, at + 1);
+    }
+    if (token.type === ")" || token.type === "AND" || token.type === "OR") {
+      throw new TagQueryError("Expected a term", token.start, token.end);
+    }
+  };
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (peek()?.type === "OR") {
+      const op = next();
+      expectOperand(op);
+      const right = parseAnd();
+      left = { type: "or", left, right };
+    }
+    return left;
+  };
+
+  const parseAnd = () => {
+    let left = parseNot();
+    for (;;) {
+      const token = peek();
+      if (!token || token.type === "OR" || token.type === ")") break;
+      if (token.type === "AND") {
+        next();
+        expectOperand(token);
+      }
+      const right = parseNot();
+      left = { type: "and", left, right };
+    }
+    return left;
+  };
+
+  const parseNot = () => {
+    const token = peek();
+    if (token?.type === "NOT") {
+      next();
+      expectOperand(token);
+      return { type: "not", operand: parseNot() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    if (!token) {
+      throw new TagQueryError("Expected a term", text.length, text.length + 1);
+    }
+    if (token.type === "(") {
+      expectOperand(token);
+      const inner = parseOr();
+      const close = next();
+      if (!close || close.type !== ")") {
+        throw new TagQueryError("Missing closing parenthesis", token.start, token.end);
+      }
+      return inner;
+    }
+    if (token.type === "WORD") {
+      return parseTerm(token, options.knownTags);
+    }
+    throw new TagQueryError(`Unexpected "${text.slice(token.start, token.end)}"`, token.start, token.end);
+  };
+
+  try {
+    expectOperand(null);
+    const ast = parseOr();
+    const leftover = peek();
+    if (leftover) {
+      throw new TagQueryError(
+        `Unexpected "${text.slice(leftover.start, leftover.end)}"`,
+        leftover.start,
+        leftover.end
+      );
+    }
+    return { ast, error: null };
+  } catch (error) {
+    if (error instanceof TagQueryError) {
+      return { ast: null, error };
+    }
+    throw error;
+  }
+}
+
+const lower = (value) => (value ?? "").toString().trim().toLowerCase();
+
+function readField(video, field) {
+  switch (field) {
+    case "rating":
+      return Number.isFinite(video?.rating) ? Math.round(video.rating) : null;
+    case "size":
+      return Number.isFinite(video?.size) ? video.size : null;
+    case "width":
+      return Number(video?.dimensions?.width) || null;
+    case "height":
+      return Number(video?.dimensions?.height) || null;
+    case "ext": {
+      const ext = video?.extension || (video?.name || "").split(".").pop();
+      return lower(ext).replace(/^\./, "");
+    }
+    case "name":
+      return lower(video?.name);
+    case "folder":
+      return lower(video?.dirname ?? video?.metadata?.folder);
+    case "caption":
+      return lower(video?.caption?.text);
+    case "notes":
+      return lower(video?.notes);
+    case "flag":
+      return lower(video?.flag);
+    case "label":
+      return lower(video?.label);
+    default:
+      return null;
+  }
+}
+
+function compare(actual, op, expected) {
+  if (expected === null) {
+    return op === "!=" ? actual !== null : actual === null;
+  }
+  if (actual === null) return op === "!=";
+  switch (op) {
+    case ">":
+      return actual > expected;
+    case ">=":
+      return actual >= expected;
+    case "<":
+      return actual < expected;
+    case "<=":
+      return actual <= expected;
+    case "!=":
+      return actual !== expected;
+    default:
+      return actual === expected;
+  }
+}
+
+const isPresenceTest = (node) =>
+  node.op === ":" && /^(none|any)$/i.test(node.value);
+
+function matchCustomField(video, node, fieldsByKey) {
+  const field = fieldsByKey?.get(node.key);
+  if (!field) return false;
+  const raw = readFieldValue(video, field.id);
+  if (isPresenceTest(node)) {
+    return (lower(node.value) === "any") === (raw !== null);
+  }
+  if (raw === null) return node.op === "!=";
+
+  const op = node.op === ":" && field.type !== "text" && field.type !== "date" ? "=" : node.op;
+  if (field.type === "number") {
+    return compare(Number(raw), op, Number(node.value));
+  }
+  const actual = lower(raw);
+  const expected = lower(node.value);
+  if (op === ":") {
+    // Text matches substrings; dates match a prefix, so @due:2025-03 is March.
+    return field.type === "date" ? actual.startsWith(expected) : actual.includes(expected);
+  }
+  return compare(actual, op, expected);
+}
+
+// Custom fields are only known at evaluation time, so `@name` terms are
+// checked against them separately. Returns a TagQueryError or null.
+export function findCustomFieldError(ast, fieldsByKey) {
+  if (!ast) return null;
+  switch (ast.type) {
+    case "and":
+    case "or":
+      return (
+        findCustomFieldError(ast.left, fieldsByKey) ||
+        findCustomFieldError(ast.right, fieldsByKey)
+      );
+    case "not":
+      return findCustomFieldError(ast.operand, fieldsByKey);
+    case "custom": {
+      const field = fieldsByKey?.get(ast.key);
+      if (!field) {
+        return new TagQueryError(`Unknown field "@${ast.name}"`, ast.start, ast.end);
+      }
+      if (isPresenceTest(ast)) return null;
+      if (field.type === "number" && !Number.isFinite(Number(ast.value))) {
+        return new TagQueryError(`Expected a number for @${ast.name}`, ast.start, ast.end);
+      }
+      if (field.type === "date" && !/^\d{4}(-\d{2}){0,2}$/.test(ast.value)) {
+        return new TagQueryError(
+          `Expected a date like 2025-03-31 for @${ast.name}`,
+          ast.start,
+          ast.end
+        );
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+export function evaluateTagQuery(ast, video, context = {}) {
+  if (!ast) return true;
+  const tagSet =
+    context.tagSet ||
+    new Set((Array.isArray(video?.tags) ? video.tags : []).map(lower).filter(Boolean));
+  const ctx = { ...context, tagSet };
+
+  switch (ast.type) {
+    case "and":
+      return evaluateTagQuery(ast.left, video, ctx) && evaluateTagQuery(ast.right, video, ctx);
+    case "or":
+      return evaluateTagQuery(ast.left, video, ctx) || evaluateTagQuery(ast.right, video, ctx);
+    case "not":
+      return !evaluateTagQuery(ast.operand, video, ctx);
+    case "tag":
+      return hasTagOrDescendant(tagSet, ast.value, ctx.tagDescendants);
+    case "compare":
+      return compare(readField(video, ast.field), ast.op, ast.value);
+    case "custom":
+      return matchCustomField(video, ast, ctx.customFields);
+    case "text": {
+      const actual = readField(video, ast.field);
+      const expected = lower(ast.value);
+      if (PRESENCE_FIELDS.has(ast.field) && (expected === "none" || expected === "any")) {
+        return (expected === "any") === actual.length > 0;
+      }
+      return ast.field === "ext" ? actual === expected : actual.includes(expected);
+    }
+    default:
+      return true;
+  }
+}
+
+export function compileTagQuery(input, context = {}) {
+  const { ast, error } = parseTagQuery(input, context);
+  if (error) return { predicate: null, error };
+  if (!ast) return { predicate: null, error: null };
+  const fieldError = findCustomFieldError(ast, context.customFields);
+  if (fieldError) return { predicate: null, error: fieldError };
+  return { predicate: (video) => evaluateTagQuery(ast, video, context), error: null };
+}
+
+/** availableTags entries ({ name }) or names -> Set of lower-cased names. */
+export function buildKnownTags(tags) {
+  const known = new Set();
+  (Array.isArray(tags) ? tags : []).forEach((entry) => {
+    const name = (typeof entry === "string" ? entry : entry?.name)?.trim();
+    if (name) known.add(name.toLowerCase());
+  });
+  return known;
+}
+
+const quoteTag = (tag) =>
+  /^[^\s()"!:=<>-][^\s()"!:=<>]*$/.test(tag) && !/^(and|or|not)$/i.test(tag)
+    ? tag
+    : `"${tag.replace(/"/g, "")}"`;
+
+// Chip state -> query text. Used so the include/exclude chips and rating
+// pills act as shortcuts that write the equivalent query.
+export function buildQueryFromFilters({
+  includeTags = [],
+  excludeTags = [],
+  minRating,
+  exactRating,
+  missingCaption = false,
+} = {}) {
+  const parts = [];
+  includeTags.forEach((tag) => parts.push(quoteTag(tag)));
+  excludeTags.forEach((tag) => parts.push(`NOT ${quoteTag(tag)}`));
+  if (exactRating !== null && exactRating !== undefined) {
+    parts.push(`rating=${exactRating}`);
+  } else if (minRating !== null && minRating !== undefined) {
+    parts.push(`rating>=${minRating}`);
+  }
+  if (missingCaption) parts.push("caption:none");
+  return parts.join(" AND ");
+}
+
+// Query -> chip state, when the query is a plain conjunction the chips can
+// represent. Returns null for anything richer (OR, other fields, ...).
+export function deriveFiltersFromQuery(ast) {
+  // `missingCaption` is only set when the query asks for it.
+  const result = { includeTags: [], excludeTags: [], minRating: null, exactRating: null };
+  if (!ast) return result;
+
+  const visit = (node) => {
+    if (node.type === "and") return visit(node.left) && visit(node.right);
+    if (node.type === "tag") {
+      result.includeTags.push(node.value);
+      return true;
+    }
+    if (node.type === "not" && node.operand.type === "tag") {
+      result.excludeTags.push(node.operand.value);
+      return true;
+    }
+    if (node.type === "text" && node.field === "caption" && lower(node.value) === "none") {
+      result.missingCaption = true;
+      return true;
+    }
+    if (node.type === "compare" && node.field === "rating" && Number.isInteger(node.value)) {
+      if (result.minRating !== null || result.exactRating !== null) return false;
+      if (node.op === ">=" && node.value >= 1 && node.value <= 5) {
+        result.minRating = node.value;
+        return true;
+      }
+      if (node.op === "=" && node.value >= 0 && node.value <= 5) {
+        result.exactRating = node.value;
+        return true;
+      }
+    }
+    return false;
+  };
+
+  return visit(ast) ? result : null;
+}
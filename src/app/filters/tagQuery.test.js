@@ -0,0 +1,233 @@
+import {
+  parseTagQuery,
+  compileTagQuery,
+  buildQueryFromFilters,
+  deriveFiltersFromQuery,
+  buildKnownTags,
+} from "./tagQuery";
+import { buildFieldIndex, fieldQueryKey } from "./customFields";
+
+const MB = 1024 * 1024;
+
+const clips = [
+  {
+    id: "portrait-webm",
+    name: "tall.webm",
+    extension: ".webm",
+    tags: ["Portrait"],
+    rating: 5,
+    size: 80 * MB,
+  },
+  {
+    id: "vertical-rejected",
+    name: "reject.webm",
+    extension: ".webm",
+    tags: ["vertical", "rejected"],
+    rating: 4,
+    size: 90 * MB,
+  },
+  {
+    id: "vertical-small",
+    name: "small.webm",
+    extension: ".webm",
+    tags: ["vertical"],
+    rating: 4,
+    size: 10 * MB,
+  },
+  {
+    id: "landscape-mp4",
+    name: "wide.mp4",
+    extension: ".mp4",
+    tags: ["landscape"],
+    rating: null,
+    size: 200 * MB,
+  },
+];
+
+const run = (query) => {
+  const { predicate, error } = compileTagQuery(query);
+  expect(error).toBeNull();
+  return clips.filter(predicate).map((clip) => clip.id);
+};
+
+describe("tagQuery", () => {
+  it("evaluates the full example from the docs", () => {
+    expect(
+      run(
+        "(portrait OR vertical) AND rating>=4 AND NOT rejected AND ext:webm AND size>50MB"
+      )
+    ).toEqual(["portrait-webm"]);
+  });
+
+  it("treats juxtaposition as AND and binds AND tighter than OR", () => {
+    expect(run("vertical rejected")).toEqual(["vertical-rejected"]);
+    expect(run("landscape OR vertical rating>=4")).toEqual([
+      "vertical-rejected",
+      "vertical-small",
+      "landscape-mp4",
+    ]);
+  });
+
+  it("supports NOT shorthands and quoted tags", () => {
+    expect(run("vertical -rejected")).toEqual(["vertical-small"]);
+    expect(run('!"landscape" ext:webm rating=5')).toEqual(["portrait-webm"]);
+  });
+
+  it("compares missing ratings explicitly", () => {
+    expect(run("rating:none")).toEqual(["landscape-mp4"]);
+    expect(run("rating<5")).toEqual(["vertical-rejected", "vertical-small"]);
+  });
+
+  it("reports errors with the offending range", () => {
+    const unbalanced = parseTagQuery("(portrait OR vertical");
+    expect(unbalanced.ast).toBeNull();
+    expect(unbalanced.error.message).toMatch(/closing parenthesis/);
+    expect(unbalanced.error.start).toBe(0);
+
+    const dangling = parseTagQuery("portrait AND");
+    expect(dangling.error.message).toBe("Expected a term");
+    expect(dangling.error.start).toBe(12);
+
+    const badSize = parseTagQuery("size>lots");
+    expect(badSize.error.message).toMatch(/Invalid size/);
+    expect([badSize.error.start, badSize.error.end]).toEqual([0, 9]);
+
+    const unknown = parseTagQuery("colour>3");
+    expect(unknown.error.message).toMatch(/Unknown field/);
+  });
+
+  it("keeps colon tags that are not known fields", () => {
+    const { ast } = parseTagQuery("style:anime");
+    expect(ast).toMatchObject({ type: "tag", value: "style:anime" });
+  });
+
+  it("lets an existing namespaced tag win over a field alias", () => {
+    const knownTags = buildKnownTags([{ name: "type:Portrait" }, { name: "landscape" }]);
+
+    expect(parseTagQuery("type:portrait", { knownTags }).ast).toMatchObject({
+      type: "tag",
+      value: "type:portrait",
+    });
+    expect(parseTagQuery("type:webm", { knownTags }).ast).toMatchObject({
+      type: "text",
+      field: "ext",
+      value: "webm",
+    });
+    expect(parseTagQuery("type:portrait").ast).toMatchObject({ type: "text", field: "ext" });
+
+    const tagged = { ...clips[3], tags: ["type:portrait"] };
+    const { predicate } = compileTagQuery("type:portrait", { knownTags });
+    expect(predicate(tagged)).toBe(true);
+  });
+
+  it("round-trips chip state through the query text", () => {
+    const chips = {
+      includeTags: ["portrait", "two words"],
+      excludeTags: ["rejected"],
+      minRating: 3,
+      exactRating: null,
+    };
+    const query = buildQueryFromFilters(chips);
+    expect(query).toBe('portrait AND "two words" AND NOT rejected AND rating>=3');
+
+    const { ast } = parseTagQuery(query);
+    expect(deriveFiltersFromQuery(ast)).toEqual(chips);
+  });
+
+  it("filters on caption sidecars", () => {
+    const captioned = [
+      { id: "none" },
+      { id: "blank", caption: { text: "  " } },
+      { id: "cat", caption: { text: "A cat on a mat" } },
+    ];
+    const ids = (query) =>
+      captioned.filter(compileTagQuery(query).predicate).map((clip) => clip.id);
+
+    expect(ids("caption:none")).toEqual(["none", "blank"]);
+    expect(ids("caption:any")).toEqual(["cat"]);
+    expect(ids("caption:cat")).toEqual(["cat"]);
+    expect(ids("caption!=cat")).toEqual(["none", "blank"]);
+
+    const query = buildQueryFromFilters({ includeTags: ["a"], missingCaption: true });
+    expect(query).toBe("a AND caption:none");
+    expect(deriveFiltersFromQuery(parseTagQuery(query).ast)).toMatchObject({
+      includeTags: ["a"],
+      missingCaption: true,
+    });
+  });
+
+  it("filters on notes", () => {
+    const noted = [
+      { id: "none" },
+      { id: "todo", notes: "TODO: fix the flicker" },
+      { id: "done", notes: "Final cut" },
+    ];
+    const ids = (query) => noted.filter(compileTagQuery(query).predicate).map((clip) => clip.id);
+
+    expect(ids("notes:none")).toEqual(["none"]);
+    expect(ids("notes:any")).toEqual(["todo", "done"]);
+    expect(ids("note:flicker")).toEqual(["todo"]);
+  });
+
+  it("filters on flags and colour labels", () => {
+    const marked = [
+      { id: "pick", flag: "pick", label: "red" },
+      { id: "reject", flag: "reject", label: null },
+      { id: "plain", flag: null, label: "blue" },
+    ];
+    const ids = (query) => marked.filter(compileTagQuery(query).predicate).map((clip) => clip.id);
+
+    expect(ids("flag:pick")).toEqual(["pick"]);
+    expect(ids("flag!=reject")).toEqual(["pick", "plain"]);
+    expect(ids("flag:none")).toEqual(["plain"]);
+    expect(ids("label:blue OR label:red")).toEqual(["pick", "plain"]);
+    expect(ids("label:none")).toEqual(["reject"]);
+  });
+
+  it("filters on custom fields by type", () => {
+    const customFields = buildFieldIndex([
+      { id: 1, name: "Due date", type: "date", options: [] },
+      { id: 2, name: "Shots", type: "number", options: [] },
+      { id: 3, name: "Status", type: "enum", options: ["Draft", "Final"] },
+      { id: 4, name: "Client", type: "text", options: [] },
+    ]);
+    const clips = [
+      { id: "a", fields: { 1: "2025-03-02", 2: 12, 3: "Draft", 4: "Acme Corp" } },
+      { id: "b", fields: { 1: "2025-04-10", 2: 3, 3: "Final" } },
+      { id: "c", fields: {} },
+    ];
+    const ids = (query) =>
+      clips
+        .filter(compileTagQuery(query, { customFields }).predicate)
+        .map((clip) => clip.id);
+
+    expect(fieldQueryKey("Due date")).toBe("due_date");
+    expect(ids("@due_date:2025-03")).toEqual(["a"]);
+    expect(ids("@due_date<2025-04-01")).toEqual(["a"]);
+    expect(ids("@shots>=5")).toEqual(["a"]);
+    expect(ids("@shots:3")).toEqual(["b"]);
+    expect(ids("@status:final")).toEqual(["b"]);
+    expect(ids("@status!=final")).toEqual(["a", "c"]);
+    expect(ids("@client:acme")).toEqual(["a"]);
+    expect(ids("@client:none")).toEqual(["b", "c"]);
+    expect(ids("@shots:any AND NOT @status:draft")).toEqual(["b"]);
+  });
+
+  it("reports unknown custom fields and malformed values", () => {
+    const customFields = buildFieldIndex([{ id: 2, name: "Shots", type: "number", options: [] }]);
+    const errorFor = (query) => compileTagQuery(query, { customFields }).error;
+
+    expect(errorFor("@takes>2")).toMatchObject({ message: 'Unknown field "@takes"', start: 0 });
+    expect(errorFor("a AND @shots>many")).toMatchObject({
+      message: "Expected a number for @shots",
+      start: 6,
+    });
+    expect(errorFor("@shots=")).toMatchObject({ message: "Missing value for @shots" });
+    expect(errorFor("@shots:none")).toBeNull();
+  });
+
+  it("refuses to derive chips from queries they cannot express", () => {
+    expect(deriveFiltersFromQuery(parseTagQuery("a OR b").ast)).toBeNull();
+    expect(deriveFiltersFromQuery(parseTagQuery("ext:webm").ast)).toBeNull();
+  });
+});
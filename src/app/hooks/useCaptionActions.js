@@ -0,0 +1,65 @@
+import { useCallback } from "react";
+
+// Caption sidecars are keyed by clip path rather than fingerprint, since they
+// live next to the file on disk.
+export function useCaptionActions({ selectedVideos, setVideos, notify }) {
+  const applyCaptionPatch = useCallback(
+    (updates) => {
+      if (!updates || typeof updates !== "object") return;
+      setVideos((prev) =>
+        prev.map((video) =>
+          video?.fullPath && updates[video.fullPath]
+            ? { ...video, caption: updates[video.fullPath] }
+            : video
+        )
+      );
+    },
+    [setVideos]
+  );
+
+  const handleSaveCaption = useCallback(
+    async (video, text) => {
+      const api = window.electronAPI?.captions;
+      if (!api?.write || !video?.fullPath) return false;
+      try {
+        const result = await api.write(video.fullPath, text);
+        if (!result?.caption) {
+          notify(`Failed to save caption: ${result?.error || "unknown error"}`, "error");
+          return false;
+        }
+        applyCaptionPatch({ [video.fullPath]: result.caption });
+        notify("Caption saved", "success");
+        return true;
+      } catch (error) {
+        console.error("Failed to save caption:", error);
+        notify("Failed to save caption", "error");
+        return false;
+      }
+    },
+    [applyCaptionPatch, notify]
+  );
+
+  const handleBulkEditCaptions = useCallback(
+    async (edit) => {
+      const api = window.electronAPI?.captions;
+      const paths = (selectedVideos || []).map((video) => video?.fullPath).filter(Boolean);
+      if (!api?.bulkEdit || !paths.length) return;
+      try {
+        const result = await api.bulkEdit(paths, edit);
+        applyCaptionPatch(result?.updates);
+        const changed = Object.keys(result?.updates || {}).length;
+        const failed = result?.failed?.length || 0;
+        notify(
+          `Updated ${changed} caption(s)${failed ? `, ${failed} failed` : ""}`,
+          failed ? "error" : "success"
+        );
+      } catch (error) {
+        console.error("Failed to edit captions:", error);
+        notify("Failed to edit captions", "error");
+      }
+    },
+    [selectedVideos, applyCaptionPatch, notify]
+  );
+
+  return { handleSaveCaption, handleBulkEditCaptions };
+}
@@ -0,0 +1,143 @@
+import { useCallback, useEffect, useState } from "react";
+
+// Manual, ordered collections of clips stored in the active profile's
+// database. Only available under Electron since items are keyed by
+// fingerprint.
+export function useCollections({ notify } = {}) {
+  const [items, setItems] = useState([]);
+
+  const refresh = useCallback(async () => {
+    const api = window.electronAPI?.collections;
+    if (!api) return;
+    try {
+      const result = await api.list();
+      setItems(Array.isArray(result?.items) ? result.items : []);
+    } catch (error) {
+      console.error("Failed to load collections:", error);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  useEffect(() => {
+    const dispose = window.electronAPI?.profiles?.onChanged?.(() => {
+      refresh();
+    });
+    return () => dispose?.();
+  }, [refresh]);
+
+  const create = useCallback(
+    async (name, fingerprints = []) => {
+      const trimmed = (name ?? "").trim();
+      const api = window.electronAPI?.collections;
+      if (!trimmed || !api) return null;
+      try {
+        const result = await api.create(trimmed, fingerprints);
+        if (!Array.isArray(result?.items)) {
+          throw new Error(result?.error || "Create failed");
+        }
+        setItems(result.items);
+        if (fingerprints.length) {
+          notify?.(`Added ${result.added ?? 0} item(s) to "${trimmed}"`, "success");
+        } else {
+          notify?.(`Created collection "${trimmed}"`, "success");
+        }
+        return result.id;
+      } catch (error) {
+        console.error("Failed to create collection:", error);
+        notify?.("Failed to create collection", "error");
+        return null;
+      }
+    },
+    [notify]
+  );
+
+  const addItems = useCallback(
+    async (collection, fingerprints) => {
+      const api = window.electronAPI?.collections;
+      if (!api || !collection || !fingerprints?.length) return 0;
+      try {
+        const result = await api.addItems(collection.id, fingerprints);
+        if (!Array.isArray(result?.items)) {
+          throw new Error(result?.error || "Add failed");
+        }
+        setItems(result.items);
+        const added = result.added ?? 0;
+        const skipped = fingerprints.length - added;
+        notify?.(
+          skipped > 0
+            ? `Added ${added} item(s) to "${collection.name}" (${skipped} already there)`
+            : `Added ${added} item(s) to "${collection.name}"`,
+          "success"
+        );
+        return added;
+      } catch (error) {
+        console.error("Failed to add to collection:", error);
+        notify?.("Failed to add to collection", "error");
+        return 0;
+      }
+    },
+    [notify]
+  );
+
+  const removeItems = useCallback(
+    async (collectionId, fingerprints) => {
+      const api = window.electronAPI?.collections;
+      if (!api || !fingerprints?.length) return false;
+      try {
+        const result = await api.removeItems(collectionId, fingerprints);
+        if (!result?.success) {
+          throw new Error(result?.error || "Remove failed");
+        }
+        if (Array.isArray(result.items)) setItems(result.items);
+        return true;
+      } catch (error) {
+        console.error("Failed to remove from collection:", error);
+        notify?.("Failed to remove from collection", "error");
+        return false;
+      }
+    },
+    [notify]
+  );
+
+  const reorder = useCallback(
+    async (collectionId, fingerprints) => {
+      const api = window.electronAPI?.collections;
+      if (!api) return false;
+      try {
+        const result = await api.reorder(collectionId, fingerprints);
+        if (!result?.success) {
+          throw new Error(result?.error || "Reorder failed");
+        }
+        return true;
+      } catch (error) {
+        console.error("Failed to reorder collection:", error);
+        notify?.("Failed to reorder collection", "error");
+        return false;
+      }
+    },
+    [notify]
+  );
+
+  const remove = useCallback(
+    async (id) => {
+      const api = window.electronAPI?.collections;
+      if (!api) return;
+      try {
+        const result = await api.delete(id);
+        if (!Array.isArray(result?.items)) {
+          throw new Error(result?.error || "Delete failed");
+        }
+        setItems(result.items);
+      } catch (error) {
+        console.error("Failed to delete collection:", error);
+        notify?.("Failed to delete collection", "error");
+      }
+    },
+    [notify]
+  );
+
+  return { items, refresh, create, addItems, removeItems, reorder, remove };
+}
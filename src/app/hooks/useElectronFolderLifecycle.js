@@ -4,13 +4,28 @@ import {
   clampRenderLimitStep,
   inferRenderLimitStepFromLegacy,
 } from "../../utils/renderLimit";
+import { normalizeThenBy } from "../../sorting/sortOption.js";
+import { normalizeTriageTagKeys } from "../../utils/triageKeys";
 
 const __DEV__ = import.meta.env.MODE !== "production";
 
+let scanCounter = 0;
+
 function delay(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+const byBasename = (a, b) =>
+  a.basename.localeCompare(b.basename, undefined, {
+    numeric: true,
+    sensitivity: "base",
+  });
+
+const toRootList = (folderPaths) =>
+  Array.from(
+    new Set((Array.isArray(folderPaths) ? folderPaths : [folderPaths]).filter(Boolean))
+  );
+
 export function useElectronFolderLifecycle({
   selection,
   recursiveMode,
@@ -20,9 +35,12 @@ export function useElectronFolderLifecycle({
   setRenderLimitStep,
   setSortKey,
   setSortDir,
+  setSortThenBy,
   groupByFolders,
   setGroupByFolders,
   setRandomSeed,
+  setHideRejects,
+  setTriageTagKeys,
   setZoomLevelFromSettings,
   setVisibleVideos,
   setLoadedVideos,
@@ -30,22 +48,43 @@ export function useElectronFolderLifecycle({
   setActualPlaying,
   refreshTagList,
   addRecentFolder,
+  onVideoRenamed,
   delayFn = delay,
 }) {
   const [videos, setVideos] = useState([]);
   const [isLoadingFolder, setIsLoadingFolder] = useState(false);
   const [loadingStage, setLoadingStage] = useState("");
   const [loadingProgress, setLoadingProgress] = useState(0);
+  // { directory, directoriesDone, directoriesFound, filesFound } while a
+  // streaming scan runs, else null.
+  const [scanProgress, setScanProgress] = useState(null);
+  // Throughput of the running or last scan, for DebugSummary:
+  // { files, elapsedMs, workers, running }.
+  const [scanStats, setScanStats] = useState(null);
+  const scanIdRef = useRef(null);
   const [settingsLoaded, setSettingsLoaded] = useState(false);
-  const { clear: clearSelection, setSelected: setSelection } = selection;
+  const [activeCollection, setActiveCollection] = useState(null);
+  const [libraryRoots, setLibraryRoots] = useState([]);
+  const {
+    clear: clearSelection,
+    setSelected: setSelection,
+    replaceId: replaceSelectionId,
+  } = selection;
+  const onVideoRenamedRef = useRef(onVideoRenamed);
+  useEffect(() => {
+    onVideoRenamedRef.current = onVideoRenamed;
+  }, [onVideoRenamed]);
   const setterRefs = useRef({
     setRecursiveMode,
     setShowFilenames,
     setRenderLimitStep,
     setSortKey,
     setSortDir,
+    setSortThenBy,
     setGroupByFolders,
     setRandomSeed,
+    setHideRejects,
+    setTriageTagKeys,
     setZoomLevelFromSettings,
   });
 
@@ -56,8 +95,11 @@ export function useElectronFolderLifecycle({
       setRenderLimitStep,
       setSortKey,
       setSortDir,
+      setSortThenBy,
       setGroupByFolders,
       setRandomSeed,
+      setHideRejects,
+      setTriageTagKeys,
       setZoomLevelFromSettings,
     };
   }, [
@@ -66,8 +108,11 @@ export function useElectronFolderLifecycle({
     setRenderLimitStep,
     setSortKey,
     setSortDir,
+    setSortThenBy,
     setGroupByFolders,
     setRandomSeed,
+    setHideRejects,
+    setTriageTagKeys,
     setZoomLevelFromSettings,
   ]);
 
@@ -85,10 +130,77 @@ export function useElectronFolderLifecycle({
     setVisibleVideos,
   ]);
 
+  // Drops the running scan, if any. Main cancels a window's scan on its own
+  // when another starts, so this is for switching to a non-folder source.
+  const abandonScan = useCallback(() => {
+    const scanId = scanIdRef.current;
+    scanIdRef.current = null;
+    setScanProgress(null);
+    if (scanId) window.electronAPI?.scan?.cancel?.(scanId);
+  }, []);
+
+  // Cancel button / Esc: keeps whatever has streamed in so far.
+  const cancelScan = useCallback(() => {
+    const scanId = scanIdRef.current;
+    if (scanId) window.electronAPI?.scan?.cancel?.(scanId);
+    setIsLoadingFolder(false);
+  }, []);
+
+  // Accepts a single folder or a set of library roots. A lone root is passed
+  // through as a plain path so main keeps its single-folder behaviour.
+  // Clips stream in batch by batch when main supports it.
   const handleElectronFolderSelection = useCallback(
-    async (folderPath) => {
+    async (folderPaths) => {
       const api = window.electronAPI;
-      if (!api?.readDirectory) return;
+      if (!api?.readDirectory && !api?.scan?.start) return;
+      const roots = toRootList(folderPaths);
+      if (!roots.length) return;
+      const folderPath = roots.length === 1 ? roots[0] : roots;
+      scanCounter += 1;
+      const scanId = `${Date.now()}-${scanCounter}`;
+      scanIdRef.current = scanId;
+      const isCurrent = () => scanIdRef.current === scanId;
+
+      const streamScan = async () => {
+        setScanProgress({ directory: "", directoriesDone: 0, directoriesFound: 0, filesFound: 0 });
+        const disposeBatch = api.scan.onBatch?.((payload) => {
+          if (payload?.scanId !== scanId || !isCurrent() || !Array.isArray(payload.files)) return;
+          const batch = payload.files.map((file) => normalizeVideoFromMain(file));
+          setVideos((prev) => prev.concat(batch));
+        });
+        const disposeProgress = api.scan.onProgress?.((payload) => {
+          if (payload?.scanId !== scanId || !isCurrent()) return;
+          const { directory, directoriesDone, directoriesFound, filesFound } = payload;
+          setScanProgress({ directory, directoriesDone, directoriesFound, filesFound });
+          setScanStats({
+            files: filesFound,
+            elapsedMs: payload.elapsedMs ?? 0,
+            workers: payload.workers ?? 0,
+            running: true,
+          });
+        });
+        try {
+          return await api.scan.start(scanId, folderPath, recursiveMode);
+        } finally {
+          disposeBatch?.();
+          disposeProgress?.();
+        }
+      };
+
+      // Also after a cancelled scan, so the partial grid stays live.
+      const watchAndRemember = async () => {
+        refreshTagList();
+
+        const watchResult = await api.startFolderWatch?.(
+          folderPath,
+          recursiveMode
+        );
+        if (watchResult?.success && __DEV__) {
+          console.log("👁️ watching folder");
+        }
+
+        addRecentFolder(folderPath);
+      };
 
       try {
         setIsLoadingFolder(true);
@@ -99,51 +211,137 @@ export function useElectronFolderLifecycle({
         await api.stopFolderWatch?.();
 
         setVideos([]);
+        setActiveCollection(null);
+        setLibraryRoots(roots);
         resetDerivedVideoState();
 
         setLoadingStage("Scanning for video files...");
         setLoadingProgress(30);
         await delayFn(200);
-
-        const files = await api.readDirectory(folderPath, recursiveMode);
-        const normalizedFiles = files.map((file) => normalizeVideoFromMain(file));
-
-        setLoadingStage(`Found ${files.length} videos — initializing masonry...`);
-        setLoadingProgress(70);
-        await delayFn(200);
-
-        setVideos(normalizedFiles);
+        // Starting now would make main cancel the newer selection's scan.
+        if (!isCurrent()) return;
+
+        if (api.scan?.start) {
+          const result = await streamScan();
+          // A newer selection owns the loading state now.
+          if (!isCurrent()) return;
+          setScanProgress(null);
+          if (result?.error) throw new Error(result.error);
+          setScanStats({
+            files: result?.total ?? 0,
+            elapsedMs: result?.elapsedMs ?? 0,
+            workers: result?.workers ?? 0,
+            running: false,
+          });
+          if (result?.cancelled) {
+            setIsLoadingFolder(false);
+            await watchAndRemember();
+            return;
+          }
+          // Indexed results are shown first; main follows up with changes.
+          setLoadingStage(
+            result?.fromIndex
+              ? `Loaded ${result.total} videos — checking for changes…`
+              : `Found ${result?.total ?? 0} videos`
+          );
+          setLoadingProgress(90);
+        } else {
+          const files = await api.readDirectory(folderPath, recursiveMode);
+          const normalizedFiles = files.map((file) => normalizeVideoFromMain(file));
+
+          setLoadingStage(`Found ${files.length} videos — initializing masonry...`);
+          setLoadingProgress(70);
+          await delayFn(200);
+
+          setVideos(normalizedFiles);
+        }
         await delayFn(300);
 
         setLoadingStage("Complete!");
         setLoadingProgress(100);
         await delayFn(250);
+        if (!isCurrent()) return;
         setIsLoadingFolder(false);
 
-        refreshTagList();
-
-        const watchResult = await api.startFolderWatch?.(
-          folderPath,
-          recursiveMode
-        );
-        if (watchResult?.success && __DEV__) {
-          console.log("👁️ watching folder");
-        }
-
-        addRecentFolder(folderPath);
+        await watchAndRemember();
       } catch (error) {
+        if (!isCurrent()) return;
         console.error("Error reading directory:", error);
+        setScanProgress(null);
         setIsLoadingFolder(false);
       }
     },
     [
       addRecentFolder,
+      delayFn,
       recursiveMode,
       refreshTagList,
       resetDerivedVideoState,
     ]
   );
 
+  const handleAddRoot = useCallback(async () => {
+    const res = await window.electronAPI?.selectFolder?.();
+    if (!res?.folderPath || libraryRoots.includes(res.folderPath)) return;
+    await handleElectronFolderSelection([...libraryRoots, res.folderPath]);
+  }, [handleElectronFolderSelection, libraryRoots]);
+
+  const handleRemoveRoot = useCallback(
+    async (rootPath) => {
+      const remaining = libraryRoots.filter((root) => root !== rootPath);
+      if (!remaining.length || remaining.length === libraryRoots.length) return;
+      await handleElectronFolderSelection(remaining);
+    },
+    [handleElectronFolderSelection, libraryRoots]
+  );
+
+  // Collections replace the folder as the grid source. Their clips can live
+  // in any directory, so there is nothing to watch while one is open.
+  const handleOpenCollection = useCallback(
+    async (collectionId) => {
+      const api = window.electronAPI;
+      if (!api?.collections?.open) return null;
+
+      abandonScan();
+      try {
+        setIsLoadingFolder(true);
+        setLoadingStage("Opening collection...");
+        setLoadingProgress(10);
+
+        await api.stopFolderWatch?.();
+
+        setVideos([]);
+        setLibraryRoots([]);
+        resetDerivedVideoState();
+
+        const result = await api.collections.open(collectionId);
+        if (!result?.collection) {
+          throw new Error(result?.error || "Collection not found");
+        }
+
+        setLoadingStage(`Found ${result.files.length} videos — initializing masonry...`);
+        setLoadingProgress(70);
+        await delayFn(200);
+
+        setVideos(result.files.map((file) => normalizeVideoFromMain(file)));
+        setActiveCollection(result.collection);
+
+        setLoadingStage("Complete!");
+        setLoadingProgress(100);
+        await delayFn(250);
+        setIsLoadingFolder(false);
+
+        refreshTagList();
+        return result;
+      } catch (error) {
+        console.error("Error opening collection:", error);
+        setIsLoadingFolder(false);
+        return null;
+      }
+    },
+    [abandonScan, delayFn, refreshTagList, resetDerivedVideoState]
+  );
+
   const handleFolderSelect = useCallback(async () => {
     const res = await window.electronAPI?.selectFolder?.();
     if (res?.folderPath) {
@@ -170,15 +368,20 @@ export function useElectronFolderLifecycle({
         basename: f.name,
         dirname: "",
         createdMs: f.lastModified || 0,
+        size: f.size,
+        dateModified: f.lastModified || null,
         fingerprint: null,
         tags: [],
         rating: null,
       }));
 
+      abandonScan();
       setVideos(list);
+      setActiveCollection(null);
+      setLibraryRoots([]);
       resetDerivedVideoState();
     },
-    [resetDerivedVideoState]
+    [abandonScan, resetDerivedVideoState]
   );
 
   const applySettingsFromMain = useCallback((settings) => {
@@ -189,8 +392,11 @@ export function useElectronFolderLifecycle({
       setRenderLimitStep: applyRenderLimitStep,
       setSortKey: applySortKey,
       setSortDir: applySortDir,
+      setSortThenBy: applySortThenBy,
       setGroupByFolders: applyGroupByFolders,
       setRandomSeed: applyRandomSeed,
+      setHideRejects: applyHideRejects,
+      setTriageTagKeys: applyTriageTagKeys,
       setZoomLevelFromSettings: applyZoomLevelFromSettings,
     } = setterRefs.current;
 
@@ -211,10 +417,16 @@ export function useElectronFolderLifecycle({
       applyZoomLevelFromSettings(settings.zoomLevel);
     if (settings.sortKey) applySortKey(settings.sortKey);
     if (settings.sortDir) applySortDir(settings.sortDir);
+    if (Array.isArray(settings.sortThenBy))
+      applySortThenBy?.(normalizeThenBy(settings.sortThenBy, settings.sortKey));
     if (settings.groupByFolders !== undefined)
       applyGroupByFolders(settings.groupByFolders);
     if (settings.randomSeed !== undefined)
       applyRandomSeed(settings.randomSeed);
+    if (typeof settings.hideRejects === "boolean")
+      applyHideRejects?.(settings.hideRejects);
+    if (settings.triageTagKeys !== undefined)
+      applyTriageTagKeys?.(normalizeTriageTagKeys(settings.triageTagKeys));
   }, []);
 
   const loadSettingsFromMain = useCallback(
@@ -268,6 +480,8 @@ export function useElectronFolderLifecycle({
         }
       } catch {}
       setVideos([]);
+      setActiveCollection(null);
+      setLibraryRoots([]);
       resetDerivedVideoState();
       setSettingsLoaded(false);
       loadSettingsFromMain(payload?.settings);
@@ -290,12 +504,7 @@ export function useElectronFolderLifecycle({
           next[existingIndex] = normalized;
           return next;
         }
-        return [...prev, normalized].sort((a, b) =>
-          a.basename.localeCompare(b.basename, undefined, {
-            numeric: true,
-            sensitivity: "base",
-          })
-        );
+        return [...prev, normalized].sort(byBasename);
       });
       if (normalized.tags.length) {
         refreshTagList();
@@ -332,6 +541,46 @@ export function useElectronFolderLifecycle({
       refreshTagList();
     };
 
+    // Renamed or moved on disk: the clip keeps its slot, selection and
+    // fullscreen under the new id. Playback state is dropped because the
+    // tile reloads from the new path.
+    const handleFileRenamed = ({ oldPath, file } = {}) => {
+      if (!oldPath || !file) return;
+      const normalized = normalizeVideoFromMain(file);
+      const newId = normalized.id;
+      setVideos((prev) => {
+        const next = prev.filter((v) => v.id !== newId);
+        const index = next.findIndex((v) => v.id === oldPath);
+        if (index === -1) return [...next, normalized].sort(byBasename);
+        next[index] = normalized;
+        return next;
+      });
+
+      const renameIn = (prev) => {
+        if (!prev.has(oldPath)) return prev;
+        const next = new Set(prev);
+        next.delete(oldPath);
+        next.add(newId);
+        return next;
+      };
+      const dropFrom = (prev) => {
+        if (!prev.has(oldPath)) return prev;
+        const next = new Set(prev);
+        next.delete(oldPath);
+        return next;
+      };
+      if (typeof replaceSelectionId === "function") {
+        replaceSelectionId(oldPath, newId);
+      } else {
+        setSelection(renameIn);
+      }
+      setVisibleVideos(renameIn);
+      setActualPlaying(dropFrom);
+      setLoadedVideos(dropFrom);
+      setLoadingVideos(dropFrom);
+      onVideoRenamedRef.current?.(oldPath, normalized);
+    };
+
     const handleFileChanged = (videoFile) => {
       const normalized = normalizeVideoFromMain(videoFile);
       setVideos((prev) =>
@@ -345,6 +594,7 @@ export function useElectronFolderLifecycle({
     const disposeAdded = api.onFileAdded?.(handleFileAdded);
     const disposeRemoved = api.onFileRemoved?.(handleFileRemoved);
     const disposeChanged = api.onFileChanged?.(handleFileChanged);
+    const disposeRenamed = api.onFileRenamed?.(handleFileRenamed);
     const disposeError = api.onFileWatchError?.((error) => {
       console.error("File watch error:", error);
     });
@@ -353,11 +603,13 @@ export function useElectronFolderLifecycle({
       disposeAdded?.();
       disposeRemoved?.();
       disposeChanged?.();
+      disposeRenamed?.();
       disposeError?.();
       api?.stopFolderWatch?.().catch(() => {});
     };
   }, [
     refreshTagList,
+    replaceSelectionId,
     setActualPlaying,
     setLoadedVideos,
     setLoadingVideos,
@@ -371,9 +623,18 @@ export function useElectronFolderLifecycle({
     isLoadingFolder,
     loadingStage,
     loadingProgress,
+    scanProgress,
+    scanStats,
+    cancelScan,
     settingsLoaded,
     handleElectronFolderSelection,
     handleFolderSelect,
     handleWebFileSelection,
+    activeCollection,
+    setActiveCollection,
+    handleOpenCollection,
+    libraryRoots,
+    handleAddRoot,
+    handleRemoveRoot,
   };
 }
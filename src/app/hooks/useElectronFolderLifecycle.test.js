@@ -57,6 +57,10 @@ describe("useElectronFolderLifecycle", () => {
         zoomLevel: 3,
         sortKey: "name",
         sortDir: "desc",
+        sortThenBy: [
+          { sortKey: "rating", sortDir: "desc" },
+          { sortKey: "name", sortDir: "asc" },
+        ],
         groupByFolders: false,
         randomSeed: 42,
       }),
@@ -142,6 +146,7 @@ describe("useElectronFolderLifecycle", () => {
     const setRenderLimitStep = vi.fn();
     const setSortKey = vi.fn();
     const setSortDir = vi.fn();
+    const setSortThenBy = vi.fn();
     const setGroupByFolders = vi.fn();
     const setRandomSeed = vi.fn();
     const setZoomLevelFromSettings = vi.fn();
@@ -156,6 +161,7 @@ describe("useElectronFolderLifecycle", () => {
         setRenderLimitStep,
         setSortKey,
         setSortDir,
+        setSortThenBy,
         groupByFolders: true,
         setGroupByFolders,
         setRandomSeed,
@@ -176,6 +182,8 @@ describe("useElectronFolderLifecycle", () => {
     expect(setRenderLimitStep).toHaveBeenCalledWith(7);
     expect(setSortKey).toHaveBeenCalledWith("name");
     expect(setSortDir).toHaveBeenCalledWith("desc");
+    // The primary key is dropped from the secondary chain
+    expect(setSortThenBy).toHaveBeenCalledWith([{ sortKey: "rating", sortDir: "desc" }]);
     expect(setGroupByFolders).toHaveBeenCalledWith(false);
     expect(setRandomSeed).toHaveBeenCalledWith(42);
     expect(setZoomLevelFromSettings).toHaveBeenCalledWith(3);
@@ -396,6 +404,75 @@ describe("useElectronFolderLifecycle", () => {
     expect(window.electronAPI.stopFolderWatch).toHaveBeenCalledTimes(1);
   });
 
+  it("keeps a renamed clip in place under its new id", async () => {
+    let onFileRenamedHandler;
+    const disposeRenamed = vi.fn();
+    window.electronAPI.onFileRenamed = vi.fn((cb) => {
+      onFileRenamedHandler = cb;
+      return disposeRenamed;
+    });
+    const replaceId = vi.fn();
+    const onVideoRenamed = vi.fn();
+
+    const { result, unmount } = renderHook(() =>
+      useElectronFolderLifecycle({
+        selection: { ...selection, replaceId },
+        recursiveMode: false,
+        setRecursiveMode: vi.fn(),
+        setShowFilenames: vi.fn(),
+        renderLimitStep: 5,
+        setRenderLimitStep: vi.fn(),
+        setSortKey: vi.fn(),
+        setSortDir: vi.fn(),
+        groupByFolders: true,
+        setGroupByFolders: vi.fn(),
+        setRandomSeed: vi.fn(),
+        setZoomLevelFromSettings: vi.fn(),
+        setVisibleVideos: setVisibleVideosMock.setter,
+        setLoadedVideos: setLoadedVideosMock.setter,
+        setLoadingVideos: setLoadingVideosMock.setter,
+        setActualPlaying: setActualPlayingMock.setter,
+        refreshTagList,
+        addRecentFolder,
+        onVideoRenamed,
+        delayFn: () => Promise.resolve(),
+      })
+    );
+
+    await waitFor(() => expect(window.electronAPI.getSettings).toHaveBeenCalled());
+    await act(async () => {
+      await result.current.handleElectronFolderSelection("/videos");
+    });
+    act(() => {
+      onFileAddedHandler?.({ id: "file2", basename: "file2", tags: [] });
+    });
+    act(() => {
+      setVisibleVideosMock.setter(new Set(["file1", "file2"]));
+      setActualPlayingMock.setter(new Set(["file1"]));
+    });
+
+    act(() => {
+      onFileRenamedHandler?.({
+        oldPath: "file1",
+        newPath: "zz-moved",
+        file: { id: "zz-moved", basename: "zz-moved", tags: [] },
+      });
+    });
+
+    // Same slot, even though the new name would sort last.
+    expect(result.current.videos.map((v) => v.id)).toEqual(["zz-moved", "file2"]);
+    expect(replaceId).toHaveBeenCalledWith("file1", "zz-moved");
+    expect(setVisibleVideosMock.get()).toEqual(new Set(["file2", "zz-moved"]));
+    expect(setActualPlayingMock.get()).toEqual(new Set());
+    expect(onVideoRenamed).toHaveBeenCalledWith(
+      "file1",
+      expect.objectContaining({ id: "zz-moved" })
+    );
+
+    unmount();
+    expect(disposeRenamed).toHaveBeenCalled();
+  });
+
   it("loads web files when selected", async () => {
     const { result } = renderHook(() =>
       useElectronFolderLifecycle({
@@ -495,4 +572,305 @@ describe("useElectronFolderLifecycle", () => {
       true
     );
   });
+
+  it("opens a collection as the grid source without watching", async () => {
+    window.electronAPI.collections = {
+      open: vi.fn().mockResolvedValue({
+        collection: { id: 7, name: "Review", basePath: "/" },
+        files: [
+          { id: "/b/two.mp4", basename: "two.mp4", fingerprint: "fp-2", tags: [] },
+          { id: "/a/one.mp4", basename: "one.mp4", fingerprint: "fp-1", tags: [] },
+        ],
+        missing: 0,
+      }),
+    };
+
+    const { result } = renderHook(() =>
+      useElectronFolderLifecycle({
+        selection,
+        recursiveMode: false,
+        setRecursiveMode: vi.fn(),
+        setShowFilenames: vi.fn(),
+        renderLimitStep: 5,
+        setRenderLimitStep: vi.fn(),
+        setSortKey: vi.fn(),
+        setSortDir: vi.fn(),
+        groupByFolders: true,
+        setGroupByFolders: vi.fn(),
+        setRandomSeed: vi.fn(),
+        setZoomLevelFromSettings: vi.fn(),
+        setVisibleVideos: setVisibleVideosMock.setter,
+        setLoadedVideos: setLoadedVideosMock.setter,
+        setLoadingVideos: setLoadingVideosMock.setter,
+        setActualPlaying: setActualPlayingMock.setter,
+        refreshTagList,
+        addRecentFolder,
+        delayFn: () => Promise.resolve(),
+      })
+    );
+
+    await waitFor(() => expect(window.electronAPI.getSettings).toHaveBeenCalled());
+
+    await act(async () => {
+      await result.current.handleOpenCollection(7);
+    });
+
+    expect(window.electronAPI.stopFolderWatch).toHaveBeenCalled();
+    expect(window.electronAPI.startFolderWatch).not.toHaveBeenCalled();
+    expect(result.current.videos.map((v) => v.id)).toEqual(["/b/two.mp4", "/a/one.mp4"]);
+    expect(result.current.activeCollection).toMatchObject({ id: 7, name: "Review" });
+
+    await act(async () => {
+      await result.current.handleElectronFolderSelection("/videos");
+    });
+
+    expect(result.current.activeCollection).toBeNull();
+  });
+
+  it("opens several roots together and can drop one again", async () => {
+    const { result } = renderHook(() =>
+      useElectronFolderLifecycle({
+        selection,
+        recursiveMode: true,
+        setRecursiveMode: vi.fn(),
+        setShowFilenames: vi.fn(),
+        renderLimitStep: 5,
+        setRenderLimitStep: vi.fn(),
+        setSortKey: vi.fn(),
+        setSortDir: vi.fn(),
+        groupByFolders: true,
+        setGroupByFolders: vi.fn(),
+        setRandomSeed: vi.fn(),
+        setZoomLevelFromSettings: vi.fn(),
+        setVisibleVideos: setVisibleVideosMock.setter,
+        setLoadedVideos: setLoadedVideosMock.setter,
+        setLoadingVideos: setLoadingVideosMock.setter,
+        setActualPlaying: setActualPlayingMock.setter,
+        refreshTagList,
+        addRecentFolder,
+        delayFn: () => Promise.resolve(),
+      })
+    );
+
+    await waitFor(() => expect(window.electronAPI.getSettings).toHaveBeenCalled());
+
+    await act(async () => {
+      await result.current.handleElectronFolderSelection(["/renders/a", "/renders/b"]);
+    });
+
+    expect(window.electronAPI.readDirectory).toHaveBeenLastCalledWith(
+      ["/renders/a", "/renders/b"],
+      true
+    );
+    expect(window.electronAPI.startFolderWatch).toHaveBeenLastCalledWith(
+      ["/renders/a", "/renders/b"],
+      true
+    );
+    expect(addRecentFolder).toHaveBeenLastCalledWith(["/renders/a", "/renders/b"]);
+    expect(result.current.libraryRoots).toEqual(["/renders/a", "/renders/b"]);
+
+    await act(async () => {
+      await result.current.handleRemoveRoot("/renders/a");
+    });
+
+    expect(window.electronAPI.readDirectory).toHaveBeenLastCalledWith("/renders/b", true);
+    expect(result.current.libraryRoots).toEqual(["/renders/b"]);
+  });
+
+  describe("streaming scans", () => {
+    let batchListeners;
+    let progressListeners;
+    let finishScan;
+
+    const emit = (listeners, payload) => {
+      act(() => {
+        listeners.forEach((listener) => listener(payload));
+      });
+    };
+
+    beforeEach(() => {
+      batchListeners = new Set();
+      progressListeners = new Set();
+      finishScan = [];
+      window.electronAPI.scan = {
+        start: vi.fn(() => new Promise((resolve) => finishScan.push(resolve))),
+        cancel: vi.fn(),
+        onBatch: vi.fn((cb) => {
+          batchListeners.add(cb);
+          return () => batchListeners.delete(cb);
+        }),
+        onProgress: vi.fn((cb) => {
+          progressListeners.add(cb);
+          return () => progressListeners.delete(cb);
+        }),
+      };
+    });
+
+    const renderLifecycle = () =>
+      renderHook(() =>
+        useElectronFolderLifecycle({
+          selection,
+          recursiveMode: true,
+          setRecursiveMode: vi.fn(),
+          setShowFilenames: vi.fn(),
+          renderLimitStep: 5,
+          setRenderLimitStep: vi.fn(),
+          setSortKey: vi.fn(),
+          setSortDir: vi.fn(),
+          groupByFolders: true,
+          setGroupByFolders: vi.fn(),
+          setRandomSeed: vi.fn(),
+          setZoomLevelFromSettings: vi.fn(),
+          setVisibleVideos: setVisibleVideosMock.setter,
+          setLoadedVideos: setLoadedVideosMock.setter,
+          setLoadingVideos: setLoadingVideosMock.setter,
+          setActualPlaying: setActualPlayingMock.setter,
+          refreshTagList,
+          addRecentFolder,
+          delayFn: () => Promise.resolve(),
+        })
+      );
+
+    const clip = (id) => ({ id, basename: id, tags: [] });
+
+    it("adds batches as they arrive and ignores other scans", async () => {
+      const { result } = renderLifecycle();
+      await waitFor(() => expect(window.electronAPI.getSettings).toHaveBeenCalled());
+
+      let pending;
+      act(() => {
+        pending = result.current.handleElectronFolderSelection("/videos");
+      });
+      await waitFor(() => expect(window.electronAPI.scan.start).toHaveBeenCalled());
+      const [scanId, folder, recursive] = window.electronAPI.scan.start.mock.calls[0];
+      expect([folder, recursive]).toEqual(["/videos", true]);
+
+      emit(batchListeners, { scanId, files: [clip("a")] });
+      emit(batchListeners, { scanId: "stale", files: [clip("stale")] });
+      emit(progressListeners, {
+        scanId,
+        directory: "/videos",
+        directoriesDone: 1,
+        directoriesFound: 3,
+        filesFound: 1,
+        elapsedMs: 40,
+        workers: 3,
+      });
+
+      expect(result.current.videos.map((v) => v.id)).toEqual(["a"]);
+      expect(result.current.scanProgress).toEqual({
+        directory: "/videos",
+        directoriesDone: 1,
+        directoriesFound: 3,
+        filesFound: 1,
+      });
+      expect(result.current.scanStats).toMatchObject({ files: 1, workers: 3, running: true });
+
+      emit(batchListeners, { scanId, files: [clip("b")] });
+      await act(async () => {
+        finishScan[0]({ scanId, total: 2, cancelled: false, elapsedMs: 90, workers: 3 });
+        await pending;
+      });
+      expect(result.current.scanStats).toEqual({
+        files: 2,
+        elapsedMs: 90,
+        workers: 3,
+        running: false,
+      });
+
+      expect(result.current.videos.map((v) => v.id)).toEqual(["a", "b"]);
+      expect(result.current.scanProgress).toBeNull();
+      expect(result.current.isLoadingFolder).toBe(false);
+      expect(batchListeners.size).toBe(0);
+      expect(window.electronAPI.readDirectory).not.toHaveBeenCalled();
+      expect(window.electronAPI.startFolderWatch).toHaveBeenCalledWith("/videos", true);
+      expect(addRecentFolder).toHaveBeenCalledWith("/videos");
+    });
+
+    it("keeps streamed clips when cancelled and still watches the folder", async () => {
+      const { result } = renderLifecycle();
+      await waitFor(() => expect(window.electronAPI.getSettings).toHaveBeenCalled());
+
+      let pending;
+      act(() => {
+        pending = result.current.handleElectronFolderSelection("/videos");
+      });
+      await waitFor(() => expect(window.electronAPI.scan.start).toHaveBeenCalled());
+      const [scanId] = window.electronAPI.scan.start.mock.calls[0];
+      emit(batchListeners, { scanId, files: [clip("a")] });
+
+      act(() => result.current.cancelScan());
+      expect(window.electronAPI.scan.cancel).toHaveBeenCalledWith(scanId);
+      expect(result.current.isLoadingFolder).toBe(false);
+
+      await act(async () => {
+        finishScan[0]({ scanId, total: 1, cancelled: true });
+        await pending;
+      });
+
+      expect(result.current.videos.map((v) => v.id)).toEqual(["a"]);
+      expect(result.current.isLoadingFolder).toBe(false);
+      expect(window.electronAPI.startFolderWatch).toHaveBeenCalledWith("/videos", true);
+      expect(addRecentFolder).toHaveBeenCalledWith("/videos");
+    });
+
+    it("lets a newer folder take over a running scan", async () => {
+      const { result } = renderLifecycle();
+      await waitFor(() => expect(window.electronAPI.getSettings).toHaveBeenCalled());
+
+      let first;
+      act(() => {
+        first = result.current.handleElectronFolderSelection("/old");
+      });
+      await waitFor(() => expect(window.electronAPI.scan.start).toHaveBeenCalledTimes(1));
+      const [oldScanId] = window.electronAPI.scan.start.mock.calls[0];
+
+      let second;
+      act(() => {
+        second = result.current.handleElectronFolderSelection("/new");
+      });
+      await waitFor(() => expect(window.electronAPI.scan.start).toHaveBeenCalledTimes(2));
+      const [newScanId] = window.electronAPI.scan.start.mock.calls[1];
+
+      emit(batchListeners, { scanId: oldScanId, files: [clip("old")] });
+      emit(batchListeners, { scanId: newScanId, files: [clip("new")] });
+
+      await act(async () => {
+        finishScan[0]({ scanId: oldScanId, total: 1, cancelled: true });
+        finishScan[1]({ scanId: newScanId, total: 1, cancelled: false });
+        await Promise.all([first, second]);
+      });
+
+      expect(result.current.videos.map((v) => v.id)).toEqual(["new"]);
+      expect(window.electronAPI.startFolderWatch).toHaveBeenCalledTimes(1);
+      expect(window.electronAPI.startFolderWatch).toHaveBeenCalledWith("/new", true);
+      expect(addRecentFolder).toHaveBeenCalledTimes(1);
+      expect(addRecentFolder).toHaveBeenCalledWith("/new");
+    });
+
+    it("cancels the running scan when a collection opens", async () => {
+      window.electronAPI.collections = {
+        open: vi.fn().mockResolvedValue({
+          collection: { id: 7, name: "Review", basePath: "/" },
+          files: [],
+          missing: 0,
+        }),
+      };
+      const { result } = renderLifecycle();
+      await waitFor(() => expect(window.electronAPI.getSettings).toHaveBeenCalled());
+
+      act(() => {
+        result.current.handleElectronFolderSelection("/videos");
+      });
+      await waitFor(() => expect(window.electronAPI.scan.start).toHaveBeenCalled());
+      const [scanId] = window.electronAPI.scan.start.mock.calls[0];
+
+      await act(async () => {
+        await result.current.handleOpenCollection(7);
+      });
+
+      expect(window.electronAPI.scan.cancel).toHaveBeenCalledWith(scanId);
+      expect(result.current.scanProgress).toBeNull();
+    });
+  });
 });
@@ -0,0 +1,104 @@
+import { useCallback, useEffect, useState } from "react";
+
+const IDLE_STATE = { status: "idle", workflow: null, error: null };
+
+// Prefer the UI graph (what ComfyUI loads on drop); fall back to the API prompt.
+export function getWorkflowJson(workflow) {
+  const source = workflow?.workflow || workflow?.prompt;
+  if (!source) return null;
+  try {
+    return JSON.stringify(source, null, 2);
+  } catch {
+    return null;
+  }
+}
+
+export function useEmbeddedWorkflow({ video, enabled, notify }) {
+  const [state, setState] = useState(IDLE_STATE);
+  const filePath = enabled && video?.isElectronFile ? video.fullPath : null;
+
+  useEffect(() => {
+    if (!filePath) {
+      setState(IDLE_STATE);
+      return undefined;
+    }
+    const api = window.electronAPI?.metadata;
+    if (!api?.getWorkflow) {
+      setState({ status: "missing", workflow: null, error: null });
+      return undefined;
+    }
+
+    let cancelled = false;
+    setState({ status: "loading", workflow: null, error: null });
+
+    api
+      .getWorkflow(filePath)
+      .then((result) => {
+        if (cancelled) return;
+        if (result?.error) {
+          setState({ status: "error", workflow: null, error: result.error });
+        } else if (result?.workflow) {
+          setState({ status: "ready", workflow: result.workflow, error: null });
+        } else {
+          setState({ status: "missing", workflow: null, error: null });
+        }
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        console.error("Failed to load embedded workflow:", error);
+        setState({
+          status: "error",
+          workflow: null,
+          error: error?.message || String(error),
+        });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [filePath]);
+
+  const copyWorkflowJson = useCallback(async () => {
+    const json = getWorkflowJson(state.workflow);
+    if (!json) return;
+    try {
+      const api = window.electronAPI;
+      const result = api?.copyToClipboard
+        ? await api.copyToClipboard(json)
+        : await navigator.clipboard.writeText(json);
+      if (result && result.success === false) {
+        throw new Error(result.error || "Copy failed");
+      }
+      notify?.("Workflow JSON copied to clipboard", "success");
+    } catch (error) {
+      console.error("Failed to copy workflow:", error);
+      notify?.("Failed to copy workflow", "error");
+    }
+  }, [state.workflow, notify]);
+
+  const saveWorkflowJson = useCallback(async () => {
+    const json = getWorkflowJson(state.workflow);
+    const api = window.electronAPI?.metadata;
+    if (!json || !api?.saveWorkflow) return;
+    try {
+      const result = await api.saveWorkflow({
+        json,
+        suggestedName: video?.name,
+      });
+      if (result?.success) {
+        notify?.("Workflow saved", "success");
+      } else if (!result?.canceled) {
+        throw new Error(result?.error || "Save failed");
+      }
+    } catch (error) {
+      console.error("Failed to save workflow:", error);
+      notify?.("Failed to save workflow", "error");
+    }
+  }, [state.workflow, video?.name, notify]);
+
+  return {
+    ...state,
+    copyWorkflowJson,
+    saveWorkflowJson,
+  };
+}
@@ -1,4 +1,4 @@
-import { useState, useMemo, useCallback, useEffect } from "react";
+import { useState, useMemo, useCallback, useEffect, useRef } from "react";
 import {
   createDefaultFilters,
   normalizeTagList,
@@ -7,33 +7,179 @@ import {
   formatRatingLabel,
   useFiltersActiveCount,
 } from "../filters/filtersUtils";
+import {
+  parseTagQuery,
+  evaluateTagQuery,
+  deriveFiltersFromQuery,
+  buildQueryFromFilters,
+  findCustomFieldError,
+  buildKnownTags,
+} from "../filters/tagQuery";
+import { buildTagDescendants, hasTagOrDescendant } from "../filters/tagHierarchy";
+import { buildFieldIndex } from "../filters/customFields";
+import { isRejected } from "../../utils/reviewMarks";
+
+const SEARCH_DEBOUNCE_MS = 200;
+
+const tokenizeSearch = (query) =>
+  (query ?? "")
+    .toString()
+    .toLowerCase()
+    .split(/\s+/)
+    .map((term) => term.replace(/"/g, ""))
+    .filter(Boolean);
+
+const hasCaption = (video) => !!video?.caption?.text?.trim();
+
+// Used outside Electron, while the FTS query is in flight and for clips
+// loaded since it ran.
+const matchesSearchLocally = (video, terms) => {
+  const haystack = [
+    video?.name,
+    ...(Array.isArray(video?.tags) ? video.tags : []),
+  ]
+    .filter(Boolean)
+    .join(" ")
+    .toLowerCase();
+  return terms.every((term) => haystack.includes(term));
+};
 
 const resolveValue = (value, fallback) =>
   value === undefined ? fallback : value;
 
-const normalizeFiltersDraft = (draft, prev) => {
+const sameList = (a = [], b = []) =>
+  a.length === b.length && a.every((value, index) => value === b[index]);
+
+const normalizeFiltersDraft = (draft, prev, parseOptions) => {
   const includeTagsRaw = resolveValue(draft?.includeTags, prev.includeTags);
   const excludeTagsRaw = resolveValue(draft?.excludeTags, prev.excludeTags);
   const minRatingRaw = resolveValue(draft?.minRating, prev.minRating);
   const exactRatingRaw = resolveValue(draft?.exactRating, prev.exactRating);
+  const missingCaptionRaw = resolveValue(draft?.missingCaption, prev.missingCaption);
+  const queryRaw = resolveValue(draft?.query, prev.query);
 
-  return {
+  const chips = {
     includeTags: normalizeTagList(includeTagsRaw),
     excludeTags: normalizeTagList(excludeTagsRaw),
     minRating: sanitizeMinRating(minRatingRaw),
     exactRating: sanitizeExactRating(exactRatingRaw),
+    missingCaption: !!missingCaptionRaw,
   };
+  const query = (queryRaw ?? "").toString();
+  const prevQuery = prev.query ?? "";
+
+  // Typed query: mirror it back into the chips when they can express it.
+  if (query !== prevQuery) {
+    const { ast, error } = parseTagQuery(query, parseOptions);
+    if (error) {
+      return { ...chips, query };
+    }
+    const derived = deriveFiltersFromQuery(ast);
+    return {
+      includeTags: normalizeTagList(derived?.includeTags),
+      excludeTags: normalizeTagList(derived?.excludeTags),
+      minRating: sanitizeMinRating(derived?.minRating),
+      exactRating: sanitizeExactRating(derived?.exactRating),
+      missingCaption: !!derived?.missingCaption,
+      query,
+    };
+  }
+
+  const chipsChanged =
+    !sameList(chips.includeTags, prev.includeTags) ||
+    !sameList(chips.excludeTags, prev.excludeTags) ||
+    chips.minRating !== (prev.minRating ?? null) ||
+    chips.exactRating !== (prev.exactRating ?? null) ||
+    chips.missingCaption !== !!prev.missingCaption;
+
+  if (!chipsChanged) {
+    return { ...chips, query };
+  }
+
+  // Chip shortcut: regenerate the query, keeping any part the chips can't
+  // represent.
+  const chipQuery = buildQueryFromFilters(chips);
+  const { ast: prevAst, error: prevError } = parseTagQuery(prevQuery, parseOptions);
+  const prevIsAdvanced = !prevError && prevAst && !deriveFiltersFromQuery(prevAst);
+  if (prevIsAdvanced && chipQuery) {
+    return { ...chips, query: `(${prevQuery.trim()}) AND ${chipQuery}` };
+  }
+  return { ...chips, query: chipQuery };
 };
 
-export function useFilterState({ videos, filtersButtonRef, filtersPopoverRef }) {
+export function useFilterState({
+  videos,
+  availableTags = [],
+  customFields = [],
+  hideRejects = false,
+  filtersButtonRef,
+  filtersPopoverRef,
+}) {
   const [filters, setFilters] = useState(() => createDefaultFilters());
   const [isFiltersOpen, setFiltersOpen] = useState(false);
+  const [searchQuery, setSearchQuery] = useState("");
+  // { query, matches, searched }: FTS hits for `query` and the fingerprints
+  // that were loaded when it ran. Clips loaded since fall back to the local
+  // match until the next metadata change re-runs the query.
+  const [searchResult, setSearchResult] = useState(null);
+  const [searchRevision, setSearchRevision] = useState(0);
+  const trimmedSearch = searchQuery.trim();
+  const searchMatches = searchResult?.query === trimmedSearch ? searchResult : null;
+  const videosRef = useRef(videos);
+  videosRef.current = videos;
+  const knownTags = useMemo(() => buildKnownTags(availableTags), [availableTags]);
+  const knownTagsRef = useRef(knownTags);
+  knownTagsRef.current = knownTags;
+
+  useEffect(() => {
+    const api = window.electronAPI?.metadata;
+    if (!api?.onChanged) return undefined;
+    return api.onChanged(() => setSearchRevision((revision) => revision + 1));
+  }, []);
+
+  useEffect(() => {
+    setSearchResult(null);
+    const api = window.electronAPI?.metadata;
+    if (!trimmedSearch || !api?.search) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      const searched = new Set(
+        videosRef.current.map((video) => video?.fingerprint).filter(Boolean)
+      );
+      api
+        .search(trimmedSearch)
+        .then((result) => {
+          if (cancelled) return;
+          if (result?.error) {
+            console.warn("Search failed:", result.error);
+            return;
+          }
+          setSearchResult({
+            query: trimmedSearch,
+            matches: new Set(result?.fingerprints || []),
+            searched,
+          });
+        })
+        .catch((error) => {
+          if (cancelled) return;
+          console.error("Search failed:", error);
+        });
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [trimmedSearch, searchRevision]);
 
   const updateFilters = useCallback((updater) => {
     setFilters((prev) => {
       const nextDraft =
         typeof updater === "function" ? updater(prev) ?? prev : { ...prev, ...updater };
-      return normalizeFiltersDraft(nextDraft, prev);
+      return normalizeFiltersDraft(nextDraft, prev, { knownTags: knownTagsRef.current });
     });
   }, []);
 
@@ -41,31 +187,76 @@ export function useFilterState({ videos, filtersButtonRef, filtersPopoverRef })
     setFilters(createDefaultFilters());
   }, []);
 
+  const parsedQuery = useMemo(
+    () => parseTagQuery(filters.query, { knownTags }),
+    [filters.query, knownTags]
+  );
+  const tagDescendants = useMemo(() => buildTagDescendants(availableTags), [availableTags]);
+  const fieldsByKey = useMemo(() => buildFieldIndex(customFields), [customFields]);
+  const fieldError = useMemo(
+    () => findCustomFieldError(parsedQuery.ast, fieldsByKey),
+    [parsedQuery, fieldsByKey]
+  );
+  const queryError = parsedQuery.error || fieldError;
+
   const filteredVideos = useMemo(() => {
+    // Hidden rejects stay out whatever the query says.
+    const pool = hideRejects ? videos.filter((video) => !isRejected(video)) : videos;
+    const searchTerms = trimmedSearch ? tokenizeSearch(trimmedSearch) : null;
+    const matchesSearch = (video) =>
+      searchMatches?.searched.has(video.fingerprint)
+        ? searchMatches.matches.has(video.fingerprint)
+        : matchesSearchLocally(video, searchTerms);
+
+    // A valid query supersedes the chips (they are derived from it anyway);
+    // while the query is invalid the last chip state keeps filtering.
+    if (parsedQuery.ast && !fieldError) {
+      const context = { tagDescendants, customFields: fieldsByKey };
+      return pool.filter(
+        (video) =>
+          (!searchTerms || matchesSearch(video)) &&
+          evaluateTagQuery(parsedQuery.ast, video, context)
+      );
+    }
+
     const includeTags = filters.includeTags ?? [];
     const excludeTags = filters.excludeTags ?? [];
     const minRating = sanitizeMinRating(filters.minRating);
     const exactRating = sanitizeExactRating(filters.exactRating);
+    const missingCaption = !!filters.missingCaption;
 
-    const includeSet = includeTags.length
-      ? new Set(includeTags.map((tag) => tag.toLowerCase()))
-      : null;
-    const excludeSet = excludeTags.length
-      ? new Set(excludeTags.map((tag) => tag.toLowerCase()))
-      : null;
+    const includeSet = includeTags.length ? new Set(includeTags) : null;
+    const excludeSet = excludeTags.length ? new Set(excludeTags) : null;
 
-    if (!includeSet && !excludeSet && minRating === null && exactRating === null) {
-      return videos;
+    if (
+      !includeSet &&
+      !excludeSet &&
+      minRating === null &&
+      exactRating === null &&
+      !missingCaption &&
+      !searchTerms
+    ) {
+      return pool;
     }
 
-    return videos.filter((video) => {
-      const tagList = Array.isArray(video.tags)
-        ? video.tags.map((tag) => (tag ?? "").toString().trim().toLowerCase()).filter(Boolean)
-        : [];
+    return pool.filter((video) => {
+      if (searchTerms && !matchesSearch(video)) {
+        return false;
+      }
+
+      if (missingCaption && hasCaption(video)) {
+        return false;
+      }
+
+      const tagSet = new Set(
+        Array.isArray(video.tags)
+          ? video.tags.map((tag) => (tag ?? "").toString().trim().toLowerCase()).filter(Boolean)
+          : []
+      );
 
       if (includeSet) {
         for (const tag of includeSet) {
-          if (!tagList.includes(tag)) {
+          if (!hasTagOrDescendant(tagSet, tag, tagDescendants)) {
             return false;
           }
         }
@@ -73,7 +264,7 @@ export function useFilterState({ videos, filtersButtonRef, filtersPopoverRef })
 
       if (excludeSet) {
         for (const tag of excludeSet) {
-          if (tagList.includes(tag)) {
+          if (hasTagOrDescendant(tagSet, tag, tagDescendants)) {
             return false;
           }
         }
@@ -91,7 +282,17 @@ export function useFilterState({ videos, filtersButtonRef, filtersPopoverRef })
 
       return true;
     });
-  }, [videos, filters]);
+  }, [
+    videos,
+    hideRejects,
+    filters,
+    parsedQuery,
+    fieldError,
+    tagDescendants,
+    fieldsByKey,
+    trimmedSearch,
+    searchMatches,
+  ]);
 
   const filteredVideoIds = useMemo(
     () => new Set(filteredVideos.map((video) => video.id)),
@@ -194,6 +395,9 @@ export function useFilterState({ videos, filtersButtonRef, filtersPopoverRef })
     filteredVideos,
     filteredVideoIds,
     filtersActiveCount,
+    queryError,
+    searchQuery,
+    setSearchQuery,
     ratingSummary,
     handleRemoveIncludeFilter,
     handleRemoveExcludeFilter,
@@ -0,0 +1,337 @@
+import { renderHook, act } from "@testing-library/react";
+import { useFilterState } from "./useFilterState";
+
+const videos = [
+  { id: "a", fingerprint: "fp-a", name: "harbor_sunset.mp4", tags: ["Ocean"], rating: 4 },
+  { id: "b", fingerprint: "fp-b", name: "alley.mp4", tags: ["city"], rating: 2 },
+  { id: "c", fingerprint: "fp-c", name: "forest.webm", tags: [], rating: null },
+];
+
+const renderFilterState = () =>
+  renderHook(({ items }) =>
+    useFilterState({
+      videos: items,
+      filtersButtonRef: { current: null },
+      filtersPopoverRef: { current: null },
+    }),
+    { initialProps: { items: videos } }
+  );
+
+describe("useFilterState search", () => {
+  afterEach(() => {
+    delete window.electronAPI;
+    vi.useRealTimers();
+  });
+
+  it("matches names and tags locally without the electron API", () => {
+    const { result } = renderFilterState();
+
+    act(() => {
+      result.current.setSearchQuery("ocean harb");
+    });
+
+    expect(result.current.filteredVideos.map((v) => v.id)).toEqual(["a"]);
+  });
+
+  it("uses full-text search results from the main process", async () => {
+    vi.useFakeTimers();
+    const search = vi.fn().mockResolvedValue({ fingerprints: ["fp-b", "fp-c"] });
+    window.electronAPI = { metadata: { search } };
+
+    const { result } = renderFilterState();
+
+    act(() => {
+      result.current.setSearchQuery("neon rain");
+    });
+
+    await act(async () => {
+      await vi.advanceTimersByTimeAsync(250);
+    });
+
+    expect(search).toHaveBeenCalledWith("neon rain");
+    expect(result.current.filteredVideos.map((v) => v.id)).toEqual(["b", "c"]);
+  });
+
+  it("combines search with the rating filter", async () => {
+    vi.useFakeTimers();
+    window.electronAPI = {
+      metadata: { search: vi.fn().mockResolvedValue({ fingerprints: ["fp-a", "fp-b"] }) },
+    };
+
+    const { result } = renderFilterState();
+
+    act(() => {
+      result.current.setSearchQuery("anything");
+      result.current.updateFilters({ minRating: 3 });
+    });
+
+    await act(async () => {
+      await vi.advanceTimersByTimeAsync(250);
+    });
+
+    expect(result.current.filteredVideos.map((v) => v.id)).toEqual(["a"]);
+  });
+
+  it("drops the previous query's matches as soon as the query changes", async () => {
+    vi.useFakeTimers();
+    const search = vi.fn().mockResolvedValue({ fingerprints: ["fp-b"] });
+    window.electronAPI = { metadata: { search } };
+
+    const { result } = renderFilterState();
+
+    act(() => {
+      result.current.setSearchQuery("neon");
+    });
+    await act(async () => {
+      await vi.advanceTimersByTimeAsync(250);
+    });
+    expect(result.current.filteredVideos.map((v) => v.id)).toEqual(["b"]);
+
+    act(() => {
+      result.current.setSearchQuery("forest");
+    });
+    // Local match until the new query answers, not the stale ["b"].
+    expect(result.current.filteredVideos.map((v) => v.id)).toEqual(["c"]);
+  });
+
+  it("re-runs the query on metadata changes rather than on new clips", async () => {
+    vi.useFakeTimers();
+    let notifyChanged;
+    const search = vi.fn().mockResolvedValue({ fingerprints: ["fp-b"] });
+    window.electronAPI = {
+      metadata: {
+        search,
+        onChanged: (callback) => {
+          notifyChanged = callback;
+          return () => {};
+        },
+      },
+    };
+
+    const { result, rerender } = renderFilterState();
+
+    act(() => {
+      result.current.setSearchQuery("city");
+    });
+    await act(async () => {
+      await vi.advanceTimersByTimeAsync(250);
+    });
+    expect(search).toHaveBeenCalledTimes(1);
+
+    const added = { id: "d", fingerprint: "fp-d", name: "city_lights.mp4", tags: [] };
+    rerender({ items: [...videos, added] });
+    await act(async () => {
+      await vi.advanceTimersByTimeAsync(250);
+    });
+    expect(search).toHaveBeenCalledTimes(1);
+    // The query has not seen the new clip yet, so it matches locally.
+    expect(result.current.filteredVideos.map((v) => v.id)).toEqual(["b", "d"]);
+
+    search.mockResolvedValue({ fingerprints: ["fp-b", "fp-c"] });
+    act(() => {
+      notifyChanged({ fingerprints: ["fp-c"] });
+    });
+    await act(async () => {
+      await vi.advanceTimersByTimeAsync(250);
+    });
+    expect(search).toHaveBeenCalledTimes(2);
+    expect(result.current.filteredVideos.map((v) => v.id)).toEqual(["b", "c"]);
+  });
+
+  it("shows everything again once the query is cleared", () => {
+    const { result } = renderFilterState();
+
+    act(() => {
+      result.current.setSearchQuery("alley");
+    });
+    expect(result.current.filteredVideos).toHaveLength(1);
+
+    act(() => {
+      result.current.setSearchQuery("  ");
+    });
+    expect(result.current.filteredVideos).toBe(videos);
+  });
+});
+
+describe("useFilterState query", () => {
+  it("writes the query when chips change", () => {
+    const { result } = renderFilterState();
+
+    act(() => {
+      result.current.updateFilters({ includeTags: ["Ocean"], minRating: 3 });
+    });
+
+    expect(result.current.filters.query).toBe("Ocean AND rating>=3");
+    expect(result.current.filteredVideos.map((v) => v.id)).toEqual(["a"]);
+  });
+
+  it("mirrors simple typed queries back into the chips", () => {
+    const { result } = renderFilterState();
+
+    act(() => {
+      result.current.updateFilters({ query: "city NOT ocean" });
+    });
+
+    expect(result.current.filters.includeTags).toEqual(["city"]);
+    expect(result.current.filters.excludeTags).toEqual(["ocean"]);
+    expect(result.current.filteredVideos.map((v) => v.id)).toEqual(["b"]);
+  });
+
+  it("clears chips for advanced queries and counts them as one filter", () => {
+    const { result } = renderFilterState();
+
+    act(() => {
+      result.current.updateFilters({ includeTags: ["city"] });
+    });
+    act(() => {
+      result.current.updateFilters({ query: "ocean OR ext:webm" });
+    });
+
+    expect(result.current.filters.includeTags).toEqual([]);
+    expect(result.current.filtersActiveCount).toBe(1);
+    expect(result.current.filteredVideos.map((v) => v.id)).toEqual(["a", "c"]);
+  });
+
+  it("keeps the previous chips filtering while the query is invalid", () => {
+    const { result } = renderFilterState();
+
+    act(() => {
+      result.current.updateFilters({ includeTags: ["city"] });
+    });
+    act(() => {
+      result.current.updateFilters({ query: "city AND (" });
+    });
+
+    expect(result.current.queryError).toBeTruthy();
+    expect(result.current.filters.includeTags).toEqual(["city"]);
+    expect(result.current.filteredVideos.map((v) => v.id)).toEqual(["b"]);
+  });
+
+  it("toggles the missing-caption chip through the query", () => {
+    const { result, rerender } = renderFilterState();
+    rerender({
+      items: videos.map((video) =>
+        video.id === "a" ? { ...video, caption: { text: "sunset over a harbor" } } : video
+      ),
+    });
+
+    act(() => {
+      result.current.updateFilters({ missingCaption: true });
+    });
+
+    expect(result.current.filters.query).toBe("caption:none");
+    expect(result.current.filtersActiveCount).toBe(1);
+    expect(result.current.filteredVideos.map((v) => v.id)).toEqual(["b", "c"]);
+
+    act(() => {
+      result.current.updateFilters({ query: "" });
+    });
+    expect(result.current.filters.missingCaption).toBe(false);
+  });
+
+  it("matches descendants when filtering on a parent tag", () => {
+    const items = [
+      { id: "wan", tags: ["model:wan"] },
+      { id: "hunyuan", tags: ["model:hunyuan"] },
+      { id: "untagged", tags: [] },
+    ];
+    const availableTags = [
+      { name: "model", parent: null },
+      { name: "model:wan", parent: "model" },
+      { name: "model:hunyuan", parent: "model" },
+    ];
+    const { result } = renderHook(() =>
+      useFilterState({
+        videos: items,
+        availableTags,
+        filtersButtonRef: { current: null },
+        filtersPopoverRef: { current: null },
+      })
+    );
+
+    act(() => {
+      result.current.updateFilters({ includeTags: ["model"] });
+    });
+    expect(result.current.filteredVideos.map((v) => v.id)).toEqual(["wan", "hunyuan"]);
+
+    act(() => {
+      result.current.updateFilters({ query: "NOT model OR model:wan" });
+    });
+    expect(result.current.filteredVideos.map((v) => v.id)).toEqual(["wan", "untagged"]);
+  });
+
+  it("reads a typed namespaced tag as a tag and mirrors it into the chips", () => {
+    const items = [
+      { id: "tagged", name: "clip.mp4", extension: ".mp4", tags: ["type:portrait"] },
+      { id: "other", name: "other.mp4", extension: ".mp4", tags: [] },
+    ];
+    const { result } = renderHook(() =>
+      useFilterState({
+        videos: items,
+        availableTags: [{ name: "type:portrait", parent: null }],
+        filtersButtonRef: { current: null },
+        filtersPopoverRef: { current: null },
+      })
+    );
+
+    act(() => {
+      result.current.updateFilters({ query: "type:portrait" });
+    });
+    expect(result.current.filteredVideos.map((v) => v.id)).toEqual(["tagged"]);
+    expect(result.current.filters.includeTags).toEqual(["type:portrait"]);
+  });
+
+  it("hides rejects regardless of the query", () => {
+    const items = [
+      { id: "keep", tags: ["a"], flag: "pick" },
+      { id: "drop", tags: ["a"], flag: "reject" },
+    ];
+    const { result, rerender } = renderHook(
+      ({ hideRejects }) =>
+        useFilterState({
+          videos: items,
+          hideRejects,
+          filtersButtonRef: { current: null },
+          filtersPopoverRef: { current: null },
+        }),
+      { initialProps: { hideRejects: false } }
+    );
+
+    expect(result.current.filteredVideos.map((v) => v.id)).toEqual(["keep", "drop"]);
+    rerender({ hideRejects: true });
+    expect(result.current.filteredVideos.map((v) => v.id)).toEqual(["keep"]);
+
+    act(() => {
+      result.current.updateFilters({ query: "flag:reject OR a" });
+    });
+    expect(result.current.filteredVideos.map((v) => v.id)).toEqual(["keep"]);
+  });
+
+  it("filters on custom fields and flags unknown ones", () => {
+    const items = [
+      { id: "draft", fields: { 7: "Draft" } },
+      { id: "final", fields: { 7: "Final" } },
+    ];
+    const customFields = [{ id: 7, name: "Status", type: "enum", options: ["Draft", "Final"] }];
+    const { result } = renderHook(() =>
+      useFilterState({
+        videos: items,
+        customFields,
+        filtersButtonRef: { current: null },
+        filtersPopoverRef: { current: null },
+      })
+    );
+
+    act(() => {
+      result.current.updateFilters({ query: "@status=final" });
+    });
+    expect(result.current.queryError).toBeNull();
+    expect(result.current.filteredVideos.map((v) => v.id)).toEqual(["final"]);
+
+    act(() => {
+      result.current.updateFilters({ query: "@stage=final" });
+    });
+    expect(result.current.queryError?.message).toBe('Unknown field "@stage"');
+    expect(result.current.filteredVideos.map((v) => v.id)).toEqual(["draft", "final"]);
+  });
+});
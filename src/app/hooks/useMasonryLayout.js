@@ -15,8 +15,10 @@ export function useMasonryLayout({
   filteredVideos,
   sortKey,
   sortDir,
+  sortThenBy,
   groupByFolders,
   randomSeed,
+  preserveOrder = false,
   zoomLevel,
   scrollContainerRef,
   gridRef,
@@ -194,13 +196,17 @@ export function useMasonryLayout({
   );
 
   const comparator = useMemo(
-    () => buildComparator({ sortKey, sortDir, randomOrderMap }),
-    [sortKey, sortDir, randomOrderMap]
+    () => buildComparator({ sortKey, sortDir, randomOrderMap, thenBy: sortThenBy }),
+    [sortKey, sortDir, randomOrderMap, sortThenBy]
   );
 
+  // Collections arrive in their curated order, which wins over sorting.
   const orderedVideos = useMemo(
-    () => groupAndSort(filteredVideos, { groupByFolders, comparator }),
-    [filteredVideos, groupByFolders, comparator]
+    () =>
+      preserveOrder
+        ? filteredVideos
+        : groupAndSort(filteredVideos, { groupByFolders, comparator }),
+    [filteredVideos, groupByFolders, comparator, preserveOrder]
   );
 
   const orderedIds = useMemo(() => orderedVideos.map((v) => v.id), [orderedVideos]);
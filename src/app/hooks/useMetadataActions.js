@@ -1,10 +1,37 @@
-import { useCallback } from "react";
+import { useCallback, useEffect } from "react";
 import { normalizeVideoFromMain } from "../videoNormalization";
 
+// Mirrors what the store does when a field is deleted or loses enum options,
+// so clips already in memory stop showing values that no longer exist.
+function pruneFieldValues(video, fieldsById) {
+  const values = video?.fields;
+  if (!values || !Object.keys(values).length) return video;
+  let changed = false;
+  const next = {};
+  Object.entries(values).forEach(([id, value]) => {
+    const field = fieldsById.get(String(id));
+    let kept = field ? value : null;
+    if (field?.type === "enum") {
+      kept =
+        field.options.find(
+          (option) => option.toLowerCase() === String(value).toLowerCase()
+        ) ?? null;
+    }
+    if (kept === null) {
+      changed = true;
+      return;
+    }
+    if (kept !== value) changed = true;
+    next[id] = kept;
+  });
+  return changed ? { ...video, fields: next } : video;
+}
+
 export function useMetadataActions({
   selectedFingerprints,
   setVideos,
   setAvailableTags,
+  setCustomFields,
   notify,
 }) {
   const applyMetadataPatch = useCallback((updates) => {
@@ -108,6 +135,284 @@ export function useMetadataActions({
     [handleAddTags]
   );
 
+  const updateTag = useCallback(
+    async (method, args, failureMessage) => {
+      const api = window.electronAPI?.metadata;
+      if (!api?.[method]) return false;
+      try {
+        const result = await api[method](...args);
+        if (Array.isArray(result?.tags)) {
+          setAvailableTags(result.tags);
+          return true;
+        }
+        notify(`${failureMessage}: ${result?.error || "unknown error"}`, "error");
+      } catch (error) {
+        console.error(`${failureMessage}:`, error);
+        notify(failureMessage, "error");
+      }
+      return false;
+    },
+    [setAvailableTags, notify]
+  );
+
+  const handleSetTagColor = useCallback(
+    (tagName, color) => updateTag("setTagColor", [tagName, color], "Failed to set tag colour"),
+    [updateTag]
+  );
+
+  const handleSetTagParent = useCallback(
+    (tagName, parentName) =>
+      updateTag("setTagParent", [tagName, parentName], "Failed to move tag"),
+    [updateTag]
+  );
+
+  // Tag manager calls resolve to the main-process result (with `aliases`) on
+  // success and null on failure, so the dialog can keep its own view fresh.
+  const manageTags = useCallback(
+    async (method, args, successMessage, failureMessage) => {
+      const api = window.electronAPI?.metadata;
+      if (!api?.[method]) return null;
+      try {
+        const result = await api[method](...args);
+        if (result?.error) {
+          notify(`${failureMessage}: ${result.error}`, "error");
+          return null;
+        }
+        if (result?.updates) applyMetadataPatch(result.updates);
+        if (Array.isArray(result?.tags)) setAvailableTags(result.tags);
+        if (successMessage) notify(successMessage, "success");
+        return result;
+      } catch (error) {
+        console.error(`${failureMessage}:`, error);
+        notify(failureMessage, "error");
+        return null;
+      }
+    },
+    [applyMetadataPatch, setAvailableTags, notify]
+  );
+
+  const handleRenameTag = useCallback(
+    (tagName, newName) =>
+      manageTags(
+        "renameTag",
+        [tagName, newName],
+        `Renamed "${tagName}" to "${newName}"`,
+        "Failed to rename tag"
+      ),
+    [manageTags]
+  );
+
+  const handleMergeTags = useCallback(
+    (tagNames, targetName) =>
+      manageTags(
+        "mergeTags",
+        [tagNames, targetName],
+        `Merged ${tagNames.length} tag(s) into "${targetName}"`,
+        "Failed to merge tags"
+      ),
+    [manageTags]
+  );
+
+  const handleDeleteTags = useCallback(
+    (tagNames) =>
+      manageTags(
+        "deleteTags",
+        [tagNames],
+        `Deleted ${tagNames.length} tag(s) from all clips`,
+        "Failed to delete tags"
+      ),
+    [manageTags]
+  );
+
+  const handleAddTagAlias = useCallback(
+    (alias, tagName) =>
+      manageTags("addTagAlias", [alias, tagName], null, "Failed to add alias"),
+    [manageTags]
+  );
+
+  const handleRemoveTagAlias = useCallback(
+    (alias) => manageTags("removeTagAlias", [alias], null, "Failed to remove alias"),
+    [manageTags]
+  );
+
+  const saveForSelection = useCallback(
+    async (method, args, failureMessage) => {
+      const api = window.electronAPI?.metadata;
+      if (!api?.[method]) return false;
+      const fingerprints = selectedFingerprints;
+      if (!fingerprints.length) return false;
+      try {
+        const result = await api[method](fingerprints, ...args);
+        if (result?.updates) applyMetadataPatch(result.updates);
+        if (result?.error) {
+          notify(`${failureMessage}: ${result.error}`, "error");
+          return false;
+        }
+        return true;
+      } catch (error) {
+        console.error(`${failureMessage}:`, error);
+        notify(failureMessage, "error");
+        return false;
+      }
+    },
+    [selectedFingerprints, applyMetadataPatch, notify]
+  );
+
+  const handleSetFlag = useCallback(
+    (flag) => saveForSelection("setFlag", [flag], "Failed to set flag"),
+    [saveForSelection]
+  );
+
+  const handleSetLabel = useCallback(
+    (label) => saveForSelection("setLabel", [label], "Failed to set colour label"),
+    [saveForSelection]
+  );
+
+  // Fullscreen triage edits one clip per keypress and advances straight
+  // away, so only failures are reported.
+  const applyTriageAction = useCallback(
+    async (fingerprint, action) => {
+      const api = window.electronAPI?.metadata;
+      if (!api || !fingerprint || !action) return false;
+      const fingerprints = [fingerprint];
+      let request = null;
+      if (action.type === "rating") request = api.setRating?.(fingerprints, action.value);
+      else if (action.type === "flag") request = api.setFlag?.(fingerprints, action.value);
+      else if (action.type === "tag") {
+        request = action.on
+          ? api.addTags?.(fingerprints, [action.tag])
+          : api.removeTag?.(fingerprints, action.tag);
+      }
+      if (!request) return false;
+      try {
+        const result = await request;
+        if (result?.updates) applyMetadataPatch(result.updates);
+        if (Array.isArray(result?.tags)) setAvailableTags(result.tags);
+        if (result?.error) {
+          notify(`Triage failed: ${result.error}`, "error");
+          return false;
+        }
+        return true;
+      } catch (error) {
+        console.error("Failed to apply triage action:", error);
+        notify("Triage failed", "error");
+        return false;
+      }
+    },
+    [applyMetadataPatch, setAvailableTags, notify]
+  );
+
+  // Head-to-head outcomes from ComparisonDialog. Both return success.
+  const saveComparison = useCallback(
+    async (method, args, failureMessage) => {
+      const api = window.electronAPI?.metadata;
+      if (!api?.[method]) return false;
+      try {
+        const result = await api[method](...args);
+        if (result?.updates) applyMetadataPatch(result.updates);
+        if (result?.error) {
+          notify(`${failureMessage}: ${result.error}`, "error");
+          return false;
+        }
+        return true;
+      } catch (error) {
+        console.error(`${failureMessage}:`, error);
+        notify(failureMessage, "error");
+        return false;
+      }
+    },
+    [applyMetadataPatch, notify]
+  );
+
+  const handleRecordComparison = useCallback(
+    (first, second, outcome) =>
+      saveComparison("recordComparison", [first, second, outcome], "Failed to record comparison"),
+    [saveComparison]
+  );
+
+  const handleUndoComparison = useCallback(
+    () => saveComparison("undoComparison", [], "Failed to undo comparison"),
+    [saveComparison]
+  );
+
+  const handleSetNotes = useCallback(
+    (text) => saveForSelection("setNotes", [text], "Failed to save notes"),
+    [saveForSelection]
+  );
+
+  const handleSetFieldValue = useCallback(
+    (fieldId, value) =>
+      saveForSelection("setField", [fieldId, value], "Failed to set field"),
+    [saveForSelection]
+  );
+
+  const applyCustomFields = useCallback(
+    (fields) => {
+      setCustomFields?.(fields);
+      const fieldsById = new Map(fields.map((field) => [String(field.id), field]));
+      setVideos((prev) => {
+        let changed = false;
+        const next = prev.map((video) => {
+          const pruned = pruneFieldValues(video, fieldsById);
+          if (pruned !== video) changed = true;
+          return pruned;
+        });
+        return changed ? next : prev;
+      });
+    },
+    [setCustomFields, setVideos]
+  );
+
+  // Field definition calls resolve to true on success, false on failure.
+  const manageFields = useCallback(
+    async (method, args, failureMessage) => {
+      const api = window.electronAPI?.metadata;
+      if (!api?.[method]) return false;
+      try {
+        const result = await api[method](...args);
+        if (Array.isArray(result?.fields)) {
+          applyCustomFields(result.fields);
+          return true;
+        }
+        notify(`${failureMessage}: ${result?.error || "unknown error"}`, "error");
+      } catch (error) {
+        console.error(`${failureMessage}:`, error);
+        notify(failureMessage, "error");
+      }
+      return false;
+    },
+    [applyCustomFields, notify]
+  );
+
+  const handleCreateField = useCallback(
+    (definition) => manageFields("createField", [definition], "Failed to add field"),
+    [manageFields]
+  );
+
+  const handleUpdateField = useCallback(
+    (fieldId, patch) =>
+      manageFields("updateField", [fieldId, patch], "Failed to update field"),
+    [manageFields]
+  );
+
+  const handleDeleteField = useCallback(
+    (fieldId) => manageFields("deleteField", [fieldId], "Failed to delete field"),
+    [manageFields]
+  );
+
+  const refreshCustomFields = useCallback(async () => {
+    const api = window.electronAPI?.metadata;
+    if (!api?.listFields || !setCustomFields) return;
+    try {
+      const res = await api.listFields();
+      if (Array.isArray(res?.fields)) {
+        setCustomFields(res.fields);
+      }
+    } catch (error) {
+      console.warn("Failed to refresh custom fields:", error);
+    }
+  }, [setCustomFields]);
+
   const refreshTagList = useCallback(async () => {
     const api = window.electronAPI?.metadata;
     if (!api?.listTags) return;
@@ -121,6 +426,27 @@ export function useMetadataActions({
     }
   }, [setAvailableTags]);
 
+  // Profiles > Import Metadata… changes tags and ratings behind the
+  // renderer's back; pull the affected records back in.
+  useEffect(() => {
+    const api = window.electronAPI?.metadata;
+    if (!api?.onImported) return undefined;
+    return api.onImported(async (payload) => {
+      const fingerprints = Array.isArray(payload?.fingerprints)
+        ? payload.fingerprints.filter(Boolean)
+        : [];
+      try {
+        if (fingerprints.length && api.get) {
+          const result = await api.get(fingerprints);
+          if (result?.updates) applyMetadataPatch(result.updates);
+        }
+        await refreshTagList();
+      } catch (error) {
+        console.error("Failed to reload imported metadata:", error);
+      }
+    });
+  }, [applyMetadataPatch, refreshTagList]);
+
   return {
     applyMetadataPatch,
     handleAddTags,
@@ -128,6 +454,24 @@ export function useMetadataActions({
     handleSetRating,
     handleClearRating,
     handleApplyExistingTag,
+    handleSetTagColor,
+    handleSetTagParent,
+    handleRenameTag,
+    handleMergeTags,
+    handleDeleteTags,
+    handleAddTagAlias,
+    handleRemoveTagAlias,
+    handleSetFlag,
+    handleSetLabel,
+    applyTriageAction,
+    handleRecordComparison,
+    handleUndoComparison,
+    handleSetNotes,
+    handleSetFieldValue,
+    handleCreateField,
+    handleUpdateField,
+    handleDeleteField,
     refreshTagList,
+    refreshCustomFields,
   };
 }
@@ -69,4 +69,245 @@ describe("useMetadataActions", () => {
     expect(notify).toHaveBeenCalled();
     expect(videos[0].tags).toEqual(["tag"]);
   });
+
+  it("reloads imported records when main reports a metadata import", async () => {
+    let videos = [
+      { id: "1", fingerprint: "fp1", rating: null, tags: [], dimensions: null },
+      { id: "2", fingerprint: "fp2", rating: 2, tags: [], dimensions: null },
+    ];
+    const setVideos = (updater) => {
+      videos = typeof updater === "function" ? updater(videos) : updater;
+    };
+    const setAvailableTags = vi.fn();
+    let emitImported = null;
+
+    window.electronAPI = {
+      metadata: {
+        onImported: vi.fn((callback) => {
+          emitImported = callback;
+          return vi.fn();
+        }),
+        get: vi.fn().mockResolvedValue({ updates: { fp1: { tags: ["beach"], rating: 5 } } }),
+        listTags: vi.fn().mockResolvedValue({ tags: [{ name: "beach", usageCount: 1 }] }),
+      },
+    };
+
+    renderHook(() =>
+      useMetadataActions({
+        selectedFingerprints: [],
+        setVideos,
+        setAvailableTags,
+        notify: noop,
+      })
+    );
+
+    await act(async () => {
+      await emitImported({ fingerprints: ["fp1"] });
+    });
+
+    expect(window.electronAPI.metadata.get).toHaveBeenCalledWith(["fp1"]);
+    expect(videos[0]).toMatchObject({ tags: ["beach"], rating: 5 });
+    expect(videos[1].rating).toBe(2);
+    expect(setAvailableTags).toHaveBeenCalledWith([{ name: "beach", usageCount: 1 }]);
+  });
+
+  it("applies tag manager results and reports failures", async () => {
+    let videos = [
+      { id: "1", fingerprint: "fp1", rating: null, tags: ["sunest"], dimensions: null },
+    ];
+    const setVideos = (updater) => {
+      videos = typeof updater === "function" ? updater(videos) : updater;
+    };
+    const setAvailableTags = vi.fn();
+    const notify = vi.fn();
+    const renamed = {
+      updates: { fp1: { tags: ["sunset"] } },
+      tags: [{ name: "sunset", usageCount: 1 }],
+      aliases: [],
+    };
+
+    window.electronAPI = {
+      metadata: {
+        renameTag: vi.fn().mockResolvedValue(renamed),
+        mergeTags: vi.fn().mockResolvedValue({ updates: {}, error: "Unknown tag \"x\"" }),
+      },
+    };
+
+    const { result } = renderHook(() =>
+      useMetadataActions({
+        selectedFingerprints: [],
+        setVideos,
+        setAvailableTags,
+        notify,
+      })
+    );
+
+    let outcome;
+    await act(async () => {
+      outcome = await result.current.handleRenameTag("sunest", "sunset");
+    });
+    expect(outcome).toBe(renamed);
+    expect(videos[0].tags).toEqual(["sunset"]);
+    expect(setAvailableTags).toHaveBeenCalledWith(renamed.tags);
+    expect(notify).toHaveBeenLastCalledWith('Renamed "sunest" to "sunset"', "success");
+
+    await act(async () => {
+      outcome = await result.current.handleMergeTags(["x"], "y");
+    });
+    expect(outcome).toBeNull();
+    expect(notify).toHaveBeenLastCalledWith('Failed to merge tags: Unknown tag "x"', "error");
+  });
+
+  it("saves field values and drops ones a field update removed", async () => {
+    let videos = [
+      { id: "1", fingerprint: "fp1", tags: [], fields: { 2: "Draft", 5: "x" } },
+      { id: "2", fingerprint: "fp2", tags: [], fields: { 2: "Final" } },
+    ];
+    const setVideos = (updater) => {
+      videos = typeof updater === "function" ? updater(videos) : updater;
+    };
+    const setCustomFields = vi.fn();
+    const notify = vi.fn();
+    const nextFields = [{ id: 2, name: "Status", type: "enum", options: ["DRAFT", "Approved"] }];
+
+    window.electronAPI = {
+      metadata: {
+        setField: vi.fn().mockResolvedValue({
+          updates: { fp1: { fields: { 2: "Final", 5: "x" } } },
+        }),
+        updateField: vi.fn().mockResolvedValue({ fields: nextFields }),
+        createField: vi.fn().mockResolvedValue({ error: 'A field named "Status" already exists' }),
+      },
+    };
+
+    const { result } = renderHook(() =>
+      useMetadataActions({
+        selectedFingerprints: ["fp1"],
+        setVideos,
+        setAvailableTags: noop,
+        setCustomFields,
+        notify,
+      })
+    );
+
+    await act(async () => {
+      await result.current.handleSetFieldValue(2, "Final");
+    });
+    expect(window.electronAPI.metadata.setField).toHaveBeenCalledWith(["fp1"], 2, "Final");
+    expect(videos[0].fields[2]).toBe("Final");
+
+    videos[0] = { ...videos[0], fields: { 2: "draft", 5: "x" } };
+    let updated;
+    await act(async () => {
+      updated = await result.current.handleUpdateField(2, { options: ["DRAFT", "Approved"] });
+    });
+    expect(updated).toBe(true);
+    expect(setCustomFields).toHaveBeenCalledWith(nextFields);
+    expect(videos.map((video) => video.fields)).toEqual([{ 2: "DRAFT" }, {}]);
+
+    let created;
+    await act(async () => {
+      created = await result.current.handleCreateField({ name: "Status", type: "text" });
+    });
+    expect(created).toBe(false);
+    expect(notify).toHaveBeenCalledWith(
+      'Failed to add field: A field named "Status" already exists',
+      "error"
+    );
+  });
+
+  it("applies triage actions to a single clip without success toasts", async () => {
+    let videos = [{ id: "1", fingerprint: "fp1", rating: null, tags: ["keep"] }];
+    const setVideos = (updater) => {
+      videos = typeof updater === "function" ? updater(videos) : updater;
+    };
+    const setAvailableTags = vi.fn();
+    const notify = vi.fn();
+
+    window.electronAPI = {
+      metadata: {
+        setRating: vi.fn().mockResolvedValue({ updates: { fp1: { rating: 4 } } }),
+        removeTag: vi.fn().mockResolvedValue({
+          updates: { fp1: { tags: [] } },
+          tags: [],
+        }),
+        setFlag: vi.fn().mockResolvedValue({ updates: {}, error: "Unknown flag" }),
+      },
+    };
+
+    const { result } = renderHook(() =>
+      useMetadataActions({
+        selectedFingerprints: ["fp2"],
+        setVideos,
+        setAvailableTags,
+        notify,
+      })
+    );
+
+    let ok;
+    await act(async () => {
+      ok = await result.current.applyTriageAction("fp1", { type: "rating", value: 4 });
+    });
+    expect(ok).toBe(true);
+    expect(window.electronAPI.metadata.setRating).toHaveBeenCalledWith(["fp1"], 4);
+    expect(videos[0].rating).toBe(4);
+
+    await act(async () => {
+      await result.current.applyTriageAction("fp1", { type: "tag", tag: "keep", on: false });
+    });
+    expect(window.electronAPI.metadata.removeTag).toHaveBeenCalledWith(["fp1"], "keep");
+    expect(setAvailableTags).toHaveBeenCalledWith([]);
+    expect(notify).not.toHaveBeenCalled();
+
+    await act(async () => {
+      ok = await result.current.applyTriageAction("fp1", { type: "flag", value: "maybe" });
+    });
+    expect(ok).toBe(false);
+    expect(notify).toHaveBeenCalledWith("Triage failed: Unknown flag", "error");
+  });
+
+  it("records and undoes comparisons", async () => {
+    let videos = [
+      { id: "1", fingerprint: "fp1", tags: [] },
+      { id: "2", fingerprint: "fp2", tags: [] },
+    ];
+    const setVideos = (updater) => {
+      videos = typeof updater === "function" ? updater(videos) : updater;
+    };
+    const notify = vi.fn();
+    window.electronAPI = {
+      metadata: {
+        recordComparison: vi.fn().mockResolvedValue({
+          updates: {
+            fp1: { score: 1516, comparisons: 1 },
+            fp2: { score: 1484, comparisons: 1 },
+          },
+        }),
+        undoComparison: vi.fn().mockRejectedValue(new Error("disk full")),
+      },
+    };
+
+    const { result } = renderHook(() =>
+      useMetadataActions({
+        selectedFingerprints: [],
+        setVideos,
+        setAvailableTags: noop,
+        notify,
+      })
+    );
+
+    let ok;
+    await act(async () => {
+      ok = await result.current.handleRecordComparison("fp1", "fp2", "first");
+    });
+    expect(ok).toBe(true);
+    expect(window.electronAPI.metadata.recordComparison).toHaveBeenCalledWith("fp1", "fp2", "first");
+    expect(videos.map((video) => video.score)).toEqual([1516, 1484]);
+
+    await act(async () => {
+      ok = await result.current.handleUndoComparison();
+    });
+    expect(ok).toBe(false);
+    expect(notify).toHaveBeenCalledWith("Failed to undo comparison", "error");
+  });
 });
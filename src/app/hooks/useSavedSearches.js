@@ -0,0 +1,115 @@
+import { useCallback, useEffect, useState } from "react";
+
+const LS_KEY = "saved-searches";
+
+function lsGet() {
+  try {
+    return JSON.parse(localStorage.getItem(LS_KEY) || "[]");
+  } catch {
+    return [];
+  }
+}
+
+function lsSet(items) {
+  localStorage.setItem(LS_KEY, JSON.stringify(items));
+}
+
+const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: "base" });
+
+// Named filter + sort + grouping presets ("smart collections"). Stored in the
+// active profile's database under Electron, localStorage in the browser build.
+export function useSavedSearches({ notify } = {}) {
+  const [items, setItems] = useState([]);
+
+  const refresh = useCallback(async () => {
+    const api = window.electronAPI?.savedSearches;
+    if (!api) {
+      setItems(lsGet());
+      return;
+    }
+    try {
+      const result = await api.list();
+      setItems(Array.isArray(result?.items) ? result.items : []);
+    } catch (error) {
+      console.error("Failed to load saved searches:", error);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  useEffect(() => {
+    const dispose = window.electronAPI?.profiles?.onChanged?.(() => {
+      refresh();
+    });
+    return () => dispose?.();
+  }, [refresh]);
+
+  const save = useCallback(
+    async (name, { filters, sortValue, groupByFolders }) => {
+      const trimmed = (name ?? "").trim();
+      if (!trimmed) return false;
+      const api = window.electronAPI?.savedSearches;
+      try {
+        if (api) {
+          const result = await api.save({ name: trimmed, filters, sortValue, groupByFolders });
+          if (!Array.isArray(result?.items)) {
+            throw new Error(result?.error || "Save failed");
+          }
+          setItems(result.items);
+        } else {
+          const now = Date.now();
+          const existing = lsGet();
+          const match = existing.find(
+            (entry) => entry.name.toLowerCase() === trimmed.toLowerCase()
+          );
+          const entry = {
+            id: match?.id ?? now,
+            name: match?.name ?? trimmed,
+            filters,
+            sortValue,
+            groupByFolders,
+            createdAt: match?.createdAt ?? now,
+            updatedAt: now,
+          };
+          const next = [...existing.filter((item) => item !== match), entry].sort(byName);
+          lsSet(next);
+          setItems(next);
+        }
+        notify?.(`Saved "${trimmed}"`, "success");
+        return true;
+      } catch (error) {
+        console.error("Failed to save search:", error);
+        notify?.("Failed to save search", "error");
+        return false;
+      }
+    },
+    [notify]
+  );
+
+  const remove = useCallback(
+    async (id) => {
+      const api = window.electronAPI?.savedSearches;
+      try {
+        if (api) {
+          const result = await api.delete(id);
+          if (!Array.isArray(result?.items)) {
+            throw new Error(result?.error || "Delete failed");
+          }
+          setItems(result.items);
+        } else {
+          const next = lsGet().filter((entry) => entry.id !== id);
+          lsSet(next);
+          setItems(next);
+        }
+      } catch (error) {
+        console.error("Failed to delete saved search:", error);
+        notify?.("Failed to delete saved search", "error");
+      }
+    },
+    [notify]
+  );
+
+  return { items, refresh, save, remove };
+}
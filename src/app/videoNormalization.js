@@ -1,3 +1,5 @@
+import { normalizeFlag, normalizeLabel } from "../utils/reviewMarks";
+
 export const normalizeVideoFromMain = (video) => {
   if (!video || typeof video !== "object") return video;
   const fingerprint =
@@ -39,11 +41,27 @@ export const normalizeVideoFromMain = (video) => {
     return sanitizedDimensions ? sanitizedDimensions.aspectRatio : null;
   })();
 
+  const notes = typeof video.notes === "string" && video.notes.trim() ? video.notes : null;
+  const fields =
+    video.fields && typeof video.fields === "object" && !Array.isArray(video.fields)
+      ? video.fields
+      : {};
+
+  const score = Number.isFinite(video.score) ? video.score : null;
+  const comparisons =
+    Number.isInteger(video.comparisons) && video.comparisons > 0 ? video.comparisons : 0;
+
   return {
     ...video,
     fingerprint,
     rating,
+    flag: normalizeFlag(video.flag),
+    label: normalizeLabel(video.label),
     tags,
+    notes,
+    fields,
+    score,
+    comparisons,
     dimensions: sanitizedDimensions,
     aspectRatio,
   };
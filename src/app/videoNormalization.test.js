@@ -23,5 +23,41 @@ describe("normalizeVideoFromMain", () => {
     const result = normalizeVideoFromMain({ rating: "nope", tags: "nope" });
     expect(result.rating).toBeNull();
     expect(result.tags).toEqual([]);
+    expect(result.notes).toBeNull();
+    expect(result.fields).toEqual({});
+    expect(result.flag).toBeNull();
+    expect(result.label).toBeNull();
+  });
+
+  it("keeps known flags and colour labels only", () => {
+    expect(normalizeVideoFromMain({ flag: "reject", label: "purple" })).toMatchObject({
+      flag: "reject",
+      label: "purple",
+    });
+    expect(normalizeVideoFromMain({ flag: "maybe", label: "teal" })).toMatchObject({
+      flag: null,
+      label: null,
+    });
+  });
+
+  it("keeps notes and custom field values", () => {
+    const result = normalizeVideoFromMain({ notes: "Retake", fields: { 3: 12 } });
+    expect(result.notes).toBe("Retake");
+    expect(result.fields).toEqual({ 3: 12 });
+    expect(normalizeVideoFromMain({ notes: "   ", fields: [1] })).toMatchObject({
+      notes: null,
+      fields: {},
+    });
+  });
+
+  it("keeps comparison scores and counts", () => {
+    expect(normalizeVideoFromMain({ score: 1532.4, comparisons: 3 })).toMatchObject({
+      score: 1532.4,
+      comparisons: 3,
+    });
+    expect(normalizeVideoFromMain({ score: "high", comparisons: -1 })).toMatchObject({
+      score: null,
+      comparisons: 0,
+    });
   });
 });
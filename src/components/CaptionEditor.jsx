@@ -0,0 +1,185 @@
+import React, { useEffect, useState } from "react";
+
+const BULK_MODES = [
+  { id: "replace", label: "Find & replace" },
+  { id: "prepend", label: "Prepend" },
+  { id: "append", label: "Append" },
+];
+
+const hasCaptionText = (video) => !!video?.caption?.text?.trim();
+
+const sidecarName = (caption) => (caption?.path || "").split(/[\\/]/).pop();
+
+function SingleCaption({ video, onSave }) {
+  const savedText = video.caption?.text ?? "";
+  const unreadable = !!video.caption && video.caption.text === null;
+  const [draft, setDraft] = useState(savedText);
+  const [saving, setSaving] = useState(false);
+
+  // Follow the clip (selection change, or the sidecar edited on disk).
+  useEffect(() => {
+    setDraft(savedText);
+  }, [video.id, savedText]);
+
+  const dirty = draft !== savedText;
+
+  const save = async () => {
+    if (!dirty || saving) return;
+    setSaving(true);
+    try {
+      await onSave?.(video, draft);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === "Enter" && (event.ctrlKey || event.metaKey)) {
+      event.preventDefault();
+      save();
+    } else if (event.key === "Escape" && dirty) {
+      event.preventDefault();
+      event.stopPropagation();
+      setDraft(savedText);
+    }
+  };
+
+  return (
+    <>
+      <div className="metadata-panel__section-header">
+        <span>Caption</span>
+        <span className="metadata-panel__badge" title={video.caption?.path}>
+          {video.caption ? sidecarName(video.caption) : "No caption"}
+        </span>
+      </div>
+      {unreadable ? (
+        <span className="metadata-panel__hint">
+          The caption file could not be parsed, so it is left untouched.
+        </span>
+      ) : (
+        <>
+          <textarea
+            className="metadata-panel__caption-input"
+            value={draft}
+            onChange={(event) => setDraft(event.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="Describe this clip…"
+            aria-label="Caption"
+            rows={3}
+            spellCheck
+          />
+          <div className="metadata-panel__caption-actions">
+            <span className="metadata-panel__hint">
+              {video.caption ? "Ctrl+Enter to save" : "Saving creates a .txt next to the clip"}
+            </span>
+            <button type="button" onClick={() => setDraft(savedText)} disabled={!dirty || saving}>
+              Revert
+            </button>
+            <button type="button" onClick={save} disabled={!dirty || saving}>
+              Save
+            </button>
+          </div>
+        </>
+      )}
+    </>
+  );
+}
+
+function BulkCaptions({ videos, onBulkEdit }) {
+  const [mode, setMode] = useState("replace");
+  const [find, setFind] = useState("");
+  const [text, setText] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const captioned = videos.filter(hasCaptionText).length;
+  const canApply = !busy && (mode === "replace" ? !!find : !!text);
+
+  const apply = async () => {
+    if (!canApply) return;
+    const edit =
+      mode === "replace" ? { type: "replace", find, replace: text } : { type: mode, text };
+    setBusy(true);
+    try {
+      await onBulkEdit?.(edit);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === "Enter") {
+      event.preventDefault();
+      apply();
+    }
+  };
+
+  return (
+    <>
+      <div className="metadata-panel__section-header">
+        <span>Captions</span>
+        <span className="metadata-panel__badge">
+          {captioned}/{videos.length} captioned
+        </span>
+      </div>
+      <div className="metadata-panel__caption-modes" role="radiogroup" aria-label="Caption edit">
+        {BULK_MODES.map(({ id, label }) => (
+          <button
+            key={id}
+            type="button"
+            role="radio"
+            aria-checked={mode === id}
+            className={`metadata-panel__chip metadata-panel__chip--ghost${
+              mode === id ? " is-active" : ""
+            }`}
+            onClick={() => setMode(id)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <div className="metadata-panel__input-row">
+        {mode === "replace" && (
+          <input
+            type="text"
+            value={find}
+            onChange={(event) => setFind(event.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="Find"
+            aria-label="Find in captions"
+          />
+        )}
+        <input
+          type="text"
+          value={text}
+          onChange={(event) => setText(event.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder={mode === "replace" ? "Replace with" : `Text to ${mode}`}
+          aria-label={mode === "replace" ? "Replace with" : `Text to ${mode}`}
+        />
+        <button type="button" onClick={apply} disabled={!canApply}>
+          Apply
+        </button>
+      </div>
+      <span className="metadata-panel__hint">
+        {mode === "replace"
+          ? "Replaces every occurrence in the selected captions."
+          : `Applies to all ${videos.length} clips; clips without a caption get a new .txt.`}
+      </span>
+    </>
+  );
+}
+
+// Caption sidecar editing: a textarea for one clip, bulk find/replace and
+// prepend/append for a multi-selection.
+export default function CaptionEditor({ selectedVideos = [], onSave, onBulkEdit }) {
+  if (!selectedVideos.length) return null;
+  return (
+    <section className="metadata-panel__section metadata-panel__section--caption">
+      {selectedVideos.length === 1 ? (
+        <SingleCaption video={selectedVideos[0]} onSave={onSave} />
+      ) : (
+        <BulkCaptions videos={selectedVideos} onBulkEdit={onBulkEdit} />
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,53 @@
+import React from "react";
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent, act } from "@testing-library/react";
+import CaptionEditor from "./CaptionEditor";
+
+describe("CaptionEditor", () => {
+  it("edits and saves a single clip's caption", () => {
+    const onSave = vi.fn().mockResolvedValue(true);
+    const video = {
+      id: "/clips/a.mp4",
+      fullPath: "/clips/a.mp4",
+      caption: { text: "a cat", path: "/clips/a.txt", format: "txt" },
+    };
+    render(<CaptionEditor selectedVideos={[video]} onSave={onSave} />);
+
+    expect(screen.getByText("a.txt")).toBeInTheDocument();
+    const save = screen.getByRole("button", { name: "Save" });
+    expect(save).toBeDisabled();
+
+    const input = screen.getByRole("textbox", { name: "Caption" });
+    fireEvent.change(input, { target: { value: "a black cat" } });
+    fireEvent.keyDown(input, { key: "Enter", ctrlKey: true });
+
+    expect(onSave).toHaveBeenCalledWith(video, "a black cat");
+  });
+
+  it("runs bulk find/replace and prepend over the selection", async () => {
+    const onBulkEdit = vi.fn().mockResolvedValue();
+    render(
+      <CaptionEditor
+        selectedVideos={[
+          { id: "a", caption: { text: "a cat" } },
+          { id: "b", caption: null },
+        ]}
+        onBulkEdit={onBulkEdit}
+      />
+    );
+
+    expect(screen.getByText("1/2 captioned")).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText("Find in captions"), { target: { value: "cat" } });
+    fireEvent.change(screen.getByLabelText("Replace with"), { target: { value: "dog" } });
+    await act(async () => {
+      fireEvent.click(screen.getByRole("button", { name: "Apply" }));
+    });
+    expect(onBulkEdit).toHaveBeenLastCalledWith({ type: "replace", find: "cat", replace: "dog" });
+
+    fireEvent.click(screen.getByRole("radio", { name: "Prepend" }));
+    fireEvent.change(screen.getByLabelText("Text to prepend"), { target: { value: "ohwx, " } });
+    fireEvent.click(screen.getByRole("button", { name: "Apply" }));
+    expect(onBulkEdit).toHaveBeenLastCalledWith({ type: "prepend", text: "ohwx, " });
+  });
+});
@@ -0,0 +1,105 @@
+import React, { useEffect, useRef, useState } from "react";
+import "./CollectionsMenu.css";
+
+// Picks the target for "Add to collection…": an existing collection, or a
+// new one created from the typed name.
+function CollectionPickerDialog({ count = 0, collections = [], onPick, onCreate, onCancel }) {
+  const [name, setName] = useState("");
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    const existing = collections.find(
+      (item) => item.name.toLowerCase() === trimmed.toLowerCase()
+    );
+    if (existing) onPick?.(existing);
+    else onCreate?.(trimmed);
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === "Escape") {
+      event.preventDefault();
+      onCancel?.();
+    }
+  };
+
+  return (
+    <div
+      className="profile-prompt-backdrop"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="collection-picker-title"
+      onKeyDown={handleKeyDown}
+    >
+      <div className="profile-prompt-dialog">
+        <form onSubmit={handleSubmit} className="profile-prompt-form">
+          <header className="profile-prompt-header">
+            <h2 id="collection-picker-title">Add to collection</h2>
+            <p className="profile-prompt-message">
+              {count === 1 ? "1 clip" : `${count} clips`} will be appended in their current
+              order.
+            </p>
+          </header>
+
+          <div className="profile-prompt-body">
+            {collections.length > 0 && (
+              <ul className="collection-picker__list">
+                {collections.map((item) => (
+                  <li key={item.id}>
+                    <button
+                      type="button"
+                      className="collection-picker__option"
+                      onClick={() => onPick?.(item)}
+                    >
+                      <span>{item.name}</span>
+                      <span className="collections-menu__count">{item.itemCount}</span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <label className="profile-prompt-label" htmlFor="collection-picker-input">
+              New collection
+            </label>
+            <input
+              id="collection-picker-input"
+              ref={inputRef}
+              value={name}
+              onChange={(event) => setName(event.target.value)}
+              className="profile-prompt-input"
+              type="text"
+              placeholder="Client review – week 12"
+              autoComplete="off"
+              spellCheck={false}
+            />
+          </div>
+
+          <footer className="profile-prompt-footer">
+            <button
+              type="button"
+              className="profile-prompt-button profile-prompt-button--secondary"
+              onClick={() => onCancel?.()}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="profile-prompt-button profile-prompt-button--primary"
+              disabled={!name.trim()}
+            >
+              Create & add
+            </button>
+          </footer>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default CollectionPickerDialog;
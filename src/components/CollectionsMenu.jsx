@@ -0,0 +1,139 @@
+import React, { useEffect, useRef, useState } from "react";
+import "./CollectionsMenu.css";
+
+const CollectionIcon = (props) => (
+  <svg
+    viewBox="0 0 24 24"
+    width="1em"
+    height="1em"
+    stroke="currentColor"
+    strokeWidth="2"
+    strokeLinecap="round"
+    strokeLinejoin="round"
+    fill="none"
+    {...props}
+  >
+    <rect x="3" y="7" width="18" height="13" rx="2" />
+    <path d="M7 4h10M5 7V5.5" />
+  </svg>
+);
+
+export default function CollectionsMenu({
+  items = [],
+  activeCollection = null,
+  onOpen,
+  onCreate,
+  onDelete,
+  disabled = false,
+}) {
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState("");
+  const rootRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const handlePointerDown = (event) => {
+      if (!rootRef.current?.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+    const handleKeydown = (event) => {
+      if (event.key === "Escape") setOpen(false);
+    };
+    document.addEventListener("mousedown", handlePointerDown);
+    window.addEventListener("keydown", handleKeydown);
+    return () => {
+      document.removeEventListener("mousedown", handlePointerDown);
+      window.removeEventListener("keydown", handleKeydown);
+    };
+  }, [open]);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    const id = await onCreate?.(trimmed);
+    if (id != null) setName("");
+  };
+
+  return (
+    <div className="collections-menu" ref={rootRef}>
+      <button
+        type="button"
+        className={`toggle-button ${open || activeCollection ? "active" : ""}`}
+        onClick={() => setOpen((value) => !value)}
+        disabled={disabled}
+        title={
+          activeCollection
+            ? `Viewing collection "${activeCollection.name}"`
+            : "Collections"
+        }
+        aria-haspopup="true"
+        aria-expanded={open}
+      >
+        <CollectionIcon />
+        <span className="filters-button-label collections-menu__label">
+          {activeCollection ? activeCollection.name : "Collections"}
+        </span>
+      </button>
+
+      {open && (
+        <div className="collections-menu__popover" role="dialog" aria-label="Collections">
+          {items.length === 0 ? (
+            <p className="collections-menu__empty">
+              No collections yet. Create one here, then right-click clips and choose
+              “Add to collection…”.
+            </p>
+          ) : (
+            <ul className="collections-menu__list">
+              {items.map((item) => (
+                <li
+                  key={item.id}
+                  className={`collections-menu__item ${
+                    activeCollection?.id === item.id ? "collections-menu__item--active" : ""
+                  }`}
+                >
+                  <button
+                    type="button"
+                    className="collections-menu__open"
+                    onClick={() => {
+                      onOpen?.(item);
+                      setOpen(false);
+                    }}
+                  >
+                    <span className="collections-menu__name">{item.name}</span>
+                    <span className="collections-menu__count">{item.itemCount}</span>
+                  </button>
+                  <button
+                    type="button"
+                    className="collections-menu__delete"
+                    onClick={() => onDelete?.(item)}
+                    aria-label={`Delete ${item.name}`}
+                    title="Delete collection (clips stay on disk)"
+                  >
+                    ×
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <form className="collections-menu__form" onSubmit={handleSubmit}>
+            <input
+              type="text"
+              value={name}
+              onChange={(event) => setName(event.target.value)}
+              placeholder="New collection"
+              aria-label="New collection name"
+              autoComplete="off"
+              spellCheck={false}
+            />
+            <button type="submit" disabled={!name.trim()}>
+              Create
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,248 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { pairKey, pickComparisonPair } from "../utils/comparisonPairs";
+import { hardDetach, toFileURL } from "./VideoCard/videoDom";
+import "./ComparisonDialog.css";
+
+const RECENT_PAIRS = 20;
+
+const sourceOf = (video) =>
+  video.isElectronFile && video.fullPath ? toFileURL(video.fullPath) : video.blobUrl || "";
+
+const restart = (elements) => {
+  elements.forEach((el) => {
+    if (!el) return;
+    try {
+      el.currentTime = 0;
+      el.play()?.catch?.(() => {});
+    } catch {}
+  });
+};
+
+/**
+ * Shows two clips side by side, looping in step, and records which one is
+ * better. Outcomes update each clip's Elo score, which the Score sort uses.
+ */
+export default function ComparisonDialog({
+  videos = [],
+  onClose,
+  onRecord,
+  onUndo,
+  pickPair = pickComparisonPair,
+}) {
+  const [pair, setPairState] = useState(null); // [leftFingerprint, rightFingerprint]
+  const [round, setRound] = useState(0); // new <video> elements for every pair shown
+  const [history, setHistory] = useState([]); // pairs recorded this session
+  const [busy, setBusy] = useState(false);
+  const dialogRef = useRef(null);
+  const leftRef = useRef(null);
+  const rightRef = useRef(null);
+  const recentRef = useRef([]);
+  const readyRef = useRef(new Set());
+  const endedRef = useRef(new Set());
+
+  const byFingerprint = useMemo(() => {
+    const map = new Map();
+    videos.forEach((video) => {
+      if (video?.fingerprint && !map.has(video.fingerprint)) map.set(video.fingerprint, video);
+    });
+    return map;
+  }, [videos]);
+  const videosRef = useRef(videos);
+  videosRef.current = videos;
+
+  const setPair = useCallback((next) => {
+    setPairState(next);
+    setRound((value) => value + 1);
+  }, []);
+
+  const nextPair = useCallback(() => {
+    const picked = pickPair(videosRef.current, { recent: recentRef.current });
+    setPair(picked ? picked.map((video) => video.fingerprint) : null);
+  }, [pickPair, setPair]);
+
+  useEffect(() => {
+    dialogRef.current?.focus();
+    nextPair();
+  }, [nextPair]);
+
+  // A clip that was trashed or filtered away since it was shown.
+  useEffect(() => {
+    if (pair && !pair.every((fingerprint) => byFingerprint.has(fingerprint))) nextPair();
+  }, [pair, byFingerprint, nextPair]);
+
+  // Both clips start together and restart once the longer one has finished,
+  // so the shorter one holds its last frame rather than drifting.
+  useEffect(() => {
+    readyRef.current = new Set();
+    endedRef.current = new Set();
+    const elements = [leftRef.current, rightRef.current];
+    return () => elements.forEach(hardDetach);
+  }, [round]);
+
+  const handleLoaded = (side) => {
+    readyRef.current.add(side);
+    if (readyRef.current.size === 2) restart([leftRef.current, rightRef.current]);
+  };
+
+  const handleEnded = (side) => {
+    endedRef.current.add(side);
+    if (endedRef.current.size < 2) return;
+    endedRef.current = new Set();
+    restart([leftRef.current, rightRef.current]);
+  };
+
+  const remember = (current) => {
+    recentRef.current = [...recentRef.current, pairKey(...current)].slice(-RECENT_PAIRS);
+  };
+
+  const choose = async (outcome) => {
+    if (!pair || busy) return;
+    const current = pair;
+    setBusy(true);
+    try {
+      const ok = await onRecord?.(current[0], current[1], outcome);
+      if (!ok) return;
+      remember(current);
+      setHistory((prev) => [...prev, current]);
+      nextPair();
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const skip = () => {
+    if (!pair || busy) return;
+    remember(pair);
+    nextPair();
+  };
+
+  // Takes back the last outcome and shows that pair again.
+  const undo = async () => {
+    if (!history.length || busy) return;
+    setBusy(true);
+    try {
+      const ok = await onUndo?.();
+      if (!ok) return;
+      setPair(history[history.length - 1]);
+      setHistory((prev) => prev.slice(0, -1));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+    const actions = {
+      ArrowLeft: () => choose("first"),
+      ArrowRight: () => choose("second"),
+      ArrowDown: () => choose("tie"),
+      s: skip,
+      u: undo,
+      Escape: () => onClose?.(),
+    };
+    if (!actions[key]) return;
+    event.preventDefault();
+    event.stopPropagation();
+    actions[key]();
+  };
+
+  const clips = pair ? pair.map((fingerprint) => byFingerprint.get(fingerprint)) : [];
+  const hasPair = clips.length === 2 && clips.every(Boolean);
+
+  return (
+    <div
+      ref={dialogRef}
+      className="profile-prompt-backdrop comparison-backdrop"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="comparison-title"
+      tabIndex={-1}
+      onKeyDown={handleKeyDown}
+      data-hotkey-exempt
+    >
+      <div className="profile-prompt-dialog comparison">
+        <header className="profile-prompt-header">
+          <h2 id="comparison-title">Which is better?</h2>
+          <p className="profile-prompt-message">
+            Both clips loop together. Press ← or → for the better one, or ↓ if they are about
+            the same. Each answer updates the clips' scores for the Score sort.
+          </p>
+        </header>
+
+        <div className="profile-prompt-body comparison__body">
+          {hasPair ? (
+            <div className="comparison__pair">
+              {clips.map((video, index) => {
+                const side = index === 0 ? "left" : "right";
+                return (
+                  <figure key={`${round}-${side}`} className="comparison__clip">
+                    <video
+                      ref={index === 0 ? leftRef : rightRef}
+                      src={sourceOf(video)}
+                      muted
+                      playsInline
+                      preload="auto"
+                      onLoadedData={() => handleLoaded(side)}
+                      onEnded={() => handleEnded(side)}
+                    />
+                    <figcaption>
+                      <span className="comparison__name" title={video.fullPath}>
+                        {video.name}
+                      </span>
+                      <span className="comparison__meta">
+                        {video.comparisons
+                          ? `Compared ${video.comparisons}×`
+                          : "Not compared yet"}
+                      </span>
+                    </figcaption>
+                    <button
+                      type="button"
+                      className="comparison__choose"
+                      disabled={busy}
+                      onClick={() => choose(index === 0 ? "first" : "second")}
+                    >
+                      {index === 0 ? "← Left is better" : "Right is better →"}
+                    </button>
+                  </figure>
+                );
+              })}
+            </div>
+          ) : (
+            <p className="comparison__status">Comparisons need at least two clips.</p>
+          )}
+
+          <div className="comparison__actions">
+            <button type="button" disabled={!hasPair || busy} onClick={() => choose("tie")}>
+              ↓ About the same
+            </button>
+            <button type="button" disabled={!hasPair || busy} onClick={skip}>
+              Skip (S)
+            </button>
+          </div>
+        </div>
+
+        <footer className="profile-prompt-footer">
+          <span className="comparison__progress" role="status">
+            {history.length} compared this session
+          </span>
+          <button
+            type="button"
+            className="profile-prompt-button profile-prompt-button--secondary"
+            disabled={!history.length || busy}
+            onClick={undo}
+          >
+            Undo (U)
+          </button>
+          <button
+            type="button"
+            className="profile-prompt-button profile-prompt-button--primary"
+            onClick={() => onClose?.()}
+          >
+            Done
+          </button>
+        </footer>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import React from "react";
+import { beforeAll, afterAll, describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent, act } from "@testing-library/react";
+import ComparisonDialog from "./ComparisonDialog";
+
+const videos = ["a", "b", "c"].map((id) => ({
+  id,
+  fingerprint: `fp-${id}`,
+  name: `${id}.mp4`,
+  comparisons: id === "a" ? 2 : 0,
+}));
+
+// Walks the clip list in order: (a, b), (b, c), (c, a), ...
+const sequentialPairs = () => {
+  let next = 0;
+  return (list) => {
+    const pair = [list[next % list.length], list[(next + 1) % list.length]];
+    next += 1;
+    return pair;
+  };
+};
+
+const press = async (key) => {
+  await act(async () => {
+    fireEvent.keyDown(screen.getByRole("dialog"), { key });
+  });
+};
+
+describe("ComparisonDialog", () => {
+  // jsdom has no media playback.
+  const mediaSpies = [];
+  beforeAll(() => {
+    ["play", "pause", "load"].forEach((method) => {
+      mediaSpies.push(
+        vi.spyOn(window.HTMLMediaElement.prototype, method).mockImplementation(() => {})
+      );
+    });
+  });
+  afterAll(() => mediaSpies.forEach((spy) => spy.mockRestore()));
+
+  it("records the better clip from the keyboard and moves to the next pair", async () => {
+    const onRecord = vi.fn().mockResolvedValue(true);
+    render(<ComparisonDialog videos={videos} onRecord={onRecord} pickPair={sequentialPairs()} />);
+
+    expect(screen.getByText("a.mp4")).toBeInTheDocument();
+    expect(screen.getByText("Compared 2×")).toBeInTheDocument();
+
+    await press("ArrowRight");
+    expect(onRecord).toHaveBeenCalledWith("fp-a", "fp-b", "second");
+    expect(screen.getByText("c.mp4")).toBeInTheDocument();
+    expect(screen.getByRole("status")).toHaveTextContent("1 compared this session");
+
+    await press("ArrowDown");
+    expect(onRecord).toHaveBeenLastCalledWith("fp-b", "fp-c", "tie");
+
+    await press("s");
+    expect(onRecord).toHaveBeenCalledTimes(2);
+    expect(screen.getByText("a.mp4")).toBeInTheDocument();
+    expect(screen.queryByText("c.mp4")).toBeNull();
+  });
+
+  it("keeps the pair when saving fails and undoes the last outcome", async () => {
+    const onRecord = vi.fn().mockResolvedValueOnce(false).mockResolvedValue(true);
+    const onUndo = vi.fn().mockResolvedValue(true);
+    render(
+      <ComparisonDialog
+        videos={videos}
+        onRecord={onRecord}
+        onUndo={onUndo}
+        pickPair={sequentialPairs()}
+      />
+    );
+
+    const undo = screen.getByRole("button", { name: "Undo (U)" });
+    expect(undo).toBeDisabled();
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole("button", { name: "← Left is better" }));
+    });
+    expect(screen.getByRole("status")).toHaveTextContent("0 compared this session");
+    await press("ArrowLeft");
+    expect(screen.getByText("c.mp4")).toBeInTheDocument();
+
+    await press("u");
+    expect(onUndo).toHaveBeenCalled();
+    expect(screen.getByText("a.mp4")).toBeInTheDocument();
+    expect(screen.queryByText("c.mp4")).toBeNull();
+    expect(undo).toBeDisabled();
+  });
+
+  it("explains when there is nothing to compare", () => {
+    const onClose = vi.fn();
+    render(<ComparisonDialog videos={videos.slice(0, 1)} onClose={onClose} />);
+    expect(screen.getByText("Comparisons need at least two clips.")).toBeInTheDocument();
+    fireEvent.keyDown(screen.getByRole("dialog"), { key: "Escape" });
+    expect(onClose).toHaveBeenCalled();
+  });
+});
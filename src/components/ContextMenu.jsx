@@ -11,6 +11,7 @@ const ContextMenu = ({
   contextId,
   getById,
   selectionCount = 0,
+  inCollection = false,
   electronAPI = typeof window !== 'undefined' ? window.electronAPI : undefined,
   onClose,
   onAction,
@@ -129,8 +130,29 @@ const ContextMenu = ({
         label: '☆ Clear rating',
         action: 'metadata:rate:clear',
       });
+      metadataActions.push(
+        { id: 'metadata-flag-pick', label: '⚑ Flag as pick', action: 'metadata:flag:pick' },
+        { id: 'metadata-flag-reject', label: '✕ Flag as reject', action: 'metadata:flag:reject' },
+        { id: 'metadata-flag-clear', label: '⚐ Remove flag', action: 'metadata:flag:clear' }
+      );
       pushSection(metadataActions);
 
+      if (isElectron) {
+        const collectionActions = [
+          { id: 'add-to-collection', label: `🗂️ ${menuLabel('add-to-collection')}`, action: 'add-to-collection' },
+        ];
+        if (inCollection) {
+          collectionActions.push(
+            { id: 'move-to-collection-start', label: `⤒ ${menuLabel('move-to-collection-start')}`, action: 'move-to-collection-start' },
+            { id: 'remove-from-collection', label: `➖ ${menuLabel('remove-from-collection')}`, action: 'remove-from-collection' }
+          );
+        }
+        pushSection(collectionActions);
+        pushSection([
+          { id: 'export-dataset', label: `📦 ${menuLabel('export-dataset')}`, action: 'export-dataset' },
+        ]);
+      }
+
       pushSection([
         { id: 'file-properties', label: `📊 ${menuLabel('file-properties')}`, action: 'file-properties' },
       ]);
@@ -147,7 +169,7 @@ const ContextMenu = ({
     });
     return items;
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [contextId, selectionCount, isElectron, canSingleFileOps]);
+  }, [contextId, selectionCount, isElectron, canSingleFileOps, inCollection]);
 
   const handleAction = (action) => {
     if (!action) return;
@@ -76,4 +76,26 @@ describe('ContextMenu', () => {
     expect(onAction).toHaveBeenCalledWith('copy-filename');
     expect(onClose).toHaveBeenCalled();
   });
+
+  test('offers collection actions, with removal only inside a collection', () => {
+    const electronAPI = { showItemInFolder: () => {} };
+    const props = {
+      visible: true,
+      position: { x: 10, y: 10 },
+      contextId: 'a',
+      selectionCount: 2,
+      getById,
+      electronAPI,
+      onClose: () => {},
+      onAction: () => {},
+    };
+
+    const { rerender } = render(<ContextMenu {...props} />);
+    expect(screen.getByText(/Add to collection….*2 selected/)).toBeInTheDocument();
+    expect(screen.queryByText(/Remove from collection/)).toBeNull();
+
+    rerender(<ContextMenu {...props} inCollection />);
+    expect(screen.getByText(/Remove from collection.*2 selected/)).toBeInTheDocument();
+    expect(screen.getByText(/Move to start of collection/)).toBeInTheDocument();
+  });
 });
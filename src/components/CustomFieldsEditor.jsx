@@ -0,0 +1,349 @@
+import React, { useEffect, useState } from "react";
+import { FIELD_TYPES, readFieldValue } from "../app/filters/customFields";
+
+const MIXED = Symbol("mixed");
+
+// The value every selected clip shares, MIXED when they differ, or null.
+function sharedValue(videos, read) {
+  const values = videos.map(read);
+  const first = values[0] ?? null;
+  return values.every((value) => (value ?? null) === first) ? first : MIXED;
+}
+
+const splitOptions = (text) =>
+  text
+    .split(",")
+    .map((option) => option.trim())
+    .filter(Boolean);
+
+const countLabel = (count) => (count === 1 ? "this clip" : `all ${count} clips`);
+
+function NotesEditor({ videos, onSave }) {
+  const shared = sharedValue(videos, (video) => video.notes || null);
+  const mixed = shared === MIXED;
+  const savedText = mixed ? "" : shared ?? "";
+  const [draft, setDraft] = useState(savedText);
+  const [saving, setSaving] = useState(false);
+  const selectionKey = videos.map((video) => video.id).join("|");
+
+  useEffect(() => {
+    setDraft(savedText);
+  }, [selectionKey, savedText]);
+
+  const dirty = mixed ? draft.trim() !== "" : draft !== savedText;
+
+  const save = async (text) => {
+    if (saving) return;
+    setSaving(true);
+    try {
+      await onSave?.(text);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === "Enter" && (event.ctrlKey || event.metaKey)) {
+      event.preventDefault();
+      if (dirty) save(draft);
+    } else if (event.key === "Escape" && dirty) {
+      event.preventDefault();
+      event.stopPropagation();
+      setDraft(savedText);
+    }
+  };
+
+  return (
+    <section className="metadata-panel__section metadata-panel__section--notes">
+      <div className="metadata-panel__section-header">
+        <span>Notes</span>
+        <span className="metadata-panel__badge">
+          {mixed ? "Mixed" : savedText ? "Saved" : "None"}
+        </span>
+      </div>
+      <textarea
+        className="metadata-panel__caption-input"
+        value={draft}
+        onChange={(event) => setDraft(event.target.value)}
+        onKeyDown={handleKeyDown}
+        placeholder={
+          mixed ? "Notes differ; saving replaces them on every selected clip" : "Add notes…"
+        }
+        aria-label="Notes"
+        rows={2}
+        spellCheck
+      />
+      <div className="metadata-panel__caption-actions">
+        <span className="metadata-panel__hint">
+          Ctrl+Enter to save to {countLabel(videos.length)}
+        </span>
+        <button
+          type="button"
+          onClick={() => save("")}
+          disabled={saving || (!mixed && !savedText)}
+        >
+          Clear
+        </button>
+        <button type="button" onClick={() => save(draft)} disabled={!dirty || saving}>
+          Save
+        </button>
+      </div>
+    </section>
+  );
+}
+
+function FieldInput({ field, value, onCommit }) {
+  const mixed = value === MIXED;
+  const savedText = mixed || value === null ? "" : String(value);
+  const [draft, setDraft] = useState(savedText);
+
+  useEffect(() => {
+    setDraft(savedText);
+  }, [savedText]);
+
+  const label = `${field.name} value`;
+
+  if (field.type === "enum") {
+    return (
+      <select
+        value={mixed ? "__mixed" : savedText}
+        onChange={(event) => onCommit(event.target.value || null)}
+        aria-label={label}
+      >
+        {mixed && (
+          <option value="__mixed" disabled>
+            Mixed
+          </option>
+        )}
+        <option value="">—</option>
+        {field.options.map((option) => (
+          <option key={option} value={option}>
+            {option}
+          </option>
+        ))}
+      </select>
+    );
+  }
+
+  const commit = () => {
+    if (draft === savedText) return;
+    if (!draft.trim() && mixed) return;
+    onCommit(draft.trim() ? draft.trim() : null);
+  };
+
+  return (
+    <input
+      type={field.type === "text" ? "text" : field.type}
+      value={draft}
+      onChange={(event) => setDraft(event.target.value)}
+      onBlur={commit}
+      onKeyDown={(event) => {
+        if (event.key === "Enter") {
+          event.preventDefault();
+          commit();
+        } else if (event.key === "Escape" && draft !== savedText) {
+          event.preventDefault();
+          event.stopPropagation();
+          setDraft(savedText);
+        }
+      }}
+      placeholder={mixed ? "Mixed" : ""}
+      step={field.type === "number" ? "any" : undefined}
+      aria-label={label}
+    />
+  );
+}
+
+function FieldSettings({ field, onUpdate, onDelete }) {
+  const [name, setName] = useState(field.name);
+  const [options, setOptions] = useState(field.options.join(", "));
+  const [confirmDelete, setConfirmDelete] = useState(false);
+
+  const patch = {};
+  if (name.trim() && name.trim() !== field.name) patch.name = name.trim();
+  if (field.type === "enum" && options !== field.options.join(", ")) {
+    patch.options = splitOptions(options);
+  }
+  const dirty = Object.keys(patch).length > 0;
+
+  return (
+    <div className="metadata-panel__field-settings">
+      <div className="metadata-panel__input-row">
+        <input
+          type="text"
+          value={name}
+          onChange={(event) => setName(event.target.value)}
+          aria-label={`Name of ${field.name}`}
+        />
+        {field.type === "enum" && (
+          <input
+            type="text"
+            value={options}
+            onChange={(event) => setOptions(event.target.value)}
+            placeholder="Options, comma separated"
+            aria-label={`Options of ${field.name}`}
+          />
+        )}
+        <button type="button" disabled={!dirty} onClick={() => onUpdate?.(field.id, patch)}>
+          Save
+        </button>
+        {confirmDelete ? (
+          <button
+            type="button"
+            className="metadata-panel__field-delete"
+            onClick={() => onDelete?.(field.id)}
+          >
+            Delete everywhere
+          </button>
+        ) : (
+          <button type="button" onClick={() => setConfirmDelete(true)}>
+            Delete…
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function NewFieldForm({ onCreate }) {
+  const [name, setName] = useState("");
+  const [type, setType] = useState("text");
+  const [options, setOptions] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const canCreate =
+    !busy && !!name.trim() && (type !== "enum" || splitOptions(options).length > 0);
+
+  const submit = async (event) => {
+    event.preventDefault();
+    if (!canCreate) return;
+    setBusy(true);
+    try {
+      const created = await onCreate?.({
+        name: name.trim(),
+        type,
+        options: type === "enum" ? splitOptions(options) : undefined,
+      });
+      if (created) {
+        setName("");
+        setOptions("");
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form className="metadata-panel__input-row" onSubmit={submit}>
+      <input
+        type="text"
+        value={name}
+        onChange={(event) => setName(event.target.value)}
+        placeholder="New field name"
+        aria-label="New field name"
+      />
+      <select
+        value={type}
+        onChange={(event) => setType(event.target.value)}
+        aria-label="New field type"
+      >
+        {FIELD_TYPES.map((entry) => (
+          <option key={entry.value} value={entry.value}>
+            {entry.label}
+          </option>
+        ))}
+      </select>
+      {type === "enum" && (
+        <input
+          type="text"
+          value={options}
+          onChange={(event) => setOptions(event.target.value)}
+          placeholder="Options, comma separated"
+          aria-label="New field options"
+        />
+      )}
+      <button type="submit" disabled={!canCreate}>
+        Add
+      </button>
+    </form>
+  );
+}
+
+// Per-clip notes plus the user-defined fields. With several clips selected
+// a shared value is shown as-is and differing ones as "Mixed"; any edit
+// applies to the whole selection.
+export default function CustomFieldsEditor({
+  selectedVideos = [],
+  fields = [],
+  onSetNotes,
+  onSetFieldValue,
+  onCreateField,
+  onUpdateField,
+  onDeleteField,
+}) {
+  const [managing, setManaging] = useState(false);
+  if (!selectedVideos.length) return null;
+
+  return (
+    <>
+      <NotesEditor videos={selectedVideos} onSave={onSetNotes} />
+
+      <section className="metadata-panel__section metadata-panel__section--fields">
+        <div className="metadata-panel__section-header">
+          <span>Fields</span>
+          <button
+            type="button"
+            className="metadata-panel__badge metadata-panel__field-manage"
+            onClick={() => setManaging((value) => !value)}
+            aria-pressed={managing}
+          >
+            {managing ? "Done" : "Edit fields"}
+          </button>
+        </div>
+
+        {fields.length === 0 && !managing && (
+          <span className="metadata-panel__hint">
+            No custom fields yet. Use “Edit fields” to add one.
+          </span>
+        )}
+
+        {fields.map((field) => {
+          const value = sharedValue(selectedVideos, (video) => readFieldValue(video, field.id));
+          return (
+            <div key={field.id} className="metadata-panel__field">
+              <div className="metadata-panel__field-row">
+                <span className="metadata-panel__field-name" title={`@${field.name}`}>
+                  {field.name}
+                </span>
+                <FieldInput
+                  field={field}
+                  value={value}
+                  onCommit={(next) => onSetFieldValue?.(field.id, next)}
+                />
+                <button
+                  type="button"
+                  className="metadata-panel__field-clear"
+                  onClick={() => onSetFieldValue?.(field.id, null)}
+                  disabled={value === null}
+                  aria-label={`Clear ${field.name}`}
+                >
+                  ×
+                </button>
+              </div>
+              {managing && (
+                <FieldSettings
+                  key={`${field.name}|${field.options.join("|")}`}
+                  field={field}
+                  onUpdate={onUpdateField}
+                  onDelete={onDeleteField}
+                />
+              )}
+            </div>
+          );
+        })}
+
+        {managing && <NewFieldForm onCreate={onCreateField} />}
+      </section>
+    </>
+  );
+}
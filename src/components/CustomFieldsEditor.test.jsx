@@ -0,0 +1,99 @@
+import React from "react";
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent, act } from "@testing-library/react";
+import CustomFieldsEditor from "./CustomFieldsEditor";
+
+const fields = [
+  { id: 1, name: "Shots", type: "number", options: [] },
+  { id: 2, name: "Status", type: "enum", options: ["Draft", "Final"] },
+];
+
+describe("CustomFieldsEditor", () => {
+  it("saves notes with Ctrl+Enter", async () => {
+    const onSetNotes = vi.fn().mockResolvedValue(true);
+    render(
+      <CustomFieldsEditor
+        selectedVideos={[{ id: "a", notes: "first pass" }]}
+        fields={[]}
+        onSetNotes={onSetNotes}
+      />
+    );
+
+    const input = screen.getByRole("textbox", { name: "Notes" });
+    expect(input).toHaveValue("first pass");
+    fireEvent.change(input, { target: { value: "second pass" } });
+    await act(async () => {
+      fireEvent.keyDown(input, { key: "Enter", ctrlKey: true });
+    });
+
+    expect(onSetNotes).toHaveBeenCalledWith("second pass");
+  });
+
+  it("shows mixed values across a selection and applies edits to all", () => {
+    const onSetFieldValue = vi.fn();
+    render(
+      <CustomFieldsEditor
+        selectedVideos={[
+          { id: "a", notes: "x", fields: { 1: 4, 2: "Draft" } },
+          { id: "b", notes: "y", fields: { 1: 4, 2: "Final" } },
+        ]}
+        fields={fields}
+        onSetFieldValue={onSetFieldValue}
+      />
+    );
+
+    expect(screen.getByRole("textbox", { name: "Notes" })).toHaveAttribute(
+      "placeholder",
+      expect.stringMatching(/Notes differ/)
+    );
+    expect(screen.getByLabelText("Shots value")).toHaveValue(4);
+    expect(screen.getByLabelText("Status value")).toHaveValue("__mixed");
+
+    fireEvent.change(screen.getByLabelText("Status value"), { target: { value: "Final" } });
+    expect(onSetFieldValue).toHaveBeenLastCalledWith(2, "Final");
+
+    const shots = screen.getByLabelText("Shots value");
+    fireEvent.change(shots, { target: { value: "6" } });
+    fireEvent.keyDown(shots, { key: "Enter" });
+    expect(onSetFieldValue).toHaveBeenLastCalledWith(1, "6");
+
+    fireEvent.click(screen.getByRole("button", { name: "Clear Shots" }));
+    expect(onSetFieldValue).toHaveBeenLastCalledWith(1, null);
+  });
+
+  it("adds and deletes fields", async () => {
+    const onCreateField = vi.fn().mockResolvedValue(true);
+    const onDeleteField = vi.fn();
+    render(
+      <CustomFieldsEditor
+        selectedVideos={[{ id: "a" }]}
+        fields={fields}
+        onCreateField={onCreateField}
+        onDeleteField={onDeleteField}
+      />
+    );
+
+    fireEvent.click(screen.getByRole("button", { name: "Edit fields" }));
+    fireEvent.change(screen.getByLabelText("New field name"), { target: { value: "Camera" } });
+    fireEvent.change(screen.getByLabelText("New field type"), { target: { value: "enum" } });
+    const add = screen.getByRole("button", { name: "Add" });
+    expect(add).toBeDisabled();
+
+    fireEvent.change(screen.getByLabelText("New field options"), {
+      target: { value: "A-cam, B-cam," },
+    });
+    await act(async () => {
+      fireEvent.click(add);
+    });
+    expect(onCreateField).toHaveBeenCalledWith({
+      name: "Camera",
+      type: "enum",
+      options: ["A-cam", "B-cam"],
+    });
+    expect(screen.getByLabelText("New field name")).toHaveValue("");
+
+    fireEvent.click(screen.getAllByRole("button", { name: "Delete…" })[0]);
+    fireEvent.click(screen.getByRole("button", { name: "Delete everywhere" }));
+    expect(onDeleteField).toHaveBeenCalledWith(1);
+  });
+});
@@ -1,5 +1,13 @@
 import React from "react";
 
+// "1,200 files in 8.4s (143/s, 3 workers)" for the running or last scan.
+function formatScanThroughput({ files = 0, elapsedMs = 0, workers = 0 }) {
+  const seconds = elapsedMs / 1000;
+  const rate = seconds > 0 ? Math.round(files / seconds) : 0;
+  const where = workers > 0 ? `${workers} worker${workers === 1 ? "" : "s"}` : "main thread";
+  return `${files.toLocaleString()} files in ${seconds.toFixed(1)}s (${rate.toLocaleString()}/s, ${where})`;
+}
+
 export default function DebugSummary({
   total,
   rendered,
@@ -12,6 +20,7 @@ export default function DebugSummary({
   zoomLevel,
   getMinimumZoomLevel,
   sortStatus,
+  scanStats, // { files, elapsedMs, workers, running }
 }) {
   return (
     <div
@@ -67,6 +76,16 @@ export default function DebugSummary({
         </>
       )}
 
+      {scanStats && scanStats.elapsedMs > 0 && (
+        <>
+          <span>|</span>
+          <span title={scanStats.running ? "Scan in progress" : "Last library scan"}>
+            ⚡ {scanStats.running ? "Scanning: " : ""}
+            {formatScanThroughput(scanStats)}
+          </span>
+        </>
+      )}
+
       {total > 100}
 
       {process.env.NODE_ENV !== "production" && performance.memory && (
@@ -0,0 +1,31 @@
+import React from "react";
+import { describe, it, expect } from "vitest";
+import { render, screen } from "@testing-library/react";
+import DebugSummary from "./DebugSummary";
+
+const baseProps = { total: 10, rendered: 5, playing: 2, inView: 4 };
+
+describe("DebugSummary", () => {
+  it("shows scan throughput and where indexing ran", () => {
+    const { rerender } = render(
+      <DebugSummary
+        {...baseProps}
+        scanStats={{ files: 1200, elapsedMs: 8000, workers: 3, running: false }}
+      />
+    );
+    expect(screen.getByText(/1,200 files in 8\.0s \(150\/s, 3 workers\)/)).toBeInTheDocument();
+
+    rerender(
+      <DebugSummary
+        {...baseProps}
+        scanStats={{ files: 40, elapsedMs: 2000, workers: 0, running: true }}
+      />
+    );
+    expect(screen.getByText(/Scanning: 40 files in 2\.0s \(20\/s, main thread\)/)).toBeInTheDocument();
+  });
+
+  it("leaves throughput out before any scan has run", () => {
+    render(<DebugSummary {...baseProps} scanStats={null} />);
+    expect(screen.queryByText(/files in/)).toBeNull();
+  });
+});
@@ -0,0 +1,248 @@
+import React, { useMemo, useRef, useState } from "react";
+import {
+  ExportLayout,
+  MANIFEST_FILE,
+  planDatasetExport,
+  runDatasetExport,
+} from "../services/datasetExport";
+import "./ExportDatasetDialog.css";
+
+const LAYOUT_OPTIONS = [
+  { value: ExportLayout.FLAT, label: "Flat", hint: "All clips in one folder" },
+  { value: ExportLayout.BY_TAG, label: "By tag", hint: "One folder per tag; clips repeat per tag" },
+  { value: ExportLayout.BY_RATING, label: "By rating", hint: "5-star/, 4-star/, … unrated/" },
+];
+
+const DEFAULT_SEED = 42;
+
+/**
+ * Copies or hard-links the selected (or all filtered) clips into a training
+ * folder, carrying caption sidecars along and writing manifest.jsonl.
+ */
+export default function ExportDatasetDialog({
+  selectedVideos = [],
+  filteredVideos = [],
+  onClose,
+  notify,
+}) {
+  const [scope, setScope] = useState(selectedVideos.length ? "selection" : "filtered");
+  const [layout, setLayout] = useState(ExportLayout.FLAT);
+  const [hardLink, setHardLink] = useState(false);
+  const [valPercent, setValPercent] = useState(0);
+  const [seed, setSeed] = useState(DEFAULT_SEED);
+  const [targetDir, setTargetDir] = useState("");
+  const [progress, setProgress] = useState(null); // { done, total }
+  const [result, setResult] = useState(null);
+  const cancelledRef = useRef(false);
+
+  const videos = scope === "selection" ? selectedVideos : filteredVideos;
+  const plan = useMemo(
+    () => planDatasetExport(videos, { layout, valRatio: valPercent / 100, seed }),
+    [videos, layout, valPercent, seed]
+  );
+  const captionCount = plan.files.filter((file) => file.sidecars.length > 0).length;
+  const valCount = plan.manifest.filter((entry) => entry.split === "val").length;
+  const running = !!progress && !result;
+
+  const chooseFolder = async () => {
+    const response = await window.electronAPI?.selectFolder?.({
+      title: "Export dataset to…",
+      buttonLabel: "Export here",
+    });
+    if (response?.success && response.folderPath) setTargetDir(response.folderPath);
+  };
+
+  const handleExport = async () => {
+    if (!targetDir || !plan.files.length || running) return;
+    cancelledRef.current = false;
+    setResult(null);
+    setProgress({ done: 0, total: plan.files.length });
+    try {
+      const outcome = await runDatasetExport(plan, {
+        electronAPI: window.electronAPI,
+        targetDir,
+        hardLink,
+        onProgress: setProgress,
+        isCancelled: () => cancelledRef.current,
+      });
+      setResult(outcome);
+      if (outcome.failed.length) {
+        console.warn("[export] failed entries:", outcome.failed);
+        notify?.(`Exported ${outcome.written}, ${outcome.failed.length} failed`, "warning");
+      } else {
+        notify?.(`Exported ${outcome.written} clip(s) to ${targetDir}`, "success");
+      }
+    } catch (error) {
+      console.error("Dataset export failed:", error);
+      setResult({ written: 0, failed: [{ error: error.message }] });
+      notify?.("Dataset export failed", "error");
+    }
+  };
+
+  const handleClose = () => {
+    cancelledRef.current = true;
+    onClose?.();
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === "Escape") {
+      event.preventDefault();
+      handleClose();
+    }
+  };
+
+  return (
+    <div
+      className="profile-prompt-backdrop"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="export-dataset-title"
+      onKeyDown={handleKeyDown}
+    >
+      <div className="profile-prompt-dialog export-dataset">
+        <header className="profile-prompt-header">
+          <h2 id="export-dataset-title">Export dataset</h2>
+          <p className="profile-prompt-message">
+            Copies clips and their caption files into a folder and writes {MANIFEST_FILE} with
+            fingerprint, tags, rating and dimensions for each file.
+          </p>
+        </header>
+
+        <div className="profile-prompt-body export-dataset__body">
+          <fieldset className="export-dataset__group" disabled={running}>
+            <legend>Clips</legend>
+            <label>
+              <input
+                type="radio"
+                name="export-scope"
+                checked={scope === "selection"}
+                disabled={!selectedVideos.length}
+                onChange={() => setScope("selection")}
+              />
+              Selected ({selectedVideos.length})
+            </label>
+            <label>
+              <input
+                type="radio"
+                name="export-scope"
+                checked={scope === "filtered"}
+                onChange={() => setScope("filtered")}
+              />
+              All shown ({filteredVideos.length})
+            </label>
+          </fieldset>
+
+          <fieldset className="export-dataset__group" disabled={running}>
+            <legend>Layout</legend>
+            {LAYOUT_OPTIONS.map((option) => (
+              <label key={option.value} title={option.hint}>
+                <input
+                  type="radio"
+                  name="export-layout"
+                  checked={layout === option.value}
+                  onChange={() => setLayout(option.value)}
+                />
+                {option.label}
+              </label>
+            ))}
+            <label title="Takes no extra space; falls back to copying across drives">
+              <input
+                type="checkbox"
+                checked={hardLink}
+                onChange={(event) => setHardLink(event.target.checked)}
+              />
+              Hard-link instead of copy
+            </label>
+          </fieldset>
+
+          <fieldset className="export-dataset__group" disabled={running}>
+            <legend>Train / val split</legend>
+            <label>
+              Validation
+              <input
+                type="number"
+                min="0"
+                max="50"
+                step="1"
+                value={valPercent}
+                onChange={(event) =>
+                  setValPercent(Math.max(0, Math.min(50, Number(event.target.value) || 0)))
+                }
+                aria-label="Validation percentage"
+              />
+              %
+            </label>
+            <label>
+              Seed
+              <input
+                type="number"
+                value={seed}
+                disabled={valPercent === 0}
+                onChange={(event) => setSeed(Math.trunc(Number(event.target.value) || 0))}
+                aria-label="Split seed"
+              />
+            </label>
+          </fieldset>
+
+          <div className="export-dataset__target">
+            <input
+              type="text"
+              className="profile-prompt-input"
+              value={targetDir}
+              readOnly
+              placeholder="Choose an export folder"
+              aria-label="Export folder"
+            />
+            <button
+              type="button"
+              className="profile-prompt-button profile-prompt-button--secondary"
+              onClick={chooseFolder}
+              disabled={running}
+            >
+              Browse…
+            </button>
+          </div>
+
+          <p className="export-dataset__summary" role="status">
+            {progress && !result
+              ? `Exporting… ${progress.done} / ${progress.total}`
+              : result
+              ? `Exported ${result.written} file(s)${
+                  result.failed.length ? `, ${result.failed.length} failed` : ""
+                }.`
+              : `${plan.files.length} file(s), ${captionCount} with captions${
+                  valPercent > 0 ? ` — ${plan.files.length - valCount} train / ${valCount} val` : ""
+                }`}
+          </p>
+          {result?.failed?.length > 0 && (
+            <ul className="export-dataset__failures">
+              {result.failed.slice(0, 5).map((failure, index) => (
+                <li key={index}>
+                  {failure.dest || failure.path}: {failure.error}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <footer className="profile-prompt-footer">
+          <button
+            type="button"
+            className="profile-prompt-button profile-prompt-button--secondary"
+            onClick={handleClose}
+          >
+            {running ? "Cancel" : "Close"}
+          </button>
+          <button
+            type="button"
+            className="profile-prompt-button profile-prompt-button--primary"
+            disabled={!targetDir || !plan.files.length || running}
+            onClick={handleExport}
+          >
+            Export
+          </button>
+        </footer>
+      </div>
+    </div>
+  );
+}
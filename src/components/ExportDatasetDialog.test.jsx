@@ -0,0 +1,50 @@
+import React from "react";
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import ExportDatasetDialog from "./ExportDatasetDialog";
+
+const clip = (name, extra = {}) => ({
+  id: `/lib/${name}`,
+  fullPath: `/lib/${name}`,
+  name,
+  tags: [],
+  ...extra,
+});
+
+describe("ExportDatasetDialog", () => {
+  afterEach(() => {
+    delete window.electronAPI;
+  });
+
+  it("exports the chosen scope into the picked folder", async () => {
+    const notify = vi.fn();
+    window.electronAPI = {
+      selectFolder: vi.fn().mockResolvedValue({ success: true, folderPath: "/out" }),
+      copyFile: vi.fn().mockResolvedValue({ success: true }),
+      dataset: { writeManifest: vi.fn().mockResolvedValue({ success: true }) },
+    };
+
+    render(
+      <ExportDatasetDialog
+        selectedVideos={[clip("a.mp4", { caption: { path: "/lib/a.txt" } })]}
+        filteredVideos={[clip("a.mp4"), clip("b.mp4")]}
+        notify={notify}
+      />
+    );
+
+    expect(screen.getByText("1 file(s), 1 with captions")).toBeInTheDocument();
+    fireEvent.click(screen.getByLabelText("All shown (2)"));
+    expect(screen.getByText("2 file(s), 0 with captions")).toBeInTheDocument();
+
+    const exportButton = screen.getByRole("button", { name: "Export" });
+    expect(exportButton).toBeDisabled();
+    fireEvent.click(screen.getByRole("button", { name: "Browse…" }));
+    await waitFor(() => expect(screen.getByLabelText("Export folder")).toHaveValue("/out"));
+
+    fireEvent.click(exportButton);
+    await waitFor(() => expect(screen.getByText("Exported 2 file(s).")).toBeInTheDocument());
+    expect(window.electronAPI.copyFile).toHaveBeenCalledTimes(2);
+    expect(window.electronAPI.dataset.writeManifest).toHaveBeenCalledWith("/out", expect.any(Array));
+    expect(notify).toHaveBeenCalledWith("Exported 2 clip(s) to /out", "success");
+  });
+});
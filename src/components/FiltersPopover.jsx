@@ -41,6 +41,7 @@ const FiltersPopover = forwardRef(
     {
       filters,
       availableTags = [],
+      queryError = null,
       onChange,
       onReset,
       onClose,
@@ -53,8 +54,10 @@ const FiltersPopover = forwardRef(
     const minRating = filters?.minRating ?? null;
     const exactRating =
       filters?.exactRating === 0 ? 0 : filters?.exactRating ?? null;
+    const missingCaption = !!filters?.missingCaption;
 
     const [tagQuery, setTagQuery] = useState("");
+    const queryText = filters?.query ?? "";
 
     const normalizedTags = useMemo(() => {
       const source = Array.isArray(availableTags) ? availableTags : [];
@@ -204,6 +207,42 @@ const FiltersPopover = forwardRef(
           </div>
         </div>
 
+        <section className="filters-section">
+          <header className="filters-section__title">Query</header>
+          <input
+            type="text"
+            className={`filters-query__input${
+              queryError ? " filters-query__input--invalid" : ""
+            }`}
+            value={queryText}
+            onChange={(event) => {
+              const { value } = event.target;
+              onChange((prev) => ({ ...prev, query: value }));
+            }}
+            placeholder="e.g. (portrait OR vertical) AND rating>=4"
+            aria-label="Filter query"
+            aria-invalid={queryError ? "true" : "false"}
+            spellCheck={false}
+            autoComplete="off"
+          />
+          {queryError ? (
+            <div className="filters-query__error" role="alert">
+              <code className="filters-query__preview">
+                {queryText.slice(0, queryError.start)}
+                <mark>{queryText.slice(queryError.start, queryError.end) || " "}</mark>
+                {queryText.slice(queryError.end)}
+              </code>
+              <span>{queryError.message}</span>
+            </div>
+          ) : (
+            <span className="filters-empty-hint">
+              Combine tags with AND, OR, NOT and fields like rating&gt;=4, ext:webm,
+              size&gt;50MB, flag:pick, label:red, notes:any or custom fields as
+              @name:value.
+            </span>
+          )}
+        </section>
+
         <section className="filters-section">
           <header className="filters-section__title">Tags</header>
           <div className="filters-chip-group">
@@ -354,6 +393,22 @@ const FiltersPopover = forwardRef(
             </div>
           </div>
         </section>
+
+        <section className="filters-section">
+          <header className="filters-section__title">Captions</header>
+          <div className="filters-rating-row">
+            <button
+              type="button"
+              className={`filters-pill ${missingCaption ? "filters-pill--active" : ""}`}
+              aria-pressed={missingCaption}
+              onClick={() =>
+                onChange((prev) => ({ ...prev, missingCaption: !prev.missingCaption }))
+              }
+            >
+              Has no caption
+            </button>
+          </div>
+        </section>
       </div>
     );
   }
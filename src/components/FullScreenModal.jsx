@@ -1,11 +1,27 @@
 import React, { useEffect, useRef, useState, useCallback } from 'react';
+import TriageHud from './TriageHud';
+import { triageActionForKey } from '../utils/triageKeys';
+
+const isTypingTarget = (target) =>
+  !!target && (
+    target.isContentEditable ||
+    ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)
+  );
 
 const FullScreenModal = ({ 
   video, 
   onClose, 
   onNavigate, 
   showFilenames,
-  gridRef 
+  gridRef,
+  // Triage: `triageVideo` is the live copy of `video` (rating/flag/tags
+  // change while it is shown); `onTriage(video, action)` resolves to success.
+  triageVideo,
+  triageTotal = 0,
+  triageTagKeys = {},
+  availableTags,
+  onTriage,
+  onTriageTagKeysChange
 }) => {
   const modalRef = useRef(null);
   const adoptHostRef = useRef(null);     // host where we move the existing grid <video>
@@ -14,6 +30,9 @@ const FullScreenModal = ({
   const [error, setError] = useState(null);
   const [videoLoaded, setVideoLoaded] = useState(false);
   const [usingAdopted, setUsingAdopted] = useState(false);
+  const [triageMode, setTriageMode] = useState(false);
+  const [reviewedIds, setReviewedIds] = useState(() => new Set());
+  const triageBusyRef = useRef(false);
 
   // Keep track for restoration
   const adoptedElRef = useRef(null);
@@ -146,9 +165,40 @@ const FullScreenModal = ({
     };
   }, [video, tryAdoptExistingVideo, restoreAdopted]);
 
+  // Applies a triage action to the current clip, then moves on. Keys are
+  // ignored while a save is in flight so a fast double press can't skip.
+  const runTriage = useCallback(async (action) => {
+    if (triageBusyRef.current) return;
+    triageBusyRef.current = true;
+    try {
+      const ok = await onTriage(video, action);
+      if (!ok) return;
+      setReviewedIds((prev) => new Set(prev).add(video.id));
+      onNavigate('next');
+    } finally {
+      triageBusyRef.current = false;
+    }
+  }, [onTriage, onNavigate, video]);
+
   // Handle keyboard navigation
   useEffect(() => {
     const handleKeyDown = (e) => {
+      if (isTypingTarget(e.target)) return;
+      if (onTriage && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        if (e.key === 't' || e.key === 'T') {
+          e.preventDefault();
+          setTriageMode((value) => !value);
+          return;
+        }
+        const action = triageMode
+          ? triageActionForKey(e.key, triageTagKeys, triageVideo || video)
+          : null;
+        if (action) {
+          e.preventDefault();
+          runTriage(action);
+          return;
+        }
+      }
       switch (e.key) {
         case 'Escape':
           onClose();
@@ -175,7 +225,17 @@ const FullScreenModal = ({
 
     document.addEventListener('keydown', handleKeyDown);
     return () => document.removeEventListener('keydown', handleKeyDown);
-  }, [onClose, onNavigate, usingAdopted]);
+  }, [
+    onClose,
+    onNavigate,
+    usingAdopted,
+    onTriage,
+    triageMode,
+    triageTagKeys,
+    triageVideo,
+    video,
+    runTriage
+  ]);
 
   // Handle click outside to close
   const handleBackdropClick = useCallback((e) => {
@@ -255,6 +315,17 @@ const FullScreenModal = ({
           ×
         </button>
 
+        {triageMode && (
+          <TriageHud
+            video={triageVideo || video}
+            reviewedCount={reviewedIds.size}
+            total={triageTotal}
+            tagKeys={triageTagKeys}
+            availableTags={availableTags}
+            onTagKeysChange={onTriageTagKeysChange}
+          />
+        )}
+
         {/* Navigation buttons */}
         <button
           onClick={() => onNavigate('prev')}
@@ -430,6 +501,16 @@ const FullScreenModal = ({
           }}>
             <span style={{ marginRight: '20px' }}>← → Navigate</span>
             <span style={{ marginRight: '20px' }}>Space Play/Pause</span>
+            {triageMode && (
+              <span style={{ marginRight: '20px' }}>
+                0–5 Rate · P Pick · X Reject · U Unflag
+              </span>
+            )}
+            {onTriage && (
+              <span style={{ marginRight: '20px' }}>
+                T {triageMode ? 'Exit triage' : 'Triage'}
+              </span>
+            )}
             <span>Esc Close</span>
           </div>
         </div>
@@ -0,0 +1,105 @@
+import React from "react";
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent, act } from "@testing-library/react";
+import FullScreenModal from "./FullScreenModal";
+
+const video = { id: "a", fingerprint: "fpa", name: "a.mp4", tags: ["keeper"], rating: 2 };
+
+const renderModal = (props = {}) =>
+  render(
+    <FullScreenModal
+      video={video}
+      triageVideo={video}
+      onClose={vi.fn()}
+      onNavigate={vi.fn()}
+      triageTotal={3}
+      triageTagKeys={{ k: "keeper", b: "b-roll" }}
+      onTriage={vi.fn().mockResolvedValue(true)}
+      {...props}
+    />
+  );
+
+const press = async (key) => {
+  await act(async () => {
+    fireEvent.keyDown(document, { key });
+  });
+};
+
+describe("FullScreenModal triage", () => {
+  it("ignores triage keys until triage mode is on", async () => {
+    const onTriage = vi.fn().mockResolvedValue(true);
+    renderModal({ onTriage });
+
+    await press("4");
+    expect(onTriage).not.toHaveBeenCalled();
+    expect(screen.queryByRole("status")).toBeNull();
+
+    await press("t");
+    expect(screen.getByRole("status")).toHaveTextContent("Reviewed 0/3");
+  });
+
+  it("rates, flags and toggles tags, advancing after each action", async () => {
+    const onTriage = vi.fn().mockResolvedValue(true);
+    const onNavigate = vi.fn();
+    renderModal({ onTriage, onNavigate });
+
+    await press("t");
+    await press("4");
+    expect(onTriage).toHaveBeenLastCalledWith(video, { type: "rating", value: 4 });
+    expect(onNavigate).toHaveBeenLastCalledWith("next");
+    expect(screen.getByRole("status")).toHaveTextContent("Reviewed 1/3");
+
+    await press("0");
+    expect(onTriage).toHaveBeenLastCalledWith(video, { type: "rating", value: null });
+    await press("X");
+    expect(onTriage).toHaveBeenLastCalledWith(video, { type: "flag", value: "reject" });
+    await press("k");
+    expect(onTriage).toHaveBeenLastCalledWith(video, { type: "tag", tag: "keeper", on: false });
+    await press("b");
+    expect(onTriage).toHaveBeenLastCalledWith(video, { type: "tag", tag: "b-roll", on: true });
+
+    expect(onNavigate).toHaveBeenCalledTimes(5);
+    // Same clip every time here, so it still counts once.
+    expect(screen.getByRole("status")).toHaveTextContent("Reviewed 1/3");
+  });
+
+  it("stays on the clip when the save fails", async () => {
+    const onTriage = vi.fn().mockResolvedValue(false);
+    const onNavigate = vi.fn();
+    renderModal({ onTriage, onNavigate });
+
+    await press("t");
+    await press("p");
+    expect(onTriage).toHaveBeenCalledWith(video, { type: "flag", value: "pick" });
+    expect(onNavigate).not.toHaveBeenCalled();
+    expect(screen.getByRole("status")).toHaveTextContent("Reviewed 0/3");
+  });
+
+  it("binds tag keys from the HUD without triggering triage while typing", async () => {
+    const onTriage = vi.fn().mockResolvedValue(true);
+    const onTriageTagKeysChange = vi.fn();
+    renderModal({ onTriage, onTriageTagKeysChange });
+
+    await press("t");
+    fireEvent.click(screen.getByRole("button", { name: "Tag keys…" }));
+
+    const keyInput = screen.getByLabelText("Triage key");
+    fireEvent.keyDown(keyInput, { key: "p" });
+    fireEvent.change(keyInput, { target: { value: "p" } });
+    expect(onTriage).not.toHaveBeenCalled();
+    expect(screen.getByText(/not taken by 0–5/)).toBeInTheDocument();
+    expect(screen.getByRole("button", { name: "Bind" })).toBeDisabled();
+
+    fireEvent.change(keyInput, { target: { value: "G" } });
+    fireEvent.change(screen.getByLabelText("Triage tag"), { target: { value: " golden " } });
+    fireEvent.click(screen.getByRole("button", { name: "Bind" }));
+    expect(onTriageTagKeysChange).toHaveBeenCalledWith({
+      k: "keeper",
+      b: "b-roll",
+      g: "golden",
+    });
+
+    fireEvent.click(screen.getByRole("button", { name: "Unbind K" }));
+    expect(onTriageTagKeysChange).toHaveBeenLastCalledWith({ b: "b-roll" });
+  });
+});
@@ -1,10 +1,13 @@
 import React from "react";
 import RecentLocationsMenu from "./RecentLocationsMenu";
+import SavedSearchesMenu from "./SavedSearchesMenu";
+import SortChainEditor from "./SortChainEditor";
+import CollectionsMenu from "./CollectionsMenu";
 import SupportLink from "./SupportLink";
 import { supportContent } from "../config/supportContent";
 import { ZOOM_MAX_INDEX } from "../zoom/config.js";
 import { clampZoomIndex } from "../zoom/utils.js";
-import { SortKey } from "../sorting/sorting.js";
+import { SortKey, fieldSortKey } from "../sorting/sorting.js";
 
 // --- Minimal inline SVG icons (fallback for environments without icon libs)
 const Icon = (props) => (
@@ -27,6 +30,45 @@ const FolderIcon = (props) => (
   </Icon>
 );
 
+const FolderPlusIcon = (props) => (
+  <Icon {...props}>
+    <path d="M3 4h5l2 2h11v14H3z" />
+    <path d="M12 10v6M9 13h6" />
+  </Icon>
+);
+
+const SimilarIcon = (props) => (
+  <Icon {...props}>
+    <rect x="3" y="3" width="12" height="12" rx="2" />
+    <rect x="9" y="9" width="12" height="12" rx="2" />
+  </Icon>
+);
+
+const CompareIcon = (props) => (
+  <Icon {...props}>
+    <rect x="2" y="5" width="8" height="14" rx="1" />
+    <rect x="14" y="5" width="8" height="14" rx="1" />
+    <path d="M12 3v18" />
+  </Icon>
+);
+
+const ExportIcon = (props) => (
+  <Icon {...props}>
+    <path d="M12 3v12" />
+    <path d="M7 10l5 5 5-5" />
+    <path d="M4 19h16" />
+  </Icon>
+);
+
+const TagsIcon = (props) => (
+  <Icon {...props}>
+    <path d="M20 12l-8 8-9-9V3h8z" />
+    <circle cx="7.5" cy="7.5" r="1.5" />
+  </Icon>
+);
+
+const rootLabel = (rootPath) => rootPath.split(/[\\/]/).filter(Boolean).pop() || rootPath;
+
 const TextIcon = (props) => (
   <Icon {...props}>
     <path d="M4 7V4h16v3" />
@@ -35,6 +77,13 @@ const TextIcon = (props) => (
   </Icon>
 );
 
+const RejectIcon = (props) => (
+  <Icon {...props}>
+    <circle cx="12" cy="12" r="9" />
+    <line x1="5.6" y1="5.6" x2="18.4" y2="18.4" />
+  </Icon>
+);
+
 const FilmIcon = (props) => (
   <Icon {...props}>
     <rect x="2" y="2" width="20" height="20" rx="2" />
@@ -90,6 +139,13 @@ const FilterIcon = (props) => (
   </Icon>
 );
 
+const SearchIcon = (props) => (
+  <Icon {...props}>
+    <circle cx="11" cy="11" r="7" />
+    <line x1="21" y1="21" x2="16.65" y2="16.65" />
+  </Icon>
+);
+
 export default function HeaderBar({
   isLoadingFolder,
   handleFolderSelect,
@@ -98,6 +154,8 @@ export default function HeaderBar({
   toggleRecursive,
   showFilenames,
   toggleFilenames,
+  hideRejects = false,
+  toggleHideRejects,
   renderLimitStep,
   renderLimitLabel = "Max",
   renderLimitMaxStep = 10,
@@ -107,6 +165,9 @@ export default function HeaderBar({
   getMinimumZoomLevel,
   sortKey,
   sortSelection,
+  sortThenBy = [],
+  onSortThenByChange,
+  customFields = [],
   groupByFolders,
   onSortChange,
   onGroupByFoldersToggle,
@@ -118,6 +179,24 @@ export default function HeaderBar({
   filtersActiveCount = 0,
   filtersAreOpen = false,
   filtersButtonRef,
+  searchQuery = "",
+  onSearchChange,
+  savedSearches = [],
+  onApplySavedSearch,
+  onSaveSearch,
+  onDeleteSavedSearch,
+  collections = [],
+  activeCollection = null,
+  onOpenCollection,
+  onCreateCollection,
+  onDeleteCollection,
+  libraryRoots = [],
+  onAddRoot,
+  onFindSimilar,
+  onCompare,
+  onExportDataset,
+  onManageTags,
+  onRemoveRoot,
 }) {
   const isElectron = !!window.electronAPI?.isElectron;
 
@@ -162,6 +241,35 @@ export default function HeaderBar({
           </div>
         )}
 
+        {isElectron && libraryRoots.length > 0 && (
+          <button
+            onClick={onAddRoot}
+            className="file-input-label"
+            disabled={isLoadingFolder}
+            title="Add another folder to this view"
+          >
+            <FolderPlusIcon />
+          </button>
+        )}
+
+        {libraryRoots.length > 1 && (
+          <ul className="library-roots" aria-label="Open folders">
+            {libraryRoots.map((root) => (
+              <li key={root} className="library-roots__item" title={root}>
+                <span>{rootLabel(root)}</span>
+                <button
+                  type="button"
+                  onClick={() => onRemoveRoot?.(root)}
+                  disabled={isLoadingFolder}
+                  aria-label={`Close ${root}`}
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
         <label className="subfolders-option" title="Scan subfolders">
           <input
             type="checkbox"
@@ -187,6 +295,17 @@ export default function HeaderBar({
           <TextIcon />
         </button>
 
+        <button
+          onClick={toggleHideRejects}
+          className={`toggle-button ${hideRejects ? "active" : ""}`}
+          disabled={isLoadingFolder}
+          title={hideRejects ? "Show rejected clips" : "Hide rejected clips"}
+          aria-pressed={hideRejects}
+          style={{ marginLeft: "0.5rem" }}
+        >
+          <RejectIcon />
+        </button>
+
         <div style={dividerStyle}>
           <div className="video-limit-control" title="Limit rendered VideoCards">
             <FilmIcon />
@@ -240,6 +359,9 @@ export default function HeaderBar({
             disabled={isLoadingFolder}
             title="Choose sort order"
           >
+            {activeCollection && (
+              <option value="collection">Collection order</option>
+            )}
             <option value="name-asc">Name ↑</option>
             <option value="name-desc">Name ↓</option>
             <option
@@ -254,9 +376,61 @@ export default function HeaderBar({
             >
               Created ↓
             </option>
+            <option value="modified-asc">Modified ↑</option>
+            <option value="modified-desc">Modified ↓</option>
+            <option value="size-asc">Size ↑</option>
+            <option value="size-desc">Size ↓</option>
+            <option value="duration-asc" title="Clips without a probed duration sort last.">
+              Duration ↑
+            </option>
+            <option value="duration-desc" title="Clips without a probed duration sort last.">
+              Duration ↓
+            </option>
+            <option value="rating-asc" title="Unrated clips sort last.">
+              Rating ↑
+            </option>
+            <option value="rating-desc" title="Unrated clips sort last.">
+              Rating ↓
+            </option>
+            <option value="score-asc" title="Elo score from A/B comparisons. Clips never compared sort last.">
+              Score ↑
+            </option>
+            <option value="score-desc" title="Elo score from A/B comparisons. Clips never compared sort last.">
+              Score ↓
+            </option>
+            <option value="resolution-asc" title="Sorted by pixel count (width × height).">
+              Resolution ↑
+            </option>
+            <option value="resolution-desc" title="Sorted by pixel count (width × height).">
+              Resolution ↓
+            </option>
+            <option value="folder-asc">Folder ↑</option>
+            <option value="folder-desc">Folder ↓</option>
+            <option value="notes-asc" title="Clips without notes sort last.">
+              Notes ↑
+            </option>
+            <option value="notes-desc" title="Clips without notes sort last.">
+              Notes ↓
+            </option>
+            {customFields.map((field) => (
+              <React.Fragment key={field.id}>
+                <option value={`${fieldSortKey(field.id)}-asc`}>{field.name} ↑</option>
+                <option value={`${fieldSortKey(field.id)}-desc`}>{field.name} ↓</option>
+              </React.Fragment>
+            ))}
             <option value="random">Random</option>
           </select>
 
+          {sortKey !== SortKey.RANDOM && sortSelection !== "collection" && (
+            <SortChainEditor
+              primaryKey={sortKey}
+              thenBy={sortThenBy}
+              customFields={customFields}
+              onChange={onSortThenByChange}
+              disabled={isLoadingFolder}
+            />
+          )}
+
           <button
             onClick={onGroupByFoldersToggle}
             disabled={isLoadingFolder}
@@ -277,6 +451,36 @@ export default function HeaderBar({
             </button>
           )}
 
+          <label className="header-search" title="Search prompts, filenames and tags">
+            <SearchIcon aria-hidden="true" />
+            <input
+              type="search"
+              value={searchQuery}
+              onChange={(e) => onSearchChange?.(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Escape" && searchQuery) {
+                  e.preventDefault();
+                  e.stopPropagation();
+                  onSearchChange?.("");
+                }
+              }}
+              placeholder="Search prompts, names, tags"
+              aria-label="Search library"
+              disabled={isLoadingFolder}
+              spellCheck={false}
+            />
+            {searchQuery && (
+              <button
+                type="button"
+                className="header-search__clear"
+                onClick={() => onSearchChange?.("")}
+                aria-label="Clear search"
+              >
+                ×
+              </button>
+            )}
+          </label>
+
           <div style={{ position: "relative" }}>
             <button
               ref={filtersButtonRef}
@@ -300,6 +504,76 @@ export default function HeaderBar({
             </button>
           </div>
 
+          <SavedSearchesMenu
+            items={savedSearches}
+            onApply={onApplySavedSearch}
+            onSave={onSaveSearch}
+            onDelete={onDeleteSavedSearch}
+            disabled={isLoadingFolder}
+          />
+
+          {isElectron && (
+            <CollectionsMenu
+              items={collections}
+              activeCollection={activeCollection}
+              onOpen={onOpenCollection}
+              onCreate={onCreateCollection}
+              onDelete={onDeleteCollection}
+              disabled={isLoadingFolder}
+            />
+          )}
+
+          {isElectron && onFindSimilar && (
+            <button
+              type="button"
+              className="toggle-button"
+              onClick={onFindSimilar}
+              disabled={isLoadingFolder || !hasOpenFolder}
+              title="Find similar / duplicates"
+            >
+              <SimilarIcon />
+              <span className="filters-button-label">Similar</span>
+            </button>
+          )}
+
+          {isElectron && onCompare && (
+            <button
+              type="button"
+              className="toggle-button"
+              onClick={onCompare}
+              disabled={isLoadingFolder || !hasOpenFolder}
+              title="Compare clips head to head (the selection, or every visible clip)"
+            >
+              <CompareIcon />
+              <span className="filters-button-label">Compare</span>
+            </button>
+          )}
+
+          {isElectron && onExportDataset && (
+            <button
+              type="button"
+              className="toggle-button"
+              onClick={onExportDataset}
+              disabled={isLoadingFolder || !hasOpenFolder}
+              title="Export dataset…"
+            >
+              <ExportIcon />
+              <span className="filters-button-label">Export</span>
+            </button>
+          )}
+
+          {isElectron && onManageTags && (
+            <button
+              type="button"
+              className="toggle-button"
+              onClick={onManageTags}
+              title="Rename, merge, delete and alias tags"
+            >
+              <TagsIcon />
+              <span className="filters-button-label">Tags</span>
+            </button>
+          )}
+
           <SupportLink
             className="donate-button"
             aria-label={`${supportContent.donationButtonLabel} – ${supportContent.donationTooltip}`}
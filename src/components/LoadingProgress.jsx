@@ -1,7 +1,7 @@
 import React from 'react';
 
 const LoadingProgress = ({ progress, onCancel }) => {
-  const { current, total, stage } = progress;
+  const { current, total, stage, detail } = progress;
   const percentage = total > 0 ? Math.round((current / total) * 100) : 0;
 
   return (
@@ -42,7 +42,8 @@ const LoadingProgress = ({ progress, onCancel }) => {
           fontSize: '0.9rem',
           color: '#ccc',
           marginBottom: '1.5rem',
-          minHeight: '1.2rem'
+          minHeight: '1.2rem',
+          overflowWrap: 'anywhere'
         }}>
           {stage}
         </div>
@@ -78,7 +79,7 @@ const LoadingProgress = ({ progress, onCancel }) => {
           alignItems: 'center'
         }}>
           <span>
-            {total > 0 ? `${current.toLocaleString()} / ${total.toLocaleString()}` : 'Preparing...'}
+            {detail || (total > 0 ? `${current.toLocaleString()} / ${total.toLocaleString()}` : 'Preparing...')}
           </span>
           <span style={{ fontWeight: 'bold', color: '#4CAF50' }}>
             {percentage}%
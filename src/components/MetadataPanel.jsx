@@ -6,6 +6,12 @@ import React, {
   useCallback,
   forwardRef,
 } from "react";
+import { describeMediaInfo } from "../utils/mediaInfo";
+import CaptionEditor from "./CaptionEditor";
+import CustomFieldsEditor from "./CustomFieldsEditor";
+import TagTree from "./TagTree";
+import { buildTagColorMap } from "../app/filters/tagHierarchy";
+import { COLOR_LABELS, REVIEW_FLAGS } from "../utils/reviewMarks";
 import "./MetadataPanel.css";
 
 const STAR_VALUES = [1, 2, 3, 4, 5];
@@ -48,6 +54,131 @@ const RatingStars = ({ value, isMixed, onSelect, onClear, disabled }) => {
   );
 };
 
+// The value all selected clips share, or undefined when they differ.
+const commonValue = (videos, key) => {
+  const first = videos[0]?.[key] ?? null;
+  return videos.every((video) => (video?.[key] ?? null) === first) ? first : undefined;
+};
+
+// Pick/reject flag and colour label. Clicking the active choice clears it.
+const ReviewMarks = ({ videos, onSetFlag, onSetLabel, disabled }) => {
+  const flag = commonValue(videos, "flag");
+  const label = commonValue(videos, "label");
+  return (
+    <div className="metadata-panel__marks-row">
+      <div className="metadata-panel__flags" role="group" aria-label="Flag">
+        {REVIEW_FLAGS.map((entry) => (
+          <button
+            key={entry.id}
+            type="button"
+            className={`metadata-panel__flag is-${entry.id}${
+              flag === entry.id ? " is-active" : ""
+            }`}
+            aria-pressed={flag === entry.id}
+            onClick={() => onSetFlag?.(flag === entry.id ? null : entry.id)}
+            disabled={disabled}
+          >
+            {entry.glyph} {entry.label}
+          </button>
+        ))}
+      </div>
+      <div className="metadata-panel__labels" role="group" aria-label="Colour label">
+        {COLOR_LABELS.map((entry) => (
+          <button
+            key={entry.id}
+            type="button"
+            className={`metadata-panel__label-swatch${label === entry.id ? " is-active" : ""}`}
+            style={{ "--label-color": entry.color }}
+            aria-label={`${entry.label} label`}
+            aria-pressed={label === entry.id}
+            onClick={() => onSetLabel?.(label === entry.id ? null : entry.id)}
+            disabled={disabled}
+          />
+        ))}
+      </div>
+      {(flag === undefined || label === undefined) && (
+        <span className="metadata-panel__badge">Mixed</span>
+      )}
+    </div>
+  );
+};
+
+const WORKFLOW_FIELDS = [
+  { key: "positivePrompt", label: "Positive prompt", multiline: true },
+  { key: "negativePrompt", label: "Negative prompt", multiline: true },
+  { key: "seed", label: "Seed" },
+  { key: "sampler", label: "Sampler" },
+  { key: "model", label: "Model" },
+];
+
+const formatWorkflowValue = (summary, key) => {
+  if (key === "sampler" && summary?.sampler) {
+    return summary.scheduler
+      ? `${summary.sampler} (${summary.scheduler})`
+      : summary.sampler;
+  }
+  const value = summary?.[key];
+  return value === null || value === undefined || value === "" ? null : String(value);
+};
+
+const WorkflowDetails = ({ state, onCopy, onSave }) => {
+  const status = state?.status || "idle";
+
+  if (status === "loading" || status === "idle") {
+    return (
+      <p className="metadata-panel__hint" aria-live="polite">
+        Reading embedded metadata…
+      </p>
+    );
+  }
+
+  if (status === "error") {
+    return (
+      <p className="metadata-panel__hint metadata-panel__hint--error" role="alert">
+        {`Could not read workflow: ${state.error}`}
+      </p>
+    );
+  }
+
+  if (status !== "ready" || !state.workflow) {
+    return (
+      <p className="metadata-panel__hint">No ComfyUI workflow found in this file.</p>
+    );
+  }
+
+  const summary = state.workflow.summary || {};
+
+  return (
+    <section className="metadata-panel__section metadata-panel__section--workflow">
+      <dl className="metadata-panel__workflow-fields">
+        {WORKFLOW_FIELDS.map(({ key, label, multiline }) => {
+          const value = formatWorkflowValue(summary, key);
+          return (
+            <div key={key} className="metadata-panel__workflow-field">
+              <dt>{label}</dt>
+              <dd
+                className={`metadata-panel__workflow-value${
+                  multiline ? " metadata-panel__workflow-value--multiline" : ""
+                }${value ? "" : " is-empty"}`}
+              >
+                {value ?? "—"}
+              </dd>
+            </div>
+          );
+        })}
+      </dl>
+      <div className="metadata-panel__workflow-actions">
+        <button type="button" onClick={() => onCopy?.()}>
+          Copy JSON
+        </button>
+        <button type="button" onClick={() => onSave?.()}>
+          Save JSON…
+        </button>
+      </div>
+    </section>
+  );
+};
+
 const MetadataPanel = forwardRef((
   {
     isOpen,
@@ -59,18 +190,36 @@ const MetadataPanel = forwardRef((
     onAddTag,
     onRemoveTag,
     onApplyTagToSelection,
+    onSetTagColor,
+    onSetTagParent,
     onSetRating,
     onClearRating,
+    onSetFlag,
+    onSetLabel,
+    onSaveCaption,
+    onBulkEditCaptions,
+    customFields = [],
+    onSetNotes,
+    onSetFieldValue,
+    onCreateField,
+    onUpdateField,
+    onDeleteField,
     focusToken,
     onFocusSelection,
     dockHeight,
     minDockHeight,
     maxDockHeight,
     onDockHeightChange,
+    activeTab,
+    onTabChange,
+    workflowState,
+    onCopyWorkflow,
+    onSaveWorkflow,
   },
   ref
 ) => {
   const [inputValue, setInputValue] = useState("");
+  const [internalTab, setInternalTab] = useState("details");
   const inputRef = useRef(null);
   const resizeSessionCleanupRef = useRef(null);
 
@@ -208,6 +357,20 @@ const MetadataPanel = forwardRef((
   }, [selectionCount, selectedVideos]);
 
   const hasSelection = derivedSelectionCount > 0;
+  const showTabs = derivedSelectionCount === 1;
+  const requestedTab = activeTab ?? internalTab;
+  const resolvedTab = showTabs ? requestedTab : "details";
+
+  const selectTab = useCallback(
+    (tab) => {
+      if (typeof onTabChange === "function") {
+        onTabChange(tab);
+      } else {
+        setInternalTab(tab);
+      }
+    },
+    [onTabChange]
+  );
 
   useEffect(() => {
     if (isOpen && focusToken) {
@@ -365,7 +528,9 @@ const MetadataPanel = forwardRef((
       Number.isFinite(width) && width > 0 && Number.isFinite(height) && height > 0;
     const resolution = hasResolution ? `${width}×${height}` : null;
 
-    if (!filename && !createdDisplay && !resolution) {
+    const media = describeMediaInfo(video?.media);
+
+    if (!filename && !createdDisplay && !resolution && !media.length) {
       return null;
     }
 
@@ -373,6 +538,7 @@ const MetadataPanel = forwardRef((
       filename,
       created: createdDisplay,
       resolution,
+      media,
     };
   }, [derivedSelectionCount, selectedVideos]);
 
@@ -397,6 +563,11 @@ const MetadataPanel = forwardRef((
   }, [singleSelectionInfo]);
 
   const sharedTagSet = useMemo(() => new Set(sharedTags), [sharedTags]);
+  const tagColors = useMemo(() => buildTagColorMap(availableTags), [availableTags]);
+  const chipStyle = (tag) => {
+    const color = tagColors.get(tag.toLowerCase());
+    return color ? { "--tag-color": color } : undefined;
+  };
 
   const dedupedAvailableTags = useMemo(() => {
     if (!Array.isArray(availableTags)) return [];
@@ -603,155 +774,253 @@ const MetadataPanel = forwardRef((
             </div>
           ) : (
             <div className="metadata-panel__body">
-                {infoLineItems.length > 0 && (
-                  <section className="metadata-panel__section metadata-panel__info">
-                    <div className="metadata-panel__info-line" role="text">
-                      {infoLineItems.map((item, index) => (
-                        <span
-                          key={item.key || index}
-                          className={`metadata-panel__info-item${
-                            item.className ? ` ${item.className}` : ""
-                          }`}
-                          title={item.title}
-                        >
-                          {index > 0 && (
+                {showTabs && (
+                  <div className="metadata-panel__tabs" role="tablist">
+                    {[
+                      { id: "details", label: "Details" },
+                      { id: "workflow", label: "Workflow" },
+                    ].map((tab) => (
+                      <button
+                        key={tab.id}
+                        type="button"
+                        role="tab"
+                        aria-selected={resolvedTab === tab.id}
+                        className={`metadata-panel__tab${
+                          resolvedTab === tab.id ? " is-active" : ""
+                        }`}
+                        onClick={() => selectTab(tab.id)}
+                      >
+                        {tab.label}
+                      </button>
+                    ))}
+                  </div>
+                )}
+
+                {resolvedTab === "workflow" ? (
+                  <WorkflowDetails
+                    state={workflowState}
+                    onCopy={onCopyWorkflow}
+                    onSave={onSaveWorkflow}
+                  />
+                ) : (
+                  <>
+                    {singleSelectionInfo && (
+                      <section className="metadata-panel__section metadata-panel__info">
+                        <div className="metadata-panel__info-line" role="text">
+                          {infoLineItems.map((item, index) => (
                             <span
-                              aria-hidden="true"
-                              className="metadata-panel__info-separator"
+                              key={item.key || index}
+                              className={`metadata-panel__info-item${
+                                item.className ? ` ${item.className}` : ""
+                              }`}
+                              title={item.title}
                             >
-                              •
+                              {index > 0 && (
+                                <span
+                                  aria-hidden="true"
+                                  className="metadata-panel__info-separator"
+                                >
+                                  •
+                                </span>
+                              )}
+                              <span>{item.label}</span>
                             </span>
+                          ))}
+                        </div>
+                        {singleSelectionInfo.media.length > 0 && (
+                          <div
+                            className="metadata-panel__info-line metadata-panel__info-line--media"
+                            role="text"
+                          >
+                            {singleSelectionInfo.media.map((item, index) => (
+                              <span
+                                key={item.key}
+                                className={`metadata-panel__info-item${
+                                  item.warning ? " metadata-panel__info-item--warning" : ""
+                                }`}
+                                title={item.warning ? "Zero-length clip" : undefined}
+                              >
+                                {index > 0 && (
+                                  <span
+                                    aria-hidden="true"
+                                    className="metadata-panel__info-separator"
+                                  >
+                                    •
+                                  </span>
+                                )}
+                                <span>{item.label}</span>
+                              </span>
+                            ))}
+                          </div>
+                        )}
+                      </section>
+                    )}
+
+                    <div className="metadata-panel__grid">
+                      <section className="metadata-panel__section metadata-panel__section--rating">
+                        <div className="metadata-panel__section-header">
+                          <span>Rating</span>
+                          {ratingInfo.mixed ? (
+                            <span className="metadata-panel__badge">Mixed</span>
+                          ) : ratingInfo.hasAny ? (
+                            <span className="metadata-panel__badge metadata-panel__badge--accent">
+                              {`${ratingInfo.value} / 5`}
+                            </span>
+                          ) : (
+                            <span className="metadata-panel__badge">Not rated</span>
                           )}
-                          <span>{item.label}</span>
-                        </span>
-                      ))}
-                    </div>
-                  </section>
-                )}
+                        </div>
+                        <RatingStars
+                          value={ratingInfo.value}
+                          isMixed={ratingInfo.mixed}
+                          onSelect={(val) => onSetRating?.(val)}
+                          onClear={onClearRating}
+                          disabled={!hasSelection}
+                        />
+                        <ReviewMarks
+                          videos={selectedVideos}
+                          onSetFlag={onSetFlag}
+                          onSetLabel={onSetLabel}
+                          disabled={!hasSelection}
+                        />
+                      </section>
+
+                      <section className="metadata-panel__section metadata-panel__section--tags">
+                        <div className="metadata-panel__section-header">
+                          <span>Tags</span>
+                          <span className="metadata-panel__badge">
+                            {sharedTags.length ? `${sharedTags.length} applied` : "None"}
+                          </span>
+                        </div>
+                        <div className="metadata-panel__chips">
+                          {sharedTags.length === 0 ? (
+                            <span className="metadata-panel__hint">No shared tags yet.</span>
+                          ) : (
+                            sharedTags.map((tag) => (
+                              <button
+                                key={tag}
+                                type="button"
+                                className={`metadata-panel__chip${
+                                  tagColors.has(tag.toLowerCase()) ? " has-color" : ""
+                                }`}
+                                style={chipStyle(tag)}
+                                onClick={() => onRemoveTag?.(tag)}
+                              >
+                                <span>#{tag}</span>
+                                <span aria-hidden="true">×</span>
+                              </button>
+                            ))
+                          )}
+                        </div>
 
-                <div className="metadata-panel__grid">
-                  <section className="metadata-panel__section metadata-panel__section--rating">
-                    <div className="metadata-panel__section-header">
-                      <span>Rating</span>
-                      {ratingInfo.mixed ? (
-                        <span className="metadata-panel__badge">Mixed</span>
-                      ) : ratingInfo.hasAny ? (
-                        <span className="metadata-panel__badge metadata-panel__badge--accent">
-                          {`${ratingInfo.value} / 5`}
-                        </span>
-                      ) : (
-                        <span className="metadata-panel__badge">Not rated</span>
-                      )}
-                    </div>
-                    <RatingStars
-                      value={ratingInfo.value}
-                      isMixed={ratingInfo.mixed}
-                      onSelect={(val) => onSetRating?.(val)}
-                      onClear={onClearRating}
-                      disabled={!hasSelection}
-                    />
-                  </section>
-
-                  <section className="metadata-panel__section metadata-panel__section--tags">
-                    <div className="metadata-panel__section-header">
-                      <span>Tags</span>
-                      <span className="metadata-panel__badge">
-                        {sharedTags.length ? `${sharedTags.length} applied` : "None"}
-                      </span>
-                    </div>
-                    <div className="metadata-panel__chips">
-                      {sharedTags.length === 0 ? (
-                        <span className="metadata-panel__hint">No shared tags yet.</span>
-                      ) : (
-                        sharedTags.map((tag) => (
+                        {partialTags.length > 0 && (
+                          <div className="metadata-panel__partial-group">
+                            <div className="metadata-panel__section-subtitle">
+                              Appears on some selected clips
+                            </div>
+                            <div className="metadata-panel__chips">
+                              {partialTags.map(({ tag, count }) => (
+                                <button
+                                  key={tag}
+                                  type="button"
+                                  className="metadata-panel__chip metadata-panel__chip--ghost"
+                                  onClick={() => onApplyTagToSelection?.(tag)}
+                                  title={`Apply to all (${count}/${derivedSelectionCount})`}
+                                >
+                                  <span>#{tag}</span>
+                                  <span className="metadata-panel__chip-count">
+                                    {count}/{derivedSelectionCount}
+                                  </span>
+                                </button>
+                              ))}
+                            </div>
+                          </div>
+                        )}
+
+                        <div className="metadata-panel__input-row">
+                          <input
+                            ref={inputRef}
+                            type="text"
+                            value={inputValue}
+                            onChange={(e) => setInputValue(e.target.value)}
+                            onKeyDown={handleKeyDown}
+                            placeholder="Add tag and press Enter"
+                            disabled={!hasSelection}
+                          />
                           <button
-                            key={tag}
                             type="button"
-                            className="metadata-panel__chip"
-                            onClick={() => onRemoveTag?.(tag)}
+                            onClick={handleTagSubmit}
+                            disabled={!hasSelection || !inputValue.trim()}
                           >
-                            <span>#{tag}</span>
-                            <span aria-hidden="true">×</span>
+                            Add
                           </button>
-                        ))
+                        </div>
+                      </section>
+
+                      {hasSuggestionQuery ? (
+                        suggestionTags.length > 0 && (
+                          <section
+                            className="metadata-panel__section metadata-panel__section--suggestions"
+                            aria-live="polite"
+                          >
+                            <div className="metadata-panel__section-subtitle metadata-panel__suggestions-title">
+                              Matching tags
+                            </div>
+                            <div className="metadata-panel__suggestion-list">
+                              {suggestionTags.map((suggestion) => (
+                                <button
+                                  key={suggestion.name}
+                                  type="button"
+                                  className="metadata-panel__suggestion"
+                                  onClick={() => onApplyTagToSelection?.(suggestion.name)}
+                                  title={`Apply #${suggestion.name} to selection`}
+                                >
+                                  <span>#{suggestion.name}</span>
+                                  {typeof suggestion.usageCount === "number" && (
+                                    <span className="metadata-panel__suggestion-count">
+                                      {suggestion.usageCount}
+                                    </span>
+                                  )}
+                                </button>
+                              ))}
+                            </div>
+                          </section>
+                        )
+                      ) : (
+                        availableTags.length > 0 && (
+                          <section className="metadata-panel__section metadata-panel__section--suggestions">
+                            <div className="metadata-panel__section-subtitle metadata-panel__suggestions-title">
+                              All tags
+                            </div>
+                            <TagTree
+                              tags={availableTags}
+                              appliedTags={sharedTags}
+                              onApply={onApplyTagToSelection}
+                              onSetColor={onSetTagColor}
+                              onSetParent={onSetTagParent}
+                            />
+                          </section>
+                        )
                       )}
-                    </div>
 
-                    {partialTags.length > 0 && (
-                      <div className="metadata-panel__partial-group">
-                        <div className="metadata-panel__section-subtitle">
-                          Appears on some selected clips
-                        </div>
-                        <div className="metadata-panel__chips">
-                          {partialTags.map(({ tag, count }) => (
-                            <button
-                              key={tag}
-                              type="button"
-                              className="metadata-panel__chip metadata-panel__chip--ghost"
-                              onClick={() => onApplyTagToSelection?.(tag)}
-                              title={`Apply to all (${count}/${derivedSelectionCount})`}
-                            >
-                              <span>#{tag}</span>
-                              <span className="metadata-panel__chip-count">
-                                {count}/{derivedSelectionCount}
-                              </span>
-                            </button>
-                          ))}
-                        </div>
-                      </div>
-                    )}
+                      <CaptionEditor
+                        selectedVideos={selectedVideos}
+                        onSave={onSaveCaption}
+                        onBulkEdit={onBulkEditCaptions}
+                      />
 
-                    <div className="metadata-panel__input-row">
-                      <input
-                        ref={inputRef}
-                        type="text"
-                        value={inputValue}
-                        onChange={(e) => setInputValue(e.target.value)}
-                        onKeyDown={handleKeyDown}
-                        placeholder="Add tag and press Enter"
-                        disabled={!hasSelection}
+                      <CustomFieldsEditor
+                        selectedVideos={selectedVideos}
+                        fields={customFields}
+                        onSetNotes={onSetNotes}
+                        onSetFieldValue={onSetFieldValue}
+                        onCreateField={onCreateField}
+                        onUpdateField={onUpdateField}
+                        onDeleteField={onDeleteField}
                       />
-                      <button
-                        type="button"
-                        onClick={handleTagSubmit}
-                        disabled={!hasSelection || !inputValue.trim()}
-                      >
-                        Add
-                      </button>
                     </div>
-                  </section>
-
-                  {suggestionTags.length > 0 && (
-                    <section
-                      className="metadata-panel__section metadata-panel__section--suggestions"
-                      aria-live="polite"
-                    >
-                      <div className="metadata-panel__section-subtitle metadata-panel__suggestions-title">
-                        {hasSuggestionQuery
-                          ? "Matching tags"
-                          : `Popular tags (top ${MAX_SUGGESTION_TAGS})`}
-                      </div>
-                      <div className="metadata-panel__suggestion-list">
-                        {suggestionTags.map((suggestion) => (
-                          <button
-                            key={suggestion.name}
-                            type="button"
-                            className="metadata-panel__suggestion"
-                            onClick={() => onApplyTagToSelection?.(suggestion.name)}
-                            title={`Apply #${suggestion.name} to selection`}
-                          >
-                            <span>#{suggestion.name}</span>
-                            {typeof suggestion.usageCount === "number" && (
-                              <span className="metadata-panel__suggestion-count">
-                                {suggestion.usageCount}
-                              </span>
-                            )}
-                          </button>
-                        ))}
-                      </div>
-                    </section>
-                  )}
-                </div>
+                  </>
+                )}
               </div>
             )}
           </div>
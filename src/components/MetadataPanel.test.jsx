@@ -192,3 +192,94 @@ describe('MetadataPanel collapsed shell', () => {
     expect(handleToggle).toHaveBeenCalledTimes(1);
   });
 });
+
+describe('MetadataPanel workflow tab', () => {
+  const video = { name: 'comfy.mp4', metadata: {}, dimensions: null };
+
+  it('only offers the workflow tab for a single selection', () => {
+    renderPanel({ selectionCount: 2, selectedVideos: [video, { ...video, name: 'b.mp4' }] });
+    expect(screen.queryByRole('tab', { name: 'Workflow' })).toBeNull();
+  });
+
+  it('asks the parent to switch tabs when controlled', () => {
+    const onTabChange = vi.fn();
+    renderPanel({ selectedVideos: [video], activeTab: 'details', onTabChange });
+
+    fireEvent.click(screen.getByRole('tab', { name: 'Workflow' }));
+    expect(onTabChange).toHaveBeenCalledWith('workflow');
+  });
+
+  it('shows the extracted prompt summary and wires copy/save buttons', () => {
+    const onCopyWorkflow = vi.fn();
+    const onSaveWorkflow = vi.fn();
+    renderPanel({
+      selectedVideos: [video],
+      activeTab: 'workflow',
+      onCopyWorkflow,
+      onSaveWorkflow,
+      workflowState: {
+        status: 'ready',
+        workflow: {
+          summary: {
+            positivePrompt: 'a bee in a meadow',
+            negativePrompt: null,
+            seed: 42,
+            sampler: 'euler',
+            scheduler: 'karras',
+            model: 'dreamshaper_8.safetensors',
+          },
+        },
+      },
+    });
+
+    expect(screen.getByText('a bee in a meadow')).toBeInTheDocument();
+    expect(screen.getByText('42')).toBeInTheDocument();
+    expect(screen.getByText('euler (karras)')).toBeInTheDocument();
+    expect(screen.getByText('dreamshaper_8.safetensors')).toBeInTheDocument();
+    expect(screen.queryByText('Rating')).toBeNull();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Copy JSON' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Save JSON…' }));
+    expect(onCopyWorkflow).toHaveBeenCalledTimes(1);
+    expect(onSaveWorkflow).toHaveBeenCalledTimes(1);
+  });
+
+  it('explains when a file carries no workflow', () => {
+    renderPanel({
+      selectedVideos: [video],
+      activeTab: 'workflow',
+      workflowState: { status: 'missing', workflow: null, error: null },
+    });
+
+    expect(screen.getByText('No ComfyUI workflow found in this file.')).toBeInTheDocument();
+  });
+});
+
+describe('MetadataPanel review marks', () => {
+  it('toggles flags and colour labels for the selection', () => {
+    const onSetFlag = vi.fn();
+    const onSetLabel = vi.fn();
+    renderPanel({
+      selectedVideos: [
+        { id: 'a', flag: 'pick', label: 'red', tags: [] },
+        { id: 'b', flag: 'pick', label: null, tags: [] },
+      ],
+      onSetFlag,
+      onSetLabel,
+    });
+
+    const pick = screen.getByRole('button', { name: /Pick/ });
+    expect(pick).toHaveAttribute('aria-pressed', 'true');
+    expect(screen.getByRole('button', { name: 'Red label' })).toHaveAttribute(
+      'aria-pressed',
+      'false'
+    );
+
+    fireEvent.click(pick);
+    expect(onSetFlag).toHaveBeenLastCalledWith(null);
+    fireEvent.click(screen.getByRole('button', { name: /Reject/ }));
+    expect(onSetFlag).toHaveBeenLastCalledWith('reject');
+    fireEvent.click(screen.getByRole('button', { name: 'Green label' }));
+    expect(onSetLabel).toHaveBeenLastCalledWith('green');
+  });
+});
@@ -29,14 +29,16 @@ export default function RecentFolders({ items, onOpen, onRemove, onClear }) {
                 background: '#1c1c1c'
               }}>
             <button
-              onClick={() => onOpen(it.path)}
+              onClick={() => onOpen(it.roots?.length ? it.roots : it.path)}
               style={{ 
                 flex: 1, textAlign: 'left', background: 'transparent', border: 'none', color: '#ddd', cursor: 'pointer'
               }}
-              title={it.path}
+              title={it.roots?.length ? it.roots.join('\n') : it.path}
             >
               <div style={{ fontSize: 14, fontWeight: 600 }}>{it.name}</div>
-              <div style={{ fontSize: 12, color: '#888', marginTop: 2 }}>{it.path}</div>
+              {(it.roots?.length ? it.roots : [it.path]).map((root) => (
+                <div key={root} style={{ fontSize: 12, color: '#888', marginTop: 2 }}>{root}</div>
+              ))}
             </button>
             <button
               onClick={() => onRemove(it.path)}
@@ -7,7 +7,8 @@ export default function RecentLocationsMenu({ items, onOpen }) {
       className="select-control"
       onChange={(e) => {
         const path = e.target.value;
-        if (path) onOpen(path);
+        const item = items.find((it) => it.path === path);
+        if (item) onOpen(item.roots?.length ? item.roots : item.path);
         e.target.value = "";
       }}
       title="Open recent folder"
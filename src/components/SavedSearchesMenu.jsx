@@ -0,0 +1,125 @@
+import React, { useEffect, useRef, useState } from "react";
+import "./SavedSearchesMenu.css";
+
+const BookmarkIcon = (props) => (
+  <svg
+    viewBox="0 0 24 24"
+    width="1em"
+    height="1em"
+    stroke="currentColor"
+    strokeWidth="2"
+    strokeLinecap="round"
+    strokeLinejoin="round"
+    fill="none"
+    {...props}
+  >
+    <path d="M6 3h12v18l-6-4-6 4z" />
+  </svg>
+);
+
+export default function SavedSearchesMenu({
+  items = [],
+  onApply,
+  onSave,
+  onDelete,
+  disabled = false,
+}) {
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState("");
+  const rootRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const handlePointerDown = (event) => {
+      if (!rootRef.current?.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+    const handleKeydown = (event) => {
+      if (event.key === "Escape") setOpen(false);
+    };
+    document.addEventListener("mousedown", handlePointerDown);
+    window.addEventListener("keydown", handleKeydown);
+    return () => {
+      document.removeEventListener("mousedown", handlePointerDown);
+      window.removeEventListener("keydown", handleKeydown);
+    };
+  }, [open]);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    const saved = await onSave?.(trimmed);
+    if (saved !== false) setName("");
+  };
+
+  return (
+    <div className="saved-searches" ref={rootRef}>
+      <button
+        type="button"
+        className={`toggle-button ${open ? "active" : ""}`}
+        onClick={() => setOpen((value) => !value)}
+        disabled={disabled}
+        title="Saved searches"
+        aria-haspopup="true"
+        aria-expanded={open}
+      >
+        <BookmarkIcon />
+        <span className="filters-button-label">Saved</span>
+      </button>
+
+      {open && (
+        <div className="saved-searches__popover" role="dialog" aria-label="Saved searches">
+          {items.length === 0 ? (
+            <p className="saved-searches__empty">
+              No saved searches yet. Save the current filters, sort and grouping below.
+            </p>
+          ) : (
+            <ul className="saved-searches__list">
+              {items.map((item) => (
+                <li key={item.id} className="saved-searches__item">
+                  <button
+                    type="button"
+                    className="saved-searches__apply"
+                    onClick={() => {
+                      onApply?.(item);
+                      setOpen(false);
+                    }}
+                    title={item.filters?.query || "No filters"}
+                  >
+                    {item.name}
+                  </button>
+                  <button
+                    type="button"
+                    className="saved-searches__delete"
+                    onClick={() => onDelete?.(item.id)}
+                    aria-label={`Delete ${item.name}`}
+                    title="Delete"
+                  >
+                    ×
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <form className="saved-searches__form" onSubmit={handleSubmit}>
+            <input
+              type="text"
+              value={name}
+              onChange={(event) => setName(event.target.value)}
+              placeholder="Name current view"
+              aria-label="Saved search name"
+              autoComplete="off"
+              spellCheck={false}
+            />
+            <button type="submit" disabled={!name.trim()}>
+              Save
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
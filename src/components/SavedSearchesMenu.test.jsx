@@ -0,0 +1,34 @@
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import SavedSearchesMenu from './SavedSearchesMenu';
+
+const items = [
+  { id: 1, name: 'Night city', filters: { query: 'city' }, sortValue: 'created-desc', groupByFolders: false },
+];
+
+describe('SavedSearchesMenu', () => {
+  it('applies an entry and closes', () => {
+    const onApply = vi.fn();
+    render(<SavedSearchesMenu items={items} onApply={onApply} />);
+
+    fireEvent.click(screen.getByTitle('Saved searches'));
+    fireEvent.click(screen.getByText('Night city'));
+
+    expect(onApply).toHaveBeenCalledWith(items[0]);
+    expect(screen.queryByText('Night city')).toBeNull();
+  });
+
+  it('saves the current view under the typed name', async () => {
+    const onSave = vi.fn().mockResolvedValue(true);
+    render(<SavedSearchesMenu items={[]} onSave={onSave} />);
+
+    fireEvent.click(screen.getByTitle('Saved searches'));
+    const input = screen.getByLabelText('Saved search name');
+    fireEvent.change(input, { target: { value: '  Portraits ' } });
+    fireEvent.submit(input.closest('form'));
+
+    expect(onSave).toHaveBeenCalledWith('Portraits');
+    await screen.findByDisplayValue('');
+  });
+});
@@ -0,0 +1,183 @@
+import React, { useEffect, useState } from "react";
+import "./ScanRulesDialog.css";
+
+const MAX_DEPTH_LIMIT = 64;
+
+/**
+ * Edits the active profile's scan rules: extra video extensions, exclude
+ * globs, folder depth, symlinks and dot-folders. The scanner, watcher and
+ * polling fallback all follow them; onSaved lets the app rescan.
+ */
+export default function ScanRulesDialog({ onClose, onSaved, notify }) {
+  const [defaultExtensions, setDefaultExtensions] = useState([]);
+  const [extensions, setExtensions] = useState("");
+  const [excludeGlobs, setExcludeGlobs] = useState("");
+  const [maxDepth, setMaxDepth] = useState(10);
+  const [followSymlinks, setFollowSymlinks] = useState(false);
+  const [includeDotFolders, setIncludeDotFolders] = useState(false);
+  const [loaded, setLoaded] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let alive = true;
+    const load = async () => {
+      try {
+        const response = await window.electronAPI?.scanRules?.get?.();
+        if (!alive || !response) return;
+        const rules = response.rules || {};
+        setDefaultExtensions(response.defaultExtensions || []);
+        setExtensions((rules.extraExtensions || []).join(", "));
+        setExcludeGlobs((rules.excludeGlobs || []).join("\n"));
+        setMaxDepth(Number.isFinite(rules.maxDepth) ? rules.maxDepth : 10);
+        setFollowSymlinks(!!rules.followSymlinks);
+        setIncludeDotFolders(!!rules.includeDotFolders);
+        setLoaded(true);
+      } catch (error) {
+        console.error("Failed to load scan rules:", error);
+        notify?.("Failed to load scan rules", "error");
+      }
+    };
+    load();
+    return () => {
+      alive = false;
+    };
+  }, [notify]);
+
+  const handleSave = async () => {
+    if (!loaded || saving) return;
+    setSaving(true);
+    try {
+      const result = await window.electronAPI?.scanRules?.set?.({
+        extraExtensions: extensions.split(/[\s,]+/).filter(Boolean),
+        excludeGlobs: excludeGlobs.split(/\r?\n/),
+        maxDepth,
+        followSymlinks,
+        includeDotFolders,
+      });
+      if (!result?.success) {
+        notify?.(result?.error || "Failed to save scan rules", "error");
+        setSaving(false);
+        return;
+      }
+      onSaved?.(result.rules);
+      onClose?.();
+    } catch (error) {
+      console.error("Failed to save scan rules:", error);
+      notify?.("Failed to save scan rules", "error");
+      setSaving(false);
+    }
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === "Escape") {
+      event.preventDefault();
+      onClose?.();
+    }
+  };
+
+  return (
+    <div
+      className="profile-prompt-backdrop"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="scan-rules-title"
+      onKeyDown={handleKeyDown}
+    >
+      <div className="profile-prompt-dialog scan-rules">
+        <header className="profile-prompt-header">
+          <h2 id="scan-rules-title">Scan rules</h2>
+          <p className="profile-prompt-message">
+            Which files and folders this profile scans and watches. Saving rescans the open
+            folder.
+          </p>
+        </header>
+
+        <div className="profile-prompt-body scan-rules__body">
+          <fieldset className="scan-rules__group" disabled={!loaded || saving}>
+            <legend>Extensions</legend>
+            <p className="scan-rules__hint">Always included: {defaultExtensions.join(" ")}</p>
+            <input
+              type="text"
+              className="profile-prompt-input"
+              value={extensions}
+              onChange={(event) => setExtensions(event.target.value)}
+              placeholder=".ts, .mpg"
+              aria-label="Extra extensions"
+            />
+          </fieldset>
+
+          <fieldset className="scan-rules__group" disabled={!loaded || saving}>
+            <legend>Exclude</legend>
+            <p className="scan-rules__hint">
+              One .gitignore-style pattern per line, relative to each library folder, e.g.{" "}
+              <code>renders/</code>, <code>*.part.mp4</code>, <code>/archive/**</code>,{" "}
+              <code>!keep.mp4</code>
+            </p>
+            <textarea
+              className="profile-prompt-input scan-rules__globs"
+              value={excludeGlobs}
+              onChange={(event) => setExcludeGlobs(event.target.value)}
+              rows={5}
+              spellCheck={false}
+              aria-label="Exclude patterns"
+            />
+          </fieldset>
+
+          <fieldset className="scan-rules__group scan-rules__group--inline" disabled={!loaded || saving}>
+            <legend>Folders</legend>
+            <label>
+              Max depth
+              <input
+                type="number"
+                min="0"
+                max={MAX_DEPTH_LIMIT}
+                step="1"
+                value={maxDepth}
+                onChange={(event) =>
+                  setMaxDepth(
+                    Math.max(0, Math.min(MAX_DEPTH_LIMIT, Math.trunc(Number(event.target.value) || 0)))
+                  )
+                }
+                aria-label="Max depth"
+              />
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={followSymlinks}
+                onChange={(event) => setFollowSymlinks(event.target.checked)}
+              />
+              Follow symlinks
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={includeDotFolders}
+                onChange={(event) => setIncludeDotFolders(event.target.checked)}
+              />
+              Include dot-folders
+            </label>
+          </fieldset>
+        </div>
+
+        <footer className="profile-prompt-footer">
+          <button
+            type="button"
+            className="profile-prompt-button profile-prompt-button--secondary"
+            onClick={() => onClose?.()}
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            className="profile-prompt-button profile-prompt-button--primary"
+            disabled={!loaded || saving}
+            onClick={handleSave}
+          >
+            Save
+          </button>
+        </footer>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+import React from "react";
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import ScanRulesDialog from "./ScanRulesDialog";
+
+describe("ScanRulesDialog", () => {
+  afterEach(() => {
+    delete window.electronAPI;
+  });
+
+  it("loads the profile's rules and saves the edited ones", async () => {
+    const onSaved = vi.fn();
+    const onClose = vi.fn();
+    window.electronAPI = {
+      scanRules: {
+        get: vi.fn().mockResolvedValue({
+          rules: {
+            extraExtensions: [".ts"],
+            excludeGlobs: ["renders/"],
+            maxDepth: 10,
+            followSymlinks: false,
+            includeDotFolders: false,
+          },
+          defaultExtensions: [".mp4", ".mov"],
+        }),
+        set: vi.fn(async (rules) => ({ success: true, rules })),
+      },
+    };
+
+    render(<ScanRulesDialog onSaved={onSaved} onClose={onClose} />);
+
+    await waitFor(() => expect(screen.getByLabelText("Extra extensions")).toHaveValue(".ts"));
+    expect(screen.getByText("Always included: .mp4 .mov")).toBeInTheDocument();
+    expect(screen.getByLabelText("Exclude patterns")).toHaveValue("renders/");
+
+    fireEvent.change(screen.getByLabelText("Extra extensions"), { target: { value: ".ts, .mpg" } });
+    fireEvent.change(screen.getByLabelText("Exclude patterns"), {
+      target: { value: "renders/\n*.part.mp4" },
+    });
+    fireEvent.change(screen.getByLabelText("Max depth"), { target: { value: "3" } });
+    fireEvent.click(screen.getByLabelText("Include dot-folders"));
+    fireEvent.click(screen.getByRole("button", { name: "Save" }));
+
+    await waitFor(() => expect(onClose).toHaveBeenCalled());
+    expect(window.electronAPI.scanRules.set).toHaveBeenCalledWith({
+      extraExtensions: [".ts", ".mpg"],
+      excludeGlobs: ["renders/", "*.part.mp4"],
+      maxDepth: 3,
+      followSymlinks: false,
+      includeDotFolders: true,
+    });
+    expect(onSaved).toHaveBeenCalledWith(expect.objectContaining({ maxDepth: 3 }));
+  });
+});
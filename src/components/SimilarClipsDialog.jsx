@@ -0,0 +1,273 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { computeVideoHash } from "../services/perceptualHash";
+import { formatBitrate } from "../utils/mediaInfo";
+import "./SimilarClipsDialog.css";
+
+const DEFAULT_MAX_DISTANCE = 6;
+
+const pixelCount = (video) =>
+  (Number(video?.dimensions?.width) || 0) * (Number(video?.dimensions?.height) || 0);
+
+// "Best" clip of a cluster: highest rating, then resolution, then file size.
+const compareBest = (a, b) =>
+  (b.rating ?? -1) - (a.rating ?? -1) ||
+  pixelCount(b) - pixelCount(a) ||
+  (b.size || 0) - (a.size || 0) ||
+  (a.name || "").localeCompare(b.name || "");
+
+const formatSize = (bytes) => {
+  if (!Number.isFinite(bytes) || bytes <= 0) return null;
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.round(bytes / 1024)} KB`;
+};
+
+function describeClip(video) {
+  return [
+    video.dimensions ? `${video.dimensions.width}×${video.dimensions.height}` : null,
+    typeof video.rating === "number" ? `★${video.rating}` : null,
+    formatSize(video.size),
+    formatBitrate(video.media?.bitrate),
+  ]
+    .filter(Boolean)
+    .join(" • ");
+}
+
+/**
+ * Hashes any clips that have no stored perceptual hash yet, then groups the
+ * given videos by visual similarity so all but one per group can be trashed.
+ */
+export default function SimilarClipsDialog({
+  videos = [],
+  onClose,
+  onTrash,
+  onSelect,
+  hashClip = computeVideoHash,
+}) {
+  const [maxDistance, setMaxDistance] = useState(DEFAULT_MAX_DISTANCE);
+  const [clusters, setClusters] = useState(null); // null until the first lookup
+  const [progress, setProgress] = useState(null); // { done, total, failed }
+  const [keepers, setKeepers] = useState({});
+  const [thumbnails, setThumbnails] = useState({});
+  const cancelledRef = useRef(false);
+
+  const byFingerprint = useMemo(() => {
+    const map = new Map();
+    videos.forEach((video) => {
+      if (video?.fingerprint && !map.has(video.fingerprint)) map.set(video.fingerprint, video);
+    });
+    return map;
+  }, [videos]);
+
+  const fingerprintsRef = useRef([]);
+  fingerprintsRef.current = Array.from(byFingerprint.keys());
+  const maxDistanceRef = useRef(maxDistance);
+  maxDistanceRef.current = maxDistance;
+
+  const loadClusters = useCallback(async (distance) => {
+    const api = window.electronAPI?.similarity;
+    if (!api) return null;
+    const result = await api.clusters(fingerprintsRef.current, distance);
+    if (cancelledRef.current) return null;
+    setClusters(Array.isArray(result?.clusters) ? result.clusters : []);
+    return result;
+  }, []);
+
+  // Sample whatever is missing once, then cluster.
+  useEffect(() => {
+    cancelledRef.current = false;
+    const api = window.electronAPI?.similarity;
+    if (!api) return undefined;
+
+    (async () => {
+      const first = await loadClusters(DEFAULT_MAX_DISTANCE);
+      const missing = (first?.missing || [])
+        .map((fingerprint) => byFingerprint.get(fingerprint))
+        .filter(Boolean);
+      if (!missing.length) return;
+
+      let done = 0;
+      let failed = 0;
+      setProgress({ done, total: missing.length, failed });
+      for (const video of missing) {
+        if (cancelledRef.current) return;
+        try {
+          const { hash, thumbnail } = await hashClip(video);
+          await api.putHash(video.fingerprint, hash);
+          if (thumbnail) {
+            setThumbnails((prev) => ({ ...prev, [video.fingerprint]: thumbnail }));
+          }
+        } catch (error) {
+          failed += 1;
+          console.warn(`[similar] Failed to hash ${video.fullPath || video.name}:`, error);
+        }
+        done += 1;
+        if (!cancelledRef.current) setProgress({ done, total: missing.length, failed });
+      }
+      if (!cancelledRef.current) {
+        setProgress(null);
+        await loadClusters(maxDistanceRef.current);
+      }
+    })().catch((error) => console.error("Failed to find similar clips:", error));
+
+    return () => {
+      cancelledRef.current = true;
+    };
+    // Only on open; later library changes are reflected through byFingerprint.
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const handleDistanceChange = (event) => {
+    const value = Number(event.target.value);
+    setMaxDistance(value);
+    if (!progress) loadClusters(value);
+  };
+
+  // Drop members that were trashed or filtered away since clustering.
+  const groups = useMemo(
+    () =>
+      (clusters || [])
+        .map((cluster) =>
+          cluster
+            .map((fingerprint) => byFingerprint.get(fingerprint))
+            .filter(Boolean)
+            .sort(compareBest)
+        )
+        .filter((members) => members.length > 1),
+    [clusters, byFingerprint]
+  );
+
+  const keeperFor = (members) => {
+    const chosen = keepers[members[0].fingerprint];
+    return members.some((video) => video.fingerprint === chosen) ? chosen : members[0].fingerprint;
+  };
+
+  const extrasFor = (members) => {
+    const keep = keeperFor(members);
+    return members.filter((video) => video.fingerprint !== keep).map((video) => video.id);
+  };
+
+  const allExtras = groups.flatMap(extrasFor);
+
+  const handleKeyDown = (event) => {
+    if (event.key === "Escape") {
+      event.preventDefault();
+      onClose?.();
+    }
+  };
+
+  return (
+    <div
+      className="profile-prompt-backdrop"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="similar-clips-title"
+      onKeyDown={handleKeyDown}
+    >
+      <div className="profile-prompt-dialog similar-clips">
+        <header className="profile-prompt-header">
+          <h2 id="similar-clips-title">Similar clips</h2>
+          <p className="profile-prompt-message">
+            Clips whose sampled frames look alike are grouped together. The best clip in each
+            group (rating, then resolution, then size) is kept by default.
+          </p>
+        </header>
+
+        <div className="profile-prompt-body similar-clips__body">
+          <label className="similar-clips__threshold">
+            <span>Max difference</span>
+            <input
+              type="range"
+              min="0"
+              max="16"
+              step="1"
+              value={maxDistance}
+              onChange={handleDistanceChange}
+            />
+            <span>{maxDistance === 0 ? "Identical" : `≤ ${maxDistance} bits`}</span>
+          </label>
+
+          {progress && (
+            <p className="similar-clips__status" role="status">
+              Sampling frames… {progress.done} / {progress.total}
+              {progress.failed > 0 && ` (${progress.failed} unreadable)`}
+            </p>
+          )}
+
+          {clusters && !progress && groups.length === 0 && (
+            <p className="similar-clips__status">No similar clips found.</p>
+          )}
+
+          <ol className="similar-clips__groups">
+            {groups.map((members) => {
+              const groupKey = members[0].fingerprint;
+              const keep = keeperFor(members);
+              const extras = extrasFor(members);
+              return (
+                <li key={groupKey} className="similar-clips__group">
+                  <div className="similar-clips__group-header">
+                    <span>{members.length} similar clips</span>
+                    <button type="button" onClick={() => onSelect?.(members.map((v) => v.id))}>
+                      Select
+                    </button>
+                    <button type="button" onClick={() => onTrash?.(extras)}>
+                      Trash others
+                    </button>
+                  </div>
+                  <ul className="similar-clips__members">
+                    {members.map((video) => (
+                      <li
+                        key={video.fingerprint}
+                        className={video.fingerprint === keep ? "is-keeper" : ""}
+                      >
+                        <label>
+                          <input
+                            type="radio"
+                            name={`keep-${groupKey}`}
+                            checked={video.fingerprint === keep}
+                            onChange={() =>
+                              setKeepers((prev) => ({ ...prev, [groupKey]: video.fingerprint }))
+                            }
+                            aria-label={`Keep ${video.name}`}
+                          />
+                          {thumbnails[video.fingerprint] ? (
+                            <img src={thumbnails[video.fingerprint]} alt="" />
+                          ) : (
+                            <span className="similar-clips__placeholder" aria-hidden="true">
+                              🎞️
+                            </span>
+                          )}
+                          <span className="similar-clips__name" title={video.fullPath}>
+                            {video.name}
+                          </span>
+                          <span className="similar-clips__meta">{describeClip(video)}</span>
+                        </label>
+                      </li>
+                    ))}
+                  </ul>
+                </li>
+              );
+            })}
+          </ol>
+        </div>
+
+        <footer className="profile-prompt-footer">
+          <button
+            type="button"
+            className="profile-prompt-button profile-prompt-button--secondary"
+            onClick={() => onClose?.()}
+          >
+            Close
+          </button>
+          <button
+            type="button"
+            className="profile-prompt-button profile-prompt-button--primary"
+            disabled={!allExtras.length}
+            onClick={() => onTrash?.(allExtras)}
+          >
+            Trash all but kept ({allExtras.length})
+          </button>
+        </footer>
+      </div>
+    </div>
+  );
+}
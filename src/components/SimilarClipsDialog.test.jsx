@@ -0,0 +1,54 @@
+import React from 'react';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import SimilarClipsDialog from './SimilarClipsDialog';
+
+const videos = [
+  { id: '/a.mp4', name: 'a.mp4', fingerprint: 'fp-a', rating: 3, size: 10 },
+  { id: '/b.mp4', name: 'b.mp4', fingerprint: 'fp-b', rating: 5, size: 5 },
+  { id: '/c.mp4', name: 'c.mp4', fingerprint: 'fp-c', rating: null, size: 50 },
+];
+
+describe('SimilarClipsDialog', () => {
+  afterEach(() => {
+    delete window.electronAPI;
+  });
+
+  it('hashes missing clips, then shows clusters with the best clip kept', async () => {
+    const clusters = vi
+      .fn()
+      .mockResolvedValueOnce({ clusters: [], missing: ['fp-c'] })
+      .mockResolvedValue({ clusters: [['fp-a', 'fp-b', 'fp-c']], missing: [] });
+    const putHash = vi.fn().mockResolvedValue({ success: true });
+    window.electronAPI = { similarity: { clusters, putHash } };
+    const hashClip = vi.fn().mockResolvedValue({ hash: '0'.repeat(48), thumbnail: null });
+    const onTrash = vi.fn();
+
+    render(<SimilarClipsDialog videos={videos} hashClip={hashClip} onTrash={onTrash} />);
+
+    await screen.findByText('3 similar clips');
+    expect(hashClip).toHaveBeenCalledWith(videos[2]);
+    expect(putHash).toHaveBeenCalledWith('fp-c', '0'.repeat(48));
+    expect(screen.getByLabelText('Keep b.mp4')).toBeChecked();
+
+    fireEvent.click(screen.getByText('Trash others'));
+    expect(onTrash).toHaveBeenCalledWith(['/a.mp4', '/c.mp4']);
+
+    fireEvent.click(screen.getByLabelText('Keep c.mp4'));
+    fireEvent.click(screen.getByText(/Trash all but kept/));
+    expect(onTrash).toHaveBeenLastCalledWith(['/b.mp4', '/a.mp4']);
+  });
+
+  it('re-clusters when the threshold changes', async () => {
+    const clusters = vi.fn().mockResolvedValue({ clusters: [], missing: [] });
+    window.electronAPI = { similarity: { clusters, putHash: vi.fn() } };
+
+    render(<SimilarClipsDialog videos={videos} hashClip={vi.fn()} />);
+    await screen.findByText('No similar clips found.');
+
+    fireEvent.change(screen.getByRole('slider'), { target: { value: '10' } });
+    await waitFor(() =>
+      expect(clusters).toHaveBeenLastCalledWith(['fp-a', 'fp-b', 'fp-c'], 10)
+    );
+  });
+});
@@ -0,0 +1,138 @@
+import React, { useEffect, useRef, useState } from "react";
+import { SortKey, fieldSortKey } from "../sorting/sorting.js";
+import { sortKeyLabel } from "../sorting/sortOption.js";
+import "./SortChainEditor.css";
+
+const SECONDARY_KEYS = Object.values(SortKey).filter((key) => key !== SortKey.RANDOM);
+
+// Edits the secondary ("then by") keys that break ties left by the primary
+// sort selected in the header dropdown.
+export default function SortChainEditor({
+  primaryKey,
+  thenBy = [],
+  customFields = [],
+  onChange,
+  disabled = false,
+}) {
+  const [open, setOpen] = useState(false);
+  const rootRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const handlePointerDown = (event) => {
+      if (!rootRef.current?.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+    const handleKeydown = (event) => {
+      if (event.key === "Escape") setOpen(false);
+    };
+    document.addEventListener("mousedown", handlePointerDown);
+    window.addEventListener("keydown", handleKeydown);
+    return () => {
+      document.removeEventListener("mousedown", handlePointerDown);
+      window.removeEventListener("keydown", handleKeydown);
+    };
+  }, [open]);
+
+  const used = new Set([primaryKey, ...thenBy.map((entry) => entry.sortKey)]);
+  const available = [
+    ...SECONDARY_KEYS,
+    ...customFields.map((field) => fieldSortKey(field.id)),
+  ].filter((key) => !used.has(key));
+  const label = (key) => sortKeyLabel(key, customFields);
+
+  const update = (index, patch) =>
+    onChange?.(thenBy.map((entry, i) => (i === index ? { ...entry, ...patch } : entry)));
+
+  const move = (index, delta) => {
+    const target = index + delta;
+    if (target < 0 || target >= thenBy.length) return;
+    const next = [...thenBy];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange?.(next);
+  };
+
+  return (
+    <div className="sort-chain" ref={rootRef}>
+      <button
+        type="button"
+        className={`toggle-button ${open || thenBy.length ? "active" : ""}`}
+        onClick={() => setOpen((value) => !value)}
+        disabled={disabled}
+        title="Secondary sort keys"
+        aria-haspopup="true"
+        aria-expanded={open}
+      >
+        <span className="filters-button-label">Then by</span>
+        {thenBy.length > 0 && <span className="sort-chain__count">{thenBy.length}</span>}
+      </button>
+
+      {open && (
+        <div className="sort-chain__popover" role="dialog" aria-label="Secondary sort keys">
+          <p className="sort-chain__hint">
+            Ties in {label(primaryKey)} are broken by these keys,
+            top to bottom, and finally by name.
+          </p>
+
+          {thenBy.length > 0 && (
+            <ol className="sort-chain__list">
+              {thenBy.map((entry, index) => (
+                <li key={entry.sortKey} className="sort-chain__item">
+                  <span className="sort-chain__label">{label(entry.sortKey)}</span>
+                  <button
+                    type="button"
+                    onClick={() =>
+                      update(index, { sortDir: entry.sortDir === "asc" ? "desc" : "asc" })
+                    }
+                    aria-label={`Toggle ${label(entry.sortKey)} direction`}
+                    title={entry.sortDir === "asc" ? "Ascending" : "Descending"}
+                  >
+                    {entry.sortDir === "asc" ? "↑" : "↓"}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => move(index, -1)}
+                    disabled={index === 0}
+                    aria-label={`Move ${label(entry.sortKey)} up`}
+                    title="Move up"
+                  >
+                    ⤒
+                  </button>
+                  <button
+                    type="button"
+                    className="sort-chain__remove"
+                    onClick={() => onChange?.(thenBy.filter((_, i) => i !== index))}
+                    aria-label={`Remove ${label(entry.sortKey)}`}
+                    title="Remove"
+                  >
+                    ×
+                  </button>
+                </li>
+              ))}
+            </ol>
+          )}
+
+          {available.length > 0 && (
+            <select
+              className="select-control"
+              value=""
+              aria-label="Add sort key"
+              onChange={(event) => {
+                if (!event.target.value) return;
+                onChange?.([...thenBy, { sortKey: event.target.value, sortDir: "asc" }]);
+              }}
+            >
+              <option value="">Add key…</option>
+              {available.map((key) => (
+                <option key={key} value={key}>
+                  {label(key)}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
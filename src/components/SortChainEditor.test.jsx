@@ -0,0 +1,52 @@
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import SortChainEditor from './SortChainEditor';
+
+describe('SortChainEditor', () => {
+  it('adds keys except the primary and ones already in the chain', () => {
+    const onChange = vi.fn();
+    render(
+      <SortChainEditor
+        primaryKey="rating"
+        thenBy={[{ sortKey: 'created', sortDir: 'desc' }]}
+        onChange={onChange}
+      />
+    );
+
+    fireEvent.click(screen.getByTitle('Secondary sort keys'));
+    const select = screen.getByLabelText('Add sort key');
+    const options = Array.from(select.options).map((option) => option.value);
+    expect(options).not.toContain('rating');
+    expect(options).not.toContain('created');
+    expect(options).not.toContain('random');
+
+    fireEvent.change(select, { target: { value: 'name' } });
+    expect(onChange).toHaveBeenCalledWith([
+      { sortKey: 'created', sortDir: 'desc' },
+      { sortKey: 'name', sortDir: 'asc' },
+    ]);
+  });
+
+  it('flips direction, reorders and removes entries', () => {
+    const onChange = vi.fn();
+    const thenBy = [
+      { sortKey: 'created', sortDir: 'desc' },
+      { sortKey: 'name', sortDir: 'asc' },
+    ];
+    render(<SortChainEditor primaryKey="rating" thenBy={thenBy} onChange={onChange} />);
+
+    fireEvent.click(screen.getByTitle('Secondary sort keys'));
+    fireEvent.click(screen.getByLabelText('Toggle Created direction'));
+    expect(onChange).toHaveBeenLastCalledWith([
+      { sortKey: 'created', sortDir: 'asc' },
+      { sortKey: 'name', sortDir: 'asc' },
+    ]);
+
+    fireEvent.click(screen.getByLabelText('Move Name up'));
+    expect(onChange).toHaveBeenLastCalledWith([thenBy[1], thenBy[0]]);
+
+    fireEvent.click(screen.getByLabelText('Remove Created'));
+    expect(onChange).toHaveBeenLastCalledWith([thenBy[1]]);
+  });
+});
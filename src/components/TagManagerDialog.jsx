@@ -0,0 +1,354 @@
+import React, { useEffect, useMemo, useState } from "react";
+import "./TagManagerDialog.css";
+
+/**
+ * Catalog-wide tag maintenance: rename a tag everywhere, merge several into
+ * one, delete tags from every clip and manage aliases (names that resolve
+ * to an existing tag when typed). Each action resolves to the main-process
+ * result, or null when it failed (the caller has already notified).
+ */
+export default function TagManagerDialog({
+  tags = [],
+  onRename,
+  onMerge,
+  onDelete,
+  onAddAlias,
+  onRemoveAlias,
+  onClose,
+}) {
+  const [filter, setFilter] = useState("");
+  const [checked, setChecked] = useState(() => new Set());
+  const [renaming, setRenaming] = useState(null); // { name, value }
+  const [mergeTarget, setMergeTarget] = useState("");
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const [aliases, setAliases] = useState([]);
+  const [aliasDraft, setAliasDraft] = useState({ alias: "", tag: "" });
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    window.electronAPI?.metadata
+      ?.listTagAliases?.()
+      .then((result) => {
+        if (!cancelled && Array.isArray(result?.aliases)) setAliases(result.aliases);
+      })
+      .catch((error) => console.warn("Failed to load tag aliases:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const aliasesByTag = useMemo(() => {
+    const map = new Map();
+    aliases.forEach(({ alias, tag }) => {
+      const key = tag.toLowerCase();
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(alias);
+    });
+    return map;
+  }, [aliases]);
+
+  const visibleTags = useMemo(() => {
+    const needle = filter.trim().toLowerCase();
+    if (!needle) return tags;
+    return tags.filter(
+      (tag) =>
+        tag.name.toLowerCase().includes(needle) ||
+        (aliasesByTag.get(tag.name.toLowerCase()) || []).some((alias) =>
+          alias.toLowerCase().includes(needle)
+        )
+    );
+  }, [tags, filter, aliasesByTag]);
+
+  const checkedNames = tags.map((tag) => tag.name).filter((name) => checked.has(name));
+  const cleanTarget = mergeTarget.trim();
+  const canMerge =
+    !!cleanTarget &&
+    checkedNames.length > 0 &&
+    (checkedNames.length > 1 || checkedNames[0].toLowerCase() !== cleanTarget.toLowerCase());
+
+  const run = async (action, onSuccess) => {
+    if (busy || !action) return;
+    setBusy(true);
+    try {
+      const result = await action();
+      if (!result) return;
+      if (Array.isArray(result.aliases)) setAliases(result.aliases);
+      onSuccess?.();
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggleChecked = (name) =>
+    setChecked((prev) => {
+      const next = new Set(prev);
+      if (next.has(name)) next.delete(name);
+      else next.add(name);
+      return next;
+    });
+
+  const clearSelection = () => {
+    setChecked(new Set());
+    setMergeTarget("");
+    setConfirmDelete(false);
+  };
+
+  const submitRename = () => {
+    const value = renaming?.value.trim();
+    if (!value || value === renaming.name) {
+      setRenaming(null);
+      return;
+    }
+    const { name } = renaming;
+    run(
+      () => onRename?.(name, value),
+      () => {
+        setRenaming(null);
+        setChecked((prev) => {
+          if (!prev.has(name)) return prev;
+          const next = new Set(prev);
+          next.delete(name);
+          return next;
+        });
+      }
+    );
+  };
+
+  const submitAlias = (event) => {
+    event.preventDefault();
+    const alias = aliasDraft.alias.trim();
+    if (!alias || !aliasDraft.tag) return;
+    run(
+      () => onAddAlias?.(alias, aliasDraft.tag),
+      () => setAliasDraft((prev) => ({ ...prev, alias: "" }))
+    );
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === "Escape") {
+      event.preventDefault();
+      onClose?.();
+    }
+  };
+
+  return (
+    <div
+      className="profile-prompt-backdrop"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="tag-manager-title"
+      onKeyDown={handleKeyDown}
+    >
+      <div className="profile-prompt-dialog tag-manager">
+        <header className="profile-prompt-header">
+          <h2 id="tag-manager-title">Manage tags</h2>
+          <p className="profile-prompt-message">
+            Rename, merge or delete tags across every clip. Aliases make a name like
+            &ldquo;cats&rdquo; land on an existing tag when you type it.
+          </p>
+        </header>
+
+        <div className="profile-prompt-body tag-manager__body">
+          <input
+            type="search"
+            className="profile-prompt-input"
+            value={filter}
+            onChange={(event) => setFilter(event.target.value)}
+            placeholder="Filter tags"
+            aria-label="Filter tags"
+          />
+
+          {tags.length === 0 ? (
+            <p className="tag-manager__empty">No tags yet.</p>
+          ) : (
+            <ul className="tag-manager__list" aria-label="Tags">
+              {visibleTags.map((tag) => {
+                const tagAliases = aliasesByTag.get(tag.name.toLowerCase()) || [];
+                const isRenaming = renaming?.name === tag.name;
+                return (
+                  <li key={tag.name} className="tag-manager__row">
+                    <input
+                      type="checkbox"
+                      checked={checked.has(tag.name)}
+                      onChange={() => toggleChecked(tag.name)}
+                      aria-label={`Select ${tag.name}`}
+                    />
+                    {isRenaming ? (
+                      <input
+                        type="text"
+                        className="tag-manager__rename"
+                        value={renaming.value}
+                        autoFocus
+                        onChange={(event) =>
+                          setRenaming({ name: tag.name, value: event.target.value })
+                        }
+                        onKeyDown={(event) => {
+                          if (event.key === "Enter") {
+                            event.preventDefault();
+                            submitRename();
+                          } else if (event.key === "Escape") {
+                            event.preventDefault();
+                            event.stopPropagation();
+                            setRenaming(null);
+                          }
+                        }}
+                        aria-label={`New name for ${tag.name}`}
+                      />
+                    ) : (
+                      <span className="tag-manager__name">{tag.name}</span>
+                    )}
+                    <span className="tag-manager__count" title="Clips with this tag">
+                      {tag.usageCount ?? 0}
+                    </span>
+                    {tagAliases.length > 0 && (
+                      <span className="tag-manager__aliases">
+                        {tagAliases.map((alias) => (
+                          <span key={alias} className="tag-manager__alias">
+                            {alias}
+                            <button
+                              type="button"
+                              onClick={() => run(() => onRemoveAlias?.(alias))}
+                              aria-label={`Remove alias ${alias}`}
+                              disabled={busy}
+                            >
+                              ×
+                            </button>
+                          </span>
+                        ))}
+                      </span>
+                    )}
+                    {isRenaming ? (
+                      <button
+                        type="button"
+                        className="tag-manager__action"
+                        onClick={submitRename}
+                        disabled={busy}
+                      >
+                        Save
+                      </button>
+                    ) : (
+                      <button
+                        type="button"
+                        className="tag-manager__action"
+                        onClick={() => setRenaming({ name: tag.name, value: tag.name })}
+                        aria-label={`Rename ${tag.name}`}
+                        disabled={busy}
+                      >
+                        Rename
+                      </button>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+
+          {checkedNames.length > 0 && (
+            <div className="tag-manager__bulk" role="group" aria-label="Selected tags">
+              <span className="tag-manager__bulk-count">{checkedNames.length} selected</span>
+              {confirmDelete ? (
+                <>
+                  <span>Remove from every clip?</span>
+                  <button
+                    type="button"
+                    className="tag-manager__action tag-manager__action--danger"
+                    disabled={busy}
+                    onClick={() => run(() => onDelete?.(checkedNames), clearSelection)}
+                  >
+                    Delete {checkedNames.length} tag(s)
+                  </button>
+                  <button
+                    type="button"
+                    className="tag-manager__action"
+                    onClick={() => setConfirmDelete(false)}
+                  >
+                    Keep
+                  </button>
+                </>
+              ) : (
+                <>
+                  <input
+                    type="text"
+                    className="tag-manager__merge-target"
+                    list="tag-manager-names"
+                    value={mergeTarget}
+                    onChange={(event) => setMergeTarget(event.target.value)}
+                    placeholder={checkedNames[0]}
+                    aria-label="Merge into"
+                  />
+                  <button
+                    type="button"
+                    className="tag-manager__action"
+                    disabled={!canMerge || busy}
+                    onClick={() =>
+                      run(() => onMerge?.(checkedNames, cleanTarget), clearSelection)
+                    }
+                  >
+                    Merge
+                  </button>
+                  <button
+                    type="button"
+                    className="tag-manager__action tag-manager__action--danger"
+                    disabled={busy}
+                    onClick={() => setConfirmDelete(true)}
+                  >
+                    Delete…
+                  </button>
+                </>
+              )}
+            </div>
+          )}
+
+          <form className="tag-manager__alias-form" onSubmit={submitAlias}>
+            <input
+              type="text"
+              className="profile-prompt-input"
+              value={aliasDraft.alias}
+              onChange={(event) =>
+                setAliasDraft((prev) => ({ ...prev, alias: event.target.value }))
+              }
+              placeholder="Alias, e.g. cats"
+              aria-label="Alias"
+            />
+            <select
+              value={aliasDraft.tag}
+              onChange={(event) => setAliasDraft((prev) => ({ ...prev, tag: event.target.value }))}
+              aria-label="Alias for"
+            >
+              <option value="">Resolves to…</option>
+              {tags.map((tag) => (
+                <option key={tag.name} value={tag.name}>
+                  {tag.name}
+                </option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              className="profile-prompt-button profile-prompt-button--secondary"
+              disabled={busy || !aliasDraft.alias.trim() || !aliasDraft.tag}
+            >
+              Add alias
+            </button>
+          </form>
+
+          <datalist id="tag-manager-names">
+            {tags.map((tag) => (
+              <option key={tag.name} value={tag.name} />
+            ))}
+          </datalist>
+        </div>
+
+        <footer className="profile-prompt-footer">
+          <button
+            type="button"
+            className="profile-prompt-button profile-prompt-button--secondary"
+            onClick={onClose}
+          >
+            Close
+          </button>
+        </footer>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,87 @@
+import React from "react";
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import TagManagerDialog from "./TagManagerDialog";
+
+const tags = [
+  { name: "cat", usageCount: 3 },
+  { name: "cats", usageCount: 1 },
+  { name: "dog", usageCount: 2 },
+];
+
+describe("TagManagerDialog", () => {
+  afterEach(() => {
+    delete window.electronAPI;
+  });
+
+  it("lists tags with their aliases and filters by either", async () => {
+    window.electronAPI = {
+      metadata: {
+        listTagAliases: vi.fn().mockResolvedValue({ aliases: [{ alias: "kitty", tag: "cat" }] }),
+      },
+    };
+    render(<TagManagerDialog tags={tags} />);
+
+    expect(await screen.findByText("kitty")).toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText("Filter tags"), { target: { value: "kit" } });
+    expect(screen.getByLabelText("Select cat")).toBeInTheDocument();
+    expect(screen.queryByLabelText("Select dog")).not.toBeInTheDocument();
+  });
+
+  it("renames a tag inline", async () => {
+    const onRename = vi.fn().mockResolvedValue({ tags: [], aliases: [] });
+    render(<TagManagerDialog tags={tags} onRename={onRename} />);
+
+    fireEvent.click(screen.getByRole("button", { name: "Rename dog" }));
+    const input = screen.getByLabelText("New name for dog");
+    fireEvent.change(input, { target: { value: "hound" } });
+    fireEvent.keyDown(input, { key: "Enter" });
+
+    expect(onRename).toHaveBeenCalledWith("dog", "hound");
+    await waitFor(() =>
+      expect(screen.queryByLabelText("New name for dog")).not.toBeInTheDocument()
+    );
+  });
+
+  it("merges and deletes the checked tags", async () => {
+    const onMerge = vi.fn().mockResolvedValue({
+      tags: [],
+      aliases: [{ alias: "cats", tag: "cat" }],
+    });
+    const onDelete = vi.fn().mockResolvedValue({ tags: [], aliases: [] });
+    render(<TagManagerDialog tags={tags} onMerge={onMerge} onDelete={onDelete} />);
+
+    fireEvent.click(screen.getByLabelText("Select cats"));
+    const merge = screen.getByRole("button", { name: "Merge" });
+    fireEvent.change(screen.getByLabelText("Merge into"), { target: { value: "cats" } });
+    expect(merge).toBeDisabled();
+    fireEvent.change(screen.getByLabelText("Merge into"), { target: { value: "cat" } });
+    fireEvent.click(merge);
+
+    expect(onMerge).toHaveBeenCalledWith(["cats"], "cat");
+    expect(await screen.findByText("cats", { selector: ".tag-manager__alias" })).toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText("Select dog"));
+    fireEvent.click(screen.getByRole("button", { name: "Delete…" }));
+    expect(onDelete).not.toHaveBeenCalled();
+    fireEvent.click(screen.getByRole("button", { name: "Delete 1 tag(s)" }));
+    expect(onDelete).toHaveBeenCalledWith(["dog"]);
+  });
+
+  it("adds and removes aliases", async () => {
+    const onAddAlias = vi.fn().mockResolvedValue({ aliases: [{ alias: "pup", tag: "dog" }] });
+    const onRemoveAlias = vi.fn().mockResolvedValue({ aliases: [] });
+    render(
+      <TagManagerDialog tags={tags} onAddAlias={onAddAlias} onRemoveAlias={onRemoveAlias} />
+    );
+
+    fireEvent.change(screen.getByLabelText("Alias"), { target: { value: " pup " } });
+    fireEvent.change(screen.getByLabelText("Alias for"), { target: { value: "dog" } });
+    fireEvent.click(screen.getByRole("button", { name: "Add alias" }));
+    expect(onAddAlias).toHaveBeenCalledWith("pup", "dog");
+
+    fireEvent.click(await screen.findByRole("button", { name: "Remove alias pup" }));
+    expect(onRemoveAlias).toHaveBeenCalledWith("pup");
+    await waitFor(() => expect(screen.queryByText("pup")).not.toBeInTheDocument());
+  });
+});
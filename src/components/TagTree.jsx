@@ -0,0 +1,217 @@
+import React, { useMemo, useRef, useState } from "react";
+import { buildTagTree } from "../app/filters/tagHierarchy";
+
+export const TAG_COLORS = [
+  "#e53935",
+  "#fb8c00",
+  "#fdd835",
+  "#43a047",
+  "#00acc1",
+  "#1e88e5",
+  "#8e24aa",
+  "#d81b60",
+];
+
+function TagTreeNode({ node, depth, state }) {
+  const { expanded, toggle, appliedTags, paletteFor, setPaletteFor, onApply, onSetColor, drag } =
+    state;
+  const key = node.name.toLowerCase();
+  const hasChildren = node.children.length > 0;
+  const isExpanded = expanded.has(key);
+  const isApplied = appliedTags.has(node.name);
+  const countTitle = hasChildren
+    ? `${node.usageCount} tagged directly, ${node.totalCount} including nested tags`
+    : `${node.usageCount} clip(s)`;
+
+  return (
+    <li
+      role="treeitem"
+      aria-expanded={hasChildren ? isExpanded : undefined}
+      aria-label={node.name}
+      className="metadata-panel__tree-item"
+    >
+      <div
+        className={`metadata-panel__tree-row${drag.over === key ? " is-drop-target" : ""}`}
+        style={{ paddingLeft: `${depth * 0.9}rem` }}
+        onDragOver={(event) => drag.allowDrop(event, key)}
+        onDragLeave={() => drag.leave(key)}
+        onDrop={(event) => drag.drop(event, node.name)}
+      >
+        {hasChildren ? (
+          <button
+            type="button"
+            className="metadata-panel__tree-toggle"
+            onClick={() => toggle(key)}
+            aria-label={`${isExpanded ? "Collapse" : "Expand"} ${node.name}`}
+          >
+            {isExpanded ? "▾" : "▸"}
+          </button>
+        ) : (
+          <span className="metadata-panel__tree-toggle" aria-hidden="true" />
+        )}
+        <button
+          type="button"
+          className={`metadata-panel__tree-swatch${node.color ? " has-color" : ""}`}
+          style={node.color ? { "--tag-color": node.color } : undefined}
+          onClick={() => setPaletteFor(paletteFor === key ? null : key)}
+          aria-label={`Colour for ${node.name}`}
+          aria-expanded={paletteFor === key}
+          title={node.ownColor ? "Change colour" : node.color ? "Inherited colour" : "Set colour"}
+        />
+        <button
+          type="button"
+          className={`metadata-panel__tree-label${isApplied ? " is-applied" : ""}`}
+          onClick={() => onApply?.(node.name)}
+          draggable
+          onDragStart={(event) => drag.start(event, node.name)}
+          onDragEnd={drag.end}
+          title={`Apply #${node.name} to selection (drag onto another tag to nest it)`}
+        >
+          #{node.label}
+        </button>
+        <span className="metadata-panel__suggestion-count" title={countTitle}>
+          {hasChildren && node.totalCount !== node.usageCount
+            ? `${node.usageCount}/${node.totalCount}`
+            : node.usageCount}
+        </span>
+      </div>
+
+      {paletteFor === key && (
+        <div
+          className="metadata-panel__tree-palette"
+          role="group"
+          aria-label={`Colours for ${node.name}`}
+          style={{ paddingLeft: `${depth * 0.9 + 1.2}rem` }}
+        >
+          {TAG_COLORS.map((color) => (
+            <button
+              key={color}
+              type="button"
+              className={`metadata-panel__tree-swatch has-color${
+                node.ownColor === color ? " is-active" : ""
+              }`}
+              style={{ "--tag-color": color }}
+              onClick={() => {
+                setPaletteFor(null);
+                onSetColor?.(node.name, color);
+              }}
+              aria-label={color}
+            />
+          ))}
+          <button
+            type="button"
+            className="metadata-panel__tree-clear"
+            disabled={!node.ownColor}
+            onClick={() => {
+              setPaletteFor(null);
+              onSetColor?.(node.name, null);
+            }}
+          >
+            None
+          </button>
+        </div>
+      )}
+
+      {hasChildren && isExpanded && (
+        <ul role="group" className="metadata-panel__tree-list">
+          {node.children.map((child) => (
+            <TagTreeNode key={child.name} node={child} depth={depth + 1} state={state} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+// Collapsible catalog of every tag, nested by parent/namespace. Clicking a
+// tag applies it; dragging one onto another nests it there, and dropping
+// it on the footer makes it top-level again.
+export default function TagTree({
+  tags = [],
+  appliedTags = [],
+  onApply,
+  onSetColor,
+  onSetParent,
+}) {
+  const tree = useMemo(() => buildTagTree(tags), [tags]);
+  const applied = useMemo(() => new Set(appliedTags), [appliedTags]);
+  const [expanded, setExpanded] = useState(() => new Set());
+  const [paletteFor, setPaletteFor] = useState(null);
+  const [dragOver, setDragOver] = useState(undefined); // undefined = not dragging
+  const draggedRef = useRef(null);
+
+  const toggle = (key) =>
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+
+  const drag = {
+    over: dragOver,
+    start: (event, name) => {
+      draggedRef.current = name;
+      event.dataTransfer?.setData?.("text/plain", name);
+      setDragOver(null);
+    },
+    end: () => {
+      draggedRef.current = null;
+      setDragOver(undefined);
+    },
+    allowDrop: (event, key) => {
+      if (!draggedRef.current || draggedRef.current.toLowerCase() === key) return;
+      event.preventDefault();
+      setDragOver(key);
+    },
+    leave: (key) => setDragOver((current) => (current === key ? null : current)),
+    drop: (event, parentName) => {
+      const name = draggedRef.current;
+      drag.end();
+      if (!name || (parentName && name.toLowerCase() === parentName.toLowerCase())) return;
+      event.preventDefault();
+      event.stopPropagation();
+      onSetParent?.(name, parentName);
+      if (parentName) {
+        setExpanded((prev) => new Set(prev).add(parentName.toLowerCase()));
+      }
+    },
+  };
+
+  if (!tree.length) {
+    return <span className="metadata-panel__hint">No tags yet.</span>;
+  }
+
+  const state = {
+    expanded,
+    toggle,
+    appliedTags: applied,
+    paletteFor,
+    setPaletteFor,
+    onApply,
+    onSetColor,
+    drag,
+  };
+
+  return (
+    <>
+      <ul className="metadata-panel__tree" role="tree" aria-label="All tags">
+        {tree.map((node) => (
+          <TagTreeNode key={node.name} node={node} depth={0} state={state} />
+        ))}
+      </ul>
+      {dragOver !== undefined && (
+        <div
+          className={`metadata-panel__tree-root-drop${dragOver === "" ? " is-drop-target" : ""}`}
+          onDragOver={(event) => {
+            event.preventDefault();
+            setDragOver("");
+          }}
+          onDrop={(event) => drag.drop(event, null)}
+        >
+          Drop here to make top-level
+        </div>
+      )}
+    </>
+  );
+}
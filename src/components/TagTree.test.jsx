@@ -0,0 +1,61 @@
+import React from "react";
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import TagTree from "./TagTree";
+
+const tags = [
+  { name: "model", usageCount: 0, parent: null, color: "#1e88e5" },
+  { name: "model:wan", usageCount: 4, parent: "model", color: null },
+  { name: "cat", usageCount: 3, parent: null, color: null },
+];
+
+describe("TagTree", () => {
+  it("starts collapsed and expands a parent to show its children", () => {
+    render(<TagTree tags={tags} />);
+    expect(screen.getByRole("treeitem", { name: "model" })).toHaveAttribute(
+      "aria-expanded",
+      "false"
+    );
+    expect(screen.queryByText("#wan")).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole("button", { name: "Expand model" }));
+    expect(screen.getByText("#wan")).toBeInTheDocument();
+    expect(screen.getByText("0/4")).toBeInTheDocument();
+  });
+
+  it("applies a tag when its label is clicked", () => {
+    const onApply = vi.fn();
+    render(<TagTree tags={tags} onApply={onApply} />);
+    fireEvent.click(screen.getByText("#cat"));
+    expect(onApply).toHaveBeenCalledWith("cat");
+  });
+
+  it("sets and clears colours from the palette", () => {
+    const onSetColor = vi.fn();
+    render(<TagTree tags={tags} onSetColor={onSetColor} />);
+
+    fireEvent.click(screen.getByRole("button", { name: "Colour for cat" }));
+    fireEvent.click(screen.getByRole("button", { name: "#43a047" }));
+    expect(onSetColor).toHaveBeenLastCalledWith("cat", "#43a047");
+
+    fireEvent.click(screen.getByRole("button", { name: "Colour for model" }));
+    fireEvent.click(screen.getByRole("button", { name: "None" }));
+    expect(onSetColor).toHaveBeenLastCalledWith("model", null);
+  });
+
+  it("nests a tag by dragging it onto another, and un-nests via the drop zone", () => {
+    const onSetParent = vi.fn();
+    render(<TagTree tags={tags} onSetParent={onSetParent} />);
+    const catRow = screen.getByText("#cat");
+    const modelRow = screen.getByText("#model").parentElement;
+
+    fireEvent.dragStart(catRow);
+    fireEvent.dragOver(modelRow);
+    fireEvent.drop(modelRow);
+    expect(onSetParent).toHaveBeenCalledWith("cat", "model");
+
+    fireEvent.dragStart(catRow);
+    fireEvent.drop(screen.getByText("Drop here to make top-level"));
+    expect(onSetParent).toHaveBeenLastCalledWith("cat", null);
+  });
+});
@@ -0,0 +1,171 @@
+import React, { useState } from 'react';
+import { normalizeTriageKey } from '../utils/triageKeys';
+import { REVIEW_FLAGS } from '../utils/reviewMarks';
+
+const chipStyle = (active) => ({
+  display: 'inline-flex',
+  alignItems: 'center',
+  gap: '6px',
+  padding: '2px 8px',
+  borderRadius: '10px',
+  background: active ? 'rgba(255, 255, 255, 0.25)' : 'rgba(255, 255, 255, 0.08)'
+});
+
+const keyStyle = {
+  fontFamily: 'monospace',
+  fontWeight: 'bold',
+  textTransform: 'uppercase'
+};
+
+const inputStyle = {
+  background: 'rgba(255, 255, 255, 0.1)',
+  border: '1px solid rgba(255, 255, 255, 0.3)',
+  borderRadius: '6px',
+  color: 'white',
+  padding: '2px 6px'
+};
+
+const buttonStyle = {
+  background: 'rgba(255, 255, 255, 0.12)',
+  border: 'none',
+  borderRadius: '6px',
+  color: 'white',
+  cursor: 'pointer',
+  padding: '2px 8px'
+};
+
+// Progress and key legend for fullscreen triage, plus an editor for the
+// favourite-tag keys. Keypresses are handled by FullScreenModal.
+const TriageHud = ({
+  video,
+  reviewedCount,
+  total,
+  tagKeys = {},
+  availableTags = [],
+  onTagKeysChange
+}) => {
+  const [editing, setEditing] = useState(false);
+  const [newKey, setNewKey] = useState('');
+  const [newTag, setNewTag] = useState('');
+
+  const tags = Array.isArray(video?.tags) ? video.tags : [];
+  const rating = typeof video?.rating === 'number' ? video.rating : 0;
+  const flag = REVIEW_FLAGS.find((entry) => entry.id === video?.flag);
+  const bindings = Object.entries(tagKeys).sort(([a], [b]) => a.localeCompare(b));
+
+  const key = normalizeTriageKey(newKey);
+  const canAdd = !!key && !!newTag.trim();
+  const addBinding = (event) => {
+    event.preventDefault();
+    if (!canAdd) return;
+    onTagKeysChange?.({ ...tagKeys, [key]: newTag.trim() });
+    setNewKey('');
+    setNewTag('');
+  };
+  const removeBinding = (bindingKey) => {
+    const next = { ...tagKeys };
+    delete next[bindingKey];
+    onTagKeysChange?.(next);
+  };
+
+  return (
+    <div
+      className="triage-hud"
+      style={{
+        position: 'absolute',
+        top: '20px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        background: 'rgba(0, 0, 0, 0.8)',
+        padding: '10px 18px',
+        borderRadius: '16px',
+        color: 'white',
+        fontSize: '14px',
+        zIndex: 10001,
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        gap: '8px',
+        maxWidth: '70vw'
+      }}
+    >
+      <div style={{ display: 'flex', gap: '16px', alignItems: 'center' }}>
+        <strong>Triage</strong>
+        <span role="status">Reviewed {reviewedCount}/{total}</span>
+        <span aria-label={`Rating ${rating}`} style={{ color: '#ffd54f', letterSpacing: '2px' }}>
+          {'★'.repeat(rating)}
+          <span style={{ opacity: 0.3 }}>{'★'.repeat(5 - rating)}</span>
+        </span>
+        {flag && <span>{flag.glyph} {flag.label}</span>}
+        <button
+          type="button"
+          style={buttonStyle}
+          onClick={() => setEditing((value) => !value)}
+          aria-pressed={editing}
+        >
+          {editing ? 'Done' : 'Tag keys…'}
+        </button>
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', justifyContent: 'center' }}>
+        {bindings.length === 0 && !editing && (
+          <span style={{ opacity: 0.6 }}>No tag keys yet</span>
+        )}
+        {bindings.map(([bindingKey, tag]) => (
+          <span key={bindingKey} style={chipStyle(tags.includes(tag))}>
+            <span style={keyStyle}>{bindingKey}</span>
+            {tag}
+            {editing && (
+              <button
+                type="button"
+                style={{ ...buttonStyle, padding: '0 4px', background: 'none' }}
+                onClick={() => removeBinding(bindingKey)}
+                aria-label={`Unbind ${bindingKey.toUpperCase()}`}
+              >
+                ×
+              </button>
+            )}
+          </span>
+        ))}
+      </div>
+
+      {editing && (
+        <form onSubmit={addBinding} style={{ display: 'flex', gap: '6px' }}>
+          <input
+            type="text"
+            value={newKey}
+            maxLength={1}
+            onChange={(event) => setNewKey(event.target.value)}
+            placeholder="Key"
+            aria-label="Triage key"
+            style={{ ...inputStyle, width: '3em', textAlign: 'center' }}
+          />
+          <input
+            type="text"
+            value={newTag}
+            onChange={(event) => setNewTag(event.target.value)}
+            placeholder="Tag"
+            aria-label="Triage tag"
+            list="triage-hud-tags"
+            style={inputStyle}
+          />
+          <datalist id="triage-hud-tags">
+            {availableTags.map((tag) => (
+              <option key={tag.name} value={tag.name} />
+            ))}
+          </datalist>
+          <button type="submit" style={buttonStyle} disabled={!canAdd}>
+            Bind
+          </button>
+        </form>
+      )}
+      {editing && newKey && !key && (
+        <span style={{ color: '#ff8787' }}>
+          Use a letter or digit not taken by 0–5, P, X, U or T
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default TriageHud;
@@ -4,6 +4,8 @@ import { classifyMediaError } from "./mediaError";
 import { toFileURL, hardDetach } from "./videoDom";
 import { useVideoStallWatchdog } from "../../hooks/useVideoStallWatchdog";
 import { thumbService, signatureForVideo } from "../../services/thumbService";
+import { describeMediaInfo, isZeroLength } from "../../utils/mediaInfo";
+import { COLOR_LABELS, REVIEW_FLAGS, normalizeFlag } from "../../utils/reviewMarks";
 
 const VideoCard = memo(function VideoCard({
   video,
@@ -18,6 +20,7 @@ const VideoCard = memo(function VideoCard({
   isLoading,
   isVisible,
   showFilenames = true,
+  tagColors = null,       // Map of lower-cased tag -> colour
 
   // limits & callbacks (owned by parent/orchestrator)
   canLoadMoreVideos,      // (options?) => boolean
@@ -100,9 +103,13 @@ const VideoCard = memo(function VideoCard({
     typeof video?.rating === "number" && Number.isFinite(video.rating)
       ? Math.max(0, Math.min(5, Math.round(video.rating)))
       : null;
+  const flag = normalizeFlag(video?.flag);
+  const label = COLOR_LABELS.find((entry) => entry.id === video?.label) || null;
   const hasTags = Array.isArray(video?.tags) && video.tags.length > 0;
   const tagPreview = hasTags ? video.tags.slice(0, 3) : [];
   const extraTagCount = hasTags ? Math.max(0, video.tags.length - tagPreview.length) : 0;
+  const mediaItems = useMemo(() => describeMediaInfo(video?.media), [video?.media]);
+  const zeroLength = isZeroLength(video?.media);
 
   const aspectRatioHint = (() => {
     const direct = Number(video?.aspectRatio);
@@ -798,7 +805,9 @@ const VideoCard = memo(function VideoCard({
   return (
     <div
       ref={cardRef}
-      className={`video-item ${selected ? "selected" : ""} ${loading ? "loading" : ""}`}
+      className={`video-item ${selected ? "selected" : ""} ${loading ? "loading" : ""}${
+        flag === "reject" ? " is-rejected" : ""
+      }`}
       onClick={handleClick}
       onMouseEnter={handleMouseEnter}
       onContextMenu={handleContextMenu}
@@ -821,11 +830,44 @@ const VideoCard = memo(function VideoCard({
         aspectRatio: effectiveAspectRatio,
       }}
     >
-      {ratingValue !== null && (
-        <div className="video-item-rating" title={`Rated ${ratingValue} / 5`}>
-          {Array.from({ length: 5 }).map((_, index) => (
-            <span key={index} className={index < ratingValue ? "filled" : ""}>
-              ★
+      {label && (
+        <div
+          className="video-item-label"
+          style={{ "--label-color": label.color }}
+          title={`${label.label} label`}
+        />
+      )}
+
+      {(flag || ratingValue !== null) && (
+        <div className="video-item-marks">
+          {flag && (
+            <span
+              className={`video-item-flag is-${flag}`}
+              title={flag === "pick" ? "Picked" : "Rejected"}
+            >
+              {REVIEW_FLAGS.find((entry) => entry.id === flag).glyph}
+            </span>
+          )}
+          {ratingValue !== null && (
+            <div className="video-item-rating" title={`Rated ${ratingValue} / 5`}>
+              {Array.from({ length: 5 }).map((_, index) => (
+                <span key={index} className={index < ratingValue ? "filled" : ""}>
+                  ★
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {mediaItems.length > 0 && (
+        <div
+          className={`video-item-media ${zeroLength ? "has-warning" : ""}`}
+          title={zeroLength ? "Zero-length clip" : undefined}
+        >
+          {mediaItems.map((item) => (
+            <span key={item.key} className={item.warning ? "warning" : ""}>
+              {item.label}
             </span>
           ))}
         </div>
@@ -836,11 +878,18 @@ const VideoCard = memo(function VideoCard({
           className={`video-item-tags ${showFilenames ? "with-filename" : ""}`}
           title={video.tags.join(", ")}
         >
-          {tagPreview.map((tag) => (
-            <span key={tag} className="video-item-tag">
-              #{tag}
-            </span>
-          ))}
+          {tagPreview.map((tag) => {
+            const color = tagColors?.get(tag.toLowerCase());
+            return (
+              <span
+                key={tag}
+                className={`video-item-tag${color ? " has-color" : ""}`}
+                style={color ? { "--tag-color": color } : undefined}
+              >
+                #{tag}
+              </span>
+            );
+          })}
           {extraTagCount > 0 && (
             <span className="video-item-tag more">+{extraTagCount}</span>
           )}
@@ -166,6 +166,31 @@ describe("VideoCard", () => {
     expect(createdVideos).toBe(1);
   });
 
+  it("overlays flags, colour labels and dims rejects", () => {
+    const { container } = render(
+      <VideoCard
+        {...baseProps}
+        isVisible={false}
+        video={{
+          id: "marked",
+          name: "marked.mp4",
+          fullPath: "/clips/marked.mp4",
+          rating: 3,
+          flag: "reject",
+          label: "blue",
+        }}
+      />
+    );
+
+    const card = container.querySelector(".video-item");
+    expect(card.classList.contains("is-rejected")).toBe(true);
+    expect(screen.getByTitle("Rejected")).toBeTruthy();
+    expect(screen.getByTitle("Blue label").style.getPropertyValue("--label-color")).toBe(
+      "#1e88e5"
+    );
+    expect(screen.getByTitle("Rated 3 / 5")).toBeTruthy();
+  });
+
   it("does not emit redundant visibility change notifications", async () => {
     let handler = null;
     const observeIntersection = vi.fn((el, _id, cb) => {
@@ -71,6 +71,35 @@ export const actionPolicies = {
     whenContextWithMulti: TargetPolicy.CONTEXT_ONLY,
     enabledForToolbar: (count) => count === 1,
   },
+
+  // Collection membership works on everything selected, like tagging.
+  'add-to-collection': {
+    id: 'add-to-collection',
+    label: 'Add to collection…',
+    whenContextWithMulti: TargetPolicy.ALL_SELECTED,
+    enabledForToolbar: (count) => count >= 1,
+  },
+
+  'remove-from-collection': {
+    id: 'remove-from-collection',
+    label: 'Remove from collection',
+    whenContextWithMulti: TargetPolicy.ALL_SELECTED,
+    enabledForToolbar: (count) => count >= 1,
+  },
+
+  'move-to-collection-start': {
+    id: 'move-to-collection-start',
+    label: 'Move to start of collection',
+    whenContextWithMulti: TargetPolicy.ALL_SELECTED,
+    enabledForToolbar: (count) => count >= 1,
+  },
+
+  'export-dataset': {
+    id: 'export-dataset',
+    label: 'Export dataset…',
+    whenContextWithMulti: TargetPolicy.ALL_SELECTED,
+    enabledForToolbar: (count) => count >= 1,
+  },
 };
 
 // Simple helpers you can import in UI
@@ -54,5 +54,5 @@ export default function useActionDispatch(deps, getById) {
     [deps, getById, resolveTargetIds]
   );
 
-  return { runAction };
+  return { runAction, resolveTargetIds };
 }
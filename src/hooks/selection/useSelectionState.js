@@ -38,6 +38,19 @@ export default function useSelectionState() {
     setAnchorId(null);
   }, []);
 
+  // A clip's id changed under it (renamed on disk): keep it selected and
+  // keep it as the range anchor.
+  const replaceId = useCallback((oldId, newId) => {
+    setSelected(prev => {
+      if (!prev.has(oldId)) return prev;
+      const ns = new Set(prev);
+      ns.delete(oldId);
+      ns.add(newId);
+      return ns;
+    });
+    setAnchorId(prev => (prev === oldId ? newId : prev));
+  }, []);
+
   // Select a whole range, given the *ordered ids* array and the end id.
   const selectRange = useCallback((orderedIds, endId, additive = false) => {
     if (!orderedIds?.length) return;
@@ -66,5 +79,6 @@ export default function useSelectionState() {
     toggle,
     clear,
     selectRange,
+    replaceId,
   };
 }
@@ -120,4 +120,16 @@ describe('useSelectionState (range + anchor)', () => {
     expect(result.current.selected.size).toBe(0);
     expect(result.current.anchorId).toBe(null);
   });
+
+  test('replaceId keeps a renamed clip selected and anchored', () => {
+    const { result } = renderHook(() => useSelectionState());
+    act(() => result.current.selectOnly('b'));
+    act(() => result.current.toggle('d'));              // anchor = d
+    act(() => result.current.replaceId('d', 'd2'));
+    expect(result.current.selected).toEqual(new Set(['b', 'd2']));
+    expect(result.current.anchorId).toBe('d2');
+
+    act(() => result.current.replaceId('zzz', 'y'));
+    expect(result.current.selected).toEqual(new Set(['b', 'd2']));
+  });
 });
@@ -25,14 +25,27 @@ export const useFullScreenModal = (videos, layoutMode, gridRef) => {
     setFullScreenIndex(-1);
   }, []);
 
+  // The open clip was renamed on disk; follow it to its new id.
+  const retargetFullScreen = useCallback((oldId, video) => {
+    setFullScreenVideo(current => (current?.id === oldId ? video : current));
+  }, []);
+
   const navigateFullScreen = useCallback((direction) => {
     if (fullScreenIndex === -1 || videos.length === 0) return;
 
+    // Triage edits can re-sort or filter the list while the modal is open,
+    // so find the clip by id rather than trusting the stored index.
+    const current = videos.findIndex(v => v.id === fullScreenVideo?.id);
     let newIndex;
-    if (direction === 'next') {
-      newIndex = (fullScreenIndex + 1) % videos.length;
+    if (current === -1) {
+      // The clip dropped out; its old slot now holds the one after it.
+      newIndex = direction === 'next'
+        ? fullScreenIndex % videos.length
+        : (fullScreenIndex - 1 + videos.length) % videos.length;
+    } else if (direction === 'next') {
+      newIndex = (current + 1) % videos.length;
     } else {
-      newIndex = fullScreenIndex === 0 ? videos.length - 1 : fullScreenIndex - 1;
+      newIndex = current === 0 ? videos.length - 1 : current - 1;
     }
 
     const newVideo = videos[newIndex];
@@ -40,7 +53,7 @@ export const useFullScreenModal = (videos, layoutMode, gridRef) => {
       setFullScreenVideo(newVideo);
       setFullScreenIndex(newIndex);
     }
-  }, [fullScreenIndex, videos]);
+  }, [fullScreenIndex, fullScreenVideo, videos]);
 
   // Handle keyboard navigation
   useEffect(() => {
@@ -72,6 +85,7 @@ export const useFullScreenModal = (videos, layoutMode, gridRef) => {
     fullScreenVideo,
     openFullScreen,
     closeFullScreen,
-    navigateFullScreen
+    navigateFullScreen,
+    retargetFullScreen
   };
 };
\ No newline at end of file
@@ -0,0 +1,41 @@
+import { describe, it, expect } from "vitest";
+import { renderHook, act } from "@testing-library/react";
+import { useFullScreenModal } from "./useFullScreenModal";
+
+const clip = (id) => ({ id });
+
+describe("useFullScreenModal", () => {
+  it("navigates from the clip's current position when the list changes", () => {
+    const { result, rerender } = renderHook(
+      ({ videos }) => useFullScreenModal(videos, "masonry-vertical", null),
+      { initialProps: { videos: [clip("a"), clip("b"), clip("c"), clip("d")] } }
+    );
+
+    act(() => result.current.openFullScreen(clip("b")));
+    // Re-sorted under the open modal: "b" moved to the front.
+    rerender({ videos: [clip("b"), clip("a"), clip("c"), clip("d")] });
+    act(() => result.current.navigateFullScreen("next"));
+    expect(result.current.fullScreenVideo.id).toBe("a");
+
+    // Filtered out: the clip now in its old slot is the next one.
+    rerender({ videos: [clip("b"), clip("c"), clip("d")] });
+    act(() => result.current.navigateFullScreen("next"));
+    expect(result.current.fullScreenVideo.id).toBe("c");
+
+    act(() => result.current.navigateFullScreen("prev"));
+    expect(result.current.fullScreenVideo.id).toBe("b");
+  });
+
+  it("follows the open clip to its new id after a rename", () => {
+    const { result } = renderHook(() =>
+      useFullScreenModal([clip("a"), clip("b")], "masonry-vertical", null)
+    );
+
+    act(() => result.current.openFullScreen(clip("b")));
+    act(() => result.current.retargetFullScreen("a", clip("a2")));
+    expect(result.current.fullScreenVideo.id).toBe("b");
+
+    act(() => result.current.retargetFullScreen("b", clip("b2")));
+    expect(result.current.fullScreenVideo.id).toBe("b2");
+  });
+});
@@ -36,9 +36,15 @@ export default function useRecentFolders() {
     if (isElectron) {
       setItems(await window.electronAPI.recent.add(folderPath));
     } else {
-      const name = folderPath.split(/[\\/]/).pop();
+      // Root sets share the list with single folders, keyed by their joined paths
+      const roots = Array.isArray(folderPath) ? folderPath : [folderPath];
+      const key = roots.join('\n');
+      const name = roots.map(p => p.split(/[\\/]/).pop()).join(' + ');
       const now = Date.now();
-      const next = [{ path: folderPath, name, lastOpened: now }, ...lsGet().filter(x => x.path !== folderPath)].slice(0, 10);
+      const entry = roots.length > 1
+        ? { path: key, name, roots, lastOpened: now }
+        : { path: key, name, lastOpened: now };
+      const next = [entry, ...lsGet().filter(x => x.path !== key)].slice(0, 10);
       lsSet(next);
       setItems(next);
     }
@@ -0,0 +1,166 @@
+import { mulberry32 } from "../sorting/sorting.js";
+
+export const ExportLayout = {
+  FLAT: "flat",
+  BY_TAG: "tag",
+  BY_RATING: "rating",
+};
+
+export const MANIFEST_FILE = "manifest.jsonl";
+const UNTAGGED_FOLDER = "untagged";
+const UNRATED_FOLDER = "unrated";
+
+// Folder names come from tags, so strip anything a filesystem would reject.
+const safeSegment = (value) =>
+  (value ?? "")
+    .toString()
+    .trim()
+    .replace(/[<>:"/\\|?*\u0000-\u001f]/g, "_")
+    .replace(/^\.+$/, "_")
+    .replace(/[. ]+$/, "") || "_";
+
+const splitName = (fileName) => {
+  const dot = fileName.lastIndexOf(".");
+  return dot > 0 ? [fileName.slice(0, dot), fileName.slice(dot)] : [fileName, ""];
+};
+
+const extensionOf = (filePath) => splitName(filePath.split(/[\\/]/).pop() || "")[1];
+
+/**
+ * Seeded train/val assignment. Clips are ordered by fingerprint (falling back
+ * to path) before shuffling, so the same library, ratio and seed always give
+ * the same split regardless of the grid order.
+ */
+export function splitTrainVal(videos, valRatio, seed = 0) {
+  const ratio = Math.min(1, Math.max(0, Number(valRatio) || 0));
+  const keyOf = (video) => video.fingerprint || video.fullPath || video.id;
+  const ordered = [...videos].sort((a, b) =>
+    keyOf(a) < keyOf(b) ? -1 : keyOf(a) > keyOf(b) ? 1 : 0
+  );
+  const prng = mulberry32(Number(seed) >>> 0);
+  for (let i = ordered.length - 1; i > 0; i--) {
+    const j = Math.floor(prng() * (i + 1));
+    [ordered[i], ordered[j]] = [ordered[j], ordered[i]];
+  }
+  const valCount = Math.round(ordered.length * ratio);
+  const splits = new Map();
+  ordered.forEach((video, index) => splits.set(video.id, index < valCount ? "val" : "train"));
+  return splits;
+}
+
+function foldersFor(video, layout) {
+  if (layout === ExportLayout.BY_TAG) {
+    const tags = Array.from(new Set((video.tags || []).map(safeSegment))).sort();
+    return tags.length ? tags : [UNTAGGED_FOLDER];
+  }
+  if (layout === ExportLayout.BY_RATING) {
+    const rating = Number.isFinite(video.rating) ? Math.round(video.rating) : null;
+    return [rating === null ? UNRATED_FOLDER : `${rating}-star`];
+  }
+  return [""];
+}
+
+/**
+ * Works out where every clip (and its caption sidecar) lands inside the
+ * target folder. Paths in the plan are relative and "/"-separated. With the
+ * by-tag layout a clip is written once per tag. Stems are unique per folder
+ * (clashes get a numeric suffix) so a clip and its caption always pair up.
+ */
+export function planDatasetExport(videos, { layout = ExportLayout.FLAT, valRatio = 0, seed = 0 } = {}) {
+  const clips = (videos || []).filter((video) => video?.fullPath);
+  const splits = valRatio > 0 ? splitTrainVal(clips, valRatio, seed) : null;
+  const taken = new Set();
+  const files = [];
+  const manifest = [];
+
+  const claim = (folder, fileName) => {
+    const [stem, ext] = splitName(fileName);
+    for (let n = 1; ; n++) {
+      const candidate = `${folder}${n === 1 ? stem : `${stem}_${n}`}`;
+      if (!taken.has(candidate.toLowerCase())) {
+        taken.add(candidate.toLowerCase());
+        return { stem: candidate, ext };
+      }
+    }
+  };
+
+  clips.forEach((video) => {
+    const split = splits?.get(video.id) ?? null;
+    foldersFor(video, layout).forEach((folder) => {
+      const prefix = [split, folder].filter(Boolean).map((part) => `${part}/`).join("");
+      const { stem, ext } = claim(prefix, video.name || video.fullPath.split(/[\\/]/).pop());
+      const dest = `${stem}${ext}`;
+      const captionPath = video.caption?.path || null;
+      const captionDest = captionPath ? `${stem}${extensionOf(captionPath)}` : null;
+
+      files.push({
+        source: video.fullPath,
+        dest,
+        sidecars: captionPath ? [{ source: captionPath, dest: captionDest }] : [],
+      });
+      manifest.push({
+        file: dest,
+        ...(split ? { split } : {}),
+        fingerprint: video.fingerprint ?? null,
+        tags: Array.isArray(video.tags) ? video.tags : [],
+        rating: Number.isFinite(video.rating) ? video.rating : null,
+        dimensions: video.dimensions
+          ? { width: video.dimensions.width, height: video.dimensions.height }
+          : null,
+        caption: captionDest,
+      });
+    });
+  });
+
+  return { files, manifest };
+}
+
+const joinTarget = (targetDir, relativePath) =>
+  `${targetDir.replace(/[\\/]+$/, "")}/${relativePath}`;
+
+/**
+ * Copies (or hard-links) a plan into `targetDir` through the copy-file IPC,
+ * then writes the manifest. Existing files are never overwritten; they are
+ * reported in `failed` instead.
+ */
+export async function runDatasetExport(
+  plan,
+  { electronAPI, targetDir, hardLink = false, onProgress, isCancelled } = {}
+) {
+  if (!electronAPI?.copyFile) throw new Error("File copy is not available");
+  const options = { hardLink, createDirs: true, overwrite: false };
+  const failed = [];
+  const writtenDests = new Set();
+
+  for (const [index, file] of plan.files.entries()) {
+    if (isCancelled?.()) break;
+    for (const item of [file, ...file.sidecars]) {
+      const result = await electronAPI.copyFile(
+        item.source,
+        joinTarget(targetDir, item.dest),
+        options
+      );
+      if (result?.success === false) {
+        failed.push({ path: item.source, dest: item.dest, error: result.error });
+        if (item === file) break; // no caption without its clip
+      } else {
+        writtenDests.add(item.dest);
+      }
+    }
+    onProgress?.({ done: index + 1, total: plan.files.length });
+  }
+
+  // The manifest only lists what actually landed on disk.
+  const manifest = plan.manifest
+    .filter((entry) => writtenDests.has(entry.file))
+    .map((entry) =>
+      entry.caption && !writtenDests.has(entry.caption) ? { ...entry, caption: null } : entry
+    );
+  const manifestResult = await electronAPI.dataset?.writeManifest?.(targetDir, manifest);
+  if (manifestResult?.success === false) {
+    failed.push({ path: MANIFEST_FILE, dest: MANIFEST_FILE, error: manifestResult.error });
+  }
+
+  const written = manifest.length;
+  return { written, failed };
+}
@@ -0,0 +1,109 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  ExportLayout,
+  planDatasetExport,
+  runDatasetExport,
+  splitTrainVal,
+} from "./datasetExport";
+
+const clip = (id, extra = {}) => ({
+  id: `/lib/${id}`,
+  fullPath: `/lib/${id}`,
+  name: id.split("/").pop(),
+  fingerprint: `fp-${id}`,
+  tags: [],
+  rating: null,
+  dimensions: { width: 640, height: 360, aspectRatio: 16 / 9 },
+  ...extra,
+});
+
+describe("planDatasetExport", () => {
+  it("lays clips out flat with captions and manifest entries", () => {
+    const plan = planDatasetExport([
+      clip("a/cat.mp4", {
+        tags: ["cat"],
+        rating: 4,
+        caption: { path: "/lib/a/cat.txt", text: "a cat" },
+      }),
+      clip("b/cat.webm"),
+    ]);
+
+    expect(plan.files).toEqual([
+      {
+        source: "/lib/a/cat.mp4",
+        dest: "cat.mp4",
+        sidecars: [{ source: "/lib/a/cat.txt", dest: "cat.txt" }],
+      },
+      // Same stem in the same folder would collide with cat.txt
+      { source: "/lib/b/cat.webm", dest: "cat_2.webm", sidecars: [] },
+    ]);
+    expect(plan.manifest[0]).toEqual({
+      file: "cat.mp4",
+      fingerprint: "fp-a/cat.mp4",
+      tags: ["cat"],
+      rating: 4,
+      dimensions: { width: 640, height: 360 },
+      caption: "cat.txt",
+    });
+  });
+
+  it("groups by tag (once per tag) and by rating", () => {
+    const clips = [
+      clip("x.mp4", { tags: ["b", "a/b"], rating: 5 }),
+      clip("y.mp4", { rating: null }),
+    ];
+
+    expect(
+      planDatasetExport(clips, { layout: ExportLayout.BY_TAG }).files.map((f) => f.dest)
+    ).toEqual(["a_b/x.mp4", "b/x.mp4", "untagged/y.mp4"]);
+    expect(
+      planDatasetExport(clips, { layout: ExportLayout.BY_RATING }).files.map((f) => f.dest)
+    ).toEqual(["5-star/x.mp4", "unrated/y.mp4"]);
+  });
+
+  it("splits train/val deterministically by seed", () => {
+    const clips = Array.from({ length: 10 }, (_, i) => clip(`c${i}.mp4`));
+    const first = splitTrainVal(clips, 0.2, 7);
+    const reordered = splitTrainVal([...clips].reverse(), 0.2, 7);
+
+    expect([...first.values()].filter((split) => split === "val")).toHaveLength(2);
+    expect(Object.fromEntries(reordered)).toEqual(Object.fromEntries(first));
+
+    const plan = planDatasetExport(clips, { valRatio: 0.2, seed: 7 });
+    const val = plan.manifest.filter((entry) => entry.split === "val");
+    expect(val).toHaveLength(2);
+    expect(val.every((entry) => entry.file.startsWith("val/"))).toBe(true);
+  });
+});
+
+describe("runDatasetExport", () => {
+  it("copies through copy-file and only lists written files in the manifest", async () => {
+    const plan = planDatasetExport([
+      clip("a.mp4", { caption: { path: "/lib/a.txt" } }),
+      clip("b.mp4"),
+    ]);
+    const electronAPI = {
+      copyFile: vi.fn(async (source) =>
+        source === "/lib/b.mp4" ? { success: false, error: "EEXIST" } : { success: true }
+      ),
+      dataset: { writeManifest: vi.fn().mockResolvedValue({ success: true }) },
+    };
+
+    const result = await runDatasetExport(plan, {
+      electronAPI,
+      targetDir: "/out/",
+      hardLink: true,
+    });
+
+    expect(electronAPI.copyFile).toHaveBeenCalledWith("/lib/a.mp4", "/out/a.mp4", {
+      hardLink: true,
+      createDirs: true,
+      overwrite: false,
+    });
+    expect(electronAPI.copyFile).toHaveBeenCalledWith("/lib/a.txt", "/out/a.txt", expect.any(Object));
+    expect(result.written).toBe(1);
+    expect(result.failed).toEqual([{ path: "/lib/b.mp4", dest: "b.mp4", error: "EEXIST" }]);
+    const [, manifest] = electronAPI.dataset.writeManifest.mock.calls[0];
+    expect(manifest.map((entry) => entry.file)).toEqual(["a.mp4"]);
+  });
+});
@@ -0,0 +1,109 @@
+import { toFileURL } from "../components/VideoCard/videoDom";
+
+// Positions (fraction of duration) sampled for every clip. Changing these
+// invalidates stored hashes, since frames are compared by sample index.
+export const SAMPLE_POSITIONS = [0.15, 0.5, 0.85];
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+const THUMB_SIZE = 96;
+const LOAD_TIMEOUT_MS = 8000;
+
+/**
+ * 64-bit difference hash of a 9×8 RGBA pixel buffer: each bit is whether a
+ * pixel is brighter than its right-hand neighbour. Returned as 16 hex chars.
+ */
+export function dHashFromPixels(pixels) {
+  const luma = (index) =>
+    pixels[index] * 0.299 + pixels[index + 1] * 0.587 + pixels[index + 2] * 0.114;
+  let hex = "";
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    let byte = 0;
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const offset = (y * HASH_WIDTH + x) * 4;
+      byte = (byte << 1) | (luma(offset) > luma(offset + 4) ? 1 : 0);
+    }
+    hex += byte.toString(16).padStart(2, "0");
+  }
+  return hex;
+}
+
+const once = (el, eventName) =>
+  new Promise((resolve, reject) => {
+    const timeoutId = setTimeout(() => {
+      cleanup();
+      reject(new Error(`Timed out waiting for ${eventName}`));
+    }, LOAD_TIMEOUT_MS);
+    const handleEvent = () => {
+      cleanup();
+      resolve();
+    };
+    const handleError = () => {
+      cleanup();
+      reject(new Error("Failed to load media"));
+    };
+    const cleanup = () => {
+      clearTimeout(timeoutId);
+      el.removeEventListener(eventName, handleEvent);
+      el.removeEventListener("error", handleError);
+    };
+    el.addEventListener(eventName, handleEvent);
+    el.addEventListener("error", handleError);
+  });
+
+function drawThumbnail(videoEl) {
+  const ratio = Math.min(1, THUMB_SIZE / Math.max(videoEl.videoWidth, videoEl.videoHeight));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(videoEl.videoWidth * ratio));
+  canvas.height = Math.max(1, Math.round(videoEl.videoHeight * ratio));
+  canvas.getContext("2d").drawImage(videoEl, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL("image/jpeg", 0.7);
+}
+
+/**
+ * Seeks a detached <video> through SAMPLE_POSITIONS and hashes each frame.
+ * Resolves to { hash, thumbnail } where thumbnail is a small JPEG data URL of
+ * the middle sample.
+ */
+export async function computeVideoHash(video) {
+  const src = video?.fullPath ? toFileURL(video.fullPath) : null;
+  if (!src) throw new Error("No video source available");
+
+  const videoEl = document.createElement("video");
+  videoEl.preload = "auto";
+  videoEl.muted = true;
+  videoEl.crossOrigin = "anonymous";
+
+  const canvas = document.createElement("canvas");
+  canvas.width = HASH_WIDTH;
+  canvas.height = HASH_HEIGHT;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  if (!ctx) throw new Error("Failed to acquire canvas context");
+
+  try {
+    const loaded = once(videoEl, "loadeddata");
+    videoEl.src = src;
+    await loaded;
+
+    const duration = Number.isFinite(videoEl.duration) ? videoEl.duration : 0;
+    let hash = "";
+    let thumbnail = null;
+    for (const position of SAMPLE_POSITIONS) {
+      const target = duration * position;
+      if (Math.abs(videoEl.currentTime - target) > 0.01) {
+        const seeked = once(videoEl, "seeked");
+        videoEl.currentTime = target;
+        await seeked;
+      }
+      ctx.drawImage(videoEl, 0, 0, HASH_WIDTH, HASH_HEIGHT);
+      hash += dHashFromPixels(ctx.getImageData(0, 0, HASH_WIDTH, HASH_HEIGHT).data);
+      if (position === 0.5) thumbnail = drawThumbnail(videoEl);
+    }
+    return { hash, thumbnail };
+  } finally {
+    try {
+      videoEl.removeAttribute("src");
+      videoEl.load();
+    } catch {}
+  }
+}
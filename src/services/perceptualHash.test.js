@@ -0,0 +1,33 @@
+import { describe, it, expect } from "vitest";
+import { dHashFromPixels } from "./perceptualHash";
+
+const makePixels = (lumaAt) => {
+  const pixels = new Uint8ClampedArray(9 * 8 * 4);
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 9; x++) {
+      const offset = (y * 9 + x) * 4;
+      const value = lumaAt(x, y);
+      pixels.set([value, value, value, 255], offset);
+    }
+  }
+  return pixels;
+};
+
+describe("dHashFromPixels", () => {
+  it("sets a bit wherever a pixel is brighter than its right neighbour", () => {
+    expect(dHashFromPixels(makePixels((x) => 255 - x * 20))).toBe("ffffffffffffffff");
+    expect(dHashFromPixels(makePixels((x) => x * 20))).toBe("0000000000000000");
+  });
+
+  it("encodes one row per byte, leftmost comparison in the high bit", () => {
+    const pixels = makePixels((x, y) => (y === 0 && x === 0 ? 200 : 100));
+    expect(dHashFromPixels(pixels)).toBe("8000000000000000");
+  });
+
+  it("is stable under uniform brightness changes", () => {
+    const gradient = (x, y) => ((x * 37 + y * 11) % 9) * 20;
+    expect(dHashFromPixels(makePixels((x, y) => gradient(x, y) + 40))).toBe(
+      dHashFromPixels(makePixels(gradient))
+    );
+  });
+});
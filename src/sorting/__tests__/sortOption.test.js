@@ -1,6 +1,13 @@
 import { describe, it, expect } from 'vitest';
-import { SortKey } from '../sorting.js';
-import { parseSortValue, formatSortValue } from '../sortOption.js';
+import { SortKey, fieldSortKey } from '../sorting.js';
+import {
+  sortKeyLabel,
+  normalizeThenBy,
+  parseSortValue,
+  formatSortValue,
+  parseSortChain,
+  formatSortChain,
+} from '../sortOption.js';
 
 describe('sort option helpers', () => {
   const cases = [
@@ -8,6 +15,12 @@ describe('sort option helpers', () => {
     { value: 'name-desc', key: SortKey.NAME, dir: 'desc' },
     { value: 'created-asc', key: SortKey.CREATED, dir: 'asc' },
     { value: 'created-desc', key: SortKey.CREATED, dir: 'desc' },
+    { value: 'size-desc', key: SortKey.SIZE, dir: 'desc' },
+    { value: 'modified-asc', key: SortKey.MODIFIED, dir: 'asc' },
+    { value: 'duration-desc', key: SortKey.DURATION, dir: 'desc' },
+    { value: 'rating-desc', key: SortKey.RATING, dir: 'desc' },
+    { value: 'resolution-asc', key: SortKey.RESOLUTION, dir: 'asc' },
+    { value: 'folder-asc', key: SortKey.FOLDER, dir: 'asc' },
     { value: 'random', key: SortKey.RANDOM, dir: 'asc' },
   ];
 
@@ -20,4 +33,44 @@ describe('sort option helpers', () => {
       expect(formatSortValue(key, dir)).toBe(value);
     });
   });
+
+  it('falls back to name for unknown keys', () => {
+    expect(parseSortValue('bogus-desc')).toEqual({ sortKey: SortKey.NAME, sortDir: 'desc' });
+  });
+
+  it('round-trips a sort chain', () => {
+    const thenBy = [
+      { sortKey: SortKey.CREATED, sortDir: 'desc' },
+      { sortKey: SortKey.NAME, sortDir: 'asc' },
+    ];
+    const value = formatSortChain(SortKey.RATING, 'desc', thenBy);
+    expect(value).toBe('rating-desc,created-desc,name-asc');
+    expect(parseSortChain(value)).toEqual({ sortKey: SortKey.RATING, sortDir: 'desc', thenBy });
+  });
+
+  it('drops repeated and random secondary keys', () => {
+    expect(parseSortChain('size-asc,size-desc,random,rating-desc').thenBy).toEqual([
+      { sortKey: SortKey.RATING, sortDir: 'desc' },
+    ]);
+    expect(parseSortChain('created-asc')).toEqual({
+      sortKey: SortKey.CREATED,
+      sortDir: 'asc',
+      thenBy: [],
+    });
+  });
+
+  it('accepts custom field keys', () => {
+    expect(parseSortValue('field:3-desc')).toEqual({ sortKey: fieldSortKey(3), sortDir: 'desc' });
+    expect(parseSortChain('name-asc,field:3-asc,field:x-asc').thenBy).toEqual([
+      { sortKey: 'field:3', sortDir: 'asc' },
+    ]);
+    expect(normalizeThenBy([{ sortKey: 'field:3', sortDir: 'desc' }], 'field:3')).toEqual([]);
+  });
+
+  it('labels custom field keys by field name', () => {
+    const fields = [{ id: 3, name: 'Shots', type: 'number', options: [] }];
+    expect(sortKeyLabel('field:3', fields)).toBe('Shots');
+    expect(sortKeyLabel('field:4', fields)).toBe('Custom field');
+    expect(sortKeyLabel(SortKey.NOTES)).toBe('Notes');
+  });
 });
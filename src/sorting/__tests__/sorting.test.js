@@ -4,6 +4,7 @@ import {
   buildComparator,
   groupAndSort,
   buildRandomOrderMap,
+  fieldSortKey,
 } from "../sorting.js";
 
 const makeItem = (id, basename, dirname, createdMs) => ({
@@ -158,6 +159,23 @@ describe("sorting module", () => {
     expect(result.map((i) => i.id)).toEqual(["root1", "root2", "a1", "b1"]);
   });
 
+  it("groups by library root before subfolder", () => {
+    const items = [
+      { ...makeItem("renders-b/x", "x", "b", 0), root: "/renders" },
+      { ...makeItem("archive/top", "top", "", 0), root: "/archive" },
+      { ...makeItem("renders/top", "top", "", 0), root: "/renders" },
+      { ...makeItem("archive-b/y", "y", "b", 0), root: "/archive" },
+    ];
+    const comp = buildComparator({ sortKey: SortKey.NAME, sortDir: "asc" });
+    const result = groupAndSort(items, { groupByFolders: true, comparator: comp });
+    expect(result.map((i) => i.id)).toEqual([
+      "archive/top",
+      "archive-b/y",
+      "renders/top",
+      "renders-b/x",
+    ]);
+  });
+
   it("handles missing created timestamps", () => {
     const items = [
       makeItem("1", "a", "", undefined),
@@ -189,4 +207,123 @@ describe("sorting module", () => {
     });
     expect(withGrouping).not.toEqual(withoutGrouping);
   });
+
+  it("keeps unknown values last in both directions", () => {
+    const items = [
+      { ...makeItem("a", "a", "", 0), size: 300 },
+      { ...makeItem("b", "b", "", 0), size: null },
+      { ...makeItem("c", "c", "", 0), size: 100 },
+    ];
+    const ids = (sortDir) =>
+      groupAndSort(items, {
+        groupByFolders: false,
+        comparator: buildComparator({ sortKey: SortKey.SIZE, sortDir }),
+      }).map((i) => i.id);
+    expect(ids("asc")).toEqual(["c", "a", "b"]);
+    expect(ids("desc")).toEqual(["a", "c", "b"]);
+  });
+
+  it("breaks ties by name for rating, duration and resolution", () => {
+    const items = [
+      { ...makeItem("z", "zeta", "", 0), rating: 4, media: { duration: 2 }, dimensions: { width: 1920, height: 1080 } },
+      { ...makeItem("a", "alpha", "", 0), rating: 4, media: { duration: 2 }, dimensions: { width: 1080, height: 1920 } },
+      { ...makeItem("m", "mid", "", 0), rating: 5, media: { duration: 0 }, dimensions: { width: 640, height: 360 } },
+    ];
+    const ids = (sortKey, sortDir) =>
+      groupAndSort(items, {
+        groupByFolders: false,
+        comparator: buildComparator({ sortKey, sortDir }),
+      }).map((i) => i.id);
+    expect(ids(SortKey.RATING, "desc")).toEqual(["m", "a", "z"]);
+    expect(ids(SortKey.DURATION, "asc")).toEqual(["m", "a", "z"]);
+    expect(ids(SortKey.RESOLUTION, "desc")).toEqual(["a", "z", "m"]);
+  });
+
+  it("sorts by modified time from dates or timestamps", () => {
+    const items = [
+      { ...makeItem("a", "a", "", 0), dateModified: new Date(3000) },
+      { ...makeItem("b", "b", "", 0), dateModified: 1000 },
+      { ...makeItem("c", "c", "", 0), dateModified: new Date(2000).toISOString() },
+    ];
+    const comp = buildComparator({ sortKey: SortKey.MODIFIED, sortDir: "asc" });
+    const result = groupAndSort(items, { groupByFolders: false, comparator: comp });
+    expect(result.map((i) => i.id)).toEqual(["b", "c", "a"]);
+  });
+
+  it("sorts by folder and then by name", () => {
+    const items = [
+      makeItem("1", "b", "clips", 0),
+      makeItem("2", "a", "renders", 0),
+      makeItem("3", "a", "clips", 0),
+    ];
+    const comp = buildComparator({ sortKey: SortKey.FOLDER, sortDir: "desc" });
+    const result = groupAndSort(items, { groupByFolders: false, comparator: comp });
+    expect(result.map((i) => i.id)).toEqual(["2", "3", "1"]);
+  });
+
+  it("applies secondary keys in order before the name tie-break", () => {
+    const items = [
+      { ...makeItem("a", "a", "", 100), rating: 5 },
+      { ...makeItem("b", "b", "", 300), rating: 4 },
+      { ...makeItem("c", "c", "", 200), rating: 5 },
+      { ...makeItem("d", "d", "", 200), rating: 5 },
+    ];
+    const comp = buildComparator({
+      sortKey: SortKey.RATING,
+      sortDir: "desc",
+      thenBy: [{ sortKey: SortKey.CREATED, sortDir: "desc" }],
+    });
+    const result = groupAndSort(items, { groupByFolders: false, comparator: comp });
+    expect(result.map((i) => i.id)).toEqual(["c", "d", "a", "b"]);
+  });
+
+  it("applies the chain within folder groups", () => {
+    const items = [
+      { ...makeItem("1", "b", "x", 0), rating: 3 },
+      { ...makeItem("2", "a", "y", 0), rating: 5 },
+      { ...makeItem("3", "a", "x", 0), rating: 3 },
+      { ...makeItem("4", "c", "x", 0), rating: 5 },
+    ];
+    const comp = buildComparator({
+      sortKey: SortKey.RATING,
+      sortDir: "desc",
+      thenBy: [{ sortKey: SortKey.NAME, sortDir: "desc" }],
+    });
+    const result = groupAndSort(items, { groupByFolders: true, comparator: comp });
+    expect(result.map((i) => i.id)).toEqual(["4", "1", "3", "2"]);
+  });
+
+  it("sorts by custom fields and notes with missing values last", () => {
+    const items = [
+      { ...makeItem("a", "a", "", 0), fields: { 2: 10 }, notes: "beta" },
+      { ...makeItem("b", "b", "", 0), fields: {}, notes: null },
+      { ...makeItem("c", "c", "", 0), fields: { 2: 9 }, notes: "Alpha" },
+      { ...makeItem("d", "d", "", 0), fields: { 2: 100 }, notes: "" },
+    ];
+    const ids = (sortKey, sortDir) =>
+      groupAndSort(items, {
+        groupByFolders: false,
+        comparator: buildComparator({ sortKey, sortDir }),
+      }).map((i) => i.id);
+
+    expect(ids(fieldSortKey(2), "asc")).toEqual(["c", "a", "d", "b"]);
+    expect(ids(fieldSortKey(2), "desc")).toEqual(["d", "a", "c", "b"]);
+    expect(ids(SortKey.NOTES, "asc")).toEqual(["c", "a", "b", "d"]);
+  });
+
+  it("sorts by comparison score with never-compared clips last", () => {
+    const items = [
+      { ...makeItem("a", "a", "", 0), score: 1480 },
+      { ...makeItem("b", "b", "", 0), score: null },
+      { ...makeItem("c", "c", "", 0), score: 1562.5 },
+    ];
+    const ids = (sortDir) =>
+      groupAndSort(items, {
+        groupByFolders: false,
+        comparator: buildComparator({ sortKey: SortKey.SCORE, sortDir }),
+      }).map((i) => i.id);
+
+    expect(ids("desc")).toEqual(["c", "a", "b"]);
+    expect(ids("asc")).toEqual(["a", "c", "b"]);
+  });
 });
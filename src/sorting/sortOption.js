@@ -1,11 +1,33 @@
-import { SortKey } from './sorting.js';
+import { SortKey, fieldIdFromSortKey, isSortKey } from './sorting.js';
+
+export const SORT_KEY_LABELS = {
+  [SortKey.NAME]: 'Name',
+  [SortKey.CREATED]: 'Created',
+  [SortKey.MODIFIED]: 'Modified',
+  [SortKey.SIZE]: 'Size',
+  [SortKey.DURATION]: 'Duration',
+  [SortKey.RATING]: 'Rating',
+  [SortKey.SCORE]: 'Score',
+  [SortKey.RESOLUTION]: 'Resolution',
+  [SortKey.FOLDER]: 'Folder',
+  [SortKey.NOTES]: 'Notes',
+  [SortKey.RANDOM]: 'Random',
+};
+
+// Label for built-in keys and "field:<id>" keys, given the custom fields.
+export function sortKeyLabel(sortKey, customFields = []) {
+  if (SORT_KEY_LABELS[sortKey]) return SORT_KEY_LABELS[sortKey];
+  const fieldId = fieldIdFromSortKey(sortKey);
+  const field = customFields.find((entry) => entry.id === fieldId);
+  return field ? field.name : 'Custom field';
+}
 
 export function parseSortValue(value) {
   if (value === 'random') {
     return { sortKey: SortKey.RANDOM, sortDir: 'asc' };
   }
   const [key, dir] = value.split('-');
-  const sortKey = key === 'created' ? SortKey.CREATED : SortKey.NAME;
+  const sortKey = key !== SortKey.RANDOM && isSortKey(key) ? key : SortKey.NAME;
   const sortDir = dir === 'desc' ? 'desc' : 'asc';
   return { sortKey, sortDir };
 }
@@ -14,3 +36,39 @@ export function formatSortValue(sortKey, sortDir) {
   if (sortKey === SortKey.RANDOM) return 'random';
   return `${sortKey}-${sortDir}`;
 }
+
+// Secondary keys never repeat the primary or each other, and random only
+// makes sense as the primary key.
+export function normalizeThenBy(thenBy, primaryKey) {
+  if (!Array.isArray(thenBy)) return [];
+  const seen = new Set([primaryKey]);
+  const result = [];
+  thenBy.forEach((entry) => {
+    const sortKey = entry?.sortKey;
+    if (!isSortKey(sortKey) || sortKey === SortKey.RANDOM || seen.has(sortKey)) {
+      return;
+    }
+    seen.add(sortKey);
+    result.push({ sortKey, sortDir: entry.sortDir === 'desc' ? 'desc' : 'asc' });
+  });
+  return result;
+}
+
+// "rating-desc,created-desc" – a single value is a chain of one, so values
+// written before chains existed still parse.
+export function formatSortChain(sortKey, sortDir, thenBy = []) {
+  if (sortKey === SortKey.RANDOM) return 'random';
+  return [{ sortKey, sortDir }, ...normalizeThenBy(thenBy, sortKey)]
+    .map((entry) => formatSortValue(entry.sortKey, entry.sortDir))
+    .join(',');
+}
+
+export function parseSortChain(value) {
+  const [primary, ...rest] = String(value || 'name-asc').split(',');
+  const { sortKey, sortDir } = parseSortValue(primary);
+  return {
+    sortKey,
+    sortDir,
+    thenBy: sortKey === SortKey.RANDOM ? [] : normalizeThenBy(rest.map(parseSortValue), sortKey),
+  };
+}
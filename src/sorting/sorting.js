@@ -1,9 +1,58 @@
 export const SortKey = {
   NAME: "name",
   CREATED: "created",
+  MODIFIED: "modified",
+  SIZE: "size",
+  DURATION: "duration",
+  RATING: "rating",
+  SCORE: "score",
+  RESOLUTION: "resolution",
+  FOLDER: "folder",
+  NOTES: "notes",
   RANDOM: "random",
 };
 
+// Custom fields (see MetadataPanel) sort as "field:<id>".
+const FIELD_SORT_KEY = /^field:(\d+)$/;
+
+export const fieldSortKey = (fieldId) => `field:${fieldId}`;
+
+export function fieldIdFromSortKey(sortKey) {
+  const match = FIELD_SORT_KEY.exec(sortKey || "");
+  return match ? Number(match[1]) : null;
+}
+
+export const isSortKey = (sortKey) =>
+  Object.values(SortKey).includes(sortKey) || fieldIdFromSortKey(sortKey) !== null;
+
+const finiteOrNull = (value) => {
+  const number = Number(value);
+  return value !== null && value !== undefined && Number.isFinite(number) ? number : null;
+};
+
+const toTime = (value) => {
+  if (value instanceof Date) return finiteOrNull(value.getTime());
+  if (typeof value === "string" && value) return finiteOrNull(Date.parse(value));
+  return finiteOrNull(value);
+};
+
+const pixelCount = (item) => {
+  const width = finiteOrNull(item.dimensions?.width);
+  const height = finiteOrNull(item.dimensions?.height);
+  return width > 0 && height > 0 ? width * height : null;
+};
+
+// Numeric sort keys; a null result means "unknown" and always sorts last.
+const NUMERIC_SORT_VALUES = {
+  [SortKey.MODIFIED]: (item) => toTime(item.dateModified),
+  [SortKey.SIZE]: (item) => finiteOrNull(item.size),
+  [SortKey.DURATION]: (item) => finiteOrNull(item.media?.duration),
+  [SortKey.RATING]: (item) => finiteOrNull(item.rating),
+  // Elo score from head-to-head comparisons (see ComparisonDialog).
+  [SortKey.SCORE]: (item) => finiteOrNull(item.score),
+  [SortKey.RESOLUTION]: pixelCount,
+};
+
 export function mulberry32(a) {
   return function () {
     let t = (a += 0x6d2b79f5);
@@ -31,8 +80,58 @@ export function buildRandomOrderMap(paths, seed) {
   return map;
 }
 
-export function buildComparator({ sortKey, sortDir, randomOrderMap }) {
+const compareNatural = (a, b) =>
+  a.localeCompare(b, undefined, { numeric: true, sensitivity: "base" });
+
+// Equal keys fall back to name then id so the order never depends on input order.
+const compareTieBreak = (a, b) =>
+  compareNatural(a.basename || "", b.basename || "") ||
+  compareNatural(String(a.id ?? ""), String(b.id ?? ""));
+
+// Text or number values (notes, custom fields); missing values sort last.
+function compareValues(valueOf, dir) {
+  return (a, b) => {
+    const va = valueOf(a);
+    const vb = valueOf(b);
+    if (va === null || vb === null) {
+      if (va === vb) return 0;
+      return va === null ? 1 : -1;
+    }
+    if (typeof va === "number" && typeof vb === "number") return (va - vb) * dir;
+    return compareNatural(String(va), String(vb)) * dir;
+  };
+}
+
+const presentOrNull = (value) =>
+  value === null || value === undefined || value === "" ? null : value;
+
+// Compares on a single key without any tie-breaking; 0 means "equal here".
+function compareByKey({ sortKey, sortDir, randomOrderMap }) {
   const dir = sortDir === "desc" ? -1 : 1;
+  const fieldId = fieldIdFromSortKey(sortKey);
+  if (fieldId !== null) {
+    return compareValues((item) => presentOrNull(item.fields?.[fieldId]), dir);
+  }
+  if (sortKey === SortKey.NOTES) {
+    return compareValues((item) => presentOrNull(item.notes?.trim()), dir);
+  }
+  const valueOf = NUMERIC_SORT_VALUES[sortKey];
+  if (valueOf) {
+    return (a, b) => {
+      const va = valueOf(a);
+      const vb = valueOf(b);
+      if (va === null || vb === null) {
+        if (va === vb) return 0;
+        return va === null ? 1 : -1;
+      }
+      return (va - vb) * dir;
+    };
+  }
+  if (sortKey === SortKey.FOLDER) {
+    return (a, b) =>
+      (compareNatural(a.root || "", b.root || "") ||
+        compareNatural(a.dirname || "", b.dirname || "")) * dir;
+  }
   if (sortKey === SortKey.CREATED) {
     return (a, b) => ((a.createdMs || 0) - (b.createdMs || 0)) * dir;
   }
@@ -44,30 +143,45 @@ export function buildComparator({ sortKey, sortDir, randomOrderMap }) {
     };
   }
   // default NAME
-  return (a, b) =>
-    a.basename.localeCompare(b.basename, undefined, {
-      numeric: true,
-      sensitivity: "base",
-    }) * dir;
+  return (a, b) => compareNatural(a.basename || "", b.basename || "") * dir;
+}
+
+/**
+ * Primary key plus optional `thenBy` keys ([{ sortKey, sortDir }]) applied in
+ * order when earlier keys tie.
+ */
+export function buildComparator({ sortKey, sortDir, randomOrderMap, thenBy = [] }) {
+  const chain = [{ sortKey, sortDir }, ...(Array.isArray(thenBy) ? thenBy : [])].map(
+    (entry) => compareByKey({ ...entry, randomOrderMap })
+  );
+  return (a, b) => {
+    for (const compare of chain) {
+      const result = compare(a, b);
+      if (result) return result;
+    }
+    return compareTieBreak(a, b);
+  };
 }
 
+// Groups by library root first, then by subfolder within that root.
 export function groupAndSort(items, { groupByFolders, comparator }) {
   if (!groupByFolders) {
     return [...items].sort(comparator);
   }
   const groups = new Map();
   items.forEach((item) => {
-    const key = item.dirname || "";
-    if (!groups.has(key)) groups.set(key, []);
-    groups.get(key).push(item);
+    const root = item.root || "";
+    const dirname = item.dirname || "";
+    const key = `${root}\u0000${dirname}`;
+    if (!groups.has(key)) groups.set(key, { root, dirname, items: [] });
+    groups.get(key).items.push(item);
   });
-  const sortedGroupKeys = Array.from(groups.keys()).sort((a, b) =>
-    a.localeCompare(b, undefined, { numeric: true, sensitivity: "base" })
+  const sortedGroups = Array.from(groups.values()).sort(
+    (a, b) => compareNatural(a.root, b.root) || compareNatural(a.dirname, b.dirname)
   );
   const result = [];
-  sortedGroupKeys.forEach((key) => {
-    const groupItems = groups.get(key).sort(comparator);
-    result.push(...groupItems);
+  sortedGroups.forEach((group) => {
+    result.push(...group.items.sort(comparator));
   });
   return result;
 }
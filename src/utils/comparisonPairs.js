@@ -0,0 +1,44 @@
+// Pair selection for head-to-head comparisons (ComparisonDialog). The clip
+// with the fewest comparisons meets one of the closest-scored clips it hasn't
+// faced recently: close matches tell Elo the most, and nobody is left out.
+
+const START_SCORE = 1500; // matches ELO_START in main/database.js
+const CLOSEST_CANDIDATES = 3;
+
+export const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+const scoreOf = (video) => (Number.isFinite(video?.score) ? video.score : START_SCORE);
+const countOf = (video) => video?.comparisons || 0;
+
+/**
+ * Returns [left, right] or null when fewer than two clips have fingerprints.
+ * `recent` holds pairKey()s to avoid unless nothing else is left.
+ */
+export function pickComparisonPair(videos, { random = Math.random, recent = [] } = {}) {
+  const byFingerprint = new Map();
+  (videos || []).forEach((video) => {
+    if (video?.fingerprint && !byFingerprint.has(video.fingerprint)) {
+      byFingerprint.set(video.fingerprint, video);
+    }
+  });
+  const pool = Array.from(byFingerprint.values());
+  if (pool.length < 2) return null;
+
+  const fewest = Math.min(...pool.map(countOf));
+  const starters = pool.filter((video) => countOf(video) === fewest);
+  const first = starters[Math.floor(random() * starters.length)];
+
+  const avoid = new Set(recent);
+  const others = pool.filter((video) => video !== first);
+  const fresh = others.filter((video) => !avoid.has(pairKey(first.fingerprint, video.fingerprint)));
+  const opponents = (fresh.length ? fresh : others).sort(
+    (a, b) =>
+      Math.abs(scoreOf(a) - scoreOf(first)) - Math.abs(scoreOf(b) - scoreOf(first)) ||
+      countOf(a) - countOf(b)
+  );
+  const closest = opponents.slice(0, CLOSEST_CANDIDATES);
+  const second = closest[Math.floor(random() * closest.length)];
+
+  // Random sides so a habit of favouring one side doesn't skew scores.
+  return random() < 0.5 ? [first, second] : [second, first];
+}
@@ -0,0 +1,42 @@
+import { describe, it, expect } from "vitest";
+import { pairKey, pickComparisonPair } from "./comparisonPairs";
+
+const clip = (fingerprint, score = null, comparisons = 0) => ({
+  id: fingerprint,
+  fingerprint,
+  score,
+  comparisons,
+});
+
+const fingerprints = (pair) => pair.map((video) => video.fingerprint);
+
+describe("pickComparisonPair", () => {
+  it("needs two clips with fingerprints", () => {
+    expect(pickComparisonPair([clip("a"), { id: "b" }])).toBeNull();
+  });
+
+  it("starts from the least compared clip and meets the closest score", () => {
+    const videos = [
+      clip("a", 1600, 5),
+      clip("b", 1420, 1),
+      clip("c", 1450, 4),
+      clip("d", 1900, 4),
+      clip("e", 1000, 4),
+      clip("f", 1300, 4),
+    ];
+    // random() = 0 keeps the first candidate and the left/right order as picked.
+    const pair = pickComparisonPair(videos, { random: () => 0 });
+    expect(fingerprints(pair)).toEqual(["b", "c"]);
+  });
+
+  it("avoids recently shown pairs while others are left", () => {
+    const videos = [clip("a", null, 0), clip("b", 1500, 1), clip("c", 1700, 1)];
+    const recent = [pairKey("b", "a")];
+    expect(fingerprints(pickComparisonPair(videos, { random: () => 0, recent }))).toEqual([
+      "a",
+      "c",
+    ]);
+    const all = [pairKey("a", "b"), pairKey("a", "c")];
+    expect(pickComparisonPair(videos, { random: () => 0, recent: all })).toHaveLength(2);
+  });
+});
@@ -0,0 +1,52 @@
+// Display helpers for the container facts probed in main/videoDimensions.js
+// (`video.media`). Every field may be null when the container omits it.
+
+export function formatDuration(seconds) {
+  if (!Number.isFinite(seconds) || seconds < 0) return null;
+  if (seconds < 10) {
+    return `${seconds.toFixed(seconds < 1 ? 2 : 1)}s`;
+  }
+  const total = Math.round(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, "0");
+  return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+}
+
+export function formatFps(fps) {
+  if (!Number.isFinite(fps) || fps <= 0) return null;
+  const rounded = Math.round(fps * 100) / 100;
+  return `${rounded} fps`;
+}
+
+export function formatBitrate(bitsPerSecond) {
+  if (!Number.isFinite(bitsPerSecond) || bitsPerSecond <= 0) return null;
+  if (bitsPerSecond >= 1e6) return `${(bitsPerSecond / 1e6).toFixed(1)} Mbps`;
+  return `${Math.round(bitsPerSecond / 1e3)} kbps`;
+}
+
+export function isZeroLength(media) {
+  return Number.isFinite(media?.duration) && media.duration <= 0;
+}
+
+/**
+ * Ordered, display-ready pieces of `video.media`. Zero-length clips carry a
+ * `warning` flag so the grid and panel can call them out.
+ */
+export function describeMediaInfo(media) {
+  if (!media) return [];
+  const items = [];
+  const duration = formatDuration(media.duration);
+  if (duration) {
+    items.push({ key: "duration", label: duration, warning: isZeroLength(media) });
+  }
+  const fps = formatFps(media.fps);
+  if (fps) items.push({ key: "fps", label: fps });
+  if (media.videoCodec) items.push({ key: "codec", label: media.videoCodec });
+  if (typeof media.hasAudio === "boolean") {
+    items.push({ key: "audio", label: media.hasAudio ? "Audio" : "No audio" });
+  }
+  const bitrate = formatBitrate(media.bitrate);
+  if (bitrate) items.push({ key: "bitrate", label: bitrate });
+  return items;
+}
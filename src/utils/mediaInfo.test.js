@@ -0,0 +1,39 @@
+import { describe, it, expect } from "vitest";
+import { describeMediaInfo, formatDuration, formatBitrate } from "./mediaInfo";
+
+describe("mediaInfo", () => {
+  it("formats short and long durations", () => {
+    expect(formatDuration(0)).toBe("0.00s");
+    expect(formatDuration(4.25)).toBe("4.3s");
+    expect(formatDuration(75)).toBe("1:15");
+    expect(formatDuration(3725)).toBe("1:02:05");
+    expect(formatDuration(null)).toBeNull();
+  });
+
+  it("formats bitrates", () => {
+    expect(formatBitrate(8_500_000)).toBe("8.5 Mbps");
+    expect(formatBitrate(640_000)).toBe("640 kbps");
+  });
+
+  it("describes probed fields in order and flags zero-length clips", () => {
+    const items = describeMediaInfo({
+      duration: 0,
+      fps: 23.976,
+      videoCodec: "avc1",
+      hasAudio: false,
+      bitrate: null,
+    });
+    expect(items.map((item) => item.label)).toEqual([
+      "0.00s",
+      "23.98 fps",
+      "avc1",
+      "No audio",
+    ]);
+    expect(items[0].warning).toBe(true);
+  });
+
+  it("skips fields the container did not declare", () => {
+    expect(describeMediaInfo({ duration: null, fps: null, hasAudio: null })).toEqual([]);
+    expect(describeMediaInfo(null)).toEqual([]);
+  });
+});
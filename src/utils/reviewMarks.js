@@ -0,0 +1,26 @@
+// Pick/reject flags and colour labels (metadata:set-flag / set-label).
+// Mirrors REVIEW_FLAGS and COLOR_LABELS in main/database.js.
+
+export const REVIEW_FLAGS = [
+  { id: "pick", label: "Pick", glyph: "⚑" },
+  { id: "reject", label: "Reject", glyph: "✕" },
+];
+
+export const COLOR_LABELS = [
+  { id: "red", label: "Red", color: "#e53935" },
+  { id: "yellow", label: "Yellow", color: "#fdd835" },
+  { id: "green", label: "Green", color: "#43a047" },
+  { id: "blue", label: "Blue", color: "#1e88e5" },
+  { id: "purple", label: "Purple", color: "#8e24aa" },
+];
+
+const FLAG_IDS = new Set(REVIEW_FLAGS.map((flag) => flag.id));
+const LABEL_COLORS = new Map(COLOR_LABELS.map((label) => [label.id, label.color]));
+
+export const normalizeFlag = (value) => (FLAG_IDS.has(value) ? value : null);
+
+export const normalizeLabel = (value) => (LABEL_COLORS.has(value) ? value : null);
+
+export const labelColor = (value) => LABEL_COLORS.get(value) || null;
+
+export const isRejected = (video) => video?.flag === "reject";
@@ -0,0 +1,40 @@
+// Keyboard triage in the fullscreen viewer. Fixed keys: 0–5 rate (0 clears),
+// P pick, X reject, U unflag, T toggles triage. Favourite tags are bound to
+// any other letter or digit and saved in settings as { key: tagName }.
+
+export const RESERVED_TRIAGE_KEYS = new Set(["0", "1", "2", "3", "4", "5", "p", "x", "u", "t"]);
+
+export function normalizeTriageKey(value) {
+  const key = (value ?? "").toString().trim().toLowerCase();
+  return /^[a-z0-9]$/.test(key) && !RESERVED_TRIAGE_KEYS.has(key) ? key : null;
+}
+
+export function normalizeTriageTagKeys(value) {
+  const result = {};
+  if (!value || typeof value !== "object" || Array.isArray(value)) return result;
+  Object.entries(value).forEach(([rawKey, rawTag]) => {
+    const key = normalizeTriageKey(rawKey);
+    const tag = typeof rawTag === "string" ? rawTag.trim() : "";
+    if (key && tag) result[key] = tag;
+  });
+  return result;
+}
+
+/**
+ * Action for a keypress, or null when the key isn't a triage key.
+ * Tag keys toggle, so the clip's current tags decide between add and remove.
+ */
+export function triageActionForKey(key, tagKeys, video) {
+  const lower = (key ?? "").toString().toLowerCase();
+  if (/^[0-5]$/.test(lower)) {
+    const value = Number(lower);
+    return { type: "rating", value: value === 0 ? null : value };
+  }
+  if (lower === "p") return { type: "flag", value: "pick" };
+  if (lower === "x") return { type: "flag", value: "reject" };
+  if (lower === "u") return { type: "flag", value: null };
+  const tag = tagKeys?.[lower];
+  if (!tag || lower.length !== 1) return null;
+  const tags = Array.isArray(video?.tags) ? video.tags : [];
+  return { type: "tag", tag, on: !tags.includes(tag) };
+}
@@ -0,0 +1,25 @@
+import { describe, it, expect } from "vitest";
+import { normalizeTriageTagKeys, triageActionForKey } from "./triageKeys";
+
+describe("triageKeys", () => {
+  it("keeps single free letters or digits bound to a tag", () => {
+    expect(
+      normalizeTriageTagKeys({ G: " golden ", p: "picked", 7: "seven", ab: "x", k: "" })
+    ).toEqual({ g: "golden", 7: "seven" });
+    expect(normalizeTriageTagKeys(["a"])).toEqual({});
+    expect(normalizeTriageTagKeys(null)).toEqual({});
+  });
+
+  it("maps keys to triage actions", () => {
+    const video = { tags: ["golden"] };
+    const keys = { g: "golden", h: "hero" };
+    expect(triageActionForKey("3", keys, video)).toEqual({ type: "rating", value: 3 });
+    expect(triageActionForKey("0", keys, video)).toEqual({ type: "rating", value: null });
+    expect(triageActionForKey("P", keys, video)).toEqual({ type: "flag", value: "pick" });
+    expect(triageActionForKey("u", keys, video)).toEqual({ type: "flag", value: null });
+    expect(triageActionForKey("g", keys, video)).toEqual({ type: "tag", tag: "golden", on: false });
+    expect(triageActionForKey("H", keys, video)).toEqual({ type: "tag", tag: "hero", on: true });
+    expect(triageActionForKey("6", keys, video)).toBeNull();
+    expect(triageActionForKey("ArrowRight", keys, video)).toBeNull();
+  });
+});